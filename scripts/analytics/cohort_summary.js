@@ -0,0 +1,453 @@
+// scripts/analytics/cohort_summary.js
+const { PATIENT_SCHEMA, isPresent } = require('../validation/patient_schema');
+const {
+  quantile,
+  normalCdf,
+  logGamma,
+  chiSquarePValue,
+  studentTPValue,
+  fDistributionPValue
+} = require('../metrics/statistics');
+
+const TEST_NAMES = {
+  welch_t_test: 'Welch t-test',
+  anova: 'ANOVA',
+  mann_whitney_u: 'Mann-Whitney U',
+  kruskal_wallis: 'Kruskal-Wallis',
+  chi_square: 'Chi-square',
+  fisher_exact: 'Fisher exact'
+};
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function variance(values) {
+  if (values.length < 2) return NaN;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Средние ранги (связанные значения получают средний ранг).
+ * @returns {Object} - { ranks, tieSum: Σ(t³ - t) по группам связанных значений }.
+ */
+function rankWithTies(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  let tieSum = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+    const t = j - i + 1;
+    tieSum += t ** 3 - t;
+    i = j + 1;
+  }
+  return { ranks, tieSum };
+}
+
+function logFactorial(n) {
+  return n < 2 ? 0 : logGamma(n + 1);
+}
+
+/**
+ * CohortSummary - Описательная статистика когорты ("Table 1")
+ * - Непрерывные поля: mean (SD), median [IQR], min/max; сравнение групп t-тестом Уэлча / ANOVA
+ *   или Манна-Уитни / Краскела-Уоллиса
+ * - Категориальные поля: n (%) от заполненных значений; хи-квадрат или точный тест Фишера (2×2)
+ * - Тип поля - из PATIENT_SCHEMA: number - непрерывное, enum и boolean - категориальное
+ * - Экспорт в CSV и Markdown
+ */
+class CohortSummary {
+  /**
+   * Тип поля по схеме: 'continuous', 'categorical' или null (идентификаторы и поля вне схемы).
+   */
+  static fieldKind(field) {
+    const rule = PATIENT_SCHEMA.fields[field];
+    if (!rule || Array.isArray(rule.type)) return null;
+    if (rule.type === 'number') return 'continuous';
+    if (rule.type === 'enum' || rule.type === 'boolean') return 'categorical';
+    return null;
+  }
+
+  /**
+   * Категориальные поля схемы (допустимые группировки).
+   */
+  static categoricalFields() {
+    return Object.keys(PATIENT_SCHEMA.fields).filter(field => CohortSummary.fieldKind(field) === 'categorical');
+  }
+
+  /**
+   * @param {Array<number>} values - Заполненные значения.
+   * @returns {Object} - { n, mean, sd, median, q1, q3, min, max, skewness }.
+   */
+  static describeContinuous(values) {
+    if (values.length === 0) {
+      return { n: 0, mean: null, sd: null, median: null, q1: null, q3: null, min: null, max: null, skewness: null };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const m = mean(values);
+    const sd = Math.sqrt(variance(values));
+    const skewness = values.length > 2 && sd > 0
+      ? values.reduce((sum, v) => sum + ((v - m) / sd) ** 3, 0) / values.length
+      : null;
+    return {
+      n: values.length,
+      mean: m,
+      sd: Number.isFinite(sd) ? sd : null,
+      median: quantile(sorted, 0.5),
+      q1: quantile(sorted, 0.25),
+      q3: quantile(sorted, 0.75),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      skewness
+    };
+  }
+
+  /**
+   * @param {Array<string>} values - Заполненные значения (строки).
+   * @param {Array<string>} levels - Порядок уровней.
+   * @returns {Object} - { n, counts: { level: { count, percent } } }.
+   */
+  static describeCategorical(values, levels) {
+    const counts = Object.fromEntries(levels.map(level => [level, 0]));
+    values.forEach(value => { counts[value] += 1; });
+    return {
+      n: values.length,
+      counts: Object.fromEntries(levels.map(level => [level, {
+        count: counts[level],
+        percent: values.length > 0 ? 100 * counts[level] / values.length : null
+      }]))
+    };
+  }
+
+  /**
+   * t-тест Уэлча (без предположения о равенстве дисперсий).
+   */
+  static welchTTest(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+    const va = variance(a) / a.length;
+    const vb = variance(b) / b.length;
+    if (va + vb === 0) return null;
+    const statistic = (mean(a) - mean(b)) / Math.sqrt(va + vb);
+    const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+    return { name: 'welch_t_test', statistic, df, pValue: studentTPValue(statistic, df) };
+  }
+
+  /**
+   * Однофакторный дисперсионный анализ для k групп.
+   */
+  static oneWayAnova(groups) {
+    const all = groups.flat();
+    const k = groups.length;
+    if (k < 2 || all.length - k < 1) return null;
+    const grandMean = mean(all);
+    const between = groups.reduce((sum, g) => sum + g.length * (mean(g) - grandMean) ** 2, 0);
+    const within = groups.reduce((sum, g) => sum + g.reduce((s, v) => s + (v - mean(g)) ** 2, 0), 0);
+    if (within === 0) return null;
+    const df = [k - 1, all.length - k];
+    const statistic = (between / df[0]) / (within / df[1]);
+    return { name: 'anova', statistic, df, pValue: fDistributionPValue(statistic, df[0], df[1]) };
+  }
+
+  /**
+   * U-тест Манна-Уитни: нормальная аппроксимация с поправкой на связи и непрерывность.
+   */
+  static mannWhitneyU(a, b) {
+    if (a.length === 0 || b.length === 0) return null;
+    const n1 = a.length;
+    const n2 = b.length;
+    const total = n1 + n2;
+    const { ranks, tieSum } = rankWithTies([...a, ...b]);
+    const rankSum = ranks.slice(0, n1).reduce((sum, r) => sum + r, 0);
+    const statistic = rankSum - n1 * (n1 + 1) / 2;
+    const sigma = Math.sqrt(n1 * n2 / 12 * ((total + 1) - tieSum / (total * (total - 1))));
+    if (!(sigma > 0)) return null;
+    const z = Math.max(0, Math.abs(statistic - n1 * n2 / 2) - 0.5) / sigma;
+    return { name: 'mann_whitney_u', statistic, z, pValue: 2 * (1 - normalCdf(z)) };
+  }
+
+  /**
+   * Тест Краскела-Уоллиса для k групп (с поправкой на связи).
+   */
+  static kruskalWallis(groups) {
+    const all = groups.flat();
+    const total = all.length;
+    if (groups.length < 2 || total < 2) return null;
+    const { ranks, tieSum } = rankWithTies(all);
+    let offset = 0;
+    let sum = 0;
+    for (const group of groups) {
+      const rankSum = ranks.slice(offset, offset + group.length).reduce((s, r) => s + r, 0);
+      sum += rankSum ** 2 / group.length;
+      offset += group.length;
+    }
+    const correction = 1 - tieSum / (total ** 3 - total);
+    if (!(correction > 0)) return null;
+    const statistic = (12 / (total * (total + 1)) * sum - 3 * (total + 1)) / correction;
+    const df = groups.length - 1;
+    return { name: 'kruskal_wallis', statistic, df, pValue: chiSquarePValue(statistic, df) };
+  }
+
+  /**
+   * Хи-квадрат тест независимости. Пустые строки и столбцы таблицы не учитываются.
+   * @param {Array<Array<number>>} table - Уровни × группы.
+   * @returns {Object|null} - { name, statistic, df, pValue, minExpected }.
+   */
+  static chiSquareTest(table) {
+    const rows = table.filter(row => row.some(count => count > 0));
+    const columns = rows.length > 0 ? rows[0].map((_, j) => j).filter(j => rows.some(row => row[j] > 0)) : [];
+    if (rows.length < 2 || columns.length < 2) return null;
+
+    const rowTotals = rows.map(row => columns.reduce((sum, j) => sum + row[j], 0));
+    const columnTotals = columns.map(j => rows.reduce((sum, row) => sum + row[j], 0));
+    const total = rowTotals.reduce((a, b) => a + b, 0);
+
+    let statistic = 0;
+    let minExpected = Infinity;
+    rows.forEach((row, i) => columns.forEach((j, c) => {
+      const expected = rowTotals[i] * columnTotals[c] / total;
+      minExpected = Math.min(minExpected, expected);
+      statistic += (row[j] - expected) ** 2 / expected;
+    }));
+    const df = (rows.length - 1) * (columns.length - 1);
+    return { name: 'chi_square', statistic, df, pValue: chiSquarePValue(statistic, df), minExpected };
+  }
+
+  /**
+   * Двусторонний точный тест Фишера для таблицы 2×2: сумма вероятностей таблиц
+   * с теми же маргиналами, не более вероятных, чем наблюдаемая.
+   * @param {Array<Array<number>>} table - [[a, b], [c, d]].
+   */
+  static fisherExactTest(table) {
+    const [[a, b], [c, d]] = table;
+    const row1 = a + b;
+    const row2 = c + d;
+    const column1 = a + c;
+    const total = row1 + row2;
+    const logDenominator = logFactorial(total) - logFactorial(row1) - logFactorial(row2) -
+      logFactorial(column1) - logFactorial(total - column1);
+    const logProbability = x => -logDenominator - logFactorial(x) - logFactorial(row1 - x) -
+      logFactorial(column1 - x) - logFactorial(row2 - column1 + x);
+
+    const observed = logProbability(a);
+    let pValue = 0;
+    for (let x = Math.max(0, column1 - row2); x <= Math.min(row1, column1); x++) {
+      const p = logProbability(x);
+      if (p <= observed + 1e-7) pValue += Math.exp(p);
+    }
+    return { name: 'fisher_exact', pValue: Math.min(1, pValue) };
+  }
+
+  /**
+   * Уровни категориального поля: значения схемы в ее порядке, затем прочие встреченные.
+   */
+  static levels(field, values) {
+    const rule = PATIENT_SCHEMA.fields[field];
+    const known = rule.type === 'boolean' ? ['false', 'true'] : rule.values.map(String);
+    const observed = new Set(values);
+    return [
+      ...known.filter(level => observed.has(level)),
+      ...[...observed].filter(level => !known.includes(level)).sort()
+    ];
+  }
+
+  static continuousField(field, records, groups, options) {
+    const valuesOf = rows => rows.map(r => r[field]).filter(v => typeof v === 'number' && Number.isFinite(v));
+    const overallValues = valuesOf(records);
+    const overall = CohortSummary.describeContinuous(overallValues);
+    const groupValues = groups.map(g => valuesOf(g.records));
+
+    const nonNormal = Array.isArray(options.nonNormal)
+      ? options.nonNormal.includes(field)
+      : overall.skewness !== null && Math.abs(overall.skewness) > options.skewnessThreshold;
+
+    const nonEmpty = groupValues.filter(values => values.length > 0);
+    const tests = nonEmpty.length < 2 ? { parametric: null, nonparametric: null } : {
+      parametric: nonEmpty.length === 2
+        ? CohortSummary.welchTTest(...nonEmpty)
+        : CohortSummary.oneWayAnova(nonEmpty),
+      nonparametric: nonEmpty.length === 2
+        ? CohortSummary.mannWhitneyU(...nonEmpty)
+        : CohortSummary.kruskalWallis(nonEmpty)
+    };
+
+    return {
+      field,
+      kind: 'continuous',
+      summary: nonNormal ? 'median_iqr' : 'mean_sd',
+      missing: records.length - overallValues.length,
+      overall,
+      groups: Object.fromEntries(groups.map((g, i) => [g.label, {
+        ...CohortSummary.describeContinuous(groupValues[i]),
+        missing: g.records.length - groupValues[i].length
+      }])),
+      test: nonNormal ? tests.nonparametric : tests.parametric,
+      tests
+    };
+  }
+
+  static categoricalField(field, records, groups, options) {
+    const valuesOf = rows => rows.map(r => r[field]).filter(isPresent).map(String);
+    const overallValues = valuesOf(records);
+    const levels = CohortSummary.levels(field, overallValues);
+    const groupValues = groups.map(g => valuesOf(g.records));
+
+    const tests = {};
+    if (groups.length >= 2) {
+      const table = levels.map(level => groupValues.map(values => values.filter(v => v === level).length));
+      tests.chiSquare = CohortSummary.chiSquareTest(table);
+      const reduced = table
+        .filter(row => row.some(count => count > 0))
+        .map(row => row.filter((_, j) => table.some(r => r[j] > 0)));
+      if (reduced.length === 2 && reduced[0].length === 2) {
+        tests.fisherExact = CohortSummary.fisherExactTest(reduced);
+      }
+    }
+
+    // Точный тест для 2×2 с малыми ожидаемыми частотами, иначе хи-квадрат
+    const lowExpected = Boolean(tests.chiSquare && tests.chiSquare.minExpected < options.exactTestMinExpected);
+    return {
+      field,
+      kind: 'categorical',
+      levels,
+      missing: records.length - overallValues.length,
+      overall: CohortSummary.describeCategorical(overallValues, levels),
+      groups: Object.fromEntries(groups.map((g, i) => [g.label, {
+        ...CohortSummary.describeCategorical(groupValues[i], levels),
+        missing: g.records.length - groupValues[i].length
+      }])),
+      test: lowExpected && tests.fisherExact ? tests.fisherExact : tests.chiSquare || null,
+      lowExpectedCounts: lowExpected && !tests.fisherExact,
+      tests
+    };
+  }
+
+  /**
+   * Сводка когорты по группам.
+   * @param {Array<Object>} records - Записи пациентов.
+   * @param {Object} [options] - COHORT из model_config.js: { groupBy (null - без групп), fields (null - все поля схемы),
+   *   nonNormal ('auto' - по асимметрии или список полей), skewnessThreshold, exactTestMinExpected }.
+   * @returns {Object} - { n, groupBy, groups: [{ label, n }], groupMissing, fields }.
+   */
+  static summarize(records, options = {}) {
+    const groupBy = options.groupBy || null;
+    if (groupBy && CohortSummary.fieldKind(groupBy) !== 'categorical') {
+      throw new Error(`Cannot group by ${groupBy}. Use one of: ${CohortSummary.categoricalFields().join(', ')}`);
+    }
+    const settings = {
+      nonNormal: options.nonNormal || 'auto',
+      skewnessThreshold: options.skewnessThreshold ?? 1,
+      exactTestMinExpected: options.exactTestMinExpected ?? 5
+    };
+
+    const fields = (options.fields || Object.keys(PATIENT_SCHEMA.fields))
+      .filter(field => field !== groupBy && CohortSummary.fieldKind(field) !== null);
+
+    const grouped = groupBy ? records.filter(r => isPresent(r[groupBy])) : [];
+    const groups = groupBy
+      ? CohortSummary.levels(groupBy, grouped.map(r => String(r[groupBy]))).map(label => ({
+        label,
+        records: grouped.filter(r => String(r[groupBy]) === label)
+      }))
+      : [];
+
+    return {
+      n: records.length,
+      groupBy,
+      groups: groups.map(g => ({ label: g.label, n: g.records.length })),
+      groupMissing: groupBy ? records.length - grouped.length : 0,
+      fields: fields.map(field => (CohortSummary.fieldKind(field) === 'continuous'
+        ? CohortSummary.continuousField(field, records, groups, settings)
+        : CohortSummary.categoricalField(field, records, groups, settings)))
+    };
+  }
+
+  static formatNumber(value, digits) {
+    return value === null || value === undefined || !Number.isFinite(value) ? '-' : value.toFixed(digits);
+  }
+
+  static formatPValue(test) {
+    if (!test || !Number.isFinite(test.pValue)) return '';
+    return test.pValue < 0.001 ? '<0.001' : test.pValue.toFixed(3);
+  }
+
+  /**
+   * Строки таблицы: заголовок, затем строка на непрерывное поле и на каждый уровень категориального.
+   * @param {Object} summary - Результат summarize.
+   * @param {Object} [options] - { digits: знаков после запятой (по умолчанию 1) }.
+   * @returns {Array<Array<string>>}
+   */
+  static toRows(summary, options = {}) {
+    const digits = options.digits ?? 1;
+    const labels = summary.groups.map(g => g.label);
+    const format = value => CohortSummary.formatNumber(value, digits);
+    const testName = test => (test ? TEST_NAMES[test.name] : '');
+
+    const rows = [[
+      'Characteristic',
+      'Level',
+      `Overall (n=${summary.n})`,
+      ...summary.groups.map(g => `${summary.groupBy}=${g.label} (n=${g.n})`),
+      ...(labels.length > 0 ? ['p-value', 'Test'] : [])
+    ]];
+    const statistics = labels.length > 0 ? test => [CohortSummary.formatPValue(test), testName(test)] : () => [];
+
+    for (const result of summary.fields) {
+      const cells = stats => [stats, ...labels.map(label => result.groups[label])];
+      if (result.kind === 'continuous') {
+        const describe = s => (result.summary === 'median_iqr'
+          ? `${format(s.median)} [${format(s.q1)}, ${format(s.q3)}]`
+          : `${format(s.mean)} (${format(s.sd)})`);
+        rows.push([
+          `${result.field}, ${result.summary === 'median_iqr' ? 'median [IQR]' : 'mean (SD)'}`,
+          '',
+          ...cells(result.overall).map(describe),
+          ...statistics(result.test)
+        ]);
+      } else {
+        // Хи-квадрат для таблицы больше 2×2 с малыми ожидаемыми частотами - приближенный
+        const [pValue, name] = statistics(result.test);
+        const test = labels.length > 0 ? [pValue, result.lowExpectedCounts ? `${name} (low expected counts)` : name] : [];
+        rows.push([`${result.field}, n (%)`, '', ...cells(result.overall).map(() => ''), ...test]);
+        for (const level of result.levels) {
+          rows.push([
+            '',
+            level,
+            ...cells(result.overall).map(s => `${s.counts[level].count} (${format(s.counts[level].percent)})`),
+            ...statistics(null)
+          ]);
+        }
+      }
+      if (result.missing > 0) {
+        const missing = [result.missing, ...labels.map(label => result.groups[label].missing)];
+        rows.push(['', 'Missing', ...missing.map(String), ...statistics(null)]);
+      }
+    }
+    return rows;
+  }
+
+  static toCsv(summary, options = {}) {
+    const escape = cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    return CohortSummary.toRows(summary, options).map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  static toMarkdown(summary, options = {}) {
+    const [header, ...rows] = CohortSummary.toRows(summary, options);
+    const line = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+    return [
+      line(header),
+      line(header.map(() => '---')),
+      ...rows.map(line),
+      '',
+      'Continuous fields: mean (SD) or median [IQR] for skewed distributions; categorical fields: n (%) of non-missing values.' +
+        (summary.groupBy ? ' p-values are not adjusted for multiple comparisons.' : '')
+    ].join('\n') + '\n';
+  }
+}
+
+CohortSummary.TEST_NAMES = TEST_NAMES;
+
+module.exports = CohortSummary;
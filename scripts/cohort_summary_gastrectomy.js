@@ -0,0 +1,51 @@
+// scripts/cohort_summary_gastrectomy.js
+// Использование: node scripts/cohort_summary_gastrectomy.js [--group-by complications]
+const fs = require('fs').promises;
+const path = require('path');
+
+const CohortSummary = require('./analytics/cohort_summary');
+const { loadDataset } = require('./training/pipeline');
+const config = require('./config/model_config');
+
+/**
+ * "Table 1" когорты: те же загрузка, деидентификация и проверка данных, что и при обучении.
+ * Сохраняет JSON, CSV и Markdown в COHORT.reportDir.
+ * @param {Object} [options] - { groupBy } поверх COHORT из model_config.js.
+ */
+async function main(options = {}) {
+  try {
+    console.log('--- Starting Cohort Summary ---');
+    const cohortConfig = { ...config.COHORT, ...options };
+
+    const { records } = await loadDataset(config.DATA_PATH);
+    const summary = CohortSummary.summarize(records, cohortConfig);
+
+    console.log(`\nPatients: ${summary.n}` + (summary.groupBy
+      ? `, grouped by ${summary.groupBy}: ${summary.groups.map(g => `${g.label} (n=${g.n})`).join(', ')}`
+      : ''));
+    if (summary.groupMissing > 0) {
+      console.log(`⚠️  ${summary.groupMissing} patients without ${summary.groupBy} are included only in Overall`);
+    }
+    console.log(`\n${CohortSummary.toMarkdown(summary, cohortConfig)}`);
+
+    const baseName = path.join(cohortConfig.reportDir, `table1_${summary.groupBy || 'overall'}`);
+    await fs.mkdir(cohortConfig.reportDir, { recursive: true });
+    await fs.writeFile(`${baseName}.json`, JSON.stringify({ timestamp: new Date().toISOString(), ...summary }, null, 2));
+    await fs.writeFile(`${baseName}.csv`, CohortSummary.toCsv(summary, cohortConfig));
+    await fs.writeFile(`${baseName}.md`, CohortSummary.toMarkdown(summary, cohortConfig));
+    console.log(`Cohort summary saved to ${baseName}.{json,csv,md}`);
+
+    console.log('--- Cohort Summary Completed Successfully ---');
+    return summary;
+  } catch (error) {
+    console.error('An error occurred during cohort summary:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  const groupByIdx = process.argv.indexOf('--group-by');
+  main(groupByIdx !== -1 ? { groupBy: process.argv[groupByIdx + 1] } : {});
+}
+
+module.exports = { main };
@@ -0,0 +1,75 @@
+// scripts/compare_models.js
+// Использование: node scripts/compare_models.js <cv_results_a.json> <cv_results_b.json> [--out report.json]
+const fs = require('fs').promises;
+const MetricsCalculator = require('./metrics/calculate_metrics');
+
+/**
+ * Сравнение двух моделей по out-of-fold предсказаниям (тест DeLong).
+ * Оба отчета должны быть получены на одних и тех же пациентах.
+ * @param {Object} reportA - cv_results.json первой модели.
+ * @param {Object} reportB - cv_results.json второй модели.
+ * @returns {Object} - Результат DeLong + число сопоставленных пациентов.
+ */
+function compareCvReports(reportA, reportB) {
+  if (!reportA.oofPredictions || !reportB.oofPredictions) {
+    throw new Error('Both reports must contain oofPredictions (re-run cross_validate_gastrectomy.js).');
+  }
+
+  const byIndexB = new Map(reportB.oofPredictions.map(p => [p.index, p]));
+  const matched = reportA.oofPredictions.filter(p => byIndexB.has(p.index));
+  if (matched.length !== reportA.oofPredictions.length || matched.length !== reportB.oofPredictions.length) {
+    throw new Error('Reports cover different patients; DeLong test needs paired predictions.');
+  }
+
+  const mismatch = matched.find(p => byIndexB.get(p.index).label !== p.label);
+  if (mismatch) {
+    throw new Error(`Label mismatch for patient index ${mismatch.index}: reports use different datasets.`);
+  }
+
+  const result = MetricsCalculator.compareAuc(
+    matched.map(p => p.label),
+    matched.map(p => p.prob),
+    matched.map(p => byIndexB.get(p.index).prob)
+  );
+
+  return { ...result, nPatients: matched.length };
+}
+
+async function main() {
+  const outIdx = process.argv.indexOf('--out');
+  const [pathA, pathB] = process.argv
+    .slice(2)
+    .filter((arg, i) => !arg.startsWith('--') && i + 2 !== outIdx + 1);
+  if (!pathA || !pathB) {
+    console.error('Usage: node scripts/compare_models.js <cv_results_a.json> <cv_results_b.json> [--out report.json]');
+    process.exit(1);
+  }
+
+  try {
+    const reportA = JSON.parse(await fs.readFile(pathA, 'utf8'));
+    const reportB = JSON.parse(await fs.readFile(pathB, 'utf8'));
+    const result = compareCvReports(reportA, reportB);
+
+    console.log(`\nModel A: ${pathA}`);
+    console.log(`Model B: ${pathB}`);
+    console.log(`Patients:        ${result.nPatients}`);
+    console.log(`AUC A:           ${result.aucA.toFixed(4)}`);
+    console.log(`AUC B:           ${result.aucB.toFixed(4)}`);
+    console.log(`Difference:      ${result.difference.toFixed(4)} (95% CI ${result.ci.lower.toFixed(4)} to ${result.ci.upper.toFixed(4)})`);
+    console.log(`DeLong p-value:  ${result.pValue.toFixed(4)}`);
+
+    if (outIdx !== -1) {
+      await fs.writeFile(process.argv[outIdx + 1], JSON.stringify({ modelA: pathA, modelB: pathB, ...result }, null, 2));
+      console.log(`\n✓ Comparison saved to ${process.argv[outIdx + 1]}`);
+    }
+  } catch (error) {
+    console.error('Model comparison failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { compareCvReports };
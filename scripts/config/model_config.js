@@ -1,14 +1,81 @@
 // scripts/config/model_config.js
-module.exports = {
+const fs = require('fs');
+
+const config = {
   // Путь к данным (может быть изменен через аргументы командной строки)
   DATA_PATH: './data/gastrectomy_patients.json',
-  MODEL_SAVE_PATH: './models/gastrectomy_model',
-  SCALER_SAVE_PATH: './models/scaler.json',
-  METRICS_SAVE_PATH: './reports/metrics.json',
+  
+  // Чтение DATA_PATH (scripts/utils/data_loader.js): .json, .ndjson/.jsonl или .csv.
+  // format: null - по расширению; separator: null - определяется по заголовку CSV;
+  // columnMappingPath: JSON { "Заголовок": "поле" } для переименования колонок
+  // (пример для русских заголовков: data/column_mapping_ru.json).
+  DATA_INGEST: {
+    format: null,
+    separator: null,
+    columnMappingPath: null
+  },
+  // Реестр моделей: каждое обучение - отдельная версия с артефактами (scripts/registry/model_registry.js)
+  REGISTRY_PATH: './models/registry',
+  
+  // Деидентификация данных после чтения и до проверки по схеме (scripts/privacy/deidentifier.js).
+  // Ключ псевдонимов - переменная окружения PSEUDONYM_KEY (та же, что у журнала предсказаний API).
+  // null - выключена.
+  DEIDENTIFICATION: {
+    idColumns: ['patient_id'], // -> HMAC-псевдонимы
+    directIdentifiers: [
+      'full_name', 'last_name', 'first_name', 'middle_name', 'birth_date', 'snils', 'passport',
+      'insurance_policy', 'medical_record_number', 'phone', 'email', 'address', 'notes', 'comments'
+    ],
+    keepOnlySchemaFields: true, // удалить все поля вне patient_schema, idColumns и dateColumns (свободный текст и т.п.)
+    dateColumns: ['admission_date', 'surgery_date', 'discharge_date'],
+    maxDateShiftDays: 180, // сдвиг дат пациента: от -180 до +180 дней
+    generalize: {
+      age: { topCode: 90 } // возраст >= 90 -> 90 ("90+")
+    },
+    kAnonymity: {
+      k: 5,
+      quasiIdentifiers: ['age', 'sex'],
+      // Классы - по обобщенным значениям (возраст 60-69 -> 60); сами записи не изменяются
+      generalize: { age: { bandWidth: 10 } },
+      policy: 'warn' // 'warn' | 'suppress' (удалить записи из классов меньше k) | 'fail'
+    },
+    reportPath: './reports/deidentification.json'
+  },
+  
+  // Проверка строк по схеме (scripts/validation/patient_schema.js) перед обучением:
+  // 'fail' - остановить обучение, 'drop' - отбросить невалидные строки,
+  // 'quarantine' - отбросить и сохранить их с причинами в quarantinePath
+  VALIDATION: {
+    policy: 'fail',
+    quarantinePath: './reports/quarantine.json'
+  },
+  
+  // Заполнение пропусков до one-hot и нормализации (scripts/utils/imputer.js).
+  // Стратегия на колонку: 'median' | 'mean' | 'mode' | 'constant' (value) | 'knn' (k, features).
+  // knn сохраняет опорный набор в preprocessor.json версии модели: по умолчанию (reference: 'aggregated')
+  // центроиды групп не менее чем из groupSize (5) пациентов; reference: 'rows' - каждая обучающая строка
+  // (квази-идентификаторы пациентов в артефакте модели, только по явному решению).
+  // Настроенные колонки не обязательны при проверке данных и запросов API.
+  // indicators: true добавляет признаки <column>_missing (0/1) после числовых признаков.
+  IMPUTATION: {
+    columns: {
+      bmi: { strategy: 'median' },
+      blood_loss_ml: { strategy: 'knn', k: 5, features: ['operation_time_min', 'age', 'bmi'] },
+      lymph_nodes_removed: { strategy: 'median' }
+    },
+    indicators: false
+  },
+  
+  // Семейство модели (scripts/models/model_families.js):
+  // 'mlp' - полносвязная сеть (MODEL_ARCHITECTURE),
+  // 'logistic_regression' - логистическая регрессия с L1/L2-штрафом (LOGISTIC_REGRESSION),
+  // 'gradient_boosting' - градиентный бустинг деревьев решений (GRADIENT_BOOSTING).
+  // Сравнение семейств: node scripts/cross_validate_gastrectomy.js --compare-models
+  MODEL_FAMILY: 'mlp',
   
   // Параметры модели
+  // Размер входа (inputSize) берется из обученного DataPreprocessor
   MODEL_ARCHITECTURE: {
-    inputSize: 13, // age, bmi, op_time, blood_loss, stage_IIB, stage_IIIA, ... (one-hot)
     layers: [
       { units: 64, activation: 'relu', dropout: 0.3 },
       { units: 32, activation: 'relu', dropout: 0.2 },
@@ -16,6 +83,27 @@ module.exports = {
     ]
   },
   
+  // Логистическая регрессия: регрессионные цели (TARGETS) - линейная регрессия с тем же штрафом.
+  // Обучается как сеть (TRAINING, CALLBACKS); коэффициенты сохраняются в metrics.json версии.
+  LOGISTIC_REGRESSION: {
+    l1: 0,
+    l2: 0.01,
+    learningRate: 0.01
+  },
+  
+  // Градиентный бустинг: ансамбль деревьев на каждую цель; TRAINING.epochs и CALLBACKS не используются,
+  // validation-часть (TRAINING.validationSplit) - для ранней остановки по числу деревьев.
+  GRADIENT_BOOSTING: {
+    nEstimators: 200,
+    learningRate: 0.05,
+    maxDepth: 3,
+    minSamplesLeaf: 10,
+    subsample: 0.8,
+    l2: 1, // L2-штраф значений листьев
+    earlyStoppingRounds: 20, // null - без ранней остановки
+    seed: 42
+  },
+  
   // Параметры обучения
   TRAINING: {
     epochs: 100,
@@ -25,13 +113,129 @@ module.exports = {
     loss: 'binaryCrossentropy'
   },
   
-  // Целевая переменная
+  // Колбэки model.fit (scripts/training/callbacks.js); null - колбэк выключен.
+  // Без validation-части (validationSplit: 0) вместо val_* отслеживаются метрики обучающей части.
+  CALLBACKS: {
+    earlyStopping: { monitor: 'val_loss', patience: 10, minDelta: 0.0001, mode: 'auto', restoreBestWeights: true },
+    reduceLrOnPlateau: { monitor: 'val_loss', factor: 0.5, patience: 5, minLr: 0.00001 },
+    // Только train_gastrectomy_model.js; прерванное обучение продолжается с флагом --resume
+    checkpoint: { path: './models/checkpoints', everyEpochs: 5 },
+    historyPath: './reports/training_history' // история по эпохам: .json и .csv
+  },
+  
+  // Несбалансированность классов (scripts/training/imbalance.js):
+  // 'none' | 'class_weight' (веса n / (2 * n_c)) | 'focal' (focal loss) |
+  // 'oversample' (дублирование миноритарного класса) | 'smote' (синтетические записи).
+  // Передискретизация - только обучающей части, без validation-части и тестовых фолдов.
+  // Сравнение стратегий: node scripts/cross_validate_gastrectomy.js --compare-imbalance
+  IMBALANCE: {
+    strategy: 'none',
+    focalGamma: 2,
+    focalAlpha: 'auto', // вес положительного класса; 'auto' - доля отрицательных в обучающей части
+    ratio: 1, // oversample/smote: целевая доля миноритарного класса от мажоритарного
+    smoteK: 5,
+    seed: 42
+  },
+  
+  // Пост-калибровка вероятностей: 'platt', 'isotonic' или null (выключена).
+  // Обучается на validation-части (TRAINING.validationSplit), применяется при inference.
+  CALIBRATION: {
+    method: 'platt',
+    minRows: 20 // меньше строк в validation-части или один класс - модель сохраняется без калибратора
+  },
+  
+  // Выбор порога high/low risk (см. scripts/metrics/threshold_optimizer.js):
+  // 'youden' | 'sensitivity' | 'specificity' | 'cost' | 'fixed'
+  THRESHOLD: {
+    strategy: 'youden',
+    targetSensitivity: 0.8, // для 'sensitivity'
+    targetSpecificity: 0.8, // для 'specificity'
+    costRatio: 3, // для 'cost': пропущенное осложнение (FN) в 3 раза дороже ложной тревоги (FP)
+    threshold: 0.5 // для 'fixed'
+  },
+  
+  // Предупреждения о выходе пациента за обучающие данные (scripts/validation/distribution_profile.js).
+  // Профиль обучающей выборки сохраняется в profile.json версии, ответ API содержит блок ood.
+  OUT_OF_DISTRIBUTION: {
+    rareCategoryFrequency: 0.02, // категория реже 2% обучающей выборки - флаг rare_category
+    distanceQuantile: 0.99, // расстояние Махаланобиса выше 99-го перцентиля обучающей выборки - выход за распределение
+    ridge: 0.01 // добавка к диагонали ковариации признаков (one-hot колонки линейно зависимы)
+  },
+  
+  // Целевая переменная (основная, классификация осложнений)
   TARGET_COLUMN: 'complications',
   
-  // Признаки (после предобработки)
-  FEATURE_COLUMNS: [
-    'age', 'bmi', 'operation_time_min', 'blood_loss_ml', 'lymph_nodes_removed',
-    'sex_M', 'tumor_stage_IIB', 'tumor_stage_IIIA', 'tumor_stage_IIA', 'tumor_stage_IIIB',
-    'surgery_type_laparoscopic', 'neoadjuvant_therapy_true'
-  ]
+  // Все цели обучения. Больше одной цели -> multi-output сеть с общими скрытыми слоями
+  // и отдельной головой на каждую цель (ModelArchitecture.createMultiTargetModel);
+  // у logistic_regression и gradient_boosting - отдельная модель на каждую цель.
+  TARGETS: [
+    { column: 'complications', task: 'classification' },
+    { column: 'hospital_stay_days', task: 'regression' }
+  ],
+  
+  // Анализ выживаемости (scripts/survival_analysis_gastrectomy.js, GET /api/v1/survival)
+  SURVIVAL: {
+    timeColumn: 'survival_months',
+    eventColumn: 'status',
+    eventValue: 'deceased', // остальные значения status = цензурирование
+    strataColumns: ['tumor_stage', 'surgery_type', 'neoadjuvant_therapy'],
+    coxPenalty: 0.01, // L2-штраф Cox PH
+    cvFolds: 5, // для оценки C-index вне обучающей выборки
+    coxModelPath: './models/cox_model.json',
+    reportPath: './reports/survival.json'
+  },
+  
+  // Описательная статистика когорты, "Table 1" (scripts/cohort_summary_gastrectomy.js, GET /api/v1/cohort/summary)
+  COHORT: {
+    groupBy: 'complications', // группировка по умолчанию: любое категориальное поле схемы (enum / boolean)
+    fields: null, // null = все поля patient_schema, кроме идентификаторов
+    nonNormal: 'auto', // 'auto' (|асимметрия| > skewnessThreshold -> median [IQR] и ранговые тесты) или список полей
+    skewnessThreshold: 1,
+    exactTestMinExpected: 5, // точный тест Фишера для 2×2, если ожидаемая частота ниже
+    digits: 1,
+    reportDir: './reports/cohort'
+  },
+  
+  // Подбор гиперпараметров вложенной кросс-валидацией (scripts/tune_gastrectomy_model.js)
+  TUNING: {
+    strategy: 'grid', // 'grid' (все комбинации) | 'random' (nCandidates случайных комбинаций)
+    nCandidates: 8,
+    successiveHalving: null, // { eta: 3 }: по 1/eta лучших кандидатов переходят в раунд с eta-кратно большим числом эпох
+    outerFolds: 5, // несмещенная оценка качества процедуры подбора
+    innerFolds: 3, // выбор кандидата внутри каждого внешнего фолда
+    metric: 'auc', // 'auc' | 'brier'
+    seed: 42,
+    resultsPath: './results/tuning',
+    searchSpace: {
+      hiddenUnits: [[64, 32], [32, 16]],
+      dropout: [0.2, 0.3],
+      epochs: [50, 100],
+      batchSize: [16, 32]
+    }
+  },
+  
+  // Признаки модели (scripts/utils/data_preprocessor.js). Категориальные поля кодируются one-hot
+  // по словарю значений обучающей выборки (<column>_<value>); словари, порядок признаков и scaler
+  // сохраняются в preprocessor.json версии модели.
+  // unknownCategory: 'ignore' - незнакомая при inference категория кодируется нулями, 'error' - ошибка.
+  PREPROCESSING: {
+    numericColumns: ['age', 'bmi', 'operation_time_min', 'blood_loss_ml', 'lymph_nodes_removed'],
+    categoricalColumns: ['sex', 'tumor_stage', 'surgery_type', 'neoadjuvant_therapy'],
+    unknownCategory: 'ignore'
+  }
 };
+
+/**
+ * Переопределения из JSON-файла MODEL_CONFIG_OVERRIDE (например, best_config.json
+ * из tune_gastrectomy_model.js): секции-объекты сливаются, остальное заменяется.
+ */
+if (process.env.MODEL_CONFIG_OVERRIDE) {
+  const override = JSON.parse(fs.readFileSync(process.env.MODEL_CONFIG_OVERRIDE, 'utf8'));
+  for (const [key, value] of Object.entries(override)) {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value) &&
+      config[key] && typeof config[key] === 'object' && !Array.isArray(config[key]);
+    config[key] = isSection ? { ...config[key], ...value } : value;
+  }
+}
+
+module.exports = config;
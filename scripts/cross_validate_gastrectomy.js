@@ -5,26 +5,55 @@
  * Функциональность:
  * - K-fold стратифицированная кросс-валидация
  * - Расчет агрегированных метрик (среднее ± std)
+ * - Bootstrap 95% CI по out-of-fold предсказаниям
+ * - Метрики регрессионных целей (MSE/RMSE/MAE) при multi-target обучении
+ * - Сравнение стратегий несбалансированности классов (recall, PR-AUC)
+ * - Сравнение семейств моделей (mlp, logistic_regression, gradient_boosting)
+ * - Ансамбль из моделей фолдов (average / stacking) как версия реестра моделей
  * - Генерация подробного отчета
  * - Визуализация результатов каждого фолда
  */
 
-const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs').promises;
-const { loadAndPreprocessData, createModel, trainModel } = require('./train_gastrectomy_model');
+const path = require('path');
+const MetricsCalculator = require('./metrics/calculate_metrics');
+const ThresholdOptimizer = require('./metrics/threshold_optimizer');
+const { createRng, shuffle } = require('./metrics/statistics');
+const { IMBALANCE_STRATEGIES, validateStrategy } = require('./training/imbalance');
+const { MODEL_FAMILIES, validateFamily } = require('./models/model_families');
+const FoldEnsemble = require('./models/fold_ensemble');
+const ModelRegistry = require('./registry/model_registry');
+const DistributionProfile = require('./validation/distribution_profile');
+const config = require('./config/model_config');
+const {
+  loadDataset,
+  extractLabels,
+  fitModel,
+  predictProbabilities,
+  fitValidationCalibrator,
+  selectValidationThreshold,
+  evaluateRegressionTargets
+} = require('./training/pipeline');
 
 // Конфигурация кросс-валидации
 const CV_CONFIG = {
   nFolds: 5,
   stratified: true,
   randomSeed: 42,
-  resultsPath: './results/cv_gastrectomy'
+  resultsPath: './results/cv_gastrectomy',
+  ensemble: null, // null | 'average' | 'stacking' - сохранить модели фолдов как ансамбль
+  promote: false, // продвинуть версию-ансамбль, даже если уже есть promoted-версия
+  bootstrap: {
+    nBootstrap: 2000,
+    alpha: 0.05
+  }
 };
 
 /**
  * Разделение данных на K фолдов со стратификацией
+ * @param {number} [seed] - Seed перемешивания: одинаковый seed -> одинаковые фолды.
  */
-function createStratifiedFolds(data, labels, k) {
+function createStratifiedFolds(data, labels, k, seed = CV_CONFIG.randomSeed) {
   console.log(`\n📊 Creating ${k} stratified folds...`);
   
   // Группировка индексов по классам
@@ -36,21 +65,10 @@ function createStratifiedFolds(data, labels, k) {
     else negativeIndices.push(idx);
   });
   
-  // Shuffle с фиксированным seed
-  const shuffle = (arr, seed) => {
-    const rng = (s) => {
-      s = Math.sin(s) * 10000;
-      return s - Math.floor(s);
-    };
-    let currentSeed = seed;
-    return arr.sort(() => {
-      currentSeed++;
-      return rng(currentSeed) - 0.5;
-    });
-  };
-  
-  shuffle(positiveIndices, CV_CONFIG.randomSeed);
-  shuffle(negativeIndices, CV_CONFIG.randomSeed + 1);
+  // Shuffle с фиксированным seed (Фишер-Йетс + mulberry32)
+  const rng = createRng(seed);
+  shuffle(positiveIndices, rng);
+  shuffle(negativeIndices, rng);
   
   // Разделение на фолды
   const folds = [];
@@ -87,40 +105,19 @@ function createStratifiedFolds(data, labels, k) {
   return folds;
 }
 
-/**
- * Разделение тензоров на train/test по индексам
- */
-function splitByIndices(xs, ys, trainIndices, testIndices) {
-  const xsArray = xs.arraySync();
-  const ysArray = ys.arraySync();
-  
-  const xTrain = trainIndices.map(i => xsArray[i]);
-  const yTrain = trainIndices.map(i => ysArray[i]);
-  const xTest = testIndices.map(i => xsArray[i]);
-  const yTest = testIndices.map(i => ysArray[i]);
-  
-  return {
-    xTrain: tf.tensor2d(xTrain),
-    yTrain: tf.tensor2d(yTrain),
-    xTest: tf.tensor2d(xTest),
-    yTest: tf.tensor2d(yTest)
-  };
-}
-
 /**
  * Оценка модели на тестовом фолде
+ * @param {Array<number>} labels - Истинные метки 0/1 тестового фолда.
+ * @param {Array<number>} predictions - Вероятности модели.
+ * @param {number} [threshold] - Порог, выбранный на обучающих фолдах.
  */
-async function evaluateFold(model, xTest, yTest) {
-  const predictions = await model.predict(xTest).array();
-  const labels = await yTest.array();
-  
-  const threshold = 0.5;
-  const binary = predictions.map(p => p[0] >= threshold ? 1 : 0);
+function evaluateFold(labels, predictions, threshold = 0.5) {
+  const binary = predictions.map(p => p >= threshold ? 1 : 0);
   
   let tp = 0, fp = 0, tn = 0, fn = 0;
   
   binary.forEach((pred, i) => {
-    const actual = labels[i][0];
+    const actual = labels[i];
     if (pred === 1 && actual === 1) tp++;
     if (pred === 1 && actual === 0) fp++;
     if (pred === 0 && actual === 0) tn++;
@@ -133,103 +130,168 @@ async function evaluateFold(model, xTest, yTest) {
   const f1 = 2 * (precision * recall) / (precision + recall) || 0;
   const specificity = tn / (tn + fp) || 0;
   
-  // AUC-ROC
-  const pairs = predictions.map((pred, i) => ({
-    pred: pred[0],
-    label: labels[i][0]
-  })).sort((a, b) => b.pred - a.pred);
+  // AUC-ROC (Манн-Уитни со средними рангами для одинаковых вероятностей; NaN, если в фолде один класс)
+  const auc = MetricsCalculator.calculateAuc(labels, predictions);
   
-  let positives = 0, negatives = 0, sumRanks = 0;
-  pairs.forEach((pair, i) => {
-    if (pair.label === 1) {
-      positives++;
-      sumRanks += i + 1;
-    } else {
-      negatives++;
-    }
-  });
+  // Калибровка
+  const calibration = MetricsCalculator.calculateCalibrationMetrics(labels, predictions);
   
-  const auc = (sumRanks - (positives * (positives + 1)) / 2) / (positives * negatives);
+  // ROC и PR кривые по всем порогам
+  const prCurve = ThresholdOptimizer.precisionRecallCurve(labels, predictions);
   
   return {
+    threshold,
     accuracy,
     precision,
     recall,
     f1,
     specificity,
     auc,
+    prAuc: prCurve.averagePrecision,
+    brier: calibration.brier,
+    ece: calibration.ece,
+    calibrationSlope: calibration.slope,
+    calibrationIntercept: calibration.intercept,
+    reliabilityBins: calibration.bins,
+    rocCurve: ThresholdOptimizer.rocCurve(labels, predictions),
+    prCurve: prCurve.curve,
     confusionMatrix: { tp, fp, tn, fn }
   };
 }
 
 /**
  * Запуск K-fold кросс-валидации
+ * @param {Object} [options] - Переопределения CV_CONFIG (например, { resultsPath }),
+ *   imbalance - стратегия вместо IMBALANCE.strategy, family - семейство вместо MODEL_FAMILY,
+ *   ensemble - метод ансамбля моделей фолдов (версия регистрируется в REGISTRY_PATH).
  */
-async function runCrossValidation() {
+async function runCrossValidation(options = {}) {
+  const cvConfig = { ...CV_CONFIG, ...options };
+  const imbalance = { ...config.IMBALANCE, ...(cvConfig.imbalance ? { strategy: cvConfig.imbalance } : {}) };
+  const family = cvConfig.family || config.MODEL_FAMILY;
+
   console.log('\n' + '='.repeat(70));
   console.log('🔬 K-FOLD CROSS-VALIDATION: GASTRECTOMY RISK MODEL');
   console.log('='.repeat(70));
   console.log(`\nConfiguration:`);
-  console.log(`  K-folds: ${CV_CONFIG.nFolds}`);
-  console.log(`  Stratified: ${CV_CONFIG.stratified}`);
-  console.log(`  Random seed: ${CV_CONFIG.randomSeed}`);
+  console.log(`  K-folds: ${cvConfig.nFolds}`);
+  console.log(`  Stratified: ${cvConfig.stratified}`);
+  console.log(`  Random seed: ${cvConfig.randomSeed}`);
+  console.log(`  Imbalance strategy: ${imbalance.strategy}`);
+  console.log(`  Model family: ${family}`);
+  if (cvConfig.ensemble) {
+    console.log(`  Ensemble: ${cvConfig.ensemble}`);
+  }
   
   try {
-    // 1. Загрузка данных
-    const { xs, ys } = await loadAndPreprocessData();
-    const labelsArray = await ys.arraySync();
-    const flatLabels = labelsArray.map(l => l[0]);
+    validateStrategy(imbalance.strategy);
+    validateFamily(family);
+    if (cvConfig.ensemble && !FoldEnsemble.METHODS.includes(cvConfig.ensemble)) {
+      throw new Error(`Unknown ensemble method: ${cvConfig.ensemble}. Use one of: ${FoldEnsemble.METHODS.join(', ')}`);
+    }
+
+    // 1. Загрузка данных (предобработка - внутри каждого фолда)
+    const { records: rawData } = await loadDataset(config.DATA_PATH);
+    const multiTarget = config.TARGETS.length > 1;
+    const flatLabels = extractLabels(rawData);
     
     // 2. Создание фолдов
     const folds = createStratifiedFolds(
-      await xs.arraySync(),
+      rawData,
       flatLabels,
-      CV_CONFIG.nFolds
+      cvConfig.nFolds,
+      cvConfig.randomSeed
     );
     
     // 3. Обучение и оценка на каждом фолде
     const foldResults = [];
+    const oofPredictions = [];
+    const ensembleMembers = [];
+    const ensembleOutputs = new Array(rawData.length);
     
     for (let foldIdx = 0; foldIdx < folds.length; foldIdx++) {
       console.log(`\n${'='.repeat(70)}`);
-      console.log(`🎯 FOLD ${foldIdx + 1}/${CV_CONFIG.nFolds}`);
+      console.log(`🎯 FOLD ${foldIdx + 1}/${cvConfig.nFolds}`);
       console.log('='.repeat(70));
       
       const testIndices = folds[foldIdx].indices;
-      const trainIndices = folds
-        .filter((_, i) => i !== foldIdx)
-        .flatMap(f => f.indices);
+      // Перемешивание: validation-часть (последние validationSplit строк) содержит оба класса,
+      // а не хвост последнего фолда, где сначала идут положительные, затем отрицательные
+      const trainIndices = shuffle(
+        folds.filter((_, i) => i !== foldIdx).flatMap(f => f.indices),
+        createRng(cvConfig.randomSeed + foldIdx + 1)
+      );
       
       console.log(`  Train samples: ${trainIndices.length}`);
       console.log(`  Test samples: ${testIndices.length}`);
       
       // Разделение данных
-      const { xTrain, yTrain, xTest, yTest } = splitByIndices(
-        xs, ys, trainIndices, testIndices
-      );
+      const trainRecords = trainIndices.map(i => rawData[i]);
+      const testRecords = testIndices.map(i => rawData[i]);
+      const testLabels = testIndices.map(i => flatLabels[i]);
+      
+      // Scaler, масштаб регрессионных целей и модель - только по обучающим фолдам
+      // Передискретизация (oversample/smote) - только внутри обучающих фолдов
+      const trained = await fitModel(trainRecords, { verbose: 0, imbalance, family });
+      const trainLabels = trainIndices.map(i => flatLabels[i]);
+      const rawTrainProbs = await predictProbabilities(trained, trainRecords);
       
-      // Создание и обучение модели
-      const model = createModel(xs.shape[1]);
-      await trainModel(model, xTrain, yTrain);
+      // Калибратор - на validation-части обучающих фолдов, как в train_gastrectomy_model.js
+      const calibrator = fitValidationCalibrator(trainLabels, rawTrainProbs);
+      const calibrate = probs => (calibrator ? calibrator.transform(probs) : probs);
       
-      // Оценка
-      const metrics = await evaluateFold(model, xTest, yTest);
+      // Порог выбирается на validation-части обучающих фолдов (вне обучения модели) и применяется к тестовому
+      const { threshold, selectedOn } = selectValidationThreshold(trainLabels, calibrate(rawTrainProbs));
+      
+      // Оценка откалиброванных вероятностей; до калибровки - для сравнения
+      const rawTestProbs = await predictProbabilities(trained, testRecords);
+      const testProbs = calibrate(rawTestProbs);
+      const metrics = evaluateFold(testLabels, testProbs, threshold);
+      if (calibrator) {
+        metrics.uncalibrated = MetricsCalculator.calculateCalibrationMetrics(testLabels, rawTestProbs);
+      }
+      if (multiTarget) {
+        metrics.regression = await evaluateRegressionTargets(trained, testRecords);
+      }
       foldResults.push(metrics);
       
-      console.log(`\n📊 Fold ${foldIdx + 1} Results:`);
+      // Out-of-fold предсказания для bootstrap CI и сравнения моделей
+      testIndices.forEach((index, i) => {
+        oofPredictions.push({
+          index,
+          fold: foldIdx + 1,
+          label: flatLabels[index],
+          prob: testProbs[i],
+          predicted: testProbs[i] >= threshold ? 1 : 0
+        });
+      });
+      
+      metrics.thresholdSelectedOn = selectedOn;
+      
+      console.log(`\n📊 Fold ${foldIdx + 1} Results (threshold ${threshold.toFixed(4)}, ${selectedOn}):`);
       console.log(`  Accuracy:    ${metrics.accuracy.toFixed(4)}`);
       console.log(`  Precision:   ${metrics.precision.toFixed(4)}`);
       console.log(`  Recall:      ${metrics.recall.toFixed(4)}`);
       console.log(`  F1-Score:    ${metrics.f1.toFixed(4)}`);
       console.log(`  Specificity: ${metrics.specificity.toFixed(4)}`);
       console.log(`  AUC-ROC:     ${metrics.auc.toFixed(4)}`);
+      console.log(`  PR-AUC:      ${metrics.prAuc.toFixed(4)}`);
+      console.log(`  Brier:       ${metrics.brier.toFixed(4)}` +
+        (metrics.uncalibrated ? ` (uncalibrated ${metrics.uncalibrated.brier.toFixed(4)})` : ''));
+      console.log(`  ECE:         ${metrics.ece.toFixed(4)}` +
+        (metrics.uncalibrated ? ` (uncalibrated ${metrics.uncalibrated.ece.toFixed(4)})` : ''));
+      Object.entries(metrics.regression || {}).forEach(([column, m]) => {
+        console.log(`  ${column}: RMSE=${m.rmse.toFixed(4)}, MAE=${m.mae.toFixed(4)}`);
+      });
       
-      // Очистка
-      xTrain.dispose();
-      yTrain.dispose();
-      xTest.dispose();
-      yTest.dispose();
-      model.dispose();
+      // Модель фолда остается участником ансамбля, ее выходы на тестовом фолде - out-of-fold
+      if (cvConfig.ensemble) {
+        ensembleMembers.push(trained);
+        const outputs = await FoldEnsemble.memberOutputs(trained, testRecords);
+        testIndices.forEach((index, i) => { ensembleOutputs[index] = outputs[i]; });
+      } else {
+        trained.model.dispose();
+      }
     }
     
     // 4. Агрегация результатов
@@ -237,11 +299,13 @@ async function runCrossValidation() {
     console.log('📈 AGGREGATED RESULTS (Mean ± Std)');
     console.log('='.repeat(70) + '\n');
     
+    // Неопределенные значения (AUC фолда с одним классом) не входят в среднее
     const calculateStats = (metric) => {
       const values = foldResults.map(r => r[metric]);
-      const mean = values.reduce((a, b) => a + b) / values.length;
+      const finite = values.filter(Number.isFinite);
+      const mean = finite.reduce((a, b) => a + b, 0) / finite.length;
       const std = Math.sqrt(
-        values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length
+        finite.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / finite.length
       );
       return { mean, std, values };
     };
@@ -252,7 +316,13 @@ async function runCrossValidation() {
       recall: calculateStats('recall'),
       f1: calculateStats('f1'),
       specificity: calculateStats('specificity'),
-      auc: calculateStats('auc')
+      auc: calculateStats('auc'),
+      prAuc: calculateStats('prAuc'),
+      threshold: calculateStats('threshold'),
+      brier: calculateStats('brier'),
+      ece: calculateStats('ece'),
+      calibrationSlope: calculateStats('calibrationSlope'),
+      calibrationIntercept: calculateStats('calibrationIntercept')
     };
     
     Object.entries(aggregated).forEach(([metric, stats]) => {
@@ -261,6 +331,25 @@ async function runCrossValidation() {
       );
     });
     
+    // Регрессионные цели: { column: { mse, rmse, mae: { mean, std } } }
+    const aggregatedRegression = {};
+    config.TARGETS.filter(t => multiTarget && t.task === 'regression').forEach(target => {
+      aggregatedRegression[target.column] = {};
+      ['mse', 'rmse', 'mae'].forEach(metric => {
+        const values = foldResults.map(r => r.regression[target.column][metric]);
+        const mean = values.reduce((a, b) => a + b) / values.length;
+        const std = Math.sqrt(
+          values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length
+        );
+        aggregatedRegression[target.column][metric] = { mean, std };
+      });
+      const { rmse, mae } = aggregatedRegression[target.column];
+      console.log(
+        `${target.column}: RMSE ${rmse.mean.toFixed(4)} ± ${rmse.std.toFixed(4)}, ` +
+        `MAE ${mae.mean.toFixed(4)} ± ${mae.std.toFixed(4)}`
+      );
+    });
+    
     console.log('\n📊 Per-Fold Breakdown:');
     foldResults.forEach((result, i) => {
       console.log(
@@ -272,9 +361,19 @@ async function runCrossValidation() {
       );
     });
     
-    // 5. Сохранение результатов
+    // 5. Bootstrap 95% CI по out-of-fold предсказаниям всех пациентов
+    console.log(`\n📐 Bootstrap ${(1 - cvConfig.bootstrap.alpha) * 100}% CI (out-of-fold, n=${oofPredictions.length}):`);
+    oofPredictions.sort((a, b) => a.index - b.index);
+    const confidenceIntervals = MetricsCalculator.calculateBootstrapIntervals(
+      oofPredictions.map(p => p.label),
+      oofPredictions.map(p => p.prob),
+      oofPredictions.map(p => p.predicted),
+      { ...cvConfig.bootstrap, seed: cvConfig.randomSeed }
+    );
+    
+    // 6. Сохранение результатов
     const report = {
-      config: CV_CONFIG,
+      config: { ...cvConfig, threshold: config.THRESHOLD, targets: config.TARGETS, imbalance, family },
       timestamp: new Date().toISOString(),
       folds: foldResults,
       aggregated: Object.entries(aggregated).reduce(
@@ -283,32 +382,43 @@ async function runCrossValidation() {
           return acc;
         },
         {}
-      )
+      ),
+      regression: aggregatedRegression,
+      confidenceIntervals,
+      oofPredictions
     };
     
-    await fs.mkdir(CV_CONFIG.resultsPath, { recursive: true });
+    await fs.mkdir(cvConfig.resultsPath, { recursive: true });
     await fs.writeFile(
-      `${CV_CONFIG.resultsPath}/cv_results.json`,
+      `${cvConfig.resultsPath}/cv_results.json`,
       JSON.stringify(report, null, 2)
     );
     
-    console.log(`\n✓ Results saved to ${CV_CONFIG.resultsPath}/cv_results.json`);
+    console.log(`\n✓ Results saved to ${cvConfig.resultsPath}/cv_results.json`);
+    
+    // 7. Итог по AUC с доверительным интервалом
+    const aucCi = confidenceIntervals.auc;
+    console.log(
+      `\n📌 Out-of-fold AUC: ${aucCi.estimate.toFixed(4)} ` +
+      `(95% CI ${aucCi.lower.toFixed(4)}-${aucCi.upper.toFixed(4)})`
+    );
+    console.log('   Compare two CV runs with: node scripts/compare_models.js <cv_results_a.json> <cv_results_b.json>');
     
-    // 6. Статистическая значимость
-    if (aggregated.auc.std < 0.05) {
-      console.log('\n✅ Model shows STABLE performance across folds (σ < 0.05)');
-    } else {
-      console.log('\n⚠️  Model shows VARIABLE performance across folds (σ ≥ 0.05)');
+    // 8. Ансамбль моделей фолдов как отдельная версия реестра
+    if (cvConfig.ensemble) {
+      report.ensemble = await registerEnsemble(ensembleMembers, ensembleOutputs, flatLabels, report, {
+        method: cvConfig.ensemble,
+        promote: cvConfig.promote,
+        family,
+        records: rawData
+      });
+      ensembleMembers.forEach(member => member.model.dispose());
     }
     
     console.log('\n' + '='.repeat(70));
     console.log('✅ Cross-validation completed successfully!');
     console.log('='.repeat(70) + '\n');
     
-    // Очистка
-    xs.dispose();
-    ys.dispose();
-    
     return report;
     
   } catch (error) {
@@ -318,9 +428,223 @@ async function runCrossValidation() {
   }
 }
 
+/**
+ * Сборка ансамбля из моделей фолдов и регистрация его версии.
+ * Meta-learner (stacking) или калибратор (average) и порог подбираются на out-of-fold выходах,
+ * в metrics.json - CV-метрики отдельных моделей фолдов (оценка ансамбля без утечки требует вложенной CV).
+ * @param {Array<Object>} members - Результаты fitModel по фолдам.
+ * @param {Array<Object>} outputs - FoldEnsemble.memberOutputs по индексу пациента (out-of-fold).
+ * @param {Array<number>} labels - Метки 0/1 по индексу пациента.
+ * @param {Object} report - Отчет кросс-валидации.
+ * @param {Object} options - { method, promote, family, records: все записи CV (для профиля обучающей выборки) }.
+ * @returns {Object} - { version, method, threshold }.
+ */
+async function registerEnsemble(members, outputs, labels, report, options) {
+  console.log(`\n🧩 Building ${options.method} ensemble of ${members.length} fold models...`);
+  const ensemble = FoldEnsemble.build(members, outputs, labels, {
+    method: options.method,
+    calibration: config.CALIBRATION
+  });
+
+  // Порог - по итоговому риску ансамбля на out-of-fold выходах
+  const thresholdSelection = {
+    ...ThresholdOptimizer.selectThreshold(labels, outputs.map(o => ensemble.memberRisk(o)), config.THRESHOLD),
+    selectedOn: 'out-of-fold'
+  };
+  console.log(`Selected threshold (${thresholdSelection.strategy}, out-of-fold): ${thresholdSelection.threshold.toFixed(4)}`);
+
+  const registry = new ModelRegistry(config.REGISTRY_PATH);
+  const { version, paths } = await registry.createVersion();
+  console.log(`Registering ensemble version ${version} in ${registry.rootPath}`);
+
+  await ensemble.save(paths.ensemblePath);
+  // Профиль привязан к конвейеру (StandardScaler) модели фолда 1, members[0].preprocessor: им же считает признаки PredictionService.assessDistribution
+  const profile = await new DistributionProfile(config.OUT_OF_DISTRIBUTION).fit(options.records, members[0].preprocessor);
+  await profile.save(paths.profilePath);
+  await fs.writeFile(paths.thresholdPath, JSON.stringify(thresholdSelection, null, 2));
+  await fs.writeFile(paths.metricsPath, JSON.stringify({
+    crossValidation: report.aggregated,
+    regression: report.regression,
+    confidenceIntervals: report.confidenceIntervals,
+    meta: ensemble.meta
+  }, null, 2));
+
+  const { confidenceIntervals: ci } = report;
+  await registry.finalizeVersion(version, {
+    modelFamily: 'ensemble',
+    ensemble: { method: options.method, family: options.family, nMembers: members.length },
+    featureColumns: members[0].preprocessor.featureColumns,
+    config: {
+      MODEL_FAMILY: options.family,
+      [MODEL_FAMILIES[options.family].configSection]: config[MODEL_FAMILIES[options.family].configSection],
+      TRAINING: config.TRAINING,
+      IMBALANCE: report.config.imbalance,
+      CALIBRATION: config.CALIBRATION,
+      THRESHOLD: config.THRESHOLD,
+      OUT_OF_DISTRIBUTION: config.OUT_OF_DISTRIBUTION,
+      TARGET_COLUMN: config.TARGET_COLUMN,
+      TARGETS: config.TARGETS,
+      CV: { nFolds: report.config.nFolds, randomSeed: report.config.randomSeed },
+      override: process.env.MODEL_CONFIG_OVERRIDE || null
+    },
+    dataPath: config.DATA_PATH,
+    dataHash: await ModelRegistry.hashFile(config.DATA_PATH),
+    nRecords: options.records.length,
+    metrics: {
+      auc: ci.auc.estimate,
+      prAuc: report.aggregated.prAuc.mean,
+      brier: ci.brier.estimate,
+      threshold: thresholdSelection.threshold
+    }
+  });
+
+  if (options.promote || !(await registry.getPromoted())) {
+    await registry.promote(version);
+    console.log(`Ensemble version ${version} promoted.`);
+  } else {
+    console.log(`Ensemble version ${version} registered. Promote with: node scripts/manage_models.js promote ${version}`);
+  }
+
+  return { version, method: options.method, threshold: thresholdSelection.threshold };
+}
+
+/**
+ * Кросс-валидация нескольких вариантов на одних и тех же фолдах и сводная таблица.
+ * @param {Array<Object>} variants - [{ name, options: переопределения runCrossValidation }].
+ * @param {Object} table - { title, columns: [[заголовок, метрика из report.aggregated]] }.
+ * @returns {Array<Object>} - [{ name, report }].
+ */
+async function runComparison(variants, table) {
+  const results = [];
+  for (const variant of variants) {
+    results.push({ name: variant.name, report: await runCrossValidation(variant.options) });
+  }
+
+  const formatStats = stats => `${stats.mean.toFixed(4)} ± ${stats.std.toFixed(4)}`.padEnd(20);
+  console.log('\n' + '='.repeat(70));
+  console.log(`${table.title} (Mean ± Std over folds)`);
+  console.log('='.repeat(70));
+  console.log(`${''.padEnd(20)}${table.columns.map(([label]) => label.padEnd(20)).join('')}`);
+  results.forEach(({ name, report }) => {
+    console.log(`${name.padEnd(20)}${table.columns.map(([, metric]) => formatStats(report.aggregated[metric])).join('')}`);
+  });
+
+  return results;
+}
+
+/**
+ * Кросс-валидация каждой стратегии IMBALANCE на одних и тех же фолдах:
+ * влияние на recall (при пороге THRESHOLD) и PR-AUC.
+ * @param {Object} [options] - Переопределения CV_CONFIG.
+ * @returns {Array<Object>} - [{ strategy, recall, prAuc, auc, brier, oofSensitivity }].
+ */
+async function compareImbalanceStrategies(options = {}) {
+  const cvConfig = { ...CV_CONFIG, ...options };
+  const results = await runComparison(
+    IMBALANCE_STRATEGIES.map(strategy => ({
+      name: strategy,
+      options: { ...options, imbalance: strategy, resultsPath: path.join(cvConfig.resultsPath, 'imbalance', strategy) }
+    })),
+    { title: '⚖️  IMBALANCE STRATEGIES', columns: [['recall', 'recall'], ['PR-AUC', 'prAuc'], ['AUC', 'auc']] }
+  );
+  const comparison = results.map(({ name, report }) => ({
+    strategy: name,
+    recall: report.aggregated.recall,
+    prAuc: report.aggregated.prAuc,
+    auc: report.aggregated.auc,
+    brier: report.aggregated.brier,
+    oofSensitivity: report.confidenceIntervals.sensitivity
+  }));
+
+  await fs.mkdir(cvConfig.resultsPath, { recursive: true });
+  const comparisonPath = path.join(cvConfig.resultsPath, 'imbalance_comparison.json');
+  await fs.writeFile(comparisonPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    threshold: config.THRESHOLD,
+    imbalance: config.IMBALANCE,
+    strategies: comparison
+  }, null, 2));
+  console.log(`\n✓ Comparison saved to ${comparisonPath}`);
+
+  return comparison;
+}
+
+/**
+ * Кросс-валидация каждого семейства моделей на одних и тех же фолдах:
+ * дискриминация (AUC, PR-AUC) и калибровка (Brier, ECE, наклон калибровки).
+ * @param {Object} [options] - Переопределения CV_CONFIG.
+ * @returns {Array<Object>} - [{ family, auc, prAuc, brier, ece, calibrationSlope, recall, oofAuc }].
+ */
+async function compareModelFamilies(options = {}) {
+  const cvConfig = { ...CV_CONFIG, ...options };
+  const results = await runComparison(
+    Object.keys(MODEL_FAMILIES).map(family => ({
+      name: family,
+      options: { ...options, family, resultsPath: path.join(cvConfig.resultsPath, 'models', family) }
+    })),
+    {
+      title: '🧮 MODEL FAMILIES',
+      columns: [['AUC', 'auc'], ['PR-AUC', 'prAuc'], ['Brier', 'brier'], ['ECE', 'ece']]
+    }
+  );
+  const comparison = results.map(({ name, report }) => ({
+    family: name,
+    auc: report.aggregated.auc,
+    prAuc: report.aggregated.prAuc,
+    brier: report.aggregated.brier,
+    ece: report.aggregated.ece,
+    calibrationSlope: report.aggregated.calibrationSlope,
+    recall: report.aggregated.recall,
+    oofAuc: report.confidenceIntervals.auc
+  }));
+
+  await fs.mkdir(cvConfig.resultsPath, { recursive: true });
+  const comparisonPath = path.join(cvConfig.resultsPath, 'model_comparison.json');
+  await fs.writeFile(comparisonPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    threshold: config.THRESHOLD,
+    imbalance: config.IMBALANCE,
+    families: comparison
+  }, null, 2));
+  console.log(`\n✓ Comparison saved to ${comparisonPath}`);
+  console.log('   Test a pair of families with: node scripts/compare_models.js <cv_results_a.json> <cv_results_b.json>');
+
+  return comparison;
+}
+
 // Запуск при вызове напрямую
 if (require.main === module) {
-  runCrossValidation();
+  // --results <dir>: отдельная папка для каждой конфигурации модели
+  // --imbalance <strategy>: стратегия вместо IMBALANCE.strategy
+  // --compare-imbalance: CV для каждой стратегии и сводная таблица recall / PR-AUC
+  // --model <family>: семейство вместо MODEL_FAMILY
+  // --compare-models: CV для каждого семейства и сводная таблица AUC / PR-AUC / Brier / ECE
+  // --ensemble <average|stacking>: сохранить модели фолдов как ансамбль (версия реестра)
+  // --promote: продвинуть версию-ансамбль, даже если уже есть promoted-версия
+  const resultsIdx = process.argv.indexOf('--results');
+  const imbalanceIdx = process.argv.indexOf('--imbalance');
+  const familyIdx = process.argv.indexOf('--model');
+  const ensembleIdx = process.argv.indexOf('--ensemble');
+  const options = {
+    ...(resultsIdx !== -1 ? { resultsPath: process.argv[resultsIdx + 1] } : {}),
+    ...(imbalanceIdx !== -1 ? { imbalance: process.argv[imbalanceIdx + 1] } : {}),
+    ...(familyIdx !== -1 ? { family: process.argv[familyIdx + 1] } : {}),
+    ...(ensembleIdx !== -1 ? { ensemble: process.argv[ensembleIdx + 1] } : {}),
+    promote: process.argv.includes('--promote')
+  };
+  if (process.argv.includes('--compare-imbalance')) {
+    compareImbalanceStrategies(options);
+  } else if (process.argv.includes('--compare-models')) {
+    compareModelFamilies(options);
+  } else {
+    runCrossValidation(options);
+  }
 }
 
-module.exports = { runCrossValidation, createStratifiedFolds };
+module.exports = {
+  runCrossValidation,
+  compareImbalanceStrategies,
+  compareModelFamilies,
+  createStratifiedFolds,
+  evaluateFold
+};
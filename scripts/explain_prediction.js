@@ -0,0 +1,69 @@
+// scripts/explain_prediction.js
+// Использование: node scripts/explain_prediction.js <patient.json> [--method gradient|shapley] [--samples 200] [--version vN]
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+
+const PredictionService = require('../src/services/prediction_service');
+
+/**
+ * Объяснение предсказания обученной модели для одного пациента.
+ * @param {Object} record - Сырая запись пациента.
+ * @param {Object} [options] - { method, nSamples, version (по умолчанию promoted), registryPath }.
+ * @returns {Object} - Результат FeatureAttribution.explain и версия модели.
+ */
+async function explainPrediction(record, options = {}) {
+  const service = new PredictionService({ registryPath: options.registryPath, version: options.version });
+  if (!(await service.load())) {
+    throw new Error(service.loadError);
+  }
+
+  try {
+    const result = await service.explain(record, options);
+    return { ...result, version: service.version };
+  } finally {
+    service.dispose();
+  }
+}
+
+function parseArgs(argv) {
+  const args = { file: null, method: 'gradient', nSamples: 200, version: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--method') args.method = argv[++i];
+    else if (argv[i] === '--samples') args.nSamples = Number(argv[++i]);
+    else if (argv[i] === '--version') args.version = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/explain_prediction.js <patient.json> [--method gradient|shapley] [--samples N] [--version vN]');
+    process.exit(1);
+  }
+
+  try {
+    const record = JSON.parse(await fs.readFile(args.file, 'utf8'));
+    const result = await explainPrediction(record, { method: args.method, nSamples: args.nSamples, version: args.version });
+
+    console.log(`\nModel version: ${result.version}`);
+    console.log(`Predicted complication risk: ${result.prediction.toFixed(4)} (baseline ${result.baseline.toFixed(4)})`);
+    console.log(`Method: ${result.method}\n`);
+    result.contributions.forEach(({ field, contribution }) => {
+      const sign = contribution >= 0 ? '+' : '-';
+      console.log(`  ${field.padEnd(22)} ${sign}${Math.abs(contribution).toFixed(4)}`);
+    });
+  } catch (error) {
+    console.error('Failed to explain prediction:', error);
+    process.exit(1);
+  } finally {
+    tf.disposeVariables();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { explainPrediction };
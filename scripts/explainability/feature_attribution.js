@@ -0,0 +1,151 @@
+// scripts/explainability/feature_attribution.js
+const tf = require('@tensorflow/tfjs-node');
+
+/**
+ * FeatureAttribution - Объяснение предсказания для одного пациента
+ * - gradient×input в пространстве нормализованных признаков
+ * - Shapley-оценка перестановочным сэмплированием (Monte Carlo)
+ *
+ * Базовая точка - нулевой вектор после StandardScaler, т.е. "средний"
+ * пациент обучающей выборки. Вклады one-hot колонок суммируются
+ * в исходное поле (tumor_stage, surgery_type, ...).
+ */
+class FeatureAttribution {
+  /**
+   * Вклад признаков для одной нормализованной записи.
+   * @param {Object} model - Модель с выходом-вероятностью (outputModel семейства; gradient - только tf.LayersModel).
+   * @param {tf.Tensor2D} x - Нормализованная запись формы [1, nFeatures].
+   * @param {Array<string>} featureColumns - Порядок признаков (DataPreprocessor.featureColumns).
+   * @param {Object} [options] - { method: 'gradient'|'shapley', nSamples, rng,
+   *   sourceField: признак -> исходное поле (DataPreprocessor.sourceField) }.
+   * @returns {Object} - { method, prediction, baseline, contributions, featureContributions }.
+   */
+  static async explain(model, x, featureColumns, options = {}) {
+    const method = options.method || 'gradient';
+    const fields = FeatureAttribution.groupFeatures(featureColumns, options.sourceField);
+
+    let featureValues;
+    let fieldValues;
+    if (method === 'gradient') {
+      featureValues = await FeatureAttribution.gradientTimesInput(model, x);
+      fieldValues = fields.map(group => group.indices.reduce((sum, i) => sum + featureValues[i], 0));
+    } else if (method === 'shapley') {
+      fieldValues = await FeatureAttribution.sampledShapley(model, x, fields, options);
+      featureValues = null;
+    } else {
+      throw new Error(`Unknown attribution method: ${method}`);
+    }
+
+    const [prediction, baseline] = await FeatureAttribution.predictRows(model, [
+      Array.from(await x.data()),
+      new Array(featureColumns.length).fill(0)
+    ]);
+
+    const contributions = fields
+      .map((group, i) => ({ field: group.field, contribution: fieldValues[i] }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return {
+      method,
+      prediction,
+      baseline,
+      contributions,
+      featureContributions: featureValues
+        ? featureColumns.map((column, i) => ({ feature: column, contribution: featureValues[i] }))
+        : null
+    };
+  }
+
+  /**
+   * gradient×input: x_i * dP/dx_i (относительно нулевой базовой точки).
+   * @returns {Array<number>} - Вклад каждой колонки.
+   */
+  static async gradientTimesInput(model, x) {
+    if (typeof model.apply !== 'function') {
+      throw new Error('Gradient attribution requires a differentiable model; use method "shapley"');
+    }
+    const gradFn = tf.grad(input => model.apply(input, { training: false }).sum());
+    const grads = gradFn(x);
+    const attribution = grads.mul(x);
+    const values = Array.from(await attribution.data());
+
+    grads.dispose();
+    attribution.dispose();
+
+    return values;
+  }
+
+  /**
+   * Shapley-значения по исходным полям: случайные перестановки полей,
+   * поля по очереди переводятся из базовой точки в значение пациента.
+   * Все оценки модели выполняются одним батчем.
+   * @param {Array<Object>} fields - Группы колонок из groupFeatures.
+   * @param {Object} [options] - { nSamples: число перестановок, rng: () => [0,1) }.
+   * @returns {Array<number>} - Вклад каждого поля (сумма = prediction - baseline).
+   */
+  static async sampledShapley(model, x, fields, options = {}) {
+    const nSamples = options.nSamples || 200;
+    const rng = options.rng || Math.random;
+    const patient = Array.from(await x.data());
+
+    const permutations = [];
+    const rows = [];
+    for (let s = 0; s < nSamples; s++) {
+      const order = fields.map((_, i) => i);
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      permutations.push(order);
+
+      const current = new Array(patient.length).fill(0);
+      rows.push([...current]);
+      for (const fieldIdx of order) {
+        for (const i of fields[fieldIdx].indices) current[i] = patient[i];
+        rows.push([...current]);
+      }
+    }
+
+    const outputs = await FeatureAttribution.predictRows(model, rows);
+
+    const totals = new Array(fields.length).fill(0);
+    const stride = fields.length + 1;
+    permutations.forEach((order, s) => {
+      order.forEach((fieldIdx, step) => {
+        const before = outputs[s * stride + step];
+        const after = outputs[s * stride + step + 1];
+        totals[fieldIdx] += after - before;
+      });
+    });
+
+    return totals.map(total => total / nSamples);
+  }
+
+  /**
+   * Группировка признаков по исходным полям.
+   * @param {Array<string>} featureColumns - Порядок признаков.
+   * @param {Function} [sourceField] - Признак -> исходное поле (без него каждый признак - свое поле).
+   * @returns {Array<Object>} - [{ field, columns, indices }].
+   */
+  static groupFeatures(featureColumns, sourceField = column => column) {
+    const groups = new Map();
+    featureColumns.forEach((column, i) => {
+      const field = sourceField(column);
+      if (!groups.has(field)) groups.set(field, { field, columns: [], indices: [] });
+      groups.get(field).columns.push(column);
+      groups.get(field).indices.push(i);
+    });
+    return [...groups.values()];
+  }
+
+  static async predictRows(model, rows) {
+    const input = tf.tensor2d(rows);
+    const output = model.predict(input);
+    const values = Array.from(await output.data());
+    input.dispose();
+    output.dispose();
+    return values;
+  }
+}
+
+module.exports = FeatureAttribution;
@@ -0,0 +1,80 @@
+// scripts/manage_api_keys.js
+// Использование:
+//   node scripts/manage_api_keys.js list
+//   node scripts/manage_api_keys.js issue <user> --scopes predict,batch [--expires-days 90]
+//   node scripts/manage_api_keys.js revoke <id>
+// Файл ключей - API_KEYS_PATH (по умолчанию ./secrets/api_keys.json), как у API-сервера.
+require('dotenv').config();
+const ApiKeyStore = require('../src/services/api_key_store');
+
+const USAGE = 'Usage: node scripts/manage_api_keys.js list | issue <user> --scopes <scope,...> [--expires-days <n>] | revoke <id>';
+
+function keyStatus(key) {
+  if (key.revokedAt) return 'revoked';
+  if (key.expiresAt && new Date(key.expiresAt) <= new Date()) return 'expired';
+  return 'active';
+}
+
+async function list(store) {
+  const keys = await store.list();
+  if (keys.length === 0) {
+    console.log(`No API keys in ${store.path}. Issue one with: node scripts/manage_api_keys.js issue <user> --scopes admin`);
+    return;
+  }
+
+  console.log(`API keys: ${store.path}\n`);
+  keys.forEach(k => {
+    console.log(
+      `${k.id}  ${keyStatus(k).padEnd(7)}  ${k.user.padEnd(20)} ${k.scopes.join(',').padEnd(30)} ` +
+      `created=${k.createdAt}  expires=${k.expiresAt || 'never'}`
+    );
+  });
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const [command, argument, ...rest] = process.argv.slice(2);
+  const store = new ApiKeyStore();
+
+  try {
+    switch (command) {
+      case 'list':
+        await list(store);
+        break;
+      case 'issue': {
+        const scopes = (optionValue(rest, '--scopes') || '').split(',').filter(Boolean);
+        const expiresDays = optionValue(rest, '--expires-days');
+        const issued = await store.issue({
+          user: argument,
+          scopes,
+          expiresInDays: expiresDays !== undefined ? Number(expiresDays) : null
+        });
+        console.log(`API key ${issued.id} issued to ${issued.user} (${issued.scopes.join(', ')}), expires ${issued.expiresAt || 'never'}.`);
+        console.log(`\n${issued.key}\n`);
+        console.log('Store it now: the key is not saved and cannot be shown again.');
+        break;
+      }
+      case 'revoke': {
+        const revoked = await store.revoke(argument);
+        console.log(`API key ${revoked.id} (${revoked.user}) revoked at ${revoked.revokedAt}.`);
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,81 @@
+// scripts/manage_audit_log.js
+// Использование:
+//   node scripts/manage_audit_log.js verify [--anchor <seq>:<hash>]
+//   node scripts/manage_audit_log.js pseudonym <patient_id>
+//   node scripts/manage_audit_log.js history <patient_id>
+// Журнал - AUDIT_LOG_PATH (по умолчанию ./logs/prediction_audit.ndjson), ключ псевдонимов - PSEUDONYM_KEY,
+// как у API-сервера.
+require('dotenv').config();
+const AuditLog = require('../src/services/audit_log');
+
+const USAGE = 'Usage: node scripts/manage_audit_log.js verify [--anchor <seq>:<hash>] | pseudonym <patient_id> | history <patient_id>';
+
+function parseAnchor(value) {
+  const match = value && value.match(/^(\d+):([0-9a-f]{64})$/);
+  if (!match) {
+    throw new Error('--anchor must look like <seq>:<64 hex characters>');
+  }
+  return { seq: Number(match[1]), hash: match[2] };
+}
+
+function requirePseudonym(auditLog, patientId) {
+  if (patientId === undefined) {
+    throw new Error('patient_id is required');
+  }
+  const pseudonym = auditLog.pseudonym(patientId);
+  if (!pseudonym) {
+    throw new Error('PSEUDONYM_KEY is not set: patient pseudonyms cannot be computed');
+  }
+  return pseudonym;
+}
+
+async function verify(auditLog, args) {
+  const anchorIdx = args.indexOf('--anchor');
+  const anchor = anchorIdx !== -1 ? parseAnchor(args[anchorIdx + 1]) : null;
+  const result = await auditLog.verify({ anchor });
+
+  console.log(`Audit log: ${auditLog.path}`);
+  console.log(`Entries: ${result.entries}`);
+  result.errors.forEach(e => {
+    console.log(`  ✗ line ${e.line ?? '-'} (seq ${e.seq ?? '-'}): ${e.reason}`);
+  });
+  if (!result.valid) {
+    console.log('\n❌ Hash chain is broken: the log was edited, reordered or truncated.');
+    process.exitCode = 2;
+    return;
+  }
+  console.log(`\n✅ Hash chain intact. Anchor to keep outside the log: ${result.lastSeq}:${result.lastHash}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const auditLog = new AuditLog();
+
+  try {
+    switch (command) {
+      case 'verify':
+        await verify(auditLog, args);
+        break;
+      case 'pseudonym':
+        console.log(requirePseudonym(auditLog, args[0]));
+        break;
+      case 'history': {
+        const history = await auditLog.history(requirePseudonym(auditLog, args[0]));
+        console.log(JSON.stringify(history, null, 2));
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,73 @@
+// scripts/manage_models.js
+// Использование:
+//   node scripts/manage_models.js list
+//   node scripts/manage_models.js show <version>
+//   node scripts/manage_models.js promote <version>
+//   node scripts/manage_models.js rollback
+const ModelRegistry = require('./registry/model_registry');
+const config = require('./config/model_config');
+
+const USAGE = 'Usage: node scripts/manage_models.js list | show <version> | promote <version> | rollback';
+
+function formatMetric(value) {
+  return Number.isFinite(value) ? value.toFixed(4) : '-';
+}
+
+async function list(registry) {
+  const versions = await registry.listVersions();
+  if (versions.length === 0) {
+    console.log(`No model versions in ${registry.rootPath}. Run scripts/train_gastrectomy_model.js first.`);
+    return;
+  }
+
+  console.log(`Model registry: ${registry.rootPath}\n`);
+  versions.forEach(v => {
+    const marker = v.promoted ? '*' : ' ';
+    console.log(
+      `${marker} ${v.version.padEnd(6)} ${v.createdAt}  ${(v.modelFamily || 'mlp').padEnd(19)} ` +
+      `AUC=${formatMetric(v.metrics.auc)}  Brier=${formatMetric(v.metrics.brier)}  ` +
+      `n=${v.nRecords}  data=${v.dataHash.slice(0, 12)}`
+    );
+  });
+  console.log('\n* - promoted (served by the API)');
+}
+
+async function main() {
+  const [command, version] = process.argv.slice(2);
+  const registry = new ModelRegistry(config.REGISTRY_PATH);
+
+  try {
+    switch (command) {
+      case 'list':
+        await list(registry);
+        break;
+      case 'show': {
+        const metadata = await registry.getVersion(version);
+        if (!metadata) throw new Error(`Model version ${version} is not registered`);
+        console.log(JSON.stringify(metadata, null, 2));
+        break;
+      }
+      case 'promote':
+        await registry.promote(version);
+        console.log(`Model version ${version} promoted. Restart the API server to serve it.`);
+        break;
+      case 'rollback': {
+        const index = await registry.rollback();
+        console.log(`Rolled back to model version ${index.promoted}. Restart the API server to serve it.`);
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -1,5 +1,8 @@
 // scripts/metrics/calculate_metrics.js
 const tf = require('@tensorflow/tfjs-node');
+const ProbabilityCalibrator = require('../utils/probability_calibrator');
+const ThresholdOptimizer = require('./threshold_optimizer');
+const { bootstrapConfidenceIntervals, delongTest } = require('./statistics');
 
 /**
  * MetricsCalculator - Класс для вычисления метрик модели
@@ -10,11 +13,13 @@ class MetricsCalculator {
    * Вычисление метрик для бинарной классификации.
    * @param {tf.Tensor} y_true - Истинные метки.
    * @param {tf.Tensor} y_pred - Предсказанные вероятности.
-   * @returns {Object} - Метрики (AUC, accuracy, precision, recall, F1, confusion matrix).
+   * @param {number} [threshold] - Порог бинаризации (см. ThresholdOptimizer).
+   * @returns {Object} - Метрики (AUC, accuracy, precision, recall, F1, confusion matrix,
+   *   калибровка, ROC и PR кривые).
    */
-  static async calculateBinaryClassificationMetrics(y_true, y_pred) {
-    // Бинаризация предсказаний (порог 0.5)
-    const y_pred_binary = y_pred.greaterEqual(tf.scalar(0.5));
+  static async calculateBinaryClassificationMetrics(y_true, y_pred, threshold = 0.5) {
+    // Бинаризация предсказаний по порогу
+    const y_pred_binary = y_pred.greaterEqual(tf.scalar(threshold));
 
     // Вычисление confusion matrix
     const y_true_bool = y_true.cast('bool');
@@ -30,19 +35,30 @@ class MetricsCalculator {
     const precision = tp / (tp + fp) || 0; // Избегаем деления на 0
     const recall = tp / (tp + fn) || 0;
     const f1 = 2 * (precision * recall) / (precision + recall) || 0;
+    const specificity = tn / (tn + fp) || 0;
 
-    // AUC (используем Promise для async)
-    const auc = await tf.metrics.auc(y_true, y_pred).data();
+    // AUC (ранговая оценка, в tf.metrics ROC AUC нет)
+    const labels = Array.from(await y_true.data());
+    const probs = Array.from(await y_pred.data());
+    const auc = MetricsCalculator.calculateAuc(labels, probs);
+    const calibration = MetricsCalculator.calculateCalibrationMetrics(labels, probs);
+    const prCurve = ThresholdOptimizer.precisionRecallCurve(labels, probs);
 
-    console.log(`Metrics - AUC: ${auc[0].toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}, Precision: ${precision.toFixed(4)}, Recall: ${recall.toFixed(4)}, F1: ${f1.toFixed(4)}`);
+    console.log(`Metrics (threshold ${threshold.toFixed(3)}) - AUC: ${auc.toFixed(4)}, PR-AUC: ${prCurve.averagePrecision.toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}, Precision: ${precision.toFixed(4)}, Recall: ${recall.toFixed(4)}, F1: ${f1.toFixed(4)}`);
 
     const metrics = {
-      auc: auc[0],
+      threshold: threshold,
+      auc: auc,
+      pr_auc: prCurve.averagePrecision,
       accuracy: accuracy,
       precision: precision,
       recall: recall,
       f1: f1,
-      confusion_matrix: { tp, fp, tn, fn }
+      specificity: specificity,
+      confusion_matrix: { tp, fp, tn, fn },
+      calibration: calibration,
+      roc_curve: ThresholdOptimizer.rocCurve(labels, probs),
+      pr_curve: prCurve.curve
     };
 
     // Очистка памяти
@@ -53,6 +69,132 @@ class MetricsCalculator {
     return metrics;
   }
 
+  /**
+   * ROC AUC через статистику Манна-Уитни (с учетом одинаковых предсказаний).
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @param {Array<number>} scores - Предсказанные вероятности.
+   * @returns {number} - AUC или NaN, если в выборке один класс.
+   */
+  static calculateAuc(labels, scores) {
+    const pairs = scores
+      .map((score, i) => ({ score, label: labels[i] ? 1 : 0 }))
+      .sort((a, b) => a.score - b.score);
+
+    let positives = 0;
+    let sumRanks = 0;
+    for (let i = 0; i < pairs.length;) {
+      let j = i;
+      while (j < pairs.length && pairs[j].score === pairs[i].score) j++;
+      const avgRank = (i + 1 + j) / 2; // средний ранг для группы одинаковых значений
+      for (let k = i; k < j; k++) {
+        if (pairs[k].label === 1) {
+          positives++;
+          sumRanks += avgRank;
+        }
+      }
+      i = j;
+    }
+
+    const negatives = pairs.length - positives;
+    if (positives === 0 || negatives === 0) return NaN;
+    return (sumRanks - (positives * (positives + 1)) / 2) / (positives * negatives);
+  }
+
+  /**
+   * Метрики калибровки вероятностей.
+   * - Brier score
+   * - Expected calibration error (ECE) по равным интервалам вероятности
+   * - Бины reliability-кривой
+   * - Calibration slope/intercept: логистическая регрессия y ~ logit(p)
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @param {Array<number>} probs - Предсказанные вероятности.
+   * @param {number} [nBins] - Число бинов reliability-кривой.
+   * @returns {Object} - { brier, ece, slope, intercept, bins }.
+   */
+  static calculateCalibrationMetrics(labels, probs, nBins = 10) {
+    const n = probs.length;
+    const y = labels.map(l => (l ? 1 : 0));
+
+    const brier = probs.reduce((sum, p, i) => sum + (p - y[i]) ** 2, 0) / n;
+
+    const bins = Array.from({ length: nBins }, (_, b) => ({
+      lower: b / nBins,
+      upper: (b + 1) / nBins,
+      count: 0,
+      meanPredicted: 0,
+      observedRate: 0
+    }));
+    probs.forEach((p, i) => {
+      const b = Math.min(Math.floor(p * nBins), nBins - 1);
+      bins[b].count++;
+      bins[b].meanPredicted += p;
+      bins[b].observedRate += y[i];
+    });
+
+    let ece = 0;
+    bins.forEach(bin => {
+      if (bin.count > 0) {
+        bin.meanPredicted /= bin.count;
+        bin.observedRate /= bin.count;
+        ece += (bin.count / n) * Math.abs(bin.observedRate - bin.meanPredicted);
+      } else {
+        bin.meanPredicted = null;
+        bin.observedRate = null;
+      }
+    });
+
+    // Идеальная калибровка: slope = 1, intercept = 0
+    const { intercept, slope } = ProbabilityCalibrator.fitLogistic(probs.map(ProbabilityCalibrator.logit), y);
+
+    console.log(`Calibration - Brier: ${brier.toFixed(4)}, ECE: ${ece.toFixed(4)}, Slope: ${slope.toFixed(4)}, Intercept: ${intercept.toFixed(4)}`);
+
+    return { brier, ece, slope, intercept, bins };
+  }
+
+  /**
+   * Bootstrap 95% CI для AUC, чувствительности, специфичности и Brier score.
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @param {Array<number>} probs - Предсказанные вероятности.
+   * @param {Array<number>} predicted - Бинарные предсказания (после порога).
+   * @param {Object} [options] - { nBootstrap, alpha, seed } (см. statistics.js).
+   * @returns {Object} - { auc, sensitivity, specificity, brier }: { estimate, lower, upper, nValid }.
+   */
+  static calculateBootstrapIntervals(labels, probs, predicted, options = {}) {
+    const samples = labels.map((label, i) => ({
+      label: label ? 1 : 0,
+      prob: probs[i],
+      predicted: predicted[i] ? 1 : 0
+    }));
+
+    const rate = (rows, condition, hit) => {
+      const selected = rows.filter(condition);
+      return selected.length > 0 ? selected.filter(hit).length / selected.length : NaN;
+    };
+
+    const intervals = bootstrapConfidenceIntervals(samples, {
+      auc: rows => MetricsCalculator.calculateAuc(rows.map(r => r.label), rows.map(r => r.prob)),
+      sensitivity: rows => rate(rows, r => r.label === 1, r => r.predicted === 1),
+      specificity: rows => rate(rows, r => r.label === 0, r => r.predicted === 0),
+      brier: rows => rows.reduce((sum, r) => sum + (r.prob - r.label) ** 2, 0) / rows.length
+    }, options);
+
+    Object.entries(intervals).forEach(([name, ci]) => {
+      console.log(`Bootstrap CI - ${name}: ${ci.estimate.toFixed(4)} [${ci.lower.toFixed(4)}, ${ci.upper.toFixed(4)}]`);
+    });
+
+    return intervals;
+  }
+
+  /**
+   * Сравнение AUC двух моделей на одних и тех же пациентах (тест DeLong).
+   * @returns {Object} - { aucA, aucB, difference, se, z, pValue, ci }.
+   */
+  static compareAuc(labels, probsA, probsB) {
+    const result = delongTest(labels.map(l => (l ? 1 : 0)), probsA, probsB);
+    console.log(`DeLong test - AUC A: ${result.aucA.toFixed(4)}, AUC B: ${result.aucB.toFixed(4)}, p = ${result.pValue.toFixed(4)}`);
+    return result;
+  }
+
   /**
    * Вычисление метрик для регрессии, если понадобится.
    * @param {tf.Tensor} y_true - Истинные значения.
@@ -0,0 +1,365 @@
+// scripts/metrics/statistics.js
+
+/**
+ * Статистические инструменты для отчетов о моделях
+ * - Воспроизводимый генератор случайных чисел (mulberry32)
+ * - Percentile bootstrap доверительные интервалы для произвольных метрик
+ * - Тест DeLong для сравнения двух коррелированных ROC AUC
+ * - Распределение хи-квадрат и обращение матриц для тестов с несколькими группами
+ * - Распределения Стьюдента и Фишера для сравнения средних (t-тест, ANOVA)
+ */
+
+/**
+ * Seeded PRNG (mulberry32): одинаковый seed -> одинаковая последовательность.
+ * @param {number} seed - Целое число.
+ * @returns {Function} - () => число в [0, 1).
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Перемешивание Фишера-Йетса на месте.
+ * @param {Array} arr - Массив.
+ * @param {Function} rng - Генератор из createRng.
+ * @returns {Array} - Тот же массив.
+ */
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Percentile bootstrap CI: выборки с возвращением из samples,
+ * на каждой считаются все метрики. Ресемплы, где метрика не определена
+ * (например, AUC при одном классе), для этой метрики пропускаются.
+ * @param {Array} samples - Наблюдения (например, { label, prob, predicted }).
+ * @param {Object<string, Function>} metricFns - { name: (samples) => number }.
+ * @param {Object} [options] - { nBootstrap: 2000, alpha: 0.05, seed: 42 }.
+ * @returns {Object<string, Object>} - { name: { estimate, lower, upper, nValid } }.
+ */
+function bootstrapConfidenceIntervals(samples, metricFns, options = {}) {
+  const nBootstrap = options.nBootstrap || 2000;
+  const alpha = options.alpha || 0.05;
+  const rng = createRng(options.seed ?? 42);
+  const names = Object.keys(metricFns);
+  const draws = Object.fromEntries(names.map(name => [name, []]));
+
+  for (let b = 0; b < nBootstrap; b++) {
+    const resample = new Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      resample[i] = samples[Math.floor(rng() * samples.length)];
+    }
+    for (const name of names) {
+      const value = metricFns[name](resample);
+      if (Number.isFinite(value)) draws[name].push(value);
+    }
+  }
+
+  const result = {};
+  for (const name of names) {
+    const sorted = draws[name].sort((a, b) => a - b);
+    result[name] = {
+      estimate: metricFns[name](samples),
+      lower: quantile(sorted, alpha / 2),
+      upper: quantile(sorted, 1 - alpha / 2),
+      nValid: sorted.length
+    };
+  }
+  return result;
+}
+
+/**
+ * Функция распределения стандартного нормального закона
+ * (аппроксимация erf, Abramowitz & Stegun 7.1.26, погрешность < 1.5e-7).
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function covariance(a, b) {
+  const n = a.length;
+  if (n < 2) return 0;
+  const meanA = a.reduce((s, v) => s + v, 0) / n;
+  const meanB = b.reduce((s, v) => s + v, 0) / n;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += (a[i] - meanA) * (b[i] - meanB);
+  return sum / (n - 1);
+}
+
+/**
+ * Структурные компоненты DeLong для одной модели.
+ * @returns {Object} - { auc, v10: по положительным, v01: по отрицательным }.
+ */
+function delongComponents(positiveScores, negativeScores) {
+  const m = positiveScores.length;
+  const n = negativeScores.length;
+  const v10 = new Array(m).fill(0);
+  const v01 = new Array(n).fill(0);
+
+  for (let i = 0; i < m; i++) {
+    for (let j = 0; j < n; j++) {
+      const diff = positiveScores[i] - negativeScores[j];
+      const psi = diff > 0 ? 1 : diff === 0 ? 0.5 : 0;
+      v10[i] += psi;
+      v01[j] += psi;
+    }
+  }
+  for (let i = 0; i < m; i++) v10[i] /= n;
+  for (let j = 0; j < n; j++) v01[j] /= m;
+
+  const auc = v10.reduce((s, v) => s + v, 0) / m;
+  return { auc, v10, v01 };
+}
+
+/**
+ * Тест DeLong (1988): сравнение AUC двух моделей на одних и тех же пациентах.
+ * @param {Array<number>} labels - Истинные метки 0/1.
+ * @param {Array<number>} scoresA - Предсказания модели A.
+ * @param {Array<number>} scoresB - Предсказания модели B (в том же порядке пациентов).
+ * @param {number} [alpha] - Уровень для доверительного интервала разности.
+ * @returns {Object} - { aucA, aucB, difference, se, z, pValue, ci }.
+ */
+function delongTest(labels, scoresA, scoresB, alpha = 0.05) {
+  if (scoresA.length !== labels.length || scoresB.length !== labels.length) {
+    throw new Error('DeLong test requires predictions of both models for the same patients.');
+  }
+
+  const posIdx = [];
+  const negIdx = [];
+  labels.forEach((label, i) => (label ? posIdx : negIdx).push(i));
+  if (posIdx.length < 2 || negIdx.length < 2) {
+    throw new Error('DeLong test requires at least two positive and two negative cases.');
+  }
+
+  const a = delongComponents(posIdx.map(i => scoresA[i]), negIdx.map(i => scoresA[i]));
+  const b = delongComponents(posIdx.map(i => scoresB[i]), negIdx.map(i => scoresB[i]));
+
+  const m = posIdx.length;
+  const n = negIdx.length;
+  const variance =
+    (covariance(a.v10, a.v10) + covariance(b.v10, b.v10) - 2 * covariance(a.v10, b.v10)) / m +
+    (covariance(a.v01, a.v01) + covariance(b.v01, b.v01) - 2 * covariance(a.v01, b.v01)) / n;
+
+  const difference = a.auc - b.auc;
+  const se = Math.sqrt(Math.max(variance, 0));
+  const z = se > 0 ? difference / se : 0;
+  const pValue = se > 0 ? 2 * (1 - normalCdf(Math.abs(z))) : 1;
+  const zCrit = inverseNormalCdf(1 - alpha / 2);
+
+  return {
+    aucA: a.auc,
+    aucB: b.auc,
+    difference,
+    se,
+    z,
+    pValue,
+    ci: { lower: difference - zCrit * se, upper: difference + zCrit * se }
+  };
+}
+
+/**
+ * Квантиль стандартного нормального распределения (бисекция по normalCdf).
+ */
+function inverseNormalCdf(p) {
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * ln Γ(x) (аппроксимация Ланцоша).
+ */
+function logGamma(x) {
+  const coef = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const c of coef) ser += c / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/**
+ * Регуляризованная верхняя неполная гамма-функция Q(a, x)
+ * (ряд при x < a + 1, иначе цепная дробь; Numerical Recipes).
+ */
+function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * p-value для статистики хи-квадрат: P(χ²(df) ≥ x).
+ */
+function chiSquarePValue(x, df) {
+  if (!(x > 0)) return 1;
+  return regularizedGammaQ(df / 2, x / 2);
+}
+
+/**
+ * Цепная дробь неполной бета-функции (Numerical Recipes, betacf).
+ */
+function betaContinuedFraction(x, a, b) {
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < 1e-300) d = 1e-300;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 500; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return h;
+}
+
+/**
+ * Регуляризованная неполная бета-функция I_x(a, b).
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Двусторонний p-value для статистики Стьюдента: P(|T(df)| ≥ |t|).
+ */
+function studentTPValue(t, df) {
+  if (!Number.isFinite(t)) return Number.isNaN(t) ? NaN : 0;
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * p-value для статистики Фишера: P(F(d1, d2) ≥ f).
+ */
+function fDistributionPValue(f, d1, d2) {
+  if (!(f > 0)) return 1;
+  return regularizedBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+/**
+ * Обращение квадратной матрицы (метод Гаусса-Жордана с выбором ведущего элемента).
+ * @param {Array<Array<number>>} matrix - Матрица n×n.
+ * @returns {Array<Array<number>>} - Обратная матрица.
+ */
+function invertMatrix(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular and cannot be inverted.');
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const pivotValue = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= pivotValue;
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[row][j] -= factor * a[col][j];
+    }
+  }
+
+  return a.map(row => row.slice(n));
+}
+
+module.exports = {
+  createRng,
+  shuffle,
+  quantile,
+  bootstrapConfidenceIntervals,
+  normalCdf,
+  inverseNormalCdf,
+  delongTest,
+  logGamma,
+  regularizedGammaQ,
+  chiSquarePValue,
+  regularizedBeta,
+  studentTPValue,
+  fDistributionPValue,
+  invertMatrix
+};
@@ -0,0 +1,152 @@
+// scripts/metrics/threshold_optimizer.js
+
+/**
+ * ThresholdOptimizer - Выбор порога классификации вместо фиксированного 0.5
+ * - Полный перебор порогов: ROC и precision-recall кривые
+ * - Стратегии выбора рабочей точки: Youden's J, целевая чувствительность,
+ *   целевая специфичность, соотношение стоимостей FN/FP
+ */
+class ThresholdOptimizer {
+  /**
+   * Перебор всех различных порогов (p >= threshold -> положительный класс).
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @param {Array<number>} probs - Предсказанные вероятности.
+   * @returns {Array<Object>} - Точки { threshold, tp, fp, tn, fn, sensitivity, specificity, precision },
+   *   от самого строгого порога к самому мягкому.
+   */
+  static sweep(labels, probs) {
+    const pairs = probs
+      .map((p, i) => ({ p, y: labels[i] ? 1 : 0 }))
+      .sort((a, b) => b.p - a.p);
+    const totalPos = pairs.reduce((sum, pair) => sum + pair.y, 0);
+    const totalNeg = pairs.length - totalPos;
+
+    const points = [ThresholdOptimizer.makePoint(Infinity, 0, 0, totalPos, totalNeg)];
+    let tp = 0;
+    let fp = 0;
+    for (let i = 0; i < pairs.length;) {
+      const threshold = pairs[i].p;
+      while (i < pairs.length && pairs[i].p === threshold) {
+        if (pairs[i].y === 1) tp++;
+        else fp++;
+        i++;
+      }
+      points.push(ThresholdOptimizer.makePoint(threshold, tp, fp, totalPos, totalNeg));
+    }
+    return points;
+  }
+
+  static makePoint(threshold, tp, fp, totalPos, totalNeg) {
+    const fn = totalPos - tp;
+    const tn = totalNeg - fp;
+    return {
+      threshold,
+      tp,
+      fp,
+      tn,
+      fn,
+      sensitivity: totalPos > 0 ? tp / totalPos : 0,
+      specificity: totalNeg > 0 ? tn / totalNeg : 0,
+      precision: tp + fp > 0 ? tp / (tp + fp) : 1
+    };
+  }
+
+  /**
+   * ROC-кривая (fpr, tpr) по всем порогам.
+   * @returns {Array<Object>} - [{ threshold, fpr, tpr }].
+   */
+  static rocCurve(labels, probs) {
+    return ThresholdOptimizer.sweep(labels, probs).map(point => ({
+      threshold: point.threshold,
+      fpr: 1 - point.specificity,
+      tpr: point.sensitivity
+    }));
+  }
+
+  /**
+   * Precision-recall кривая и average precision (PR-AUC).
+   * @returns {Object} - { curve: [{ threshold, recall, precision }], averagePrecision }.
+   */
+  static precisionRecallCurve(labels, probs) {
+    const points = ThresholdOptimizer.sweep(labels, probs);
+    const curve = points.map(point => ({
+      threshold: point.threshold,
+      recall: point.sensitivity,
+      precision: point.precision
+    }));
+
+    // AP = Σ (R_i - R_{i-1}) * P_i
+    let averagePrecision = 0;
+    for (let i = 1; i < curve.length; i++) {
+      averagePrecision += (curve[i].recall - curve[i - 1].recall) * curve[i].precision;
+    }
+
+    return { curve, averagePrecision };
+  }
+
+  /**
+   * Выбор рабочей точки.
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @param {Array<number>} probs - Предсказанные вероятности.
+   * @param {Object} options - { strategy: 'youden'|'sensitivity'|'specificity'|'cost'|'fixed',
+   *   targetSensitivity, targetSpecificity, costRatio (цена FN / цена FP), threshold }.
+   * @returns {Object} - { strategy, threshold, sensitivity, specificity, precision, confusionMatrix }.
+   */
+  static selectThreshold(labels, probs, options = {}) {
+    const strategy = options.strategy || 'youden';
+    // Порог Infinity (все отрицательные) не может быть рабочей точкой
+    const points = ThresholdOptimizer.sweep(labels, probs).slice(1);
+    if (points.length === 0) {
+      throw new Error('Cannot select a threshold without predictions.');
+    }
+
+    let best;
+    switch (strategy) {
+      case 'youden':
+        best = ThresholdOptimizer.argmax(points, p => p.sensitivity + p.specificity - 1);
+        break;
+      case 'sensitivity': {
+        const target = options.targetSensitivity ?? 0.8;
+        // Самый строгий порог, который дает нужную чувствительность (= максимум специфичности)
+        best = points.find(p => p.sensitivity >= target) || points[points.length - 1];
+        break;
+      }
+      case 'specificity': {
+        const target = options.targetSpecificity ?? 0.8;
+        const eligible = points.filter(p => p.specificity >= target);
+        best = eligible.length > 0 ? eligible[eligible.length - 1] : points[0];
+        break;
+      }
+      case 'cost': {
+        const costRatio = options.costRatio ?? 1;
+        best = ThresholdOptimizer.argmax(points, p => -(costRatio * p.fn + p.fp));
+        break;
+      }
+      case 'fixed': {
+        const threshold = options.threshold ?? 0.5;
+        const tp = probs.filter((p, i) => p >= threshold && labels[i]).length;
+        const fp = probs.filter((p, i) => p >= threshold && !labels[i]).length;
+        const totalPos = labels.filter(Boolean).length;
+        best = ThresholdOptimizer.makePoint(threshold, tp, fp, totalPos, labels.length - totalPos);
+        break;
+      }
+      default:
+        throw new Error(`Unknown threshold strategy: ${strategy}`);
+    }
+
+    return {
+      strategy,
+      threshold: best.threshold,
+      sensitivity: best.sensitivity,
+      specificity: best.specificity,
+      precision: best.precision,
+      confusionMatrix: { tp: best.tp, fp: best.fp, tn: best.tn, fn: best.fn }
+    };
+  }
+
+  static argmax(points, score) {
+    return points.reduce((best, point) => (score(point) > score(best) ? point : best), points[0]);
+  }
+}
+
+module.exports = ThresholdOptimizer;
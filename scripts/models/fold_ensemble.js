@@ -0,0 +1,259 @@
+// scripts/models/fold_ensemble.js
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const path = require('path');
+const DataPreprocessor = require('../utils/data_preprocessor');
+const TargetEncoder = require('../utils/target_encoder');
+const ProbabilityCalibrator = require('../utils/probability_calibrator');
+const FeatureAttribution = require('../explainability/feature_attribution');
+const { saveModel, loadModel } = require('./model_families');
+const { invertMatrix } = require('../metrics/statistics');
+
+const ENSEMBLE_METHODS = ['average', 'stacking'];
+const MEMBERS_DIR = 'members';
+
+/**
+ * FoldEnsemble - Ансамбль моделей фолдов кросс-валидации
+ * - Каждый участник - модель фолда со своим конвейером предобработки и масштабом целей
+ * - average: риск участника (после калибратора, подобранного на out-of-fold предсказаниях)
+ * - stacking: meta-learner (логистическая регрессия с L2-штрафом) на out-of-fold выходах
+ *   участника: logit риска осложнений и регрессионные цели в шкале TargetEncoder
+ * - Итоговый риск - среднее по участникам, разброс (std, min, max) - оценка неопределенности
+ */
+class FoldEnsemble {
+  /**
+   * @param {Object} options - { method, members: [{ model, preprocessor, targetEncoder }],
+   *   calibrator: ProbabilityCalibrator|null (average), meta: { intercept, coefficients }|null (stacking) }.
+   */
+  constructor(options) {
+    if (!ENSEMBLE_METHODS.includes(options.method)) {
+      throw new Error(`Unknown ensemble method: ${options.method}. Use one of: ${ENSEMBLE_METHODS.join(', ')}`);
+    }
+    this.method = options.method;
+    this.members = options.members;
+    this.calibrator = options.calibrator || null;
+    this.meta = options.meta || null;
+  }
+
+  /**
+   * Выходы одного участника для записей (до калибровки / meta-learner).
+   * @param {Object} member - { model, preprocessor, targetEncoder }.
+   * @param {Array<Object>} records - Сырые записи.
+   * @returns {Array<Object>} - [{ risk, features: [logit риска, регрессионные цели...], expected: { column: value } }].
+   */
+  static async memberOutputs(member, records) {
+    const { model, preprocessor, targetEncoder } = member;
+    const { X } = await preprocessor.process(records);
+    const outputs = [].concat(model.predict(X));
+    const values = await Promise.all(outputs.map(t => t.data()));
+    X.dispose();
+    outputs.forEach(t => t.dispose());
+
+    const targets = targetEncoder ? targetEncoder.targets : [];
+    const classIndex = targetEncoder ? targetEncoder.classificationIndex() : 0;
+    const regression = targets
+      .map((target, index) => ({ target, index }))
+      .filter(({ target }) => target.task === 'regression');
+    const decoded = regression.map(({ target, index }) => targetEncoder.decode(target, Array.from(values[index])));
+
+    return records.map((_, i) => ({
+      risk: values[classIndex][i],
+      features: [
+        ProbabilityCalibrator.logit(values[classIndex][i]),
+        ...regression.map(({ index }) => values[index][i])
+      ],
+      expected: Object.fromEntries(regression.map(({ target }, r) => [target.column, decoded[r][i]]))
+    }));
+  }
+
+  /**
+   * Ансамбль из моделей фолдов и их out-of-fold выходов.
+   * @param {Array<Object>} members - Результаты fitModel по фолдам.
+   * @param {Array<Object>} oofOutputs - memberOutputs каждого пациента от модели, не видевшей его.
+   * @param {Array<number>} labels - Метки 0/1 в порядке oofOutputs.
+   * @param {Object} options - { method, calibration: CALIBRATION (для average), l2: штраф meta-learner }.
+   * @returns {FoldEnsemble}
+   */
+  static build(members, oofOutputs, labels, options) {
+    const ensemble = new FoldEnsemble({ method: options.method, members });
+    if (ensemble.method === 'stacking') {
+      ensemble.meta = fitLogisticRegression(oofOutputs.map(o => o.features), labels, options.l2 ?? 0.01);
+    } else if (options.calibration && options.calibration.method) {
+      ensemble.calibrator = new ProbabilityCalibrator(options.calibration.method)
+        .fit(oofOutputs.map(o => o.risk), labels);
+    }
+    return ensemble;
+  }
+
+  /**
+   * Итоговый риск по выходу одного участника (калибратор или meta-learner).
+   */
+  memberRisk(output) {
+    if (this.meta) {
+      const z = output.features.reduce((sum, x, j) => sum + x * this.meta.coefficients[j], this.meta.intercept);
+      return 1 / (1 + Math.exp(-z));
+    }
+    return this.calibrator ? this.calibrator.transform([output.risk])[0] : output.risk;
+  }
+
+  /**
+   * Риск осложнений (среднее по участникам) с разбросом и ожидаемые регрессионные цели.
+   * @param {Array<Object>} records - Сырые записи пациентов.
+   * @returns {Array<Object>} - [{ complicationRisk, uncertainty: { std, min, max, members }, expected }].
+   */
+  async predictOutcomes(records) {
+    const perMember = [];
+    for (const member of this.members) {
+      perMember.push(await FoldEnsemble.memberOutputs(member, records));
+    }
+
+    return records.map((_, i) => {
+      const risks = perMember.map(outputs => this.memberRisk(outputs[i]));
+      const mean = risks.reduce((a, b) => a + b, 0) / risks.length;
+      const std = Math.sqrt(risks.reduce((a, r) => a + (r - mean) ** 2, 0) / risks.length);
+      const columns = Object.keys(perMember[0][i].expected);
+      return {
+        complicationRisk: mean,
+        uncertainty: { std, min: Math.min(...risks), max: Math.max(...risks), members: risks.length },
+        expected: Object.fromEntries(columns.map(column => [
+          column,
+          perMember.reduce((sum, outputs) => sum + outputs[i].expected[column], 0) / perMember.length
+        ]))
+      };
+    });
+  }
+
+  /**
+   * Объяснение - среднее объяснений участников по исходным полям
+   * (в шкале вероятностей моделей до калибровки).
+   * @param {Object} record - Сырая запись пациента.
+   * @param {Object} [options] - { method, nSamples } (см. FeatureAttribution.explain).
+   */
+  async explain(record, options = {}) {
+    const explanations = [];
+    for (const { model, preprocessor, targetEncoder } of this.members) {
+      const { X } = await preprocessor.process([record]);
+      try {
+        explanations.push(await FeatureAttribution.explain(
+          model.outputModel(targetEncoder ? targetEncoder.classificationIndex() : 0),
+          X,
+          preprocessor.featureColumns,
+          {
+            ...options,
+            method: options.method === 'gradient' && !model.differentiable ? 'shapley' : options.method,
+            sourceField: column => preprocessor.sourceField(column)
+          }
+        ));
+      } finally {
+        X.dispose();
+      }
+    }
+
+    const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const fields = explanations[0].contributions.map(c => c.field);
+    return {
+      method: explanations[0].method,
+      prediction: average(explanations.map(e => e.prediction)),
+      baseline: average(explanations.map(e => e.baseline)),
+      contributions: fields
+        .map(field => ({
+          field,
+          contribution: average(explanations.map(e => {
+            const found = e.contributions.find(c => c.field === field);
+            return found ? found.contribution : 0;
+          }))
+        }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)),
+      featureContributions: null
+    };
+  }
+
+  /**
+   * Сохранение ансамбля: описание в filePath, участники - в папке members/ рядом.
+   * @param {string} filePath - Путь к ensemble.json (paths.ensemblePath версии).
+   */
+  async save(filePath) {
+    const membersPath = path.join(path.dirname(filePath), MEMBERS_DIR);
+    const names = [];
+    for (const [i, member] of this.members.entries()) {
+      const name = `fold_${i + 1}`;
+      const memberPath = path.join(membersPath, name);
+      await fs.mkdir(memberPath, { recursive: true });
+      await saveModel(member.model, path.join(memberPath, 'model'));
+      await member.preprocessor.save(path.join(memberPath, 'preprocessor.json'));
+      if (member.targetEncoder) {
+        await member.targetEncoder.save(path.join(memberPath, 'targets.json'));
+      }
+      names.push(name);
+    }
+
+    await fs.writeFile(filePath, JSON.stringify({
+      method: this.method,
+      members: names,
+      calibrator: this.calibrator ? this.calibrator.toJSON() : null,
+      meta: this.meta
+    }, null, 2));
+    console.log(`Ensemble (${this.method}, ${names.length} members) saved to ${filePath}`);
+  }
+
+  static async load(filePath) {
+    const json = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const membersPath = path.join(path.dirname(filePath), MEMBERS_DIR);
+    const members = [];
+    for (const name of json.members) {
+      const memberPath = path.join(membersPath, name);
+      const targetsPath = path.join(memberPath, 'targets.json');
+      members.push({
+        model: await loadModel(path.join(memberPath, 'model')),
+        preprocessor: await DataPreprocessor.load(path.join(memberPath, 'preprocessor.json')),
+        targetEncoder: existsSync(targetsPath) ? await TargetEncoder.load(targetsPath) : null
+      });
+    }
+    return new FoldEnsemble({
+      method: json.method,
+      members,
+      calibrator: json.calibrator ? ProbabilityCalibrator.fromJSON(json.calibrator) : null,
+      meta: json.meta
+    });
+  }
+
+  dispose() {
+    this.members.forEach(member => member.model.dispose());
+  }
+}
+
+/**
+ * Логистическая регрессия с L2-штрафом (Ньютон-Рафсон) для meta-learner.
+ * @param {Array<Array<number>>} X - Meta-признаки.
+ * @param {Array<number>} y - Метки 0/1.
+ * @param {number} l2 - Штраф коэффициентов (intercept не штрафуется).
+ * @returns {Object} - { intercept, coefficients }.
+ */
+function fitLogisticRegression(X, y, l2, maxIter = 50) {
+  const p = X[0].length + 1;
+  const rows = X.map(x => [1, ...x]);
+  let beta = new Array(p).fill(0);
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const gradient = beta.map((b, j) => (j > 0 ? l2 * b : 0));
+    const hessian = Array.from({ length: p }, (_, j) => Array.from({ length: p }, (__, k) => (j === k && j > 0 ? l2 : 0)));
+    rows.forEach((row, i) => {
+      const mu = 1 / (1 + Math.exp(-row.reduce((sum, x, j) => sum + x * beta[j], 0)));
+      const w = Math.max(mu * (1 - mu), 1e-9);
+      for (let j = 0; j < p; j++) {
+        gradient[j] += (mu - y[i]) * row[j];
+        for (let k = 0; k < p; k++) hessian[j][k] += w * row[j] * row[k];
+      }
+    });
+    const inverse = invertMatrix(hessian);
+    const step = inverse.map(r => r.reduce((sum, h, k) => sum + h * gradient[k], 0));
+    beta = beta.map((b, j) => b - step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+
+  return { intercept: beta[0], coefficients: beta.slice(1) };
+}
+
+FoldEnsemble.METHODS = ENSEMBLE_METHODS;
+
+module.exports = FoldEnsemble;
@@ -0,0 +1,321 @@
+// scripts/models/gradient_boosting_model.js
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+const path = require('path');
+const { createRng, shuffle } = require('../metrics/statistics');
+
+/**
+ * GradientBoostingModel - Градиентный бустинг деревьев решений
+ * - Отдельный ансамбль на каждую цель: logloss для классификации, квадратичная ошибка для регрессии
+ * - Деревья глубины maxDepth, разбиения по градиентам и гессианам с L2-штрафом листьев
+ *   (как в XGBoost), shrinkage learningRate, подвыборка строк subsample на дерево
+ * - Ранняя остановка по validation loss: после earlyStoppingRounds раундов без улучшения
+ *   ансамбли обрезаются до лучшего раунда
+ * - Не дифференцируема: объяснения только Shapley-оценкой
+ */
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Потери цели: среднее logloss (classification) или MSE (regression).
+ */
+function targetLoss(task, scores, labels) {
+  let sum = 0;
+  scores.forEach((score, i) => {
+    if (task === 'classification') {
+      const p = Math.min(Math.max(sigmoid(score), 1e-7), 1 - 1e-7);
+      sum -= labels[i] * Math.log(p) + (1 - labels[i]) * Math.log(1 - p);
+    } else {
+      sum += (score - labels[i]) ** 2;
+    }
+  });
+  return sum / scores.length;
+}
+
+/**
+ * Дерево регрессии на градиентах: лист = -G / (H + l2) * learningRate.
+ */
+function buildTree(X, grad, hess, indices, depth, params) {
+  const G = indices.reduce((sum, i) => sum + grad[i], 0);
+  const H = indices.reduce((sum, i) => sum + hess[i], 0);
+  const leaf = { value: (-G / (H + params.l2)) * params.learningRate };
+  if (depth >= params.maxDepth || indices.length < 2 * params.minSamplesLeaf) return leaf;
+
+  const parentScore = (G * G) / (H + params.l2);
+  let best = null;
+  for (let feature = 0; feature < X[0].length; feature++) {
+    const sorted = [...indices].sort((a, b) => X[a][feature] - X[b][feature]);
+    let GL = 0;
+    let HL = 0;
+    for (let k = 0; k < sorted.length - 1; k++) {
+      GL += grad[sorted[k]];
+      HL += hess[sorted[k]];
+      const value = X[sorted[k]][feature];
+      const next = X[sorted[k + 1]][feature];
+      if (value === next || k + 1 < params.minSamplesLeaf || sorted.length - k - 1 < params.minSamplesLeaf) continue;
+
+      const GR = G - GL;
+      const HR = H - HL;
+      const gain = (GL * GL) / (HL + params.l2) + (GR * GR) / (HR + params.l2) - parentScore;
+      if (gain > 1e-12 && (!best || gain > best.gain)) {
+        best = { feature, threshold: (value + next) / 2, gain };
+      }
+    }
+  }
+  if (!best) return leaf;
+
+  const left = indices.filter(i => X[i][best.feature] <= best.threshold);
+  const right = indices.filter(i => X[i][best.feature] > best.threshold);
+  return {
+    feature: best.feature,
+    threshold: best.threshold,
+    gain: best.gain,
+    left: buildTree(X, grad, hess, left, depth + 1, params),
+    right: buildTree(X, grad, hess, right, depth + 1, params)
+  };
+}
+
+function predictTree(node, row) {
+  while (node.value === undefined) {
+    node = row[node.feature] <= node.threshold ? node.left : node.right;
+  }
+  return node.value;
+}
+
+function addTreeGain(node, importance) {
+  if (node.value !== undefined) return;
+  importance[node.feature] += node.gain;
+  addTreeGain(node.left, importance);
+  addTreeGain(node.right, importance);
+}
+
+class GradientBoostingModel {
+  /**
+   * @param {Object} options - { inputSize, targets, nEstimators, learningRate, maxDepth,
+   *   minSamplesLeaf, subsample, l2, earlyStoppingRounds, seed } (секция GRADIENT_BOOSTING).
+   */
+  constructor(options = {}) {
+    if (options.loss) {
+      throw new Error('Custom loss (focal) is not supported by gradient_boosting. Use class_weight, oversample or smote.');
+    }
+    this.targets = options.targets || null;
+    this.inputSize = options.inputSize;
+    this.params = {
+      nEstimators: options.nEstimators ?? 200,
+      learningRate: options.learningRate ?? 0.05,
+      maxDepth: options.maxDepth ?? 3,
+      minSamplesLeaf: options.minSamplesLeaf ?? 10,
+      subsample: options.subsample ?? 1,
+      l2: options.l2 ?? 1,
+      earlyStoppingRounds: options.earlyStoppingRounds ?? null,
+      seed: options.seed ?? 42
+    };
+    // [{ column, task, baseScore, trees }] в порядке targets
+    this.ensembles = options.ensembles || null;
+  }
+
+  get family() {
+    return GradientBoostingModel.FAMILY;
+  }
+
+  get differentiable() {
+    return false;
+  }
+
+  /**
+   * Бустинг по раундам: в каждом раунде - по одному дереву на цель.
+   * @param {Object} train - { X, ys } - тензоры обучающей части.
+   * @param {Object|null} validation - { X, ys } validation-части или null.
+   * @param {Object} [options] - { classWeight: { 0, 1 } для классификационной цели }.
+   * @returns {Object} - { history: потери по раундам, summary: { epochsRun, bestEpoch, stoppedEarly, ... } }.
+   */
+  async fit(train, validation, options = {}) {
+    const X = train.X.arraySync();
+    const valX = validation ? validation.X.arraySync() : null;
+    const columns = [].concat(train.ys).map(y => Array.from(y.dataSync()));
+    const valColumns = validation ? [].concat(validation.ys).map(y => Array.from(y.dataSync())) : null;
+    const targets = this.targets || [{ column: 'output', task: 'classification' }];
+    const params = this.params;
+    const rng = createRng(params.seed);
+
+    this.ensembles = targets.map((target, t) => {
+      const labels = columns[t];
+      const mean = labels.reduce((a, b) => a + b, 0) / labels.length;
+      const clipped = Math.min(Math.max(mean, 1e-6), 1 - 1e-6);
+      return {
+        column: target.column,
+        task: target.task,
+        baseScore: target.task === 'classification' ? Math.log(clipped / (1 - clipped)) : mean,
+        trees: []
+      };
+    });
+    const scores = this.ensembles.map(e => new Array(X.length).fill(e.baseScore));
+    const valScores = valX ? this.ensembles.map(e => new Array(valX.length).fill(e.baseScore)) : null;
+    const sampleWeights = this.ensembles.map((e, t) => columns[t].map(label =>
+      (e.task === 'classification' && options.classWeight ? options.classWeight[label] : 1)));
+
+    const monitor = valX ? 'val_loss' : 'loss';
+    const history = [];
+    let best = { loss: Infinity, round: 0 };
+
+    for (let round = 1; round <= params.nEstimators; round++) {
+      const sampleSize = Math.max(1, Math.round(X.length * params.subsample));
+      const rows = params.subsample < 1
+        ? shuffle([...X.keys()], rng).slice(0, sampleSize).sort((a, b) => a - b)
+        : [...X.keys()];
+
+      const row = { epoch: round };
+      let totalLoss = 0;
+      let totalValLoss = 0;
+      this.ensembles.forEach((ensemble, t) => {
+        const labels = columns[t];
+        const w = sampleWeights[t];
+        const grad = new Array(X.length);
+        const hess = new Array(X.length);
+        for (const i of rows) {
+          if (ensemble.task === 'classification') {
+            const p = sigmoid(scores[t][i]);
+            grad[i] = w[i] * (p - labels[i]);
+            hess[i] = w[i] * Math.max(p * (1 - p), 1e-6);
+          } else {
+            grad[i] = scores[t][i] - labels[i];
+            hess[i] = 1;
+          }
+        }
+
+        const tree = buildTree(X, grad, hess, rows, 0, params);
+        ensemble.trees.push(tree);
+        X.forEach((x, i) => { scores[t][i] += predictTree(tree, x); });
+        if (valX) valX.forEach((x, i) => { valScores[t][i] += predictTree(tree, x); });
+
+        const loss = targetLoss(ensemble.task, scores[t], labels);
+        row[`${ensemble.column}_loss`] = loss;
+        totalLoss += loss;
+        if (valX) {
+          const valLoss = targetLoss(ensemble.task, valScores[t], valColumns[t]);
+          row[`val_${ensemble.column}_loss`] = valLoss;
+          totalValLoss += valLoss;
+        }
+      });
+      row.loss = totalLoss;
+      if (valX) row.val_loss = totalValLoss;
+      history.push(row);
+
+      if (row[monitor] < best.loss) {
+        best = { loss: row[monitor], round };
+      } else if (params.earlyStoppingRounds && round - best.round >= params.earlyStoppingRounds) {
+        console.log(`Early stopping at round ${round}: best ${monitor}=${best.loss.toFixed(4)} at round ${best.round}`);
+        break;
+      }
+    }
+
+    // Лучший раунд по monitor - аналог restoreBestWeights
+    if (params.earlyStoppingRounds) {
+      this.ensembles.forEach(ensemble => { ensemble.trees = ensemble.trees.slice(0, best.round); });
+    }
+    console.log(`Gradient boosting trained: ${this.ensembles[0].trees.length} trees per target`);
+
+    return {
+      history,
+      summary: {
+        epochsRun: history.length,
+        maxEpochs: params.nEstimators,
+        bestEpoch: best.round,
+        stoppedEarly: history.length < params.nEstimators,
+        monitor,
+        resumedFromEpoch: null
+      }
+    };
+  }
+
+  /**
+   * Выход одного ансамбля: вероятность (classification) или значение в шкале TargetEncoder.
+   * @returns {Array<number>}
+   */
+  predictEnsemble(rows, index) {
+    const ensemble = this.ensembles[index];
+    return rows.map(x => {
+      const score = ensemble.trees.reduce((sum, tree) => sum + predictTree(tree, x), ensemble.baseScore);
+      return ensemble.task === 'classification' ? sigmoid(score) : score;
+    });
+  }
+
+  /**
+   * @param {tf.Tensor2D} X - Нормализованные признаки.
+   * @returns {tf.Tensor2D|Array<tf.Tensor2D>} - Как у tf.LayersModel.predict: один выход или массив.
+   */
+  predict(X) {
+    const rows = X.arraySync();
+    const outputs = this.ensembles.map((_, index) => tf.tensor2d(this.predictEnsemble(rows, index), [rows.length, 1]));
+    return outputs.length === 1 ? outputs[0] : outputs;
+  }
+
+  /**
+   * Модель одного выхода (для калибровки, порога и Shapley-объяснений).
+   * @param {number} index - Индекс выхода.
+   * @returns {Object} - { predict(X) -> tf.Tensor2D }.
+   */
+  outputModel(index) {
+    return {
+      predict: X => {
+        const rows = X.arraySync();
+        return tf.tensor2d(this.predictEnsemble(rows, index), [rows.length, 1]);
+      }
+    };
+  }
+
+  /**
+   * Важность признаков классификационного ансамбля: доля суммарного gain разбиений.
+   * @param {Array<string>} featureColumns - Порядок признаков.
+   * @returns {Object} - { trees, featureImportance: [{ feature, importance }] } по убыванию.
+   */
+  describe(featureColumns) {
+    const ensemble = this.ensembles.find(e => e.task === 'classification') || this.ensembles[0];
+    const importance = new Array(featureColumns.length).fill(0);
+    ensemble.trees.forEach(tree => addTreeGain(tree, importance));
+    const total = importance.reduce((a, b) => a + b, 0) || 1;
+
+    return {
+      trees: ensemble.trees.length,
+      featureImportance: featureColumns
+        .map((feature, i) => ({ feature, importance: importance[i] / total }))
+        .sort((a, b) => b.importance - a.importance)
+    };
+  }
+
+  toJSON() {
+    return {
+      targets: this.targets,
+      inputSize: this.inputSize,
+      params: this.params,
+      ensembles: this.ensembles
+    };
+  }
+
+  static fromJSON(json) {
+    return new GradientBoostingModel({
+      targets: json.targets,
+      inputSize: json.inputSize,
+      ...json.params,
+      ensembles: json.ensembles
+    });
+  }
+
+  async save(dirPath) {
+    await fs.mkdir(dirPath, { recursive: true });
+    await fs.writeFile(path.join(dirPath, GradientBoostingModel.FILE_NAME), JSON.stringify(this.toJSON()));
+  }
+
+  static async load(dirPath) {
+    const json = JSON.parse(await fs.readFile(path.join(dirPath, GradientBoostingModel.FILE_NAME), 'utf8'));
+    console.log(`Gradient boosting model loaded from ${dirPath}`);
+    return GradientBoostingModel.fromJSON(json);
+  }
+
+  dispose() {}
+}
+
+GradientBoostingModel.FAMILY = 'gradient_boosting';
+GradientBoostingModel.FILE_NAME = 'gradient_boosting.json';
+
+module.exports = GradientBoostingModel;
@@ -0,0 +1,66 @@
+// scripts/models/logistic_regression_model.js
+const tf = require('@tensorflow/tfjs-node');
+const NeuralModel = require('./neural_model');
+
+/**
+ * LogisticRegressionModel - Логистическая регрессия с L1/L2-штрафом
+ * - Классификационная цель: sigmoid(w·x + b), регрессионные цели - линейная регрессия
+ *   с тем же штрафом (ridge / lasso), каждая цель - отдельный выход без скрытых слоев
+ * - Коэффициенты в шкале StandardScaler: exp(w) - отношение шансов на 1 SD признака
+ */
+class LogisticRegressionModel extends NeuralModel {
+  /**
+   * @param {Object} options - { inputSize, targets, loss, l1, l2, learningRate }.
+   * @returns {tf.LayersModel}
+   */
+  build(options) {
+    const input = tf.input({ shape: [options.inputSize] });
+    const outputs = options.targets.map(target => tf.layers.dense({
+      units: 1,
+      activation: target.task === 'classification' ? 'sigmoid' : 'linear',
+      kernelRegularizer: tf.regularizers.l1l2({ l1: options.l1 || 0, l2: options.l2 || 0 }),
+      name: target.column
+    }).apply(input));
+
+    const model = tf.model({ inputs: input, outputs });
+
+    const loss = {};
+    const metrics = {};
+    options.targets.forEach(target => {
+      loss[target.column] = target.task === 'classification' ? options.loss || 'binaryCrossentropy' : 'meanSquaredError';
+      metrics[target.column] = target.task === 'classification' ? ['accuracy'] : ['mae'];
+    });
+
+    model.compile({
+      optimizer: tf.train.adam(options.learningRate || 0.01),
+      loss,
+      metrics
+    });
+
+    console.log(`Logistic regression created and compiled (l1=${options.l1 || 0}, l2=${options.l2 || 0}).`);
+    return model;
+  }
+
+  /**
+   * Коэффициенты классификационного выхода.
+   * @param {Array<string>} featureColumns - Порядок признаков (DataPreprocessor.featureColumns).
+   * @returns {Object} - { intercept, coefficients: [{ feature, coefficient, oddsRatio }] }
+   *   по убыванию |coefficient|; oddsRatio - на 1 SD признака (one-hot - на 1 SD доли категории).
+   */
+  describe(featureColumns) {
+    const index = this.targets ? this.targets.findIndex(t => t.task === 'classification') : 0;
+    const [kernel, bias] = this.outputModel(index).layers.slice(-1)[0].getWeights();
+    const weights = kernel.dataSync();
+
+    return {
+      intercept: bias.dataSync()[0],
+      coefficients: featureColumns
+        .map((feature, i) => ({ feature, coefficient: weights[i], oddsRatio: Math.exp(weights[i]) }))
+        .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient))
+    };
+  }
+}
+
+LogisticRegressionModel.FAMILY = 'logistic_regression';
+
+module.exports = LogisticRegressionModel;
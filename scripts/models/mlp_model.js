@@ -0,0 +1,24 @@
+// scripts/models/mlp_model.js
+const NeuralModel = require('./neural_model');
+const ModelArchitecture = require('../utils/model_architecture');
+
+/**
+ * MlpModel - Полносвязная сеть по MODEL_ARCHITECTURE
+ * Одна цель -> ModelArchitecture.createModel, несколько -> общий стек скрытых слоев
+ * и отдельная голова на каждую цель (createMultiTargetModel).
+ */
+class MlpModel extends NeuralModel {
+  /**
+   * @param {Object} options - { inputSize, targets, loss (null - binaryCrossentropy), layers, optimizer }.
+   * @returns {tf.LayersModel}
+   */
+  build(options) {
+    return options.targets.length > 1
+      ? ModelArchitecture.createMultiTargetModel(options, options.targets)
+      : ModelArchitecture.createModel(options);
+  }
+}
+
+MlpModel.FAMILY = 'mlp';
+
+module.exports = MlpModel;
@@ -0,0 +1,83 @@
+// scripts/models/model_families.js
+const fs = require('fs').promises;
+const path = require('path');
+const MlpModel = require('./mlp_model');
+const LogisticRegressionModel = require('./logistic_regression_model');
+const GradientBoostingModel = require('./gradient_boosting_model');
+const config = require('../config/model_config');
+
+/**
+ * Семейства моделей с общим интерфейсом:
+ * - fit(train, validation, options) -> { history, summary }
+ * - predict(X) -> выход или массив выходов в порядке TARGETS (как tf.LayersModel.predict)
+ * - outputModel(index), describe(featureColumns), save(dirPath), static load(dirPath), dispose()
+ * Семейство сохраняется в family.json папки модели; папка без него - mlp
+ * (версии, обученные до появления семейств).
+ */
+
+const MODEL_FAMILIES = {
+  mlp: { ModelClass: MlpModel, configSection: 'MODEL_ARCHITECTURE' },
+  logistic_regression: { ModelClass: LogisticRegressionModel, configSection: 'LOGISTIC_REGRESSION' },
+  gradient_boosting: { ModelClass: GradientBoostingModel, configSection: 'GRADIENT_BOOSTING' }
+};
+
+const FAMILY_FILE = 'family.json';
+
+function validateFamily(family) {
+  if (!MODEL_FAMILIES[family]) {
+    throw new Error(`Unknown model family: ${family}. Use one of: ${Object.keys(MODEL_FAMILIES).join(', ')}`);
+  }
+}
+
+/**
+ * Параметры семейства: секция конфига семейства с переопределениями.
+ * @param {string} family - Имя семейства.
+ * @param {Object} [overrides] - Переопределения секции (например, MODEL_ARCHITECTURE из подбора).
+ * @returns {Object}
+ */
+function familyConfig(family, overrides = {}) {
+  validateFamily(family);
+  return { ...config[MODEL_FAMILIES[family].configSection], ...overrides };
+}
+
+/**
+ * Необученная модель семейства.
+ * @param {string} family - Имя семейства (MODEL_FAMILY).
+ * @param {Object} options - { inputSize, targets, loss, ...familyConfig(family) }.
+ */
+function createModel(family, options) {
+  validateFamily(family);
+  return new MODEL_FAMILIES[family].ModelClass(options);
+}
+
+/**
+ * Сохранение модели и ее семейства в папку.
+ */
+async function saveModel(model, dirPath) {
+  await model.save(dirPath);
+  await fs.writeFile(path.join(dirPath, FAMILY_FILE), JSON.stringify({ family: model.family }, null, 2));
+}
+
+/**
+ * Загрузка модели любого семейства из папки.
+ * @param {string} dirPath - Папка модели (paths.modelPath версии).
+ */
+async function loadModel(dirPath) {
+  let family = 'mlp';
+  try {
+    family = JSON.parse(await fs.readFile(path.join(dirPath, FAMILY_FILE), 'utf8')).family;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  validateFamily(family);
+  return MODEL_FAMILIES[family].ModelClass.load(dirPath);
+}
+
+module.exports = {
+  MODEL_FAMILIES,
+  validateFamily,
+  familyConfig,
+  createModel,
+  saveModel,
+  loadModel
+};
@@ -0,0 +1,137 @@
+// scripts/models/neural_model.js
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+const path = require('path');
+const ModelArchitecture = require('../utils/model_architecture');
+const { createCallbacks, readCheckpoint } = require('../training/callbacks');
+
+/**
+ * NeuralModel - Базовый класс семейств на tf.LayersModel (mlp, logistic_regression)
+ * - Обучение model.fit с колбэками CALLBACKS и возобновлением с чекпоинта
+ * - Выходы в порядке TARGETS (как у multi-output сети)
+ * - Дифференцируемая модель: доступно объяснение gradient×input
+ * Подклассы реализуют build(options) -> скомпилированная tf.LayersModel.
+ */
+class NeuralModel {
+  /**
+   * @param {Object} options - { inputSize, targets, loss, ...секция конфига семейства }
+   *   или { network } для загруженной модели.
+   */
+  constructor(options = {}) {
+    this.targets = options.targets || null;
+    this.network = options.network || this.build(options);
+  }
+
+  get family() {
+    return this.constructor.FAMILY;
+  }
+
+  get differentiable() {
+    return true;
+  }
+
+  /**
+   * Обучение сети.
+   * @param {Object} train - { X, ys } - тензоры обучающей части.
+   * @param {Object|null} validation - { X, ys } validation-части или null.
+   * @param {Object} options - { training: TRAINING, callbacks: CALLBACKS, classWeight: { 0, 1 },
+   *   checkpoint: { path, everyEpochs, resume }, fingerprint: описание запуска для чекпоинта, verbose }.
+   * @returns {Object} - { history: метрики по эпохам, summary: { epochsRun, bestEpoch, stoppedEarly, ... } }.
+   */
+  async fit(train, validation, options) {
+    const { training } = options;
+
+    let initialEpoch = 0;
+    let previousHistory = [];
+    if (options.checkpoint && options.checkpoint.resume) {
+      const state = await readCheckpoint(options.checkpoint.path, options.fingerprint);
+      if (state) {
+        const saved = await tf.loadLayersModel(`file://${state.modelPath}`);
+        this.network.setWeights(saved.getWeights());
+        saved.dispose();
+        this.network.optimizer.learningRate = state.learningRate;
+        initialEpoch = state.epoch;
+        previousHistory = state.history;
+        console.log(`Resuming from checkpoint at epoch ${initialEpoch}`);
+      }
+    }
+
+    const { callbacks, history, earlyStopping } = createCallbacks(options.callbacks, {
+      hasValidation: !!validation,
+      history: previousHistory,
+      checkpoint: options.checkpoint ? { ...options.checkpoint, fingerprint: options.fingerprint } : null
+    });
+
+    // Веса классов - только для классификационного выхода (по имени выхода у multi-output модели)
+    let classWeight = options.classWeight;
+    if (classWeight && this.network.outputs.length > 1) {
+      classWeight = { [this.targets.find(t => t.task === 'classification').column]: classWeight };
+    }
+
+    await this.network.fit(train.X, train.ys, {
+      epochs: training.epochs,
+      initialEpoch,
+      batchSize: training.batchSize,
+      validationData: validation ? [validation.X, validation.ys] : undefined,
+      classWeight,
+      callbacks,
+      verbose: options.verbose ?? 1
+    });
+
+    // Обучение завершено - чекпоинт прерванного запуска больше не нужен
+    if (options.checkpoint) {
+      await fs.rm(options.checkpoint.path, { recursive: true, force: true });
+    }
+
+    return {
+      history: history.rows,
+      summary: {
+        epochsRun: history.rows.length,
+        maxEpochs: training.epochs,
+        bestEpoch: earlyStopping ? earlyStopping.bestEpoch : null,
+        stoppedEarly: !!(earlyStopping && earlyStopping.stoppedEpoch),
+        monitor: earlyStopping ? earlyStopping.tracker.monitor : null,
+        resumedFromEpoch: initialEpoch || null
+      }
+    };
+  }
+
+  /**
+   * @param {tf.Tensor2D} X - Нормализованные признаки.
+   * @returns {tf.Tensor|Array<tf.Tensor>} - Один выход или массив выходов в порядке targets.
+   */
+  predict(X) {
+    return this.network.predict(X);
+  }
+
+  /**
+   * Модель одного выхода (для калибровки, порога и объяснений).
+   * @param {number} index - Индекс выхода.
+   * @returns {tf.LayersModel}
+   */
+  outputModel(index) {
+    return ModelArchitecture.outputModel(this.network, index);
+  }
+
+  /**
+   * Интерпретация модели для отчета (у сети - нет).
+   * @returns {Object|null}
+   */
+  describe() {
+    return null;
+  }
+
+  async save(dirPath) {
+    await this.network.save(`file://${dirPath}`);
+  }
+
+  static async load(dirPath) {
+    return new this({ network: await ModelArchitecture.loadModel(path.join(dirPath, 'model.json')) });
+  }
+
+  dispose() {
+    this.network.dispose();
+  }
+}
+
+module.exports = NeuralModel;
@@ -0,0 +1,215 @@
+// scripts/privacy/deidentifier.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { PATIENT_SCHEMA, isPresent } = require('../validation/patient_schema');
+
+// Политики записей из классов эквивалентности меньше k
+const K_ANONYMITY_POLICIES = ['warn', 'suppress', 'fail'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Деидентификация записей пациентов между чтением данных (loadData) и проверкой по схеме:
+ * - idColumns: псевдонимы HMAC-SHA256(PSEUDONYM_KEY, id) - те же, что в журнале предсказаний
+ * - directIdentifiers и (keepOnlySchemaFields) поля вне patient_schema, в том числе свободный текст, удаляются
+ * - dateColumns: сдвиг на случайное для пациента, но постоянное число дней (интервалы внутри записи сохраняются)
+ * - generalize: обобщение квазиидентификаторов (например, возраст >= 90 -> 90)
+ * - Проверка k-анонимности по набору квазиидентификаторов (числовые - по интервалам kAnonymity.generalize)
+ * Отчет содержит только счетчики, без исходных значений.
+ */
+
+/**
+ * Псевдоним идентификатора (32 hex-символа).
+ * @param {string|number} value - Исходный идентификатор.
+ * @param {string} key - Секретный ключ (PSEUDONYM_KEY).
+ * @returns {string}
+ */
+function pseudonymize(value, key) {
+  return crypto.createHmac('sha256', key).update(String(value)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Сдвиг дат пациента в днях: из HMAC идентификатора (стабилен между выгрузками),
+ * без идентификатора - случайный.
+ */
+function dateShiftDays(patientId, key, maxDays) {
+  const source = isPresent(patientId)
+    ? crypto.createHmac('sha256', key).update(`date-shift:${patientId}`).digest()
+    : crypto.randomBytes(4);
+  return (source.readUInt32BE(0) % (2 * maxDays + 1)) - maxDays;
+}
+
+function shiftDate(value, days) {
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) return null;
+  const shifted = new Date(time + days * DAY_MS).toISOString();
+  return DATE_ONLY.test(value) ? shifted.slice(0, 10) : shifted;
+}
+
+/**
+ * Обобщение числового значения: bandWidth - нижняя граница интервала,
+ * topCode / bottomCode - значения за порогом заменяются порогом.
+ */
+function generalizeValue(value, rule) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+  let result = value;
+  if (rule.bandWidth) result = Math.floor(result / rule.bandWidth) * rule.bandWidth;
+  if (rule.topCode !== undefined && value >= rule.topCode) result = rule.topCode;
+  if (rule.bottomCode !== undefined && value <= rule.bottomCode) result = rule.bottomCode;
+  return result;
+}
+
+/**
+ * Классы эквивалентности по квазиидентификаторам.
+ * @param {Object} [generalize] - { field: правило generalizeValue } - сравнение по обобщенному значению
+ *   (например, возраст по 10-летним интервалам: точный возраст дал бы классы из одного пациента).
+ * @returns {Map<string, Array<number>>} - Ключ класса -> индексы записей.
+ */
+function equivalenceClasses(records, quasiIdentifiers, generalize = {}) {
+  const classes = new Map();
+  records.forEach((record, i) => {
+    const key = JSON.stringify(quasiIdentifiers.map(field => {
+      if (!isPresent(record[field])) return null;
+      return generalize[field] ? generalizeValue(record[field], generalize[field]) : record[field];
+    }));
+    if (!classes.has(key)) classes.set(key, []);
+    classes.get(key).push(i);
+  });
+  return classes;
+}
+
+/**
+ * Деидентификация набора записей.
+ * @param {Array<Object>} records - Сырые записи.
+ * @param {Object} options - DEIDENTIFICATION из model_config.js и key (по умолчанию PSEUDONYM_KEY).
+ * @returns {Object} - { records, report }.
+ */
+function deidentifyRecords(records, options) {
+  const kAnonymity = options.kAnonymity || null;
+  if (kAnonymity && !K_ANONYMITY_POLICIES.includes(kAnonymity.policy)) {
+    throw new Error(`Unknown k-anonymity policy: ${kAnonymity.policy}. Use one of: ${K_ANONYMITY_POLICIES.join(', ')}`);
+  }
+
+  // Без ключа псевдонимы случайны для запуска: не связываются ни с прошлыми выгрузками, ни с журналом
+  const keySource = options.key ? 'option' : process.env.PSEUDONYM_KEY ? 'PSEUDONYM_KEY' : 'random';
+  const key = options.key || process.env.PSEUDONYM_KEY || crypto.randomBytes(32).toString('hex');
+  if (keySource === 'random') {
+    console.warn('⚠️  PSEUDONYM_KEY is not set: pseudonyms and date shifts are random for this run.');
+  }
+
+  const idColumns = options.idColumns || [];
+  const dateColumns = options.dateColumns || [];
+  const directIdentifiers = new Set(options.directIdentifiers || []);
+  const generalize = options.generalize || {};
+  const allowed = new Set([...Object.keys(PATIENT_SCHEMA.fields), ...idColumns, ...dateColumns]);
+
+  const pseudonymized = Object.fromEntries(idColumns.map(column => [column, 0]));
+  const removedFields = {};
+  const shiftedDates = Object.fromEntries(dateColumns.map(column => [column, 0]));
+  const unparseableDates = Object.fromEntries(dateColumns.map(column => [column, 0]));
+  const generalized = Object.fromEntries(Object.keys(generalize).map(column => [column, 0]));
+
+  const output = records.map(record => {
+    const result = {};
+    const shift = dateColumns.length > 0 ? dateShiftDays(record[idColumns[0]], key, options.maxDateShiftDays) : 0;
+
+    for (const [field, value] of Object.entries(record)) {
+      if (directIdentifiers.has(field) || (options.keepOnlySchemaFields && !allowed.has(field))) {
+        removedFields[field] = (removedFields[field] || 0) + 1;
+      } else if (idColumns.includes(field) && isPresent(value)) {
+        result[field] = pseudonymize(value, key);
+        pseudonymized[field] += 1;
+      } else if (dateColumns.includes(field) && isPresent(value)) {
+        result[field] = shiftDate(String(value), shift);
+        if (result[field] === null) unparseableDates[field] += 1;
+        else shiftedDates[field] += 1;
+      } else if (generalize[field] && isPresent(value)) {
+        result[field] = generalizeValue(value, generalize[field]);
+        if (result[field] !== value) generalized[field] += 1;
+      } else {
+        result[field] = value;
+      }
+    }
+    return result;
+  });
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    total: records.length,
+    keySource,
+    pseudonymized,
+    removedFields,
+    dateShift: { maxDays: options.maxDateShiftDays, shifted: shiftedDates, unparseable: unparseableDates },
+    generalized: Object.fromEntries(Object.entries(generalized).map(([column, count]) => [column, { rule: generalize[column], count }])),
+    kAnonymity: null
+  };
+
+  if (!kAnonymity) {
+    return { records: output, report };
+  }
+
+  const classes = [...equivalenceClasses(output, kAnonymity.quasiIdentifiers, kAnonymity.generalize).values()];
+  const small = classes.filter(indices => indices.length < kAnonymity.k);
+  const atRisk = new Set(small.flat());
+  report.kAnonymity = {
+    k: kAnonymity.k,
+    quasiIdentifiers: kAnonymity.quasiIdentifiers,
+    generalize: kAnonymity.generalize || null,
+    policy: kAnonymity.policy,
+    classes: classes.length,
+    minClassSize: Math.min(...classes.map(indices => indices.length)),
+    classesBelowK: small.length,
+    recordsBelowK: atRisk.size,
+    satisfied: small.length === 0,
+    suppressed: 0
+  };
+
+  if (small.length > 0) {
+    const message = `k-anonymity (k=${kAnonymity.k}) violated on [${kAnonymity.quasiIdentifiers.join(', ')}]: ` +
+      `${atRisk.size} records in ${small.length} classes smaller than k`;
+    if (kAnonymity.policy === 'fail') {
+      const error = new Error(message);
+      error.report = report;
+      throw error;
+    }
+    console.warn(`⚠️  ${message}${kAnonymity.policy === 'suppress' ? ' - suppressed' : ''}`);
+    if (kAnonymity.policy === 'suppress') {
+      report.kAnonymity.suppressed = atRisk.size;
+      return { records: output.filter((_, i) => !atRisk.has(i)), report };
+    }
+  }
+
+  return { records: output, report };
+}
+
+/**
+ * Деидентификация набора данных с сохранением отчета (DEIDENTIFICATION.reportPath).
+ * @param {Array<Object>} records - Сырые записи.
+ * @param {Object} options - DEIDENTIFICATION из model_config.js.
+ * @returns {Object} - { records, report }.
+ */
+async function deidentifyDataset(records, options) {
+  const result = deidentifyRecords(records, options);
+  const { report } = result;
+
+  const removed = Object.entries(report.removedFields).map(([field, count]) => `${field} (${count})`);
+  console.log(
+    `De-identification: ${Object.values(report.pseudonymized).reduce((a, b) => a + b, 0)} IDs pseudonymized, ` +
+    `removed fields: ${removed.length > 0 ? removed.join(', ') : 'none'}`
+  );
+
+  if (options.reportPath) {
+    await fs.mkdir(path.dirname(options.reportPath), { recursive: true });
+    await fs.writeFile(options.reportPath, JSON.stringify(report, null, 2));
+    console.log(`De-identification report saved to ${options.reportPath}`);
+  }
+  return result;
+}
+
+module.exports = {
+  K_ANONYMITY_POLICIES,
+  pseudonymize,
+  deidentifyRecords,
+  deidentifyDataset
+};
@@ -0,0 +1,191 @@
+// scripts/registry/model_registry.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Имя версии: v1, v2, ... (используется в путях - другие значения не принимаются)
+const VERSION_PATTERN = /^v\d+$/;
+const INDEX_FILE = 'registry.json';
+
+/**
+ * ModelRegistry - Файловый реестр версий модели
+ * - Каждое обучение создает папку версии: модель, scaler, калибратор, порог,
+ *   цели, профиль обучающей выборки, метрики и metadata.json (признаки, снимок конфига, хеш данных)
+ * - Версия-ансамбль (cross_validate_gastrectomy.js --ensemble): ensemble.json и модели фолдов в members/
+ * - registry.json: текущая promoted-версия и стек продвижений для отката
+ * - Версия без metadata.json (прерванное обучение) не считается зарегистрированной
+ */
+class ModelRegistry {
+  /**
+   * @param {string} rootPath - Корень реестра (REGISTRY_PATH из model_config.js).
+   */
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+  }
+
+  static isValidVersion(version) {
+    return typeof version === 'string' && VERSION_PATTERN.test(version);
+  }
+
+  /**
+   * SHA-256 файла данных (для воспроизводимости версии).
+   * @param {string} filePath - Путь к файлу.
+   * @returns {string} - hex.
+   */
+  static async hashFile(filePath) {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Пути артефактов версии (ключи совпадают с опциями PredictionService).
+   * @param {string} version - Имя версии.
+   * @returns {Object} - { versionPath, modelPath, preprocessorPath, calibratorPath, thresholdPath, targetsPath,
+   *   ensemblePath, profilePath, metricsPath, metadataPath }.
+   */
+  artifactPaths(version) {
+    if (!ModelRegistry.isValidVersion(version)) {
+      throw new Error(`Invalid model version: ${version}`);
+    }
+    const versionPath = path.join(this.rootPath, version);
+    return {
+      versionPath,
+      modelPath: path.join(versionPath, 'model'),
+      preprocessorPath: path.join(versionPath, 'preprocessor.json'),
+      calibratorPath: path.join(versionPath, 'calibrator.json'),
+      thresholdPath: path.join(versionPath, 'threshold.json'),
+      targetsPath: path.join(versionPath, 'targets.json'),
+      ensemblePath: path.join(versionPath, 'ensemble.json'),
+      profilePath: path.join(versionPath, 'profile.json'),
+      metricsPath: path.join(versionPath, 'metrics.json'),
+      metadataPath: path.join(versionPath, 'metadata.json')
+    };
+  }
+
+  /**
+   * Новая (пустая) версия с номером больше всех существующих папок.
+   * @returns {Object} - { version, paths }.
+   */
+  async createVersion() {
+    await fs.mkdir(this.rootPath, { recursive: true });
+    const entries = await fs.readdir(this.rootPath);
+    const numbers = entries.filter(ModelRegistry.isValidVersion).map(v => Number(v.slice(1)));
+    const version = `v${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+
+    const paths = this.artifactPaths(version);
+    await fs.mkdir(paths.versionPath);
+    return { version, paths };
+  }
+
+  /**
+   * Регистрация версии после сохранения всех артефактов.
+   * @param {string} version - Имя версии из createVersion.
+   * @param {Object} metadata - { featureColumns, config, dataPath, dataHash, metrics, ... }.
+   * @returns {Object} - Записанные метаданные.
+   */
+  async finalizeVersion(version, metadata) {
+    const record = { version, createdAt: new Date().toISOString(), ...metadata };
+    await fs.writeFile(this.artifactPaths(version).metadataPath, JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  /**
+   * Метаданные версии или null, если версия не зарегистрирована.
+   */
+  async getVersion(version) {
+    if (!ModelRegistry.isValidVersion(version)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.artifactPaths(version).metadataPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Все зарегистрированные версии по возрастанию номера.
+   * @returns {Array<Object>} - Метаданные с флагом promoted.
+   */
+  async listVersions() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.rootPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const { promoted } = await this.readIndex();
+    const versions = entries
+      .filter(ModelRegistry.isValidVersion)
+      .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+
+    const result = [];
+    for (const version of versions) {
+      const metadata = await this.getVersion(version);
+      if (metadata) result.push({ ...metadata, promoted: version === promoted });
+    }
+    return result;
+  }
+
+  async readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.rootPath, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { promoted: null, stack: [], history: [] };
+      throw error;
+    }
+  }
+
+  async writeIndex(index) {
+    await fs.mkdir(this.rootPath, { recursive: true });
+    await fs.writeFile(path.join(this.rootPath, INDEX_FILE), JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * Версия, которую обслуживает API по умолчанию.
+   * @returns {string|null}
+   */
+  async getPromoted() {
+    return (await this.readIndex()).promoted;
+  }
+
+  /**
+   * Продвижение версии в обслуживаемую.
+   * @param {string} version - Зарегистрированная версия.
+   * @returns {Object} - Обновленный индекс.
+   */
+  async promote(version) {
+    if (!(await this.getVersion(version))) {
+      throw new Error(`Model version ${version} is not registered`);
+    }
+
+    const index = await this.readIndex();
+    if (index.promoted === version) return index;
+
+    index.stack.push(version);
+    index.promoted = version;
+    index.history.push({ action: 'promote', version, at: new Date().toISOString() });
+    await this.writeIndex(index);
+    return index;
+  }
+
+  /**
+   * Откат к предыдущей продвинутой версии.
+   * @returns {Object} - Обновленный индекс.
+   */
+  async rollback() {
+    const index = await this.readIndex();
+    if (index.stack.length < 2) {
+      throw new Error('No previously promoted version to roll back to');
+    }
+
+    const from = index.stack.pop();
+    index.promoted = index.stack[index.stack.length - 1];
+    index.history.push({ action: 'rollback', from, version: index.promoted, at: new Date().toISOString() });
+    await this.writeIndex(index);
+    return index;
+  }
+}
+
+module.exports = ModelRegistry;
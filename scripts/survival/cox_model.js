@@ -0,0 +1,178 @@
+// scripts/survival/cox_model.js
+const fs = require('fs').promises;
+const path = require('path');
+const { invertMatrix, normalCdf } = require('../metrics/statistics');
+
+/**
+ * CoxModel - Модель пропорциональных рисков Кокса
+ * - Частичное правдоподобие с поправкой Бреслоу на совпадающие времена
+ * - Метод Ньютона-Рафсона с L2-штрафом (устойчивость при one-hot признаках)
+ * - Hazard ratios, стандартные ошибки, p-values (тест Вальда)
+ */
+class CoxModel {
+  /**
+   * @param {Object} [options] - { penalty: L2-коэффициент, maxIter, tol }.
+   */
+  constructor(options = {}) {
+    this.penalty = options.penalty ?? 0.01;
+    this.maxIter = options.maxIter || 50;
+    this.tol = options.tol || 1e-9;
+    this.coefficients = null;
+    this.standardErrors = null;
+    this.featureColumns = options.featureColumns || null;
+    this.logLikelihood = null;
+  }
+
+  /**
+   * Обучение модели.
+   * @param {Array<Array<number>>} X - Признаки (после DataPreprocessor).
+   * @param {Array<number>} times - Время наблюдения.
+   * @param {Array<number>} events - 1 = событие, 0 = цензурирование.
+   * @returns {CoxModel}
+   */
+  fit(X, times, events) {
+    const n = X.length;
+    const p = X[0].length;
+    // Убывание времени: множество риска = префикс
+    const order = times.map((_, i) => i).sort((a, b) => times[b] - times[a]);
+
+    let beta = new Array(p).fill(0);
+    let lastLogLik = -Infinity;
+
+    for (let iter = 0; iter < this.maxIter; iter++) {
+      const { logLik, gradient, information } = this.derivatives(X, times, events, order, beta);
+
+      // Шаг Ньютона: beta += I^-1 * gradient
+      const inv = invertMatrix(information);
+      const step = inv.map(row => row.reduce((sum, v, j) => sum + v * gradient[j], 0));
+      beta = beta.map((b, j) => b + step[j]);
+
+      if (Math.abs(logLik - lastLogLik) < this.tol) break;
+      lastLogLik = logLik;
+    }
+
+    const final = this.derivatives(X, times, events, order, beta);
+    const covariance = invertMatrix(final.information);
+
+    this.coefficients = beta;
+    this.standardErrors = covariance.map((row, j) => Math.sqrt(Math.max(row[j], 0)));
+    this.logLikelihood = final.logLik;
+    this.nObservations = n;
+    this.nEvents = events.filter(Boolean).length;
+
+    return this;
+  }
+
+  /**
+   * Штрафованное лог-частичное правдоподобие, градиент и информационная матрица.
+   */
+  derivatives(X, times, events, order, beta) {
+    const p = beta.length;
+    const gradient = beta.map(b => -this.penalty * b);
+    const information = Array.from({ length: p }, (_, i) =>
+      Array.from({ length: p }, (_, j) => (i === j ? this.penalty : 0))
+    );
+    let logLik = -0.5 * this.penalty * beta.reduce((sum, b) => sum + b * b, 0);
+
+    let riskSum = 0;
+    const riskX = new Array(p).fill(0);
+    const riskXX = Array.from({ length: p }, () => new Array(p).fill(0));
+
+    for (let pos = 0; pos < order.length;) {
+      const time = times[order[pos]];
+      const tied = [];
+      // Добавляем в множество риска всех с тем же временем (Бреслоу)
+      while (pos < order.length && times[order[pos]] === time) {
+        const i = order[pos];
+        const xi = X[i];
+        const eta = xi.reduce((sum, v, j) => sum + v * beta[j], 0);
+        const w = Math.exp(eta);
+        riskSum += w;
+        for (let a = 0; a < p; a++) {
+          riskX[a] += w * xi[a];
+          for (let b = 0; b < p; b++) riskXX[a][b] += w * xi[a] * xi[b];
+        }
+        if (events[i]) tied.push({ xi, eta });
+        pos++;
+      }
+
+      for (const { xi, eta } of tied) {
+        logLik += eta - Math.log(riskSum);
+        for (let a = 0; a < p; a++) {
+          const meanA = riskX[a] / riskSum;
+          gradient[a] += xi[a] - meanA;
+          for (let b = 0; b < p; b++) {
+            information[a][b] += riskXX[a][b] / riskSum - meanA * (riskX[b] / riskSum);
+          }
+        }
+      }
+    }
+
+    return { logLik, gradient, information };
+  }
+
+  /**
+   * Линейный предиктор (лог относительного риска) для каждого пациента.
+   * @param {Array<Array<number>>} X - Признаки.
+   * @returns {Array<number>}
+   */
+  predictRisk(X) {
+    if (!this.coefficients) {
+      throw new Error('Cox model is not fitted yet.');
+    }
+    return X.map(xi => xi.reduce((sum, v, j) => sum + v * this.coefficients[j], 0));
+  }
+
+  /**
+   * Таблица коэффициентов: HR, 95% CI, p-value.
+   */
+  summary() {
+    return this.coefficients.map((coef, j) => {
+      const se = this.standardErrors[j];
+      const z = se > 0 ? coef / se : 0;
+      return {
+        feature: this.featureColumns ? this.featureColumns[j] : `x${j}`,
+        coef,
+        se,
+        hazardRatio: Math.exp(coef),
+        lower95: Math.exp(coef - 1.96 * se),
+        upper95: Math.exp(coef + 1.96 * se),
+        pValue: se > 0 ? 2 * (1 - normalCdf(Math.abs(z))) : 1
+      };
+    });
+  }
+
+  toJSON() {
+    return {
+      penalty: this.penalty,
+      featureColumns: this.featureColumns,
+      coefficients: this.coefficients,
+      standardErrors: this.standardErrors,
+      logLikelihood: this.logLikelihood,
+      nObservations: this.nObservations,
+      nEvents: this.nEvents
+    };
+  }
+
+  static fromJSON(json) {
+    const model = new CoxModel({ penalty: json.penalty, featureColumns: json.featureColumns });
+    model.coefficients = json.coefficients;
+    model.standardErrors = json.standardErrors;
+    model.logLikelihood = json.logLikelihood;
+    model.nObservations = json.nObservations;
+    model.nEvents = json.nEvents;
+    return model;
+  }
+
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+    console.log(`Cox model saved to ${filePath}`);
+  }
+
+  static async load(filePath) {
+    return CoxModel.fromJSON(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  }
+}
+
+module.exports = CoxModel;
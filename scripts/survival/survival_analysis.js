@@ -0,0 +1,199 @@
+// scripts/survival/survival_analysis.js
+const { chiSquarePValue, invertMatrix, inverseNormalCdf } = require('../metrics/statistics');
+
+/**
+ * SurvivalAnalysis - Непараметрический анализ выживаемости
+ * - Извлечение (время, событие) из записей пациентов
+ * - Оценка Каплана-Мейера с 95% CI (Greenwood, log-log)
+ * - Стратификация по категориальному признаку
+ * - Log-rank тест для k групп
+ * - Индекс конкордантности Харрелла (C-index)
+ */
+class SurvivalAnalysis {
+  /**
+   * Время и индикатор события из сырых записей.
+   * Записи без времени наблюдения пропускаются.
+   * @param {Array<Object>} records - Сырые записи (data/*.json).
+   * @param {Object} survivalConfig - { timeColumn, eventColumn, eventValue }.
+   * @returns {Object} - { times, events, records }.
+   */
+  static extractSurvivalData(records, survivalConfig) {
+    const { timeColumn, eventColumn, eventValue } = survivalConfig;
+    const usable = records.filter(r => typeof r[timeColumn] === 'number' && r[timeColumn] >= 0 && r[eventColumn] != null);
+    return {
+      times: usable.map(r => r[timeColumn]),
+      events: usable.map(r => (r[eventColumn] === eventValue ? 1 : 0)),
+      records: usable
+    };
+  }
+
+  /**
+   * Оценка Каплана-Мейера.
+   * @param {Array<number>} times - Время наблюдения.
+   * @param {Array<number>} events - 1 = событие, 0 = цензурирование.
+   * @param {number} [alpha] - Уровень для доверительного интервала.
+   * @returns {Object} - { n, events, steps: [{ time, atRisk, events, censored, survival, lower, upper }], medianSurvival }.
+   */
+  static kaplanMeier(times, events, alpha = 0.05) {
+    const z = inverseNormalCdf(1 - alpha / 2);
+    const order = times.map((_, i) => i).sort((a, b) => times[a] - times[b]);
+
+    let atRisk = times.length;
+    let survival = 1;
+    let greenwood = 0;
+    const steps = [];
+
+    for (let i = 0; i < order.length;) {
+      const time = times[order[i]];
+      let d = 0;
+      let c = 0;
+      while (i < order.length && times[order[i]] === time) {
+        if (events[order[i]]) d++;
+        else c++;
+        i++;
+      }
+
+      if (d > 0) {
+        survival *= 1 - d / atRisk;
+        if (atRisk > d) greenwood += d / (atRisk * (atRisk - d));
+      }
+
+      // CI по log(-log S): остается внутри [0, 1]
+      let lower = null;
+      let upper = null;
+      if (survival > 0 && survival < 1) {
+        const se = Math.sqrt(greenwood) / Math.abs(Math.log(survival));
+        lower = Math.pow(survival, Math.exp(z * se));
+        upper = Math.pow(survival, Math.exp(-z * se));
+      }
+
+      steps.push({ time, atRisk, events: d, censored: c, survival, lower, upper });
+      atRisk -= d + c;
+    }
+
+    const medianStep = steps.find(step => step.survival <= 0.5);
+
+    return {
+      n: times.length,
+      events: events.reduce((sum, e) => sum + (e ? 1 : 0), 0),
+      steps,
+      medianSurvival: medianStep ? medianStep.time : null
+    };
+  }
+
+  /**
+   * Кривые Каплана-Мейера по группам + log-rank тест.
+   * @param {Array<Object>} records - Сырые записи.
+   * @param {string} groupColumn - Поле стратификации (tumor_stage, surgery_type, ...).
+   * @param {Object} survivalConfig - { timeColumn, eventColumn, eventValue }.
+   * @returns {Object} - { groupColumn, groups: { value: kaplanMeier }, logRank }.
+   */
+  static kaplanMeierByGroup(records, groupColumn, survivalConfig) {
+    const { times, events, records: usable } = SurvivalAnalysis.extractSurvivalData(records, survivalConfig);
+    const groupLabels = usable.map(r => String(r[groupColumn]));
+
+    const groups = {};
+    for (const label of [...new Set(groupLabels)].sort()) {
+      const idx = groupLabels.map((g, i) => (g === label ? i : -1)).filter(i => i >= 0);
+      groups[label] = SurvivalAnalysis.kaplanMeier(idx.map(i => times[i]), idx.map(i => events[i]));
+    }
+
+    const logRank = Object.keys(groups).length > 1
+      ? SurvivalAnalysis.logRankTest(times, events, groupLabels)
+      : null;
+
+    return { groupColumn, groups, logRank };
+  }
+
+  /**
+   * Log-rank тест равенства кривых выживаемости для k групп.
+   * @param {Array<number>} times - Время наблюдения.
+   * @param {Array<number>} events - Индикатор события.
+   * @param {Array<string>} groups - Метка группы для каждого пациента.
+   * @returns {Object} - { statistic, df, pValue, observed, expected }.
+   */
+  static logRankTest(times, events, groups) {
+    const labels = [...new Set(groups)].sort();
+    const k = labels.length;
+    const groupIdx = groups.map(g => labels.indexOf(g));
+
+    const observed = new Array(k).fill(0);
+    const expected = new Array(k).fill(0);
+    const variance = Array.from({ length: k }, () => new Array(k).fill(0));
+
+    const eventTimes = [...new Set(times.filter((_, i) => events[i]))].sort((a, b) => a - b);
+    for (const t of eventTimes) {
+      const atRisk = new Array(k).fill(0);
+      const died = new Array(k).fill(0);
+      times.forEach((time, i) => {
+        if (time >= t) atRisk[groupIdx[i]]++;
+        if (time === t && events[i]) died[groupIdx[i]]++;
+      });
+      const n = atRisk.reduce((a, b) => a + b, 0);
+      const d = died.reduce((a, b) => a + b, 0);
+      if (n === 0) continue;
+
+      for (let g = 0; g < k; g++) {
+        observed[g] += died[g];
+        expected[g] += d * atRisk[g] / n;
+        if (n > 1) {
+          for (let h = 0; h < k; h++) {
+            const cov = g === h
+              ? d * (atRisk[g] / n) * (1 - atRisk[g] / n) * (n - d) / (n - 1)
+              : -d * (atRisk[g] / n) * (atRisk[h] / n) * (n - d) / (n - 1);
+            variance[g][h] += cov;
+          }
+        }
+      }
+    }
+
+    // Статистика по первым k-1 группам (матрица полной размерности вырождена)
+    const diff = observed.slice(0, k - 1).map((o, g) => o - expected[g]);
+    const reduced = variance.slice(0, k - 1).map(row => row.slice(0, k - 1));
+    let statistic = 0;
+    try {
+      const inv = invertMatrix(reduced);
+      for (let i = 0; i < k - 1; i++) {
+        for (let j = 0; j < k - 1; j++) statistic += diff[i] * inv[i][j] * diff[j];
+      }
+    } catch (error) {
+      // Нет событий в сравнимых группах: различие не оценивается
+      statistic = 0;
+    }
+
+    const df = k - 1;
+    return {
+      statistic,
+      df,
+      pValue: chiSquarePValue(statistic, df),
+      observed: Object.fromEntries(labels.map((l, g) => [l, observed[g]])),
+      expected: Object.fromEntries(labels.map((l, g) => [l, expected[g]]))
+    };
+  }
+
+  /**
+   * Индекс конкордантности Харрелла: доля сопоставимых пар,
+   * в которых у пациента с более ранним событием выше риск.
+   * @param {Array<number>} times - Время наблюдения.
+   * @param {Array<number>} events - Индикатор события.
+   * @param {Array<number>} risks - Оценка риска (больше = хуже прогноз).
+   * @returns {number} - C-index (0.5 = случайный, 1 = идеальный).
+   */
+  static concordanceIndex(times, events, risks) {
+    let concordant = 0;
+    let comparable = 0;
+    for (let i = 0; i < times.length; i++) {
+      if (!events[i]) continue;
+      for (let j = 0; j < times.length; j++) {
+        if (times[j] > times[i]) {
+          comparable++;
+          if (risks[i] > risks[j]) concordant += 1;
+          else if (risks[i] === risks[j]) concordant += 0.5;
+        }
+      }
+    }
+    return comparable > 0 ? concordant / comparable : NaN;
+  }
+}
+
+module.exports = SurvivalAnalysis;
@@ -0,0 +1,134 @@
+// scripts/survival_analysis_gastrectomy.js
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SurvivalAnalysis = require('./survival/survival_analysis');
+const CoxModel = require('./survival/cox_model');
+const { loadDataset, createPreprocessor } = require('./training/pipeline');
+const { createRng, shuffle } = require('./metrics/statistics');
+const config = require('./config/model_config');
+
+/**
+ * Признаки Cox-модели: тот же путь предобработки, что и у классификатора.
+ * @param {DataPreprocessor} preprocessor - Обучается при первом вызове.
+ * @returns {Array<Array<number>>}
+ */
+async function toFeatureMatrix(preprocessor, records) {
+  const { X } = await preprocessor.process(records);
+  const matrix = await X.array();
+  X.dispose();
+  return matrix;
+}
+
+/**
+ * C-index вне выборки: K-fold, scaler и модель обучаются только на train-фолдах.
+ */
+async function crossValidatedConcordance(records, times, events, nFolds, seed) {
+  const indices = shuffle(records.map((_, i) => i), createRng(seed));
+  const foldOf = new Array(records.length);
+  indices.forEach((idx, pos) => { foldOf[idx] = pos % nFolds; });
+
+  const oofRisk = new Array(records.length);
+  for (let fold = 0; fold < nFolds; fold++) {
+    const trainIdx = indices.filter(i => foldOf[i] !== fold);
+    const testIdx = indices.filter(i => foldOf[i] === fold);
+    if (testIdx.length === 0 || !trainIdx.some(i => events[i])) continue;
+
+    const preprocessor = createPreprocessor(null);
+    const xTrain = await toFeatureMatrix(preprocessor, trainIdx.map(i => records[i]));
+    const xTest = await toFeatureMatrix(preprocessor, testIdx.map(i => records[i]));
+
+    const cox = new CoxModel({ penalty: config.SURVIVAL.coxPenalty })
+      .fit(xTrain, trainIdx.map(i => times[i]), trainIdx.map(i => events[i]));
+    cox.predictRisk(xTest).forEach((risk, k) => { oofRisk[testIdx[k]] = risk; });
+  }
+
+  const scored = records.map((_, i) => i).filter(i => oofRisk[i] !== undefined);
+  return SurvivalAnalysis.concordanceIndex(
+    scored.map(i => times[i]),
+    scored.map(i => events[i]),
+    scored.map(i => oofRisk[i])
+  );
+}
+
+async function main() {
+  try {
+    console.log('--- Starting Survival Analysis ---');
+    const survivalConfig = config.SURVIVAL;
+
+    // 1. Load & validate
+    const { records: rawData } = await loadDataset(config.DATA_PATH);
+
+    const { times, events, records } = SurvivalAnalysis.extractSurvivalData(rawData, survivalConfig);
+    console.log(`Patients with follow-up: ${records.length}, events (${survivalConfig.eventValue}): ${events.filter(Boolean).length}`);
+
+    // 2. Kaplan-Meier: вся когорта и по стратам + log-rank
+    const overall = SurvivalAnalysis.kaplanMeier(times, events);
+    console.log(`\nOverall median survival: ${overall.medianSurvival ?? 'not reached'} months`);
+
+    const stratified = {};
+    for (const column of survivalConfig.strataColumns) {
+      const result = SurvivalAnalysis.kaplanMeierByGroup(rawData, column, survivalConfig);
+      stratified[column] = result;
+
+      console.log(`\nKaplan-Meier by ${column}:`);
+      Object.entries(result.groups).forEach(([group, km]) => {
+        console.log(`  ${group.padEnd(14)} n=${String(km.n).padEnd(4)} events=${String(km.events).padEnd(4)} median=${km.medianSurvival ?? 'NR'}`);
+      });
+      if (result.logRank) {
+        console.log(`  Log-rank: χ²=${result.logRank.statistic.toFixed(3)}, df=${result.logRank.df}, p=${result.logRank.pValue.toFixed(4)}`);
+      }
+    }
+
+    // 3. Cox PH на тех же признаках, что и классификатор
+    console.log('\nFitting Cox proportional-hazards model...');
+    const preprocessor = createPreprocessor(null);
+    const X = await toFeatureMatrix(preprocessor, records);
+    const cox = new CoxModel({ penalty: survivalConfig.coxPenalty, featureColumns: preprocessor.featureColumns })
+      .fit(X, times, events);
+    const coxSummary = cox.summary();
+    coxSummary.forEach(row => {
+      console.log(`  ${row.feature.padEnd(28)} HR=${row.hazardRatio.toFixed(3)} (${row.lower95.toFixed(3)}-${row.upper95.toFixed(3)}) p=${row.pValue.toFixed(4)}`);
+    });
+
+    // 4. C-index: на обучающей выборке и кросс-валидированный
+    const apparentCIndex = SurvivalAnalysis.concordanceIndex(times, events, cox.predictRisk(X));
+    const cvCIndex = await crossValidatedConcordance(records, times, events, survivalConfig.cvFolds, 42);
+    console.log(`\nC-index (apparent): ${apparentCIndex.toFixed(4)}`);
+    console.log(`C-index (${survivalConfig.cvFolds}-fold CV): ${Number.isFinite(cvCIndex) ? cvCIndex.toFixed(4) : 'n/a'}`);
+
+    // 5. Save
+    await cox.save(survivalConfig.coxModelPath);
+    await preprocessor.save(path.join(path.dirname(survivalConfig.coxModelPath), 'cox_preprocessor.json'));
+
+    const report = {
+      timestamp: new Date().toISOString(),
+      config: survivalConfig,
+      overall,
+      stratified,
+      cox: {
+        coefficients: coxSummary,
+        logLikelihood: cox.logLikelihood,
+        concordance: { apparent: apparentCIndex, crossValidated: cvCIndex }
+      }
+    };
+    await fs.mkdir(path.dirname(survivalConfig.reportPath), { recursive: true });
+    await fs.writeFile(survivalConfig.reportPath, JSON.stringify(report, null, 2));
+    console.log(`Survival report saved to ${survivalConfig.reportPath}`);
+
+    console.log('--- Survival Analysis Completed Successfully ---');
+    return report;
+  } catch (error) {
+    console.error('An error occurred during survival analysis:', error);
+    process.exit(1);
+  } finally {
+    tf.disposeVariables();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, crossValidatedConcordance };
@@ -1,71 +1,156 @@
 // scripts/train_gastrectomy_model.js
 const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs').promises;
-const path = require('path');
 
 // Импорт модулей
-const DataPreprocessor = require('./utils/data_preprocessor');
-const ModelArchitecture = require('./utils/model_architecture');
 const MetricsCalculator = require('./metrics/calculate_metrics');
-const { loadData } = require('./utils/data_loader');
-const { validateDataStructure } = require('./validation/data_validator');
+const DistributionProfile = require('./validation/distribution_profile');
+const ModelRegistry = require('./registry/model_registry');
+const { writeHistory } = require('./training/callbacks');
+const { MODEL_FAMILIES, saveModel } = require('./models/model_families');
+const {
+  loadDataset,
+  extractLabels,
+  fitModel,
+  predictProbabilities,
+  fitValidationCalibrator,
+  selectValidationThreshold,
+  evaluateClassification,
+  evaluateRegressionTargets
+} = require('./training/pipeline');
 const config = require('./config/model_config');
 
-async function main() {
+/**
+ * @param {Object} [options] - { promote: продвинуть новую версию в обслуживаемую,
+ *   resume: продолжить прерванное обучение с чекпоинта CALLBACKS.checkpoint }.
+ */
+async function main(options = {}) {
   try {
     console.log('--- Starting Training Pipeline ---');
 
-    // 1. Load Data
-    console.log(`Loading data from ${config.DATA_PATH}`);
-    const rawData = await loadData(config.DATA_PATH);
-
-    // 2. Validate Data Structure
-    console.log('Validating data structure...');
-    validateDataStructure(rawData);
-
-    // 3. Initialize Preprocessor
-    console.log('Initializing preprocessor...');
-    const preprocessor = new DataPreprocessor(config.FEATURE_COLUMNS, config.TARGET_COLUMN);
-
-    // 4. Process Data
-    console.log('Preprocessing data...');
-    const { X, y, scaler } = await preprocessor.process(rawData);
-
-    // 5. Create Model
-    console.log('Creating model...');
-    const model = ModelArchitecture.createModel(config.MODEL_ARCHITECTURE);
-
-    // 6. Train Model
-    console.log('Starting training...');
-    const history = await model.fit(X, y, {
-      epochs: config.TRAINING.epochs,
-      batchSize: config.TRAINING.batchSize,
-      validationSplit: config.TRAINING.validationSplit,
-      verbose: 1
-    });
+    // 1-2. Load & Validate Data
+    const { records: rawData, report: validationReport, deidentification } = await loadDataset(config.DATA_PATH);
 
-    console.log('Training completed.');
+    // 3-6. Preprocess, Create & Train Model
+    const checkpoint = config.CALLBACKS.checkpoint
+      ? { ...config.CALLBACKS.checkpoint, resume: !!options.resume }
+      : null;
+    const trained = await fitModel(rawData, { checkpoint });
+    const { model, preprocessor, targetEncoder, trainingSummary } = trained;
 
-    // 7. Evaluate Model (на X, y - в реальности нужна тестовая выборка)
-    console.log('Calculating metrics...');
-    const metrics = await MetricsCalculator.calculateBinaryClassificationMetrics(y, model.predict(X));
+    // История обучения по эпохам (loss, val_loss, метрики, learning rate)
+    const historyFiles = await writeHistory(trained.history, trainingSummary, config.CALLBACKS.historyPath);
+    console.log(`Training history saved to ${historyFiles.jsonPath} and ${historyFiles.csvPath}`);
+
+    // 7. Calibrate (на validation-части: tfjs берет последние validationSplit строк)
+    const rawProbs = await predictProbabilities(trained, rawData);
+    const labels = extractLabels(rawData);
+    const calibrator = fitValidationCalibrator(labels, rawProbs);
+    const probs = calibrator ? calibrator.transform(rawProbs) : rawProbs;
 
-    // 8. Save Artifacts
-    // Сохранение модели
-    const modelSavePath = path.resolve(config.MODEL_SAVE_PATH.replace('.json', ''));
-    console.log(`Saving model to ${modelSavePath}`);
-    await model.save(`file://${modelSavePath}`);
+    // 8. Threshold: на validation-части, если в ней есть оба класса, иначе на всех данных
+    const thresholdSelection = selectValidationThreshold(labels, probs);
+    console.log(`Selected threshold (${thresholdSelection.strategy}, ${thresholdSelection.selectedOn}): ${thresholdSelection.threshold.toFixed(4)}`);
+
+    // 9. Evaluate Model (на обучающих данных - в реальности нужна тестовая выборка; см. кросс-валидацию)
+    console.log('Calculating metrics...');
+    const metrics = await evaluateClassification(labels, probs, thresholdSelection.threshold);
+    if (calibrator) {
+      metrics.uncalibrated = MetricsCalculator.calculateCalibrationMetrics(labels, rawProbs);
+    }
+
+    // Метрики регрессионных целей (в исходных единицах, например дни госпитализации)
+    if (targetEncoder) {
+      metrics.regression = await evaluateRegressionTargets(trained, rawData);
+    }
+
+    // Интерпретация модели: коэффициенты логистической регрессии, важность признаков бустинга
+    const interpretation = model.describe(preprocessor.featureColumns);
+    if (interpretation) {
+      metrics.interpretation = interpretation;
+    }
+
+    // 10. Save Artifacts: новая версия в реестре моделей
+    const registry = new ModelRegistry(config.REGISTRY_PATH);
+    const { version, paths } = await registry.createVersion();
+    console.log(`Registering model version ${version} in ${registry.rootPath}`);
+
+    // Сохранение модели (вместе с именем семейства)
+    console.log(`Saving ${model.family} model to ${paths.modelPath}`);
+    await saveModel(model, paths.modelPath);
     console.log('Model saved successfully.');
 
-    // Сохранение scaler
-    console.log(`Saving scaler to ${config.SCALER_SAVE_PATH}`);
-    await preprocessor.saveScaler(config.SCALER_SAVE_PATH);
+    // Сохранение конвейера предобработки (словари категорий, порядок признаков, scaler)
+    await preprocessor.save(paths.preprocessorPath);
+
+    // Сохранение описания целей (порядок выходов и масштаб регрессионных целей)
+    if (targetEncoder) {
+      await targetEncoder.save(paths.targetsPath);
+    }
+
+    // Профиль обучающей выборки: предупреждения API о пациентах вне обучающих данных
+    const profile = await new DistributionProfile(config.OUT_OF_DISTRIBUTION).fit(rawData, preprocessor);
+    await profile.save(paths.profilePath);
+
+    // Сохранение калибратора
+    if (calibrator) {
+      await calibrator.save(paths.calibratorPath);
+    }
+
+    // Сохранение порога (используется API для метки high/low risk)
+    await fs.writeFile(paths.thresholdPath, JSON.stringify(thresholdSelection, null, 2));
 
     // Сохранение метрик
-    const metricsJson = JSON.stringify(metrics, null, 2);
-    console.log(`Saving metrics to ${config.METRICS_SAVE_PATH}`);
-    await fs.writeFile(config.METRICS_SAVE_PATH, metricsJson);
-    console.log('Metrics saved successfully.');
+    await fs.writeFile(paths.metricsPath, JSON.stringify(metrics, null, 2));
+    console.log(`Metrics saved to ${paths.metricsPath}`);
+
+    // Метаданные: признаки, снимок конфига и хеш данных (воспроизводимость версии)
+    await registry.finalizeVersion(version, {
+      modelFamily: model.family,
+      featureColumns: preprocessor.featureColumns,
+      config: {
+        MODEL_FAMILY: config.MODEL_FAMILY,
+        [MODEL_FAMILIES[model.family].configSection]: config[MODEL_FAMILIES[model.family].configSection],
+        TRAINING: config.TRAINING,
+        CALLBACKS: config.CALLBACKS,
+        IMBALANCE: config.IMBALANCE,
+        CALIBRATION: config.CALIBRATION,
+        THRESHOLD: config.THRESHOLD,
+        DEIDENTIFICATION: config.DEIDENTIFICATION,
+        OUT_OF_DISTRIBUTION: config.OUT_OF_DISTRIBUTION,
+        TARGET_COLUMN: config.TARGET_COLUMN,
+        TARGETS: config.TARGETS,
+        override: process.env.MODEL_CONFIG_OVERRIDE || null
+      },
+      dataPath: config.DATA_PATH,
+      dataHash: await ModelRegistry.hashFile(config.DATA_PATH),
+      nRecords: rawData.length,
+      training: trainingSummary,
+      deidentification: deidentification && {
+        keySource: deidentification.keySource,
+        removedFields: Object.keys(deidentification.removedFields),
+        kAnonymity: deidentification.kAnonymity
+      },
+      validation: {
+        policy: config.VALIDATION.policy,
+        total: validationReport.total,
+        invalid: validationReport.invalid
+      },
+      metrics: {
+        auc: metrics.auc,
+        prAuc: metrics.pr_auc,
+        brier: metrics.calibration.brier,
+        threshold: thresholdSelection.threshold
+      }
+    });
+
+    // Первая версия продвигается автоматически, остальные - по --promote или scripts/manage_models.js
+    if (options.promote || !(await registry.getPromoted())) {
+      await registry.promote(version);
+      console.log(`Model version ${version} promoted.`);
+    } else {
+      console.log(`Model version ${version} registered. Promote with: node scripts/manage_models.js promote ${version}`);
+    }
 
     console.log('--- Training Pipeline Completed Successfully ---');
 
@@ -80,7 +165,7 @@ async function main() {
 }
 
 if (require.main === module) {
-  main();
+  main({ promote: process.argv.includes('--promote'), resume: process.argv.includes('--resume') });
 }
 
 module.exports = { main };
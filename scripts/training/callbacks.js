@@ -0,0 +1,259 @@
+// scripts/training/callbacks.js
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Колбэки обучения (model.fit)
+ * - EpochHistory: история по эпохам (метрики + learning rate) для отчетов
+ * - EarlyStopping: остановка без улучшения monitor в течение patience эпох,
+ *   восстановление весов лучшей эпохи
+ * - ReduceLrOnPlateau: уменьшение learning rate в factor раз на плато
+ * - Checkpoint: сохранение модели и состояния каждые everyEpochs эпох для возобновления
+ */
+
+/**
+ * Направление улучшения метрики: 'auto' -> max для accuracy/auc, иначе min (loss, mae, ...).
+ */
+function resolveMode(monitor, mode = 'auto') {
+  if (mode !== 'auto') return mode;
+  return /acc|auc|precision|recall/.test(monitor) ? 'max' : 'min';
+}
+
+/**
+ * Значения logs как числа: tfjs передает в tf.Callback метрики эпохи в виде скалярных тензоров.
+ */
+function resolveLogs(logs = {}) {
+  return Object.fromEntries(Object.entries(logs).map(([key, value]) =>
+    [key, typeof value === 'number' ? value : value.dataSync()[0]]));
+}
+
+/**
+ * Отслеживание лучшего значения метрики (общая логика EarlyStopping и ReduceLrOnPlateau).
+ */
+class PlateauTracker {
+  constructor({ monitor, mode, minDelta = 0 }) {
+    this.monitor = monitor;
+    this.mode = resolveMode(monitor, mode);
+    this.minDelta = minDelta;
+    this.best = null;
+    this.wait = 0;
+    this.warned = false;
+  }
+
+  /**
+   * @returns {boolean|null} - Улучшилась ли метрика (null, если ее нет в logs).
+   */
+  update(logs) {
+    const value = resolveLogs(logs)[this.monitor];
+    if (value === undefined) {
+      if (!this.warned) {
+        console.warn(`⚠️  Metric ${this.monitor} is not available (logs: ${Object.keys(logs).join(', ')})`);
+        this.warned = true;
+      }
+      return null;
+    }
+    const improved = this.best === null || (this.mode === 'min'
+      ? value < this.best - this.minDelta
+      : value > this.best + this.minDelta);
+    if (improved) {
+      this.best = value;
+      this.wait = 0;
+    } else {
+      this.wait++;
+    }
+    return improved;
+  }
+}
+
+class EpochHistory extends tf.Callback {
+  /**
+   * @param {Array<Object>} [rows] - История предыдущих эпох (при возобновлении).
+   */
+  constructor(rows = []) {
+    super();
+    this.rows = rows;
+  }
+
+  async onEpochEnd(epoch, logs) {
+    this.rows.push({ epoch: epoch + 1, ...resolveLogs(logs), learningRate: this.model.optimizer.learningRate });
+  }
+}
+
+class EarlyStopping extends tf.Callback {
+  /**
+   * @param {Object} options - { monitor, patience, minDelta, mode, restoreBestWeights }.
+   */
+  constructor(options) {
+    super();
+    this.tracker = new PlateauTracker(options);
+    this.patience = options.patience;
+    this.restoreBestWeights = options.restoreBestWeights !== false;
+    this.bestWeights = null;
+    this.bestEpoch = null;
+    this.stoppedEpoch = null;
+  }
+
+  async onEpochEnd(epoch, logs) {
+    const improved = this.tracker.update(logs);
+    if (improved === null) return;
+    if (improved) {
+      this.bestEpoch = epoch + 1;
+      if (this.restoreBestWeights) {
+        if (this.bestWeights) this.bestWeights.forEach(w => w.dispose());
+        this.bestWeights = this.model.getWeights().map(w => w.clone());
+      }
+    } else if (this.tracker.wait >= this.patience) {
+      this.stoppedEpoch = epoch + 1;
+      this.model.stopTraining = true;
+    }
+  }
+
+  async onTrainEnd() {
+    if (this.stoppedEpoch) {
+      console.log(`Early stopping at epoch ${this.stoppedEpoch}: best ${this.tracker.monitor}=${this.tracker.best.toFixed(4)} at epoch ${this.bestEpoch}`);
+    }
+    if (this.bestWeights) {
+      this.model.setWeights(this.bestWeights);
+      this.bestWeights.forEach(w => w.dispose());
+      this.bestWeights = null;
+      console.log(`Restored weights from epoch ${this.bestEpoch}`);
+    }
+  }
+}
+
+class ReduceLrOnPlateau extends tf.Callback {
+  /**
+   * @param {Object} options - { monitor, factor, patience, minLr, minDelta, mode }.
+   */
+  constructor(options) {
+    super();
+    this.tracker = new PlateauTracker(options);
+    this.factor = options.factor;
+    this.patience = options.patience;
+    this.minLr = options.minLr || 0;
+  }
+
+  async onEpochEnd(epoch, logs) {
+    this.tracker.update(logs);
+    if (this.tracker.wait < this.patience) return;
+
+    const optimizer = this.model.optimizer;
+    const reduced = Math.max(optimizer.learningRate * this.factor, this.minLr);
+    if (reduced < optimizer.learningRate) {
+      console.log(`Epoch ${epoch + 1}: reducing learning rate ${optimizer.learningRate} -> ${reduced}`);
+      optimizer.learningRate = reduced;
+    }
+    this.tracker.wait = 0;
+  }
+}
+
+class Checkpoint extends tf.Callback {
+  /**
+   * @param {Object} options - { path, everyEpochs, fingerprint: описание запуска для проверки при возобновлении }.
+   * @param {EpochHistory} history - История эпох (сохраняется вместе с моделью).
+   */
+  constructor(options, history) {
+    super();
+    this.path = options.path;
+    this.everyEpochs = options.everyEpochs || 1;
+    this.fingerprint = options.fingerprint;
+    this.history = history;
+  }
+
+  async onEpochEnd(epoch) {
+    if ((epoch + 1) % this.everyEpochs !== 0) return;
+    await fs.mkdir(this.path, { recursive: true });
+    await this.model.save(`file://${path.join(this.path, 'model')}`);
+    await fs.writeFile(path.join(this.path, 'state.json'), JSON.stringify({
+      epoch: epoch + 1,
+      learningRate: this.model.optimizer.learningRate,
+      fingerprint: this.fingerprint,
+      history: this.history.rows,
+      savedAt: new Date().toISOString()
+    }, null, 2));
+  }
+}
+
+/**
+ * Состояние чекпоинта, если он есть и относится к тому же запуску.
+ * @param {string} checkpointPath - Папка чекпоинта.
+ * @param {Object} fingerprint - Описание текущего запуска (архитектура, данные, эпохи).
+ * @returns {Object|null} - { epoch, learningRate, history, modelPath } или null.
+ */
+async function readCheckpoint(checkpointPath, fingerprint) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(path.join(checkpointPath, 'state.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (JSON.stringify(state.fingerprint) !== JSON.stringify(fingerprint)) {
+    console.warn(`⚠️  Checkpoint in ${checkpointPath} belongs to a different run; starting from scratch.`);
+    return null;
+  }
+  return { ...state, modelPath: path.join(checkpointPath, 'model', 'model.json') };
+}
+
+/**
+ * Колбэки по секции CALLBACKS конфига.
+ * @param {Object} callbacksConfig - { earlyStopping, reduceLrOnPlateau } (null - выключено).
+ * @param {Object} [options] - { checkpoint: { path, everyEpochs, fingerprint }, history: строки истории,
+ *   hasValidation: есть ли validation-часть (иначе val_* метрики заменяются обучающими) }.
+ * @returns {Object} - { callbacks, history: EpochHistory, earlyStopping: EarlyStopping|null }.
+ */
+function createCallbacks(callbacksConfig, options = {}) {
+  // Без validation-части val_loss недоступен - отслеживается loss на обучающих данных
+  const monitorOf = monitor => (options.hasValidation ? monitor : monitor.replace(/^val_/, ''));
+
+  const history = new EpochHistory(options.history);
+  const callbacks = [history];
+
+  const earlyStopping = callbacksConfig.earlyStopping
+    ? new EarlyStopping({ ...callbacksConfig.earlyStopping, monitor: monitorOf(callbacksConfig.earlyStopping.monitor) })
+    : null;
+  if (earlyStopping) callbacks.push(earlyStopping);
+
+  if (callbacksConfig.reduceLrOnPlateau) {
+    const reduceConfig = callbacksConfig.reduceLrOnPlateau;
+    callbacks.push(new ReduceLrOnPlateau({ ...reduceConfig, monitor: monitorOf(reduceConfig.monitor) }));
+  }
+
+  if (options.checkpoint) {
+    callbacks.push(new Checkpoint(options.checkpoint, history));
+  }
+
+  return { callbacks, history, earlyStopping };
+}
+
+/**
+ * Экспорт истории обучения в JSON и CSV.
+ * @param {Array<Object>} rows - Строки EpochHistory.
+ * @param {Object} summary - { epochsRun, bestEpoch, stoppedEarly, ... }.
+ * @param {string} basePath - Путь без расширения (например, ./reports/training_history).
+ * @returns {Object} - { jsonPath, csvPath }.
+ */
+async function writeHistory(rows, summary, basePath) {
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+  const jsonPath = `${basePath}.json`;
+  const csvPath = `${basePath}.csv`;
+
+  await fs.writeFile(jsonPath, JSON.stringify({ summary, epochs: rows }, null, 2));
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.join(','), ...rows.map(row => columns.map(c => row[c] ?? '').join(','))];
+  await fs.writeFile(csvPath, lines.join('\n') + '\n');
+
+  return { jsonPath, csvPath };
+}
+
+module.exports = {
+  EpochHistory,
+  EarlyStopping,
+  ReduceLrOnPlateau,
+  Checkpoint,
+  createCallbacks,
+  readCheckpoint,
+  writeHistory,
+  resolveMode
+};
@@ -0,0 +1,186 @@
+// scripts/training/imbalance.js
+const tf = require('@tensorflow/tfjs-node');
+const { createRng } = require('../metrics/statistics');
+
+/**
+ * Работа с несбалансированными классами (осложнения ~30%)
+ * - class_weight: веса классов n / (2 * n_c) в функции потерь
+ * - focal: focal loss (Lin et al., 2017) вместо binaryCrossentropy
+ * - oversample: случайное дублирование записей миноритарного класса
+ * - smote: синтетические записи миноритарного класса (Chawla et al., 2002)
+ * Передискретизация применяется только к обучающей части (не к validation-части
+ * и не к тестовым фолдам), чтобы метрики и калибровка считались на реальных пациентах.
+ */
+
+const IMBALANCE_STRATEGIES = ['none', 'class_weight', 'focal', 'oversample', 'smote'];
+
+function validateStrategy(strategy) {
+  if (!IMBALANCE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown imbalance strategy: ${strategy}. Use one of: ${IMBALANCE_STRATEGIES.join(', ')}`);
+  }
+}
+
+/**
+ * Веса классов, уравнивающие вклад классов в функцию потерь.
+ * @param {Array<number>} labels - Метки 0/1.
+ * @returns {Object} - { 0: w0, 1: w1 } (формат classWeight в model.fit).
+ */
+function computeClassWeights(labels) {
+  const n = labels.length;
+  const positives = labels.filter(l => l === 1).length;
+  const negatives = n - positives;
+  if (positives === 0 || negatives === 0) return { 0: 1, 1: 1 };
+  return { 0: n / (2 * negatives), 1: n / (2 * positives) };
+}
+
+/**
+ * Вес положительного класса alpha для focal loss.
+ * 'auto' - доля отрицательных в обучающей части, чтобы миноритарные осложнения весили больше
+ * (alpha = 0.25 из Lin et al. подобран для детекции объектов и уменьшил бы их вес).
+ * @param {number|string} alpha - Число в (0, 1) или 'auto'.
+ * @param {Array<number>} labels - Метки 0/1 обучающей части.
+ * @returns {number}
+ */
+function resolveFocalAlpha(alpha, labels) {
+  if (alpha === 'auto') {
+    const positives = labels.filter(l => l === 1).length;
+    if (positives === 0 || positives === labels.length) return 0.5;
+    return 1 - positives / labels.length;
+  }
+  if (!(typeof alpha === 'number' && alpha > 0 && alpha < 1)) {
+    throw new Error(`focalAlpha must be a number between 0 and 1 or "auto", got ${alpha}`);
+  }
+  return alpha;
+}
+
+/**
+ * Бинарная focal loss: -alpha_t * (1 - p_t)^gamma * log(p_t).
+ * gamma снижает вклад легко классифицируемых примеров, alpha - вес положительного класса
+ * (1 - alpha - отрицательного).
+ * @param {Object} [options] - { gamma, alpha }.
+ * @returns {Function} - Функция потерь (yTrue, yPred) для model.compile.
+ */
+function focalLoss({ gamma = 2, alpha = 0.75 } = {}) {
+  return (yTrue, yPred) => tf.tidy(() => {
+    const p = yPred.clipByValue(1e-7, 1 - 1e-7);
+    const pt = yTrue.mul(p).add(tf.scalar(1).sub(yTrue).mul(tf.scalar(1).sub(p)));
+    const alphaT = yTrue.mul(alpha).add(tf.scalar(1).sub(yTrue).mul(1 - alpha));
+    return alphaT.mul(tf.scalar(1).sub(pt).pow(gamma)).mul(pt.log()).neg().mean(-1);
+  });
+}
+
+function splitByClass(labels) {
+  const minorityLabel = labels.filter(l => l === 1).length <= labels.length / 2 ? 1 : 0;
+  const minority = [];
+  const majority = [];
+  labels.forEach((label, i) => (label === minorityLabel ? minority : majority).push(i));
+  return { minority, majority };
+}
+
+/**
+ * Случайное дублирование миноритарного класса до доли ratio от мажоритарного.
+ * @param {Array<Object>} records - Обучающие записи.
+ * @param {Array<number>} labels - Метки 0/1.
+ * @param {Object} [options] - { ratio, seed }.
+ * @returns {Array<Object>} - Исходные записи + дубликаты.
+ */
+function randomOversample(records, labels, { ratio = 1, seed = 42 } = {}) {
+  const { minority, majority } = splitByClass(labels);
+  const needed = Math.round(majority.length * ratio) - minority.length;
+  if (minority.length === 0 || needed <= 0) return records;
+
+  const rng = createRng(seed);
+  const extra = Array.from({ length: needed }, () => records[minority[Math.floor(rng() * minority.length)]]);
+  return [...records, ...extra];
+}
+
+/**
+ * SMOTE на сырых записях: новая запись миноритарного класса лежит на отрезке между
+ * записью и одним из k ближайших соседей того же класса. Числовые поля интерполируются
+ * (целые остаются целыми), остальные копируются у одной из двух записей.
+ * Расстояние - по стандартизованным числовым признакам, пропуски не учитываются.
+ * @param {Array<Object>} records - Обучающие записи.
+ * @param {Array<number>} labels - Метки 0/1.
+ * @param {Object} options - { numericColumns, labelColumn, k, ratio, seed }.
+ * @returns {Array<Object>} - Исходные записи + синтетические.
+ */
+function smote(records, labels, { numericColumns, labelColumn, k = 5, ratio = 1, seed = 42 }) {
+  const { minority, majority } = splitByClass(labels);
+  const needed = Math.round(majority.length * ratio) - minority.length;
+  if (minority.length < 2 || needed <= 0) return randomOversample(records, labels, { ratio, seed });
+
+  const points = minority.map(i => records[i]);
+  const scaling = numericColumns.map(column => {
+    const values = points.map(r => r[column]).filter(Number.isFinite);
+    const mean = values.reduce((a, b) => a + b, 0) / (values.length || 1);
+    const std = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length || 1)) || 1;
+    return { column, mean, std };
+  });
+  const distance = (a, b) => {
+    let sum = 0;
+    scaling.forEach(({ column, mean, std }) => {
+      if (!Number.isFinite(a[column]) || !Number.isFinite(b[column])) return;
+      sum += ((a[column] - mean) / std - (b[column] - mean) / std) ** 2;
+    });
+    return sum;
+  };
+  const neighbours = points.map((point, i) => points
+    .map((other, j) => ({ j, d: i === j ? Infinity : distance(point, other) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, Math.min(k, points.length - 1))
+    .map(n => n.j));
+
+  const rng = createRng(seed);
+  const synthetic = [];
+  for (let s = 0; s < needed; s++) {
+    const i = Math.floor(rng() * points.length);
+    const base = points[i];
+    const neighbour = points[neighbours[i][Math.floor(rng() * neighbours[i].length)]];
+    const gap = rng();
+
+    const record = {};
+    for (const field of new Set([...Object.keys(base), ...Object.keys(neighbour)])) {
+      if (field === 'patient_id') continue;
+      const a = base[field];
+      const b = neighbour[field];
+      if (field !== labelColumn && Number.isFinite(a) && Number.isFinite(b)) {
+        const value = a + gap * (b - a);
+        record[field] = Number.isInteger(a) && Number.isInteger(b) ? Math.round(value) : value;
+      } else {
+        record[field] = gap < 0.5 || b === undefined ? a : b;
+      }
+    }
+    synthetic.push(record);
+  }
+  return [...records, ...synthetic];
+}
+
+/**
+ * Обучающие записи после передискретизации (oversample/smote), для остальных стратегий - без изменений.
+ * @param {Array<Object>} records - Обучающая часть (без validation-части).
+ * @param {Array<number>} labels - Метки 0/1.
+ * @param {Object} imbalance - IMBALANCE из model_config.js.
+ * @param {Object} featureSpec - { numericColumns, labelColumn }.
+ * @returns {Array<Object>}
+ */
+function resampleTrainingSet(records, labels, imbalance, featureSpec) {
+  validateStrategy(imbalance.strategy);
+  if (imbalance.strategy === 'oversample') {
+    return randomOversample(records, labels, { ratio: imbalance.ratio, seed: imbalance.seed });
+  }
+  if (imbalance.strategy === 'smote') {
+    return smote(records, labels, { ...featureSpec, k: imbalance.smoteK, ratio: imbalance.ratio, seed: imbalance.seed });
+  }
+  return records;
+}
+
+module.exports = {
+  IMBALANCE_STRATEGIES,
+  validateStrategy,
+  computeClassWeights,
+  resolveFocalAlpha,
+  focalLoss,
+  randomOversample,
+  smote,
+  resampleTrainingSet
+};
@@ -0,0 +1,298 @@
+// scripts/training/pipeline.js
+const tf = require('@tensorflow/tfjs-node');
+const crypto = require('crypto');
+
+const DataPreprocessor = require('../utils/data_preprocessor');
+const TargetEncoder = require('../utils/target_encoder');
+const Imputer = require('../utils/imputer');
+const Imbalance = require('./imbalance');
+const { createModel, familyConfig } = require('../models/model_families');
+const MetricsCalculator = require('../metrics/calculate_metrics');
+const ProbabilityCalibrator = require('../utils/probability_calibrator');
+const ThresholdOptimizer = require('../metrics/threshold_optimizer');
+const { loadData } = require('../utils/data_loader');
+const { deidentifyDataset } = require('../privacy/deidentifier');
+const { validateDataset } = require('../validation/data_validator');
+const config = require('../config/model_config');
+
+/**
+ * Общий конвейер обучения для train_gastrectomy_model.js и cross_validate_gastrectomy.js:
+ * load -> validate -> preprocess -> build -> fit -> evaluate.
+ * Модель - любое семейство из scripts/models/model_families.js (MODEL_FAMILY).
+ * Scaler и масштаб регрессионных целей обучаются только на переданных записях,
+ * поэтому в кросс-валидации статистики тестового фолда не попадают в обучение.
+ */
+
+/**
+ * Загрузка, деидентификация и построчная проверка данных по схеме пациента.
+ * Идентификаторы, даты и свободный текст не доходят ни до проверки (карантин, логи), ни до артефактов.
+ * @param {string} [dataPath] - Путь к JSON, NDJSON или CSV (по умолчанию DATA_PATH).
+ * @param {Object} [validation] - { policy, quarantinePath } (по умолчанию VALIDATION).
+ * @param {Object} [options] - { writeReport: сохранять отчет деидентификации в DEIDENTIFICATION.reportPath
+ *   (по умолчанию true; API загружает данные с false, отчет пишут только скрипты) }.
+ * @returns {Object} - { records: валидные записи, report: отчет проверки, deidentification: отчет деидентификации }.
+ */
+async function loadDataset(dataPath = config.DATA_PATH, validation = config.VALIDATION, options = {}) {
+  const { writeReport = true } = options;
+  console.log(`Loading data from ${dataPath}`);
+  const rawData = await loadData(dataPath, config.DATA_INGEST);
+
+  const { records, report: deidentification } = config.DEIDENTIFICATION
+    ? await deidentifyDataset(rawData, writeReport ? config.DEIDENTIFICATION : { ...config.DEIDENTIFICATION, reportPath: null })
+    : { records: rawData, report: null };
+
+  console.log('Validating data...');
+  return { ...(await validateDataset(records, validation)), deidentification };
+}
+
+/**
+ * Необученный DataPreprocessor по конфигу (PREPROCESSING + заполнение пропусков IMPUTATION).
+ * @param {string|null} [targetColumn] - Целевая колонка (по умолчанию TARGET_COLUMN).
+ * @returns {DataPreprocessor}
+ */
+function createPreprocessor(targetColumn = config.TARGET_COLUMN) {
+  return new DataPreprocessor({
+    ...config.PREPROCESSING,
+    targetColumn,
+    imputer: Imputer.fromConfig(config.IMPUTATION)
+  });
+}
+
+/**
+ * Метки 0/1 классификационной цели (осложнения).
+ * @param {Array<Object>} records - Сырые записи.
+ * @returns {Array<number>}
+ */
+function extractLabels(records) {
+  return records.map(record => {
+    const value = record[config.TARGET_COLUMN];
+    return value === true || value === 1 || value === 'true' ? 1 : 0;
+  });
+}
+
+/**
+ * Тензоры признаков и целей для model.fit.
+ * @returns {Object} - { X, ys, dispose }.
+ */
+async function toTrainingTensors(records, preprocessor, targetEncoder) {
+  const { X, y } = await preprocessor.process(records);
+  const ys = targetEncoder ? targetEncoder.transform(records) : y;
+  return {
+    X,
+    ys,
+    dispose: () => {
+      X.dispose();
+      y.dispose();
+      if (targetEncoder) ys.forEach(t => t.dispose());
+    }
+  };
+}
+
+/**
+ * Предобработка, построение и обучение модели на записях.
+ * Validation-часть - последние validationSplit записей (как validationSplit в tfjs);
+ * стратегия IMBALANCE применяется только к остальной (обучающей) части.
+ * @param {Array<Object>} records - Обучающие записи.
+ * @param {Object} [options] - { family: семейство вместо MODEL_FAMILY,
+ *   architecture: переопределения секции конфига семейства (MODEL_ARCHITECTURE для mlp),
+ *   training: переопределения TRAINING, targets, imbalance: переопределения IMBALANCE,
+ *   callbacks: переопределения CALLBACKS, verbose,
+ *   checkpoint: { path, everyEpochs, resume } - чекпоинты сетей (по умолчанию выключены) }.
+ * @returns {Object} - { model, classifier, preprocessor, targetEncoder, history, trainingSummary }:
+ *   model - модель семейства, classifier - выход риска осложнений (для калибровки, порога и метрик),
+ *   history - метрики по эпохам, trainingSummary - { epochsRun, bestEpoch, stoppedEarly, resumedFromEpoch }.
+ */
+async function fitModel(records, options = {}) {
+  const family = options.family || config.MODEL_FAMILY;
+  const modelConfig = familyConfig(family, options.architecture);
+  const targets = options.targets || config.TARGETS;
+  const training = { ...config.TRAINING, ...options.training };
+  const imbalance = { ...config.IMBALANCE, ...options.imbalance };
+  const multiTarget = targets.length > 1;
+  Imbalance.validateStrategy(imbalance.strategy);
+
+  // Конвейер предобработки и масштаб целей - по реальным записям (без синтетических)
+  console.log('Preprocessing data...');
+  const preprocessor = createPreprocessor().fit(records);
+  const targetEncoder = multiTarget ? new TargetEncoder(targets).fit(records) : null;
+
+  const splitAt = Math.floor(records.length * (1 - (training.validationSplit || 0)));
+  const trainRecords = Imbalance.resampleTrainingSet(
+    records.slice(0, splitAt),
+    extractLabels(records.slice(0, splitAt)),
+    imbalance,
+    { numericColumns: preprocessor.numericColumns, labelColumn: config.TARGET_COLUMN }
+  );
+  const valRecords = records.slice(splitAt);
+  if (trainRecords.length !== splitAt) {
+    console.log(`Imbalance (${imbalance.strategy}): ${splitAt} -> ${trainRecords.length} training rows`);
+  }
+
+  const train = await toTrainingTensors(trainRecords, preprocessor, targetEncoder);
+  const validation = valRecords.length > 0 ? await toTrainingTensors(valRecords, preprocessor, targetEncoder) : null;
+
+  console.log(`Creating model (${family})...`);
+  const inputSize = preprocessor.featureColumns.length;
+  const model = createModel(family, {
+    ...modelConfig,
+    // Размер входа - число признаков обученного DataPreprocessor, чтобы модель и конвейер не расходились
+    inputSize,
+    targets,
+    loss: imbalance.strategy === 'focal'
+      ? Imbalance.focalLoss({
+        gamma: imbalance.focalGamma,
+        alpha: Imbalance.resolveFocalAlpha(imbalance.focalAlpha, extractLabels(trainRecords))
+      })
+      : null
+  });
+
+  console.log('Starting training...');
+  const { history, summary: trainingSummary } = await model.fit(train, validation, {
+    training,
+    callbacks: { ...config.CALLBACKS, ...options.callbacks },
+    // Веса классов - только для классификационной цели
+    classWeight: imbalance.strategy === 'class_weight'
+      ? Imbalance.computeClassWeights(extractLabels(trainRecords))
+      : undefined,
+    checkpoint: options.checkpoint || null,
+    // Чекпоинт продолжается только для того же запуска: модель, обучение, цели и данные
+    fingerprint: {
+      family,
+      inputSize,
+      model: modelConfig,
+      training,
+      imbalance,
+      targets: targets.map(t => t.column),
+      dataHash: crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex')
+    },
+    verbose: options.verbose ?? 1
+  });
+  console.log('Training completed.');
+
+  train.dispose();
+  if (validation) validation.dispose();
+
+  const classifier = model.outputModel(multiTarget ? targetEncoder.classificationIndex() : 0);
+
+  return { model, classifier, preprocessor, targetEncoder, history, trainingSummary };
+}
+
+/**
+ * Сырые (до калибровки) вероятности осложнений.
+ * @param {Object} trained - Результат fitModel.
+ * @param {Array<Object>} records - Сырые записи.
+ * @returns {Array<number>}
+ */
+async function predictProbabilities(trained, records) {
+  const { X } = await trained.preprocessor.process(records);
+  const output = trained.classifier.predict(X);
+  const probs = Array.from(await output.data());
+  X.dispose();
+  output.dispose();
+  return probs;
+}
+
+/**
+ * Калибратор (CALIBRATION.method) на validation-части: fitModel не обучает модель на последних validationSplit строках.
+ * На нескольких строках или одном классе калибратор вырождается (isotonic - в константу), поэтому он не обучается.
+ * @param {Array<number>} labels - Метки записей, переданных в fitModel.
+ * @param {Array<number>} probs - Вероятности модели до калибровки.
+ * @param {number} [validationSplit] - Доля validation-части (по умолчанию TRAINING.validationSplit).
+ * @returns {ProbabilityCalibrator|null} - null, если калибровка выключена или validation-части недостаточно.
+ */
+function fitValidationCalibrator(labels, probs, validationSplit = config.TRAINING.validationSplit) {
+  const calibration = config.CALIBRATION;
+  if (!calibration || !calibration.method) return null;
+  const splitAt = Math.floor(labels.length * (1 - (validationSplit || 0)));
+  const valLabels = labels.slice(splitAt);
+  const minRows = calibration.minRows || 1;
+  if (valLabels.length < minRows || !valLabels.includes(0) || !valLabels.includes(1)) {
+    console.warn(
+      `⚠️  Validation part (${valLabels.length} rows) has fewer than ${minRows} rows or a single class - ` +
+      'probabilities are not calibrated'
+    );
+    return null;
+  }
+  console.log(`Fitting ${calibration.method} calibrator on ${valLabels.length} validation rows...`);
+  return new ProbabilityCalibrator(calibration.method).fit(probs.slice(splitAt), valLabels);
+}
+
+/**
+ * Порог high/low risk (THRESHOLD) на validation-части: на строках, которые видела модель, порог смещен.
+ * Если в validation-части один класс - на всех переданных записях.
+ * @param {Array<number>} labels - Метки записей, переданных в fitModel.
+ * @param {Array<number>} probs - Вероятности (после калибровки).
+ * @param {number} [validationSplit] - Доля validation-части (по умолчанию TRAINING.validationSplit).
+ * @returns {Object} - Результат ThresholdOptimizer.selectThreshold и selectedOn: 'validation' | 'training'.
+ */
+function selectValidationThreshold(labels, probs, validationSplit = config.TRAINING.validationSplit) {
+  const splitAt = Math.floor(labels.length * (1 - (validationSplit || 0)));
+  const valLabels = labels.slice(splitAt);
+  const useValidation = valLabels.includes(0) && valLabels.includes(1);
+  return {
+    ...ThresholdOptimizer.selectThreshold(
+      useValidation ? valLabels : labels,
+      useValidation ? probs.slice(splitAt) : probs,
+      config.THRESHOLD
+    ),
+    selectedOn: useValidation ? 'validation' : 'training'
+  };
+}
+
+/**
+ * Метрики бинарной классификации по массивам меток и вероятностей.
+ * @returns {Object} - Результат MetricsCalculator.calculateBinaryClassificationMetrics.
+ */
+async function evaluateClassification(labels, probs, threshold) {
+  const yTrue = tf.tensor2d(labels, [labels.length, 1]);
+  const yPred = tf.tensor2d(probs, [probs.length, 1]);
+  try {
+    return await MetricsCalculator.calculateBinaryClassificationMetrics(yTrue, yPred, threshold);
+  } finally {
+    yTrue.dispose();
+    yPred.dispose();
+  }
+}
+
+/**
+ * MSE/RMSE/MAE для каждой регрессионной цели (в исходных единицах).
+ * @param {Object} trained - Результат fitModel.
+ * @param {Array<Object>} records - Записи с истинными значениями целей.
+ * @returns {Object} - { column: { mse, rmse, mae } } (пусто для single-target модели).
+ */
+async function evaluateRegressionTargets(trained, records) {
+  const { model, preprocessor, targetEncoder } = trained;
+  if (!targetEncoder) return {};
+
+  const { X } = await preprocessor.process(records);
+  const outputs = [].concat(model.predict(X));
+  const result = {};
+
+  for (const [index, target] of targetEncoder.targets.entries()) {
+    if (target.task !== 'regression') continue;
+    const predicted = targetEncoder.decode(target, Array.from(await outputs[index].data()));
+    const actual = records.map(r => Number(r[target.column]));
+    const yTrue = tf.tensor2d(actual, [actual.length, 1]);
+    const yPred = tf.tensor2d(predicted, [predicted.length, 1]);
+    console.log(`Target ${target.column}:`);
+    result[target.column] = MetricsCalculator.calculateRegressionMetrics(yTrue, yPred);
+    yTrue.dispose();
+    yPred.dispose();
+  }
+
+  X.dispose();
+  outputs.forEach(t => t.dispose());
+  return result;
+}
+
+module.exports = {
+  loadDataset,
+  createPreprocessor,
+  extractLabels,
+  fitModel,
+  predictProbabilities,
+  fitValidationCalibrator,
+  selectValidationThreshold,
+  evaluateClassification,
+  evaluateRegressionTargets
+};
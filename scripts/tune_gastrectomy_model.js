@@ -0,0 +1,312 @@
+/**
+ * Nested Cross-Validation Hyperparameter Search for Gastrectomy Risk Model
+ *
+ * Функциональность:
+ * - Кандидаты из TUNING.searchSpace: grid или random
+ * - Внутренние фолды: выбор кандидата (опционально successive halving по эпохам)
+ * - Внешние фолды: несмещенная оценка качества всей процедуры подбора
+ * - Leaderboard конфигураций и best_config.json для MODEL_CONFIG_OVERRIDE
+ *
+ * Использование:
+ *   node scripts/tune_gastrectomy_model.js [--strategy grid|random] [--candidates N] [--halving [eta]] [--results <dir>]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config/model_config');
+const { createRng, shuffle } = require('./metrics/statistics');
+const { createStratifiedFolds, evaluateFold } = require('./cross_validate_gastrectomy');
+const {
+  loadDataset,
+  extractLabels,
+  fitModel,
+  predictProbabilities,
+  selectValidationThreshold
+} = require('./training/pipeline');
+const {
+  SELECTION_METRICS,
+  generateCandidates,
+  candidateOverrides,
+  rankByScore
+} = require('./tuning/hyperparameter_search');
+
+// Метрики внешних фолдов в отчете
+const OUTER_METRICS = ['auc', 'prAuc', 'brier', 'ece', 'accuracy', 'recall', 'specificity', 'threshold'];
+
+/**
+ * Обучающие и тестовые индексы фолда. Обучающие перемешиваются (seed + foldIdx + 1, как в кросс-валидации),
+ * чтобы validation-часть fitModel (ранняя остановка, порог) содержала оба класса, а не один блок фолда.
+ * @returns {Object} - { trainIndices, testIndices }.
+ */
+function splitFold(folds, foldIdx, seed) {
+  return {
+    trainIndices: shuffle(
+      folds.filter((_, i) => i !== foldIdx).flatMap(f => f.indices),
+      createRng(seed + foldIdx + 1)
+    ),
+    testIndices: folds[foldIdx].indices
+  };
+}
+
+function meanStd(values) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return { mean: NaN, std: NaN };
+  const mean = finite.reduce((a, b) => a + b, 0) / finite.length;
+  const std = Math.sqrt(finite.reduce((a, v) => a + (v - mean) ** 2, 0) / finite.length);
+  return { mean, std };
+}
+
+function fullEpochs(candidate) {
+  return candidate.params.epochs ?? config.TRAINING.epochs;
+}
+
+/**
+ * Обучение кандидата с заданным числом эпох.
+ */
+function fitCandidate(records, candidate, epochs) {
+  const overrides = candidateOverrides(candidate.params);
+  return fitModel(records, {
+    family: overrides.MODEL_FAMILY,
+    architecture: overrides.MODEL_ARCHITECTURE,
+    training: { ...overrides.TRAINING, epochs },
+    verbose: 0
+  });
+}
+
+/**
+ * Средняя метрика кандидата по внутренним фолдам.
+ * @returns {number} - NaN, если метрика не определена ни в одном фолде.
+ */
+async function scoreCandidate(records, labels, innerFolds, candidate, epochs, tuningConfig) {
+  const { metric } = tuningConfig;
+  const scores = [];
+  for (let k = 0; k < innerFolds.length; k++) {
+    const { trainIndices, testIndices } = splitFold(innerFolds, k, tuningConfig.seed);
+    const trained = await fitCandidate(trainIndices.map(i => records[i]), candidate, epochs);
+    const probs = await predictProbabilities(trained, testIndices.map(i => records[i]));
+    trained.model.dispose();
+
+    const score = SELECTION_METRICS[metric].fn(testIndices.map(i => labels[i]), probs);
+    if (Number.isFinite(score)) scores.push(score);
+  }
+  return scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : NaN;
+}
+
+/**
+ * Выбор кандидата на внутренних фолдах.
+ * Successive halving: раунд r обучает кандидатов на eta^(r-R) от их числа эпох,
+ * в следующий раунд проходит 1/eta лучших; последний раунд - полное число эпох.
+ * @returns {Object} - { best: { candidate, score }, evaluations: [{ id, round, epochs, score }] }.
+ */
+async function selectCandidate(records, labels, candidates, tuningConfig) {
+  const { metric } = tuningConfig;
+  const halving = tuningConfig.successiveHalving;
+  const eta = halving ? halving.eta || 3 : 1;
+  const lastRound = halving ? Math.ceil(Math.log(candidates.length) / Math.log(eta)) : 0;
+  const innerFolds = createStratifiedFolds(records, labels, tuningConfig.innerFolds, tuningConfig.seed);
+  const evaluations = [];
+
+  let active = candidates;
+  for (let round = 0; ; round++) {
+    const fraction = Math.pow(eta, round - lastRound);
+    const scored = [];
+    for (const candidate of active) {
+      const epochs = Math.max(1, Math.round(fullEpochs(candidate) * fraction));
+      const score = await scoreCandidate(records, labels, innerFolds, candidate, epochs, tuningConfig);
+      console.log(`  [round ${round}] ${candidate.id} ${JSON.stringify(candidate.params)} epochs=${epochs}: ${metric}=${score.toFixed(4)}`);
+      scored.push({ candidate, score });
+      evaluations.push({ id: candidate.id, round, epochs, score });
+    }
+
+    const ranked = rankByScore(scored, metric);
+    if (round >= lastRound || active.length === 1) {
+      return { best: ranked[0], evaluations };
+    }
+    active = ranked.slice(0, Math.ceil(active.length / eta)).map(entry => entry.candidate);
+    if (active.length === 1) {
+      return { best: ranked[0], evaluations };
+    }
+  }
+}
+
+/**
+ * Leaderboard: чаще выбранные во внешних фолдах выше; далее - дальше прошедшие
+ * successive halving и лучший средний score на внутренних фолдах.
+ */
+function buildLeaderboard(candidates, outerResults, metric) {
+  const entries = candidates.map(candidate => {
+    // Последняя (самая полная) оценка кандидата в каждом внешнем фолде
+    const finalEvaluations = outerResults.map(result => {
+      const own = result.evaluations.filter(e => e.id === candidate.id);
+      return own[own.length - 1];
+    }).filter(Boolean);
+
+    const innerScore = meanStd(finalEvaluations.map(e => e.score));
+    const selectedIn = outerResults.filter(r => r.selected === candidate.id);
+    return {
+      id: candidate.id,
+      params: candidate.params,
+      timesSelected: selectedIn.length,
+      meanRoundReached: meanStd(finalEvaluations.map(e => e.round)).mean,
+      innerScore,
+      outerScore: meanStd(selectedIn.map(r => r.metrics[metric])),
+      score: innerScore.mean
+    };
+  });
+
+  const byScore = rankByScore(entries, metric);
+  return byScore
+    .sort((a, b) => (b.timesSelected - a.timesSelected) || (b.meanRoundReached - a.meanRoundReached))
+    .map((entry, i) => ({
+      rank: i + 1,
+      id: entry.id,
+      params: entry.params,
+      timesSelected: entry.timesSelected,
+      meanRoundReached: entry.meanRoundReached,
+      innerScore: entry.innerScore,
+      outerScore: entry.outerScore
+    }));
+}
+
+/**
+ * Вложенная кросс-валидация с подбором гиперпараметров.
+ * @param {Object} [options] - Переопределения TUNING (strategy, nCandidates, successiveHalving, resultsPath, ...).
+ * @returns {Object} - Отчет { leaderboard, outer, bestConfig }.
+ */
+async function runTuning(options = {}) {
+  const tuningConfig = { ...config.TUNING, ...options };
+  if (!SELECTION_METRICS[tuningConfig.metric]) {
+    throw new Error(`Unknown tuning metric: ${tuningConfig.metric}. Use one of: ${Object.keys(SELECTION_METRICS).join(', ')}`);
+  }
+
+  const candidates = generateCandidates(tuningConfig);
+
+  console.log('\n' + '='.repeat(70));
+  console.log('🔧 NESTED CV HYPERPARAMETER SEARCH: GASTRECTOMY RISK MODEL');
+  console.log('='.repeat(70));
+  console.log(`  Strategy: ${tuningConfig.strategy}, candidates: ${candidates.length}`);
+  console.log(`  Successive halving: ${tuningConfig.successiveHalving ? `eta=${tuningConfig.successiveHalving.eta || 3}` : 'off'}`);
+  console.log(`  Outer folds: ${tuningConfig.outerFolds}, inner folds: ${tuningConfig.innerFolds}, metric: ${tuningConfig.metric}`);
+
+  const { records: rawData } = await loadDataset(config.DATA_PATH);
+  const labels = extractLabels(rawData);
+  const outerFolds = createStratifiedFolds(rawData, labels, tuningConfig.outerFolds, tuningConfig.seed);
+  const outerResults = [];
+
+  for (let foldIdx = 0; foldIdx < outerFolds.length; foldIdx++) {
+    console.log(`\n🎯 OUTER FOLD ${foldIdx + 1}/${outerFolds.length}`);
+    const { trainIndices, testIndices } = splitFold(outerFolds, foldIdx, tuningConfig.seed);
+    const trainRecords = trainIndices.map(i => rawData[i]);
+    const trainLabels = trainIndices.map(i => labels[i]);
+
+    // Выбор только по обучающей части внешнего фолда
+    const { best, evaluations } = await selectCandidate(trainRecords, trainLabels, candidates, tuningConfig);
+
+    // Переобучение победителя на всей обучающей части и оценка на внешнем тестовом фолде
+    const trained = await fitCandidate(trainRecords, best.candidate, fullEpochs(best.candidate));
+    // Порог - на validation-части (вне обучения модели), как в кросс-валидации
+    const { threshold, selectedOn } = selectValidationThreshold(
+      trainLabels,
+      await predictProbabilities(trained, trainRecords)
+    );
+    const testProbs = await predictProbabilities(trained, testIndices.map(i => rawData[i]));
+    trained.model.dispose();
+
+    const foldMetrics = evaluateFold(testIndices.map(i => labels[i]), testProbs, threshold);
+    const metrics = Object.fromEntries(OUTER_METRICS.map(name => [name, foldMetrics[name]]));
+    outerResults.push({
+      fold: foldIdx + 1,
+      selected: best.candidate.id,
+      innerScore: best.score,
+      thresholdSelectedOn: selectedOn,
+      metrics,
+      evaluations
+    });
+
+    console.log(`  Selected ${best.candidate.id} (inner ${tuningConfig.metric}=${best.score.toFixed(4)}), outer AUC=${metrics.auc.toFixed(4)}, Brier=${metrics.brier.toFixed(4)}`);
+  }
+
+  const outerAggregated = Object.fromEntries(
+    OUTER_METRICS.map(name => [name, meanStd(outerResults.map(r => r.metrics[name]))])
+  );
+  const leaderboard = buildLeaderboard(candidates, outerResults, tuningConfig.metric);
+  const winner = candidates.find(c => c.id === leaderboard[0].id);
+  const bestConfig = candidateOverrides(winner.params);
+
+  console.log(`\n📈 Nested CV estimate (outer folds, mean ± std):`);
+  Object.entries(outerAggregated).forEach(([name, stats]) => {
+    console.log(`  ${name.padEnd(12)}: ${stats.mean.toFixed(4)} ± ${stats.std.toFixed(4)}`);
+  });
+
+  console.log('\n🏆 Leaderboard:');
+  leaderboard.forEach(entry => {
+    console.log(
+      `  ${String(entry.rank).padStart(2)}. ${entry.id.padEnd(4)} selected ${entry.timesSelected}/${outerResults.length}, ` +
+      `inner ${tuningConfig.metric}=${entry.innerScore.mean.toFixed(4)} ± ${entry.innerScore.std.toFixed(4)} ` +
+      JSON.stringify(entry.params)
+    );
+  });
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    config: { ...tuningConfig, dataPath: config.DATA_PATH, threshold: config.THRESHOLD },
+    outer: { folds: outerResults, aggregated: outerAggregated },
+    leaderboard,
+    bestConfig
+  };
+
+  await fs.mkdir(tuningConfig.resultsPath, { recursive: true });
+  const leaderboardPath = path.join(tuningConfig.resultsPath, 'leaderboard.json');
+  const bestConfigPath = path.join(tuningConfig.resultsPath, 'best_config.json');
+  await fs.writeFile(leaderboardPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(bestConfigPath, JSON.stringify(bestConfig, null, 2));
+
+  console.log(`\n✓ Leaderboard saved to ${leaderboardPath}`);
+  console.log(`✓ Best config saved to ${bestConfigPath}`);
+  console.log(`   Train with it: MODEL_CONFIG_OVERRIDE=${bestConfigPath} node scripts/train_gastrectomy_model.js`);
+
+  return report;
+}
+
+/**
+ * Разбор аргументов командной строки в переопределения TUNING.
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--strategy':
+        options.strategy = argv[++i];
+        break;
+      case '--candidates':
+        options.nCandidates = Number(argv[++i]);
+        break;
+      case '--halving': {
+        const eta = Number(argv[i + 1]);
+        if (Number.isFinite(eta) && eta > 1) i++;
+        options.successiveHalving = { eta: Number.isFinite(eta) && eta > 1 ? eta : 3 };
+        break;
+      }
+      case '--results':
+        options.resultsPath = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await runTuning(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+      console.error('\n❌ Hyperparameter search failed:');
+      console.error(error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { runTuning, splitFold, selectCandidate, buildLeaderboard };
@@ -0,0 +1,122 @@
+// scripts/tuning/hyperparameter_search.js
+const { createRng, shuffle } = require('../metrics/statistics');
+const MetricsCalculator = require('../metrics/calculate_metrics');
+const config = require('../config/model_config');
+
+/**
+ * Поиск гиперпараметров
+ * - Пространство поиска: { параметр: [значения] } (см. TUNING.searchSpace)
+ * - Кандидаты: полный перебор (grid) или случайная выборка без повторов (random)
+ * - Перевод кандидата в переопределения MODEL_ARCHITECTURE / TRAINING
+ * - Метрики выбора с направлением оптимизации
+ */
+
+// Семейство, которое описывает пространство поиска (hiddenUnits, dropout - слои сети)
+const TUNED_FAMILY = 'mlp';
+
+// Метрики внутреннего CV: функция (labels, probs) и направление
+const SELECTION_METRICS = {
+  auc: {
+    fn: (labels, probs) => MetricsCalculator.calculateAuc(labels, probs),
+    higherIsBetter: true
+  },
+  brier: {
+    fn: (labels, probs) => MetricsCalculator.calculateCalibrationMetrics(labels, probs).brier,
+    higherIsBetter: false
+  }
+};
+
+/**
+ * Все комбинации значений пространства поиска.
+ * @param {Object<string, Array>} searchSpace - { параметр: [значения] }.
+ * @returns {Array<Object>} - [{ параметр: значение }].
+ */
+function expandGrid(searchSpace) {
+  return Object.entries(searchSpace).reduce(
+    (combos, [name, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Кандидаты для поиска с идентификаторами c0, c1, ...
+ * @param {Object} tuningConfig - { strategy: 'grid'|'random', nCandidates, searchSpace, seed }.
+ * @returns {Array<Object>} - [{ id, params }].
+ */
+function generateCandidates(tuningConfig) {
+  const grid = expandGrid(tuningConfig.searchSpace);
+  let selected;
+
+  if (tuningConfig.strategy === 'grid') {
+    selected = grid;
+  } else if (tuningConfig.strategy === 'random') {
+    selected = shuffle(grid, createRng(tuningConfig.seed ?? 42)).slice(0, tuningConfig.nCandidates);
+  } else {
+    throw new Error(`Unknown search strategy: ${tuningConfig.strategy}. Use 'grid' or 'random'.`);
+  }
+
+  return selected.map((params, i) => ({ id: `c${i}`, params }));
+}
+
+/**
+ * Переопределения конфигурации для кандидата (полное описание модели для MODEL_CONFIG_OVERRIDE).
+ * hiddenUnits и dropout заменяют скрытые слои, выходной слой сохраняется.
+ * @param {Object} params - { hiddenUnits, dropout, epochs, batchSize }.
+ * @returns {Object} - { MODEL_FAMILY, MODEL_ARCHITECTURE: { layers }, TRAINING: { epochs, batchSize } }.
+ */
+function candidateOverrides(params) {
+  const baseLayers = config.MODEL_ARCHITECTURE.layers;
+  const outputLayer = baseLayers[baseLayers.length - 1];
+  const hiddenUnits = params.hiddenUnits || baseLayers.slice(0, -1).map(layer => layer.units);
+
+  const layers = [
+    ...hiddenUnits.map((units, i) => {
+      const base = i < baseLayers.length - 1 ? baseLayers[i] : {};
+      return {
+        units,
+        activation: base.activation || 'relu',
+        dropout: params.dropout ?? base.dropout ?? 0
+      };
+    }),
+    outputLayer
+  ];
+
+  const training = {};
+  if (params.epochs !== undefined) training.epochs = params.epochs;
+  if (params.batchSize !== undefined) training.batchSize = params.batchSize;
+
+  return { MODEL_FAMILY: TUNED_FAMILY, MODEL_ARCHITECTURE: { layers }, TRAINING: training };
+}
+
+/**
+ * Лучше ли score a, чем b, по метрике выбора.
+ */
+function isBetter(metric, a, b) {
+  if (!Number.isFinite(b)) return Number.isFinite(a);
+  if (!Number.isFinite(a)) return false;
+  return SELECTION_METRICS[metric].higherIsBetter ? a > b : a < b;
+}
+
+/**
+ * Сортировка кандидатов от лучшего к худшему по score.
+ * @param {Array<Object>} entries - Элементы с полем score.
+ * @param {string} metric - Ключ SELECTION_METRICS.
+ * @returns {Array<Object>} - Новый отсортированный массив.
+ */
+function rankByScore(entries, metric) {
+  return [...entries].sort((a, b) => {
+    if (isBetter(metric, a.score, b.score)) return -1;
+    if (isBetter(metric, b.score, a.score)) return 1;
+    return 0;
+  });
+}
+
+module.exports = {
+  TUNED_FAMILY,
+  SELECTION_METRICS,
+  expandGrid,
+  generateCandidates,
+  candidateOverrides,
+  isBetter,
+  rankByScore
+};
@@ -1,24 +1,197 @@
 // scripts/utils/data_loader.js
 const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { PATIENT_SCHEMA } = require('../validation/patient_schema');
 
-function loadData(filePath) {
-  return new Promise((resolve, reject) => {
-    fs.readFile(filePath, 'utf8', (err, data) => {
-      if (err) {
-        console.error('Error reading data file:', err);
-        reject(err);
-        return;
-      }
-      try {
-        const jsonData = JSON.parse(data);
-        console.log(`Data loaded successfully. Shape: [${jsonData.length}, ?]`);
-        resolve(jsonData);
-      } catch (parseErr) {
-        console.error('Error parsing JSON:', parseErr);
-        reject(parseErr);
+// Форматы по расширению файла
+const FORMATS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv'
+};
+
+// Разделители, из которых выбирается самый частый в строке заголовка
+const CSV_SEPARATORS = [';', ',', '\t'];
+
+// Строковые значения логических полей (сравнение без учета регистра)
+const TRUE_VALUES = ['true', 'да'];
+const FALSE_VALUES = ['false', 'нет'];
+
+// Десятичное число, в том числе с запятой: без ведущего "+", экспоненты и шестнадцатеричной записи
+const DECIMAL_NUMBER = /^-?\d+([.,]\d+)?$/;
+
+/**
+ * Загрузка записей из JSON, NDJSON или CSV (формат - по расширению или options.format).
+ * NDJSON и CSV читаются потоком; заголовки переименовываются по columnMapping.
+ * @param {string} filePath - Путь к файлу данных.
+ * @param {Object} [options] - { format, separator, columnMapping: { 'Заголовок': 'field' },
+ *   columnMappingPath: JSON-файл с columnMapping } (см. DATA_INGEST в model_config.js).
+ * @returns {Promise<Array<Object>>} - Записи с каноническими именами полей.
+ */
+async function loadData(filePath, options = {}) {
+  const format = options.format || FORMATS[path.extname(filePath).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported data file format: ${filePath}. Use .json, .ndjson/.jsonl or .csv`);
+  }
+  const mapping = options.columnMapping || await loadColumnMapping(options.columnMappingPath);
+
+  let records;
+  try {
+    if (format === 'json') {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (!Array.isArray(data)) {
+        throw new Error('JSON data file must contain an array of records');
       }
-    });
+      records = data.map(record => renameFields(record, mapping));
+    } else if (format === 'ndjson') {
+      records = await readNdjson(filePath, mapping);
+    } else if (format === 'csv') {
+      const separator = options.separator || await detectSeparator(filePath);
+      records = await readCsv(fs.createReadStream(filePath), { separator, columnMapping: mapping });
+    } else {
+      throw new Error(`Unknown data format: ${format}`);
+    }
+  } catch (err) {
+    console.error(`Error loading data file ${filePath}:`, err.message);
+    throw err;
+  }
+
+  const [rows, columns] = dataShape(records);
+  console.log(`Data loaded successfully (${format}). Shape: [${rows}, ${columns}]`);
+  return records;
+}
+
+/**
+ * Отображение заголовков на канонические поля из JSON-файла:
+ * { "Возраст": "age", "Пол": "sex", ... }.
+ * @param {string|null} mappingPath - Путь к файлу или null.
+ * @returns {Promise<Object>} - Отображение (пустое без файла).
+ */
+async function loadColumnMapping(mappingPath) {
+  if (!mappingPath) return {};
+  const mapping = JSON.parse(await fs.promises.readFile(mappingPath, 'utf8'));
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Column mapping ${mappingPath} must be a JSON object { "header": "field" }`);
+  }
+  return mapping;
+}
+
+/**
+ * Размер данных: [число записей, число различных полей].
+ */
+function dataShape(records) {
+  const columns = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+  return [records.length, columns.size];
+}
+
+function canonicalHeader(header, mapping) {
+  // BOM в начале файла из Excel попадает в первый заголовок
+  const name = header.replace(/^\uFEFF/, '').trim();
+  return Object.prototype.hasOwnProperty.call(mapping, name) ? mapping[name] : name;
+}
+
+function renameFields(record, mapping) {
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [canonicalHeader(key, mapping), value]));
+}
+
+async function readNdjson(filePath, mapping) {
+  const records = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+    }
+    records.push(renameFields(record, mapping));
+  }
+  return records;
+}
+
+/**
+ * Разделитель CSV по первой строке файла: самый частый из ; , и табуляции.
+ */
+async function detectSeparator(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const header = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0];
+    return detectSeparatorInLine(header);
+  } finally {
+    await handle.close();
+  }
+}
+
+function detectSeparatorInLine(line) {
+  const counts = CSV_SEPARATORS.map(sep => line.split(sep).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? CSV_SEPARATORS[best] : ',';
+}
+
+/**
+ * Приведение строкового значения CSV к типу поля схемы пациента:
+ * пустая строка -> null, десятичные числа (в том числе "24,5") в числовых полях -> number,
+ * true/false и да/нет в логических полях -> boolean. Остальное (patient_id, категории,
+ * даты, поля вне схемы) остается строкой: "00123" не теряет ведущие нули.
+ * @param {string} value - Значение ячейки.
+ * @param {string} field - Каноническое имя поля (после columnMapping).
+ * @returns {*}
+ */
+function coerceValue(value, field) {
+  const trimmed = value.trim();
+  if (trimmed === '') return null;
+  const rule = PATIENT_SCHEMA.fields[field];
+  const type = rule ? rule.type : 'string';
+  if (type === 'boolean') {
+    const lower = trimmed.toLowerCase();
+    if (TRUE_VALUES.includes(lower)) return true;
+    if (FALSE_VALUES.includes(lower)) return false;
+  }
+  if (type === 'number' && DECIMAL_NUMBER.test(trimmed)) {
+    return Number(trimmed.replace(',', '.'));
+  }
+  return trimmed;
+}
+
+function readCsv(stream, options = {}) {
+  const { columnMapping = {}, ...csvOptions } = options;
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    stream
+      .on('error', reject)
+      .pipe(csv({
+        mapHeaders: ({ header }) => canonicalHeader(header, columnMapping),
+        mapValues: ({ header, value }) => coerceValue(value, header),
+        ...csvOptions
+      }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
   });
 }
 
-module.exports = { loadData };
+/**
+ * Разбор CSV-текста (с заголовком) в массив записей.
+ * @param {string} text - CSV содержимое.
+ * @param {Object} [options] - Опции csv-parser и columnMapping; разделитель по умолчанию
+ *   определяется по строке заголовка.
+ * @returns {Promise<Array<Object>>} - Записи с приведенными типами.
+ */
+function parseCsv(text, options = {}) {
+  const separator = options.separator || detectSeparatorInLine(text.split(/\r?\n/)[0]);
+  return readCsv(Readable.from([text]), { ...options, separator });
+}
+
+module.exports = { loadData, loadColumnMapping, parseCsv, coerceValue, dataShape };
@@ -1,60 +1,70 @@
 // scripts/utils/data_preprocessor.js
+const tf = require('@tensorflow/tfjs-node');
 const dfd = require('danfojs-node');
 const { StandardScaler } = require('danfojs-node');
+const fs = require('fs').promises;
+const path = require('path');
+const Imputer = require('./imputer');
+
+const UNKNOWN_CATEGORY_POLICIES = ['ignore', 'error'];
 
 /**
  * DataPreprocessor - Класс для предобработки данных
- * - One-hot encoding категориальных признаков
+ * - Заполнение пропусков (Imputer, если настроен)
+ * - One-hot encoding по словарям категорий, подобранным на обучающей выборке
+ *   (колонки <column>_<value>), незнакомая категория - нули или ошибка
  * - Нормализация StandardScaler
- * - Сохранение/загрузка scaler для inference
+ * - Сохранение/загрузка всего конвейера (словари, порядок признаков, scaler,
+ *   статистики заполнения): одна запись при inference дает тот же вектор, что и при обучении
  */
 class DataPreprocessor {
-  constructor(featureColumns, targetColumn, scaler = null) {
-    this.featureColumns = featureColumns;
-    this.targetColumn = targetColumn;
-    this.scaler = scaler; // scaler для inference
-    this.fitted = !!scaler; // scaler уже подготовлен?
+  /**
+   * @param {Object} options - { numericColumns, categoricalColumns, targetColumn, unknownCategory, imputer }.
+   *   unknownCategory: 'ignore' (все one-hot колонки поля = 0) или 'error'.
+   */
+  constructor(options = {}) {
+    const unknownCategory = options.unknownCategory || 'ignore';
+    if (!UNKNOWN_CATEGORY_POLICIES.includes(unknownCategory)) {
+      throw new Error(`Unknown unknownCategory policy: ${unknownCategory}. Use one of: ${UNKNOWN_CATEGORY_POLICIES.join(', ')}`);
+    }
+    this.numericColumns = options.numericColumns || [];
+    this.categoricalColumns = options.categoricalColumns || [];
+    this.targetColumn = options.targetColumn || null;
+    this.unknownCategory = unknownCategory;
+    this.imputer = options.imputer || null;
+    this.vocabularies = {}; // { column: [значения категорий] }
+    this.featureColumns = [];
+    this.scaler = null;
+    this.fitted = false;
   }
 
   /**
-   * Основной метод: one-hot кодирование + нормализация.
-   * @param {Array<Object>} rawData - JSON массив или DataFrame.
-   * @returns {Object} {X:tensor, y:tensor, scaler}.
+   * Основной метод: заполнение пропусков + one-hot кодирование + нормализация.
+   * Первый вызов обучает конвейер, последующие только применяют его.
+   * При inference целевая колонка может отсутствовать - тогда y = null.
+   * @param {Array<Object>} rawData - JSON массив записей.
+   * @returns {Object} {X:tensor, y:tensor|null, scaler}.
    */
   async process(rawData) {
-    let df = rawData instanceof dfd.DataFrame ? rawData : new dfd.DataFrame(rawData);
-
-    // 1. One-hot encoding: sex, tumor_stage, surgery_type, neoadjuvant_therapy
-    const categoricalCols = ['sex', 'tumor_stage', 'surgery_type', 'neoadjuvant_therapy'];
-    const colsToEncode = categoricalCols.filter(col => df.columnNames.includes(col));
-    
-    if (colsToEncode.length > 0) {
-      df = df.oneHotEncode({ column: colsToEncode, prefix: colsToEncode });
-    }
+    if (!this.fitted) this.fit(rawData);
 
-    // 2. Выделение X и y
-    const X = df.loc({ columns: this.featureColumns });
-    const y = df.loc({ columns: [this.targetColumn] });
+    const records = this.imputer ? this.imputer.transform(rawData) : rawData;
+    const matrix = records.map(record => this.encodeRecord(record));
+    const X = new dfd.DataFrame(matrix, { columns: this.featureColumns });
 
-    // 3. Нормализация StandardScaler
-    let X_scaled;
-    if (!this.fitted) {
-      // Обучение: fit + transform
-      this.scaler = new StandardScaler();
-      await this.scaler.fit(X);
-      X_scaled = this.scaler.transform(X);
-      this.fitted = true;
-    } else {
-      // Inference: только transform
-      X_scaled = this.scaler.transform(X);
-    }
+    const hasTarget = !!this.targetColumn && rawData.some(record => this.targetColumn in record);
+    const labels = hasTarget
+      ? rawData.map(record => {
+        const value = record[this.targetColumn];
+        return value === true || value === 1 || value === 'true' ? 1 : 0;
+      })
+      : null;
 
-    // 4. Преобразование в тензоры tf
-    const X_tensor = X_scaled.tensor.asType('float32');
-    const y_tensor = y.tensor.cast('bool').cast('float32');
+    // Нормализация StandardScaler
+    const X_tensor = this.scaler.transform(X).tensor.asType('float32');
+    const y_tensor = labels ? tf.tensor2d(labels, [labels.length, 1]) : null;
 
-    console.log(`Preprocessing complete. X shape: [${X_tensor.shape}], y shape: [${y_tensor.shape}]`);
-    console.log(`Fitted scaler: ${this.fitted}`);
+    console.log(`Preprocessing complete. X shape: [${X_tensor.shape}], y shape: [${y_tensor ? y_tensor.shape : '-'}]`);
 
     return {
       X: X_tensor,
@@ -64,30 +74,137 @@ class DataPreprocessor {
   }
 
   /**
-   * Сохранение scaler в JSON.
+   * Обучение конвейера: статистики заполнения, словари категорий, порядок признаков, scaler.
+   * @param {Array<Object>} rawData - Обучающие записи.
+   * @returns {DataPreprocessor}
    */
-  async saveScaler(path) {
-    if (this.scaler && this.fitted) {
-      const scalerJson = JSON.stringify(this.scaler.toJSON());
-      const fs = require('fs').promises;
-      await fs.writeFile(path, scalerJson);
-      console.log(`Scaler saved to ${path}`);
-    } else {
-      console.error('Cannot save scaler: not fitted yet.');
+  fit(rawData) {
+    if (this.imputer) this.imputer.fit(rawData);
+    const records = this.imputer ? this.imputer.transform(rawData) : rawData;
+
+    for (const column of this.categoricalColumns) {
+      const values = records
+        .map(record => record[column])
+        .filter(value => value !== undefined && value !== null)
+        .map(String);
+      this.vocabularies[column] = [...new Set(values)].sort();
     }
+
+    this.featureColumns = [
+      ...this.numericColumns,
+      ...(this.imputer ? this.imputer.indicatorColumns() : []),
+      ...this.categoricalColumns.flatMap(column => this.vocabularies[column].map(value => `${column}_${value}`))
+    ];
+
+    const X = new dfd.DataFrame(records.map(record => this.encodeRecord(record)), { columns: this.featureColumns });
+    this.scaler = new StandardScaler();
+    this.scaler.fit(X);
+    // Константная колонка дает std = 0 -> деление на ноль
+    const safeStd = tf.where(this.scaler.$std.equal(0), tf.onesLike(this.scaler.$std), this.scaler.$std);
+    this.scaler.$std.dispose();
+    this.scaler.$std = safeStd;
+    this.fitted = true;
+
+    console.log(`Fitted preprocessor: ${this.featureColumns.length} features`);
+    return this;
   }
 
   /**
-   * Загрузка scaler из JSON.
+   * Вектор признаков записи (до нормализации) в порядке featureColumns.
+   * @param {Object} record - Запись после заполнения пропусков.
+   * @returns {Array<number>}
    */
-  static async loadScaler(path) {
-    const fs = require('fs').promises;
-    const jsonStr = await fs.readFile(path, 'utf8');
-    const scalerJson = JSON.parse(jsonStr);
-    const scaler = new StandardScaler();
-    scaler.fromJSON(scalerJson);
-    return new DataPreprocessor(null, null, scaler);
+  encodeRecord(record) {
+    const numeric = this.numericColumns.map(column => {
+      const value = Number(record[column]);
+      if (record[column] === null || record[column] === undefined || !Number.isFinite(value)) {
+        throw new Error(`Feature ${column} must be a number, got ${record[column]}`);
+      }
+      return value;
+    });
+    const indicators = (this.imputer ? this.imputer.indicatorColumns() : []).map(column => record[column]);
+
+    const oneHot = this.categoricalColumns.flatMap(column => {
+      const vocabulary = this.vocabularies[column];
+      const value = record[column];
+      const code = value === undefined || value === null ? -1 : vocabulary.indexOf(String(value));
+      if (code === -1 && value !== undefined && value !== null && this.unknownCategory === 'error') {
+        throw new Error(`Unknown category for ${column}: ${value}. Known: ${vocabulary.join(', ')}`);
+      }
+      return vocabulary.map((_, i) => (i === code ? 1 : 0));
+    });
+
+    return [...numeric, ...indicators, ...oneHot];
+  }
+
+  /**
+   * Исходное поле записи для признака (tumor_stage_IIIA -> tumor_stage, bmi_missing -> bmi).
+   * @param {string} featureColumn - Имя колонки из featureColumns.
+   * @returns {string} - Имя поля в сырых данных.
+   */
+  sourceField(featureColumn) {
+    if (this.imputer && this.imputer.indicatorColumns().includes(featureColumn)) {
+      return featureColumn.slice(0, -Imputer.INDICATOR_SUFFIX.length);
+    }
+    const source = this.categoricalColumns.find(column =>
+      (this.vocabularies[column] || []).some(value => featureColumn === `${column}_${value}`)
+    );
+    return source || featureColumn;
+  }
+
+  toJSON() {
+    return {
+      numericColumns: this.numericColumns,
+      categoricalColumns: this.categoricalColumns,
+      unknownCategory: this.unknownCategory,
+      vocabularies: this.vocabularies,
+      featureColumns: this.featureColumns,
+      mean: this.scaler.$mean.arraySync(),
+      std: this.scaler.$std.arraySync(),
+      imputer: this.imputer ? this.imputer.toJSON() : null
+    };
+  }
+
+  static fromJSON(json) {
+    const preprocessor = new DataPreprocessor({
+      numericColumns: json.numericColumns,
+      categoricalColumns: json.categoricalColumns,
+      unknownCategory: json.unknownCategory,
+      imputer: json.imputer ? Imputer.fromJSON(json.imputer) : null
+    });
+    preprocessor.vocabularies = json.vocabularies;
+    preprocessor.featureColumns = json.featureColumns;
+    preprocessor.scaler = new StandardScaler();
+    preprocessor.scaler.$mean = tf.tensor1d(json.mean);
+    preprocessor.scaler.$std = tf.tensor1d(json.std);
+    preprocessor.fitted = true;
+    return preprocessor;
+  }
+
+  /**
+   * Сохранение обученного конвейера в JSON.
+   * @param {string} filePath - Путь к preprocessor.json.
+   */
+  async save(filePath) {
+    if (!this.fitted) {
+      throw new Error('Cannot save preprocessor: not fitted yet.');
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON()));
+    console.log(`Preprocessor saved to ${filePath}`);
+  }
+
+  /**
+   * Загрузка обученного конвейера из JSON (для inference, без целевой колонки).
+   * @param {string} filePath - Путь к preprocessor.json.
+   * @returns {DataPreprocessor}
+   */
+  static async load(filePath) {
+    const json = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return DataPreprocessor.fromJSON(json);
   }
 }
 
+DataPreprocessor.UNKNOWN_CATEGORY_POLICIES = UNKNOWN_CATEGORY_POLICIES;
+
 module.exports = DataPreprocessor;
@@ -0,0 +1,283 @@
+// scripts/utils/imputer.js
+
+// Суффикс индикаторов пропуска: bmi -> bmi_missing
+const INDICATOR_SUFFIX = '_missing';
+const STRATEGIES = ['median', 'mean', 'mode', 'constant', 'knn'];
+// Опорный набор knn: aggregated - центроиды групп пациентов, rows - каждая обучающая строка
+const KNN_REFERENCES = ['aggregated', 'rows'];
+const DEFAULT_GROUP_SIZE = 5;
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'number' && Number.isNaN(value));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function weightedMean(values, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  return values.reduce((sum, v, i) => sum + v * weights[i], 0) / total;
+}
+
+function mode(values, weights = null) {
+  const counts = new Map();
+  values.forEach((v, i) => counts.set(v, (counts.get(v) || 0) + (weights ? weights[i] : 1)));
+  let best = values[0];
+  counts.forEach((count, value) => {
+    if (count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+// Евклидово расстояние по признакам, известным в обеих записях, нормированное на их число
+function distance(a, b) {
+  let sum = 0;
+  let used = 0;
+  a.forEach((v, i) => {
+    if (v === null || b[i] === null) return;
+    sum += (v - b[i]) ** 2;
+    used++;
+  });
+  return used ? Math.sqrt(sum * a.length / used) : Infinity;
+}
+
+/**
+ * Imputer - Заполнение пропусков в сырых записях до one-hot и нормализации
+ * - Стратегия на колонку: median, mean, mode, constant или knn
+ * - knn: среднее (для категорий - мода) k ближайших обучающих записей
+ *   по стандартизованным признакам features; пропуски в признаках не учитываются.
+ *   Опорный набор сохраняется в preprocessor.json: по умолчанию это центроиды групп
+ *   не менее чем из groupSize пациентов (микроагрегация MDAV), строки пациентов
+ *   (квази-идентификаторы) - только при reference: 'rows'
+ * - Опциональные индикаторы пропуска (<column>_missing = 0/1) как доп. признаки
+ * - Статистики обучаются только на обучающей выборке и сохраняются вместе со scaler
+ */
+class Imputer {
+  /**
+   * @param {Object} columns - { column: { strategy, value?, k?, features?, reference?, groupSize? } } (IMPUTATION.columns).
+   * @param {Object} [options] - { indicators: добавлять <column>_missing }.
+   */
+  constructor(columns, options = {}) {
+    for (const [column, spec] of Object.entries(columns)) {
+      if (!STRATEGIES.includes(spec.strategy)) {
+        throw new Error(`Unknown imputation strategy for ${column}: ${spec.strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+      }
+      if (spec.strategy === 'constant' && spec.value === undefined) {
+        throw new Error(`Imputation strategy "constant" for ${column} requires a value`);
+      }
+      if (spec.strategy === 'knn' && !(spec.features && spec.features.length)) {
+        throw new Error(`Imputation strategy "knn" for ${column} requires features`);
+      }
+      if (spec.strategy === 'knn' && spec.reference !== undefined && !KNN_REFERENCES.includes(spec.reference)) {
+        throw new Error(`Unknown knn reference for ${column}: ${spec.reference}. Use one of: ${KNN_REFERENCES.join(', ')}`);
+      }
+    }
+    this.columns = columns;
+    this.indicators = !!options.indicators;
+    this.statistics = {};
+    this.fitted = false;
+  }
+
+  /**
+   * Imputer по секции IMPUTATION конфига.
+   * @returns {Imputer|null} - null, если ни одна колонка не настроена.
+   */
+  static fromConfig(imputationConfig) {
+    const columns = (imputationConfig && imputationConfig.columns) || {};
+    if (Object.keys(columns).length === 0) return null;
+    return new Imputer(columns, { indicators: imputationConfig.indicators });
+  }
+
+  /**
+   * Колонки индикаторов пропуска (пусто, если индикаторы выключены).
+   */
+  indicatorColumns() {
+    return this.indicators ? Object.keys(this.columns).map(col => `${col}${INDICATOR_SUFFIX}`) : [];
+  }
+
+  /**
+   * Статистики заполнения по обучающим записям.
+   * @param {Array<Object>} records - Сырые записи.
+   * @returns {Imputer}
+   */
+  fit(records) {
+    for (const [column, spec] of Object.entries(this.columns)) {
+      const observed = records.filter(r => !isMissing(r[column]));
+      const values = observed.map(r => r[column]);
+      if (values.length === 0 && spec.strategy !== 'constant') {
+        throw new Error(`Cannot fit imputation for ${column}: no observed values`);
+      }
+      const numeric = values.every(v => typeof v === 'number');
+      // Запасное значение для knn без соседей
+      const fallback = numeric ? median(values) : mode(values);
+
+      switch (spec.strategy) {
+        case 'median':
+          this.statistics[column] = { value: numeric ? median(values) : mode(values) };
+          break;
+        case 'mean':
+          this.statistics[column] = { value: numeric ? mean(values) : mode(values) };
+          break;
+        case 'mode':
+          this.statistics[column] = { value: mode(values) };
+          break;
+        case 'constant':
+          this.statistics[column] = { value: spec.value };
+          break;
+        case 'knn':
+          this.statistics[column] = Imputer.fitNeighbours(observed, column, spec, fallback);
+          break;
+      }
+    }
+    this.fitted = true;
+    return this;
+  }
+
+  /**
+   * Опорный набор knn: стандартизованные признаки и значение колонки,
+   * для aggregated - центроиды групп с числом пациентов n.
+   */
+  static fitNeighbours(observed, column, spec, fallback) {
+    const scaling = spec.features.map(feature => {
+      const values = observed.map(r => r[feature]).filter(v => typeof v === 'number');
+      const m = values.length ? mean(values) : 0;
+      const std = values.length ? Math.sqrt(mean(values.map(v => (v - m) ** 2))) : 0;
+      return { mean: m, std: std || 1 };
+    });
+    const numeric = typeof fallback === 'number';
+    const rows = observed.map(r => ({
+      x: spec.features.map((feature, i) => Imputer.scaleFeature(r[feature], scaling[i])),
+      value: r[column]
+    }));
+    return {
+      value: fallback,
+      numeric,
+      scaling,
+      reference: spec.reference === 'rows'
+        ? rows
+        : Imputer.aggregateReference(rows, spec.groupSize || DEFAULT_GROUP_SIZE, numeric)
+    };
+  }
+
+  /**
+   * Микроагрегация MDAV: группы не менее чем из groupSize ближайших записей,
+   * каждая заменяется центроидом признаков и средним (для категорий - модой) значения.
+   * @param {Array<Object>} rows - [{ x, value }].
+   * @returns {Array<Object>} - [{ x, value, n }].
+   */
+  static aggregateReference(rows, groupSize, numeric) {
+    const centroid = group => group[0].x.map((_, i) => {
+      const values = group.map(r => r.x[i]).filter(v => v !== null);
+      return values.length ? mean(values) : null;
+    });
+    // Группа: запись, самая далекая от center, и ее groupSize - 1 ближайших
+    const takeGroup = (remaining, center) => {
+      const far = remaining.reduce((best, r) => (distance(r.x, center) > distance(best.x, center) ? r : best));
+      const group = remaining
+        .map(r => ({ r, d: distance(r.x, far.x) }))
+        .sort((a, b) => (a.d === b.d ? 0 : a.d - b.d))
+        .slice(0, groupSize)
+        .map(({ r }) => r);
+      return { far, group, rest: remaining.filter(r => !group.includes(r)) };
+    };
+
+    const groups = [];
+    let remaining = rows;
+    while (remaining.length >= 3 * groupSize) {
+      const first = takeGroup(remaining, centroid(remaining));
+      const second = takeGroup(first.rest, first.far.x);
+      groups.push(first.group, second.group);
+      remaining = second.rest;
+    }
+    if (remaining.length >= 2 * groupSize) {
+      const last = takeGroup(remaining, centroid(remaining));
+      groups.push(last.group);
+      remaining = last.rest;
+    }
+    if (remaining.length > 0) groups.push(remaining);
+
+    return groups.map(group => {
+      const values = group.map(r => r.value);
+      return { x: centroid(group), value: numeric ? mean(values) : mode(values), n: group.length };
+    });
+  }
+
+  static scaleFeature(value, { mean: m, std }) {
+    return typeof value === 'number' && Number.isFinite(value) ? (value - m) / std : null;
+  }
+
+  /**
+   * Заполнение пропусков (+ индикаторы). Исходные записи не изменяются.
+   * @param {Array<Object>} records - Сырые записи.
+   * @returns {Array<Object>} - Записи без пропусков в настроенных колонках.
+   */
+  transform(records) {
+    if (!this.fitted) {
+      throw new Error('Imputer is not fitted yet.');
+    }
+    return records.map(record => {
+      const filled = { ...record };
+      for (const [column, spec] of Object.entries(this.columns)) {
+        const missing = isMissing(record[column]);
+        if (missing) {
+          filled[column] = spec.strategy === 'knn'
+            ? this.nearestValue(record, spec, this.statistics[column])
+            : this.statistics[column].value;
+        }
+        if (this.indicators) {
+          filled[`${column}${INDICATOR_SUFFIX}`] = missing ? 1 : 0;
+        }
+      }
+      return filled;
+    });
+  }
+
+  nearestValue(record, spec, stats) {
+    const x = spec.features.map((feature, i) => Imputer.scaleFeature(record[feature], stats.scaling[i]));
+    if (x.every(v => v === null)) return stats.value;
+
+    const sorted = stats.reference
+      .map(ref => ({ distance: distance(x, ref.x), value: ref.value, n: ref.n || 1 }))
+      .filter(n => Number.isFinite(n.distance))
+      .sort((a, b) => a.distance - b.distance);
+
+    // Ближайшие опорные записи, пока они не покрывают k пациентов (центроид группы - n пациентов)
+    const k = spec.k || 5;
+    const neighbours = [];
+    let covered = 0;
+    for (const neighbour of sorted) {
+      if (covered >= k) break;
+      neighbours.push(neighbour);
+      covered += neighbour.n;
+    }
+
+    if (neighbours.length === 0) return stats.value;
+    const values = neighbours.map(n => n.value);
+    const weights = neighbours.map(n => n.n);
+    return stats.numeric ? weightedMean(values, weights) : mode(values, weights);
+  }
+
+  toJSON() {
+    return { columns: this.columns, indicators: this.indicators, statistics: this.statistics };
+  }
+
+  static fromJSON(json) {
+    const imputer = new Imputer(json.columns, { indicators: json.indicators });
+    imputer.statistics = json.statistics;
+    imputer.fitted = true;
+    return imputer;
+  }
+}
+
+Imputer.INDICATOR_SUFFIX = INDICATOR_SUFFIX;
+Imputer.STRATEGIES = STRATEGIES;
+Imputer.KNN_REFERENCES = KNN_REFERENCES;
+
+module.exports = Imputer;
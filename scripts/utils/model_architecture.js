@@ -56,6 +56,67 @@ class ModelArchitecture {
     return model;
   }
 
+  /**
+   * Multi-output модель: общий стек скрытых слоев + отдельная голова на каждую цель.
+   * - classification: 1 нейрон, sigmoid, binaryCrossentropy (или config.loss, например focal loss)
+   * - regression: 1 нейрон, linear, meanSquaredError
+   * @param {Object} config - Конфиг с inputSize, layers (последний слой заменяется головами), loss.
+   * @param {Array<Object>} targets - TARGETS из model_config.js.
+   * @returns {tf.LayersModel} - Скомпилированная модель с выходами в порядке targets.
+   */
+  static createMultiTargetModel(config, targets) {
+    const input = tf.input({ shape: [config.inputSize] });
+
+    // Общие скрытые слои (все, кроме выходного)
+    let hidden = input;
+    for (let i = 0; i < config.layers.length - 1; i++) {
+      hidden = tf.layers.dense({
+        units: config.layers[i].units,
+        activation: config.layers[i].activation
+      }).apply(hidden);
+
+      if (config.layers[i].dropout) {
+        hidden = tf.layers.dropout({ rate: config.layers[i].dropout }).apply(hidden);
+      }
+    }
+
+    const outputs = targets.map(target => tf.layers.dense({
+      units: 1,
+      activation: target.task === 'classification' ? 'sigmoid' : 'linear',
+      name: target.column
+    }).apply(hidden));
+
+    const model = tf.model({ inputs: input, outputs });
+
+    const loss = {};
+    const metrics = {};
+    targets.forEach(target => {
+      loss[target.column] = target.task === 'classification' ? config.loss || 'binaryCrossentropy' : 'meanSquaredError';
+      metrics[target.column] = target.task === 'classification' ? ['accuracy'] : ['mae'];
+    });
+
+    model.compile({
+      optimizer: config.optimizer || 'adam',
+      loss,
+      metrics
+    });
+
+    console.log(`Multi-target model created and compiled (${targets.map(t => `${t.column}:${t.task}`).join(', ')}).`);
+    return model;
+  }
+
+  /**
+   * Подмодель с одним выходом (веса общие с исходной моделью).
+   * Для single-output модели возвращает ее же.
+   * @param {tf.LayersModel} model - Модель.
+   * @param {number} index - Индекс выхода.
+   * @returns {tf.LayersModel}
+   */
+  static outputModel(model, index) {
+    if (model.outputs.length === 1) return model;
+    return tf.model({ inputs: model.inputs, outputs: model.outputs[index] });
+  }
+
   /**
    * Загрузка сохраненной модели.
    * @param {string} path - Путь к модели, например file://./models/saved_model.
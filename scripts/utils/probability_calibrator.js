@@ -0,0 +1,182 @@
+// scripts/utils/probability_calibrator.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const EPS = 1e-7;
+
+/**
+ * ProbabilityCalibrator - Пост-калибровка вероятностей модели
+ * - Platt scaling: sigmoid(a * logit(p) + b)
+ * - Isotonic regression (pool adjacent violators)
+ * - Сохранение/загрузка рядом со scaler для inference
+ */
+class ProbabilityCalibrator {
+  /**
+   * @param {string} method - 'platt' или 'isotonic'.
+   * @param {Object} [params] - Параметры уже обученного калибратора.
+   */
+  constructor(method = 'platt', params = null) {
+    if (!['platt', 'isotonic'].includes(method)) {
+      throw new Error(`Unknown calibration method: ${method}`);
+    }
+    this.method = method;
+    this.params = params;
+    this.fitted = !!params;
+  }
+
+  /**
+   * Обучение калибратора на отложенных предсказаниях.
+   * @param {Array<number>} probs - Вероятности модели.
+   * @param {Array<number>} labels - Истинные метки 0/1.
+   * @returns {ProbabilityCalibrator}
+   */
+  fit(probs, rawLabels) {
+    const labels = rawLabels.map(l => (l ? 1 : 0));
+    if (this.method === 'platt') {
+      // Сглаженные цели Платта уменьшают переобучение на малых выборках
+      const nPos = labels.filter(l => l === 1).length;
+      const nNeg = labels.length - nPos;
+      const hi = (nPos + 1) / (nPos + 2);
+      const lo = 1 / (nNeg + 2);
+      const targets = labels.map(l => (l === 1 ? hi : lo));
+      const { intercept, slope } = ProbabilityCalibrator.fitLogistic(probs.map(logit), targets);
+      this.params = { a: slope, b: intercept };
+    } else {
+      this.params = ProbabilityCalibrator.fitIsotonic(probs, labels);
+    }
+    this.fitted = true;
+    return this;
+  }
+
+  /**
+   * Применение калибровки.
+   * @param {Array<number>} probs - Вероятности модели.
+   * @returns {Array<number>} - Откалиброванные вероятности.
+   */
+  transform(probs) {
+    if (!this.fitted) {
+      throw new Error('Calibrator is not fitted yet.');
+    }
+    if (this.method === 'platt') {
+      const { a, b } = this.params;
+      return probs.map(p => sigmoid(a * logit(p) + b));
+    }
+    return probs.map(p => interpolate(this.params.x, this.params.y, p));
+  }
+
+  toJSON() {
+    return { method: this.method, params: this.params };
+  }
+
+  static fromJSON(json) {
+    return new ProbabilityCalibrator(json.method, json.params);
+  }
+
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+    console.log(`Calibrator saved to ${filePath}`);
+  }
+
+  static async load(filePath) {
+    const json = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return ProbabilityCalibrator.fromJSON(json);
+  }
+
+  /**
+   * Одномерная логистическая регрессия y ~ sigmoid(intercept + slope * x)
+   * методом Ньютона-Рафсона. Допускает "мягкие" цели в [0, 1].
+   * @returns {Object} - { intercept, slope }.
+   */
+  static fitLogistic(x, y, maxIter = 100) {
+    let b0 = 0;
+    let b1 = 1;
+    for (let iter = 0; iter < maxIter; iter++) {
+      let g0 = 0, g1 = 0, h00 = 0, h01 = 0, h11 = 0;
+      for (let i = 0; i < x.length; i++) {
+        const p = sigmoid(b0 + b1 * x[i]);
+        const w = Math.max(p * (1 - p), EPS);
+        g0 += y[i] - p;
+        g1 += (y[i] - p) * x[i];
+        h00 += w;
+        h01 += w * x[i];
+        h11 += w * x[i] * x[i];
+      }
+      // Небольшая регуляризация на случай вырожденных данных
+      h00 += EPS;
+      h11 += EPS;
+      const det = h00 * h11 - h01 * h01;
+      if (Math.abs(det) < 1e-12) break;
+      const d0 = (h11 * g0 - h01 * g1) / det;
+      const d1 = (h00 * g1 - h01 * g0) / det;
+      b0 += d0;
+      b1 += d1;
+      if (Math.abs(d0) < 1e-8 && Math.abs(d1) < 1e-8) break;
+    }
+    return { intercept: b0, slope: b1 };
+  }
+
+  /**
+   * Isotonic regression (PAV): неубывающая ступенчатая функция p -> частота.
+   * @returns {Object} - { x: узлы по вероятности, y: откалиброванные значения }.
+   */
+  static fitIsotonic(probs, labels) {
+    const pairs = probs
+      .map((p, i) => ({ p, y: labels[i] }))
+      .sort((a, b) => a.p - b.p);
+
+    // Блоки: { sum, weight, minP, maxP }
+    const blocks = [];
+    for (const { p, y } of pairs) {
+      blocks.push({ sum: y, weight: 1, minP: p, maxP: p });
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const prev = blocks[blocks.length - 2];
+        if (prev.sum / prev.weight <= last.sum / last.weight) break;
+        blocks.splice(blocks.length - 2, 2, {
+          sum: prev.sum + last.sum,
+          weight: prev.weight + last.weight,
+          minP: prev.minP,
+          maxP: last.maxP
+        });
+      }
+    }
+
+    const x = [];
+    const y = [];
+    for (const block of blocks) {
+      const value = block.sum / block.weight;
+      x.push(block.minP);
+      y.push(value);
+      if (block.maxP !== block.minP) {
+        x.push(block.maxP);
+        y.push(value);
+      }
+    }
+    return { x, y };
+  }
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function logit(p) {
+  const clipped = Math.min(Math.max(p, EPS), 1 - EPS);
+  return Math.log(clipped / (1 - clipped));
+}
+
+// Линейная интерполяция по узлам isotonic, за пределами - крайние значения
+function interpolate(xs, ys, value) {
+  if (value <= xs[0]) return ys[0];
+  if (value >= xs[xs.length - 1]) return ys[ys.length - 1];
+  const hi = xs.findIndex(x => x >= value);
+  const lo = hi - 1;
+  if (xs[hi] === xs[lo]) return ys[hi];
+  const t = (value - xs[lo]) / (xs[hi] - xs[lo]);
+  return ys[lo] + t * (ys[hi] - ys[lo]);
+}
+
+ProbabilityCalibrator.logit = logit;
+
+module.exports = ProbabilityCalibrator;
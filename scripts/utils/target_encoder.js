@@ -0,0 +1,101 @@
+// scripts/utils/target_encoder.js
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * TargetEncoder - Целевые переменные для multi-target обучения
+ * - classification: 0/1 (boolean -> number)
+ * - regression: стандартизация (mean/std по обучающей выборке),
+ *   чтобы MSE не доминировал над binaryCrossentropy в общей функции потерь
+ * - Сохранение/загрузка вместе с моделью для обратного преобразования при inference
+ */
+class TargetEncoder {
+  /**
+   * @param {Array<Object>} targets - TARGETS из model_config.js: [{ column, task }].
+   * @param {Object} [scaling] - { column: { mean, std } } для регрессионных целей.
+   */
+  constructor(targets, scaling = null) {
+    this.targets = targets;
+    this.scaling = scaling || {};
+    this.fitted = !!scaling;
+  }
+
+  /**
+   * Параметры стандартизации регрессионных целей.
+   * @param {Array<Object>} records - Сырые записи обучающей выборки.
+   * @returns {TargetEncoder}
+   */
+  fit(records) {
+    for (const target of this.targets.filter(t => t.task === 'regression')) {
+      const values = records.map(r => Number(r[target.column]));
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+      this.scaling[target.column] = { mean, std: Math.sqrt(variance) || 1 };
+    }
+    this.fitted = true;
+    return this;
+  }
+
+  /**
+   * Тензоры целей [n, 1] в порядке TARGETS (для model.fit).
+   * @param {Array<Object>} records - Сырые записи.
+   * @returns {Array<tf.Tensor2D>}
+   */
+  transform(records) {
+    if (!this.fitted) {
+      throw new Error('TargetEncoder is not fitted yet.');
+    }
+    return this.targets.map(target => {
+      const values = records.map(r => this.encodeValue(target, r[target.column]));
+      return tf.tensor2d(values, [values.length, 1]);
+    });
+  }
+
+  encodeValue(target, value) {
+    if (target.task === 'classification') {
+      return value === true || value === 1 || value === 'true' ? 1 : 0;
+    }
+    const { mean, std } = this.scaling[target.column];
+    return (Number(value) - mean) / std;
+  }
+
+  /**
+   * Обратное преобразование выхода регрессионной головы в исходные единицы.
+   * @param {Object} target - Элемент TARGETS.
+   * @param {Array<number>} values - Выход модели.
+   * @returns {Array<number>}
+   */
+  decode(target, values) {
+    if (target.task !== 'regression') return values;
+    const { mean, std } = this.scaling[target.column];
+    return values.map(v => v * std + mean);
+  }
+
+  /**
+   * Индекс первой классификационной цели (риск осложнений).
+   */
+  classificationIndex() {
+    return this.targets.findIndex(t => t.task === 'classification');
+  }
+
+  toJSON() {
+    return { targets: this.targets, scaling: this.scaling };
+  }
+
+  static fromJSON(json) {
+    return new TargetEncoder(json.targets, json.scaling);
+  }
+
+  async save(filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+    console.log(`Target encoder saved to ${filePath}`);
+  }
+
+  static async load(filePath) {
+    return TargetEncoder.fromJSON(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  }
+}
+
+module.exports = TargetEncoder;
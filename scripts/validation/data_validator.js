@@ -1,8 +1,19 @@
 // scripts/validation/data_validator.js
-const REQUIRED_COLUMNS = [
-  'age', 'sex', 'bmi', 'tumor_stage', 'surgery_type', 'operation_time_min',
-  'blood_loss_ml', 'complications', 'neoadjuvant_therapy', 'lymph_nodes_removed'
-];
+const fs = require('fs').promises;
+const path = require('path');
+const { PATIENT_SCHEMA, isPresent } = require('./patient_schema');
+const config = require('../config/model_config');
+
+// Колонки с заполнением пропусков (IMPUTATION) могут отсутствовать
+const IMPUTED_COLUMNS = Object.keys((config.IMPUTATION && config.IMPUTATION.columns) || {});
+
+// Поля, обязательные для обучения (из схемы)
+const REQUIRED_COLUMNS = Object.entries(PATIENT_SCHEMA.fields)
+  .filter(([field, rule]) => (rule.required || []).includes('training') && !IMPUTED_COLUMNS.includes(field))
+  .map(([field]) => field);
+
+// Политики обработки невалидных строк при обучении
+const VALIDATION_POLICIES = ['fail', 'drop', 'quarantine'];
 
 function validateDataStructure(data) {
   if (!Array.isArray(data) || data.length === 0) {
@@ -14,13 +25,175 @@ function validateDataStructure(data) {
     if (!(col in firstRow)) {
       throw new Error(`Missing required column: ${col}`);
     }
-    // Проверка типа (можно расширить)
-    if (col === 'age' && typeof firstRow[col] !== 'number') {
-       throw new Error(`Column ${col} must be a number, got ${typeof firstRow[col]} for row 0.`);
-    }
   }
 
   console.log('Data structure validation passed.');
 }
 
-module.exports = { validateDataStructure, REQUIRED_COLUMNS };
+function typeMatches(value, type) {
+  if (type === 'enum') return typeof value === 'string';
+  return typeof value === type && (type !== 'number' || Number.isFinite(value));
+}
+
+function describeRange(rule) {
+  if (rule.min !== undefined && rule.max !== undefined) return `between ${rule.min} and ${rule.max}`;
+  if (rule.min !== undefined) return `>= ${rule.min}`;
+  return `<= ${rule.max}`;
+}
+
+/**
+ * Проверка одного значения по правилу схемы.
+ * @returns {string|null} - Причина ошибки или null.
+ */
+function checkValue(value, rule) {
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  if (!types.some(type => typeMatches(value, type))) {
+    return rule.type === 'enum'
+      ? `must be one of: ${rule.values.join(', ')}`
+      : `must be of type ${types.join(' or ')}`;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return `must be one of: ${rule.values.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.integer && !Number.isInteger(value)) {
+      return 'must be an integer';
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      return `must be a number ${describeRange(rule)}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Проверка записи пациента по схеме. Неизвестные поля не проверяются,
+ * пропуск в колонке из IMPUTATION допустим (значение заполнит Imputer).
+ * @param {Object} record - Запись пациента.
+ * @param {string} [context] - 'training' или 'prediction' (какие поля обязательны).
+ * @param {Object} [schema] - Схема (по умолчанию PATIENT_SCHEMA).
+ * @returns {Array<Object>} - [{ field, reason }], пусто для валидной записи.
+ */
+function validateRecord(record, context = 'training', schema = PATIENT_SCHEMA) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, reason: 'record must be an object' }];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = record[field];
+    if (!isPresent(value)) {
+      if ((rule.required || []).includes(context) && !IMPUTED_COLUMNS.includes(field)) {
+        errors.push({ field, reason: 'is required' });
+      }
+      continue;
+    }
+
+    const reason = checkValue(value, rule);
+    if (reason) errors.push({ field, reason });
+  }
+
+  // Межполевые правила - только если сами поля корректны
+  const invalidFields = new Set(errors.map(e => e.field));
+  for (const rule of schema.rules || []) {
+    if (invalidFields.has(rule.field)) continue;
+    const reason = rule.check(record);
+    if (reason) errors.push({ field: rule.field, reason, rule: rule.name });
+  }
+
+  return errors;
+}
+
+/**
+ * Проверка всех строк набора данных.
+ * @param {Array<Object>} records - Записи.
+ * @param {string} [context] - 'training' или 'prediction'.
+ * @returns {Object} - { total, valid, invalid, validIndices, errors: [{ row, patient_id, field, reason }] }.
+ */
+function validateRecords(records, context = 'training') {
+  const errors = [];
+  const validIndices = [];
+
+  records.forEach((record, row) => {
+    const recordErrors = validateRecord(record, context);
+    if (recordErrors.length === 0) {
+      validIndices.push(row);
+      return;
+    }
+    const patientId = record && isPresent(record.patient_id) ? record.patient_id : null;
+    recordErrors.forEach(error => errors.push({ row, patient_id: patientId, ...error }));
+  });
+
+  return {
+    total: records.length,
+    valid: validIndices.length,
+    invalid: records.length - validIndices.length,
+    validIndices,
+    errors
+  };
+}
+
+/**
+ * Проверка набора данных для обучения и обработка невалидных строк.
+ * - fail: исключение с отчетом (error.report)
+ * - drop: невалидные строки отбрасываются
+ * - quarantine: как drop, но строки и причины сохраняются в quarantinePath
+ * @param {Array<Object>} records - Сырые записи.
+ * @param {Object} [options] - { policy, quarantinePath }.
+ * @returns {Object} - { records: валидные записи, report }.
+ */
+async function validateDataset(records, options = {}) {
+  const policy = options.policy || 'fail';
+  if (!VALIDATION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown validation policy: ${policy}. Use one of: ${VALIDATION_POLICIES.join(', ')}`);
+  }
+
+  validateDataStructure(records);
+  const report = validateRecords(records, 'training');
+
+  if (report.invalid > 0) {
+    console.warn(`⚠️  ${report.invalid} of ${report.total} rows failed validation:`);
+    report.errors.slice(0, 20).forEach(e => {
+      console.warn(`  row ${e.row} (${e.patient_id ?? '-'}): ${e.field} ${e.reason}`);
+    });
+    if (report.errors.length > 20) {
+      console.warn(`  ... and ${report.errors.length - 20} more`);
+    }
+  }
+
+  if (report.invalid > 0 && policy === 'fail') {
+    const error = new Error(`Data validation failed: ${report.invalid} of ${report.total} rows are invalid.`);
+    error.report = report;
+    throw error;
+  }
+
+  if (report.invalid > 0 && policy === 'quarantine') {
+    const valid = new Set(report.validIndices);
+    const quarantined = records
+      .map((record, row) => ({ row, record, errors: report.errors.filter(e => e.row === row) }))
+      .filter(entry => !valid.has(entry.row));
+    await fs.mkdir(path.dirname(options.quarantinePath), { recursive: true });
+    await fs.writeFile(options.quarantinePath, JSON.stringify(quarantined, null, 2));
+    console.warn(`Quarantined ${quarantined.length} rows to ${options.quarantinePath}`);
+  }
+
+  if (report.valid === 0) {
+    throw new Error('Data validation failed: no valid rows left.');
+  }
+
+  console.log(`Row validation: ${report.valid} of ${report.total} rows valid (policy: ${policy}).`);
+  return { records: report.validIndices.map(i => records[i]), report };
+}
+
+module.exports = {
+  validateDataStructure,
+  validateRecord,
+  validateRecords,
+  validateDataset,
+  REQUIRED_COLUMNS,
+  IMPUTED_COLUMNS,
+  VALIDATION_POLICIES
+};
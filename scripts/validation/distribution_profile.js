@@ -0,0 +1,196 @@
+// scripts/validation/distribution_profile.js
+const fs = require('fs').promises;
+const path = require('path');
+const { quantile, invertMatrix } = require('../metrics/statistics');
+const { isPresent } = require('./patient_schema');
+
+// Перцентили расстояний обучающей выборки (0, 1, ..., 100) для оценки перцентиля нового пациента
+const DISTANCE_GRID = Array.from({ length: 101 }, (_, i) => i / 100);
+
+/**
+ * DistributionProfile - Профиль обучающей выборки для предупреждений о выходе за ее пределы
+ * - Числовые поля: диапазон значений обучающей выборки (patient_schema проверяет только
+ *   физиологически возможные значения, профиль - значения, на которых модель обучалась)
+ * - Категориальные поля: частоты категорий (незнакомая или редкая категория - флаг)
+ * - Расстояние Махаланобиса до центра обучающей выборки по признакам после DataPreprocessor
+ *   (one-hot + StandardScaler); порог - перцентиль расстояний самой обучающей выборки
+ * Сохраняется в profile.json версии модели рядом с preprocessor.json.
+ */
+class DistributionProfile {
+  /**
+   * @param {Object} [options] - OUT_OF_DISTRIBUTION из model_config.js:
+   *   { rareCategoryFrequency, distanceQuantile, ridge }.
+   */
+  constructor(options = {}) {
+    this.rareCategoryFrequency = options.rareCategoryFrequency ?? 0.02;
+    this.distanceQuantile = options.distanceQuantile ?? 0.99;
+    this.ridge = options.ridge ?? 0.01;
+    this.numeric = {}; // { column: { min, max } }
+    this.categorical = {}; // { column: { value: доля } }
+    this.featureColumns = [];
+    this.center = null;
+    this.inverseCovariance = null;
+    this.distanceQuantiles = null;
+    this.nRecords = 0;
+    this.fitted = false;
+  }
+
+  /**
+   * Профиль по обучающим записям.
+   * @param {Array<Object>} records - Сырые записи обучающей выборки.
+   * @param {DataPreprocessor} preprocessor - Обученный конвейер предобработки модели.
+   * @returns {DistributionProfile}
+   */
+  async fit(records, preprocessor) {
+    for (const column of preprocessor.numericColumns) {
+      const values = records.map(r => r[column]).filter(isPresent).map(Number).filter(Number.isFinite);
+      // Колонка без значений (все пропущены) не задает диапазон: иначе min/max = Infinity/-Infinity и флаг на любое значение
+      if (values.length === 0) continue;
+      this.numeric[column] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+    for (const column of preprocessor.categoricalColumns) {
+      const values = records.map(r => r[column]).filter(isPresent).map(String);
+      this.categorical[column] = {};
+      values.forEach(value => {
+        this.categorical[column][value] = (this.categorical[column][value] || 0) + 1 / values.length;
+      });
+    }
+
+    const { X } = await preprocessor.process(records);
+    const rows = X.arraySync();
+    X.dispose();
+
+    // Ковариация признаков с добавкой к диагонали: one-hot колонки одного поля линейно зависимы
+    const n = rows.length;
+    const p = rows[0].length;
+    this.featureColumns = preprocessor.featureColumns;
+    this.center = Array.from({ length: p }, (_, j) => rows.reduce((sum, row) => sum + row[j], 0) / n);
+    const covariance = Array.from({ length: p }, (_, j) => Array.from({ length: p }, (__, k) => {
+      const value = rows.reduce((sum, row) => sum + (row[j] - this.center[j]) * (row[k] - this.center[k]), 0) / (n - 1);
+      return j === k ? value + this.ridge : value;
+    }));
+    this.inverseCovariance = invertMatrix(covariance);
+
+    const distances = rows.map(row => this.distance(row)).sort((a, b) => a - b);
+    this.distanceQuantiles = DISTANCE_GRID.map(q => quantile(distances, q));
+    this.nRecords = n;
+    this.fitted = true;
+
+    console.log(`Fitted distribution profile on ${n} records (distance threshold ${this.distanceThreshold().toFixed(3)})`);
+    return this;
+  }
+
+  /**
+   * Расстояние Махаланобиса вектора признаков до центра обучающей выборки.
+   * @param {Array<number>} features - Признаки записи после DataPreprocessor.
+   * @returns {number}
+   */
+  distance(features) {
+    const diff = features.map((x, j) => x - this.center[j]);
+    const squared = diff.reduce(
+      (sum, dj, j) => sum + dj * this.inverseCovariance[j].reduce((acc, s, k) => acc + s * diff[k], 0),
+      0
+    );
+    return Math.sqrt(Math.max(squared, 0));
+  }
+
+  distanceThreshold() {
+    return quantile(this.distanceQuantiles, this.distanceQuantile);
+  }
+
+  /**
+   * Доля обучающей выборки с расстоянием не больше данного (по сетке перцентилей).
+   */
+  distancePercentile(distance) {
+    const index = this.distanceQuantiles.findIndex(d => d > distance);
+    return index === -1 ? 1 : Math.max(index - 1, 0) / 100;
+  }
+
+  /**
+   * Проверка записей при inference.
+   * @param {Array<Object>} records - Сырые записи пациентов.
+   * @param {Array<Array<number>>} features - Их признаки после того же DataPreprocessor, что и при fit.
+   * @returns {Array<Object>} - [{ outOfDistribution, distance, distancePercentile, distanceThreshold,
+   *   flags: [{ field, value, reason, range | frequency }] }]; reason: 'below_training_range',
+   *   'above_training_range', 'unseen_category', 'rare_category'.
+   */
+  assess(records, features) {
+    if (!this.fitted) {
+      throw new Error('DistributionProfile is not fitted yet.');
+    }
+    const threshold = this.distanceThreshold();
+
+    return records.map((record, i) => {
+      const flags = [];
+      Object.entries(this.numeric).forEach(([field, { min, max }]) => {
+        if (!isPresent(record[field])) return;
+        const value = Number(record[field]);
+        if (value < min || value > max) {
+          flags.push({ field, value, reason: value < min ? 'below_training_range' : 'above_training_range', range: [min, max] });
+        }
+      });
+      Object.entries(this.categorical).forEach(([field, frequencies]) => {
+        if (!isPresent(record[field])) return;
+        const frequency = frequencies[String(record[field])] || 0;
+        if (frequency < this.rareCategoryFrequency) {
+          flags.push({ field, value: record[field], reason: frequency === 0 ? 'unseen_category' : 'rare_category', frequency });
+        }
+      });
+
+      const distance = this.distance(features[i]);
+      return {
+        outOfDistribution: flags.length > 0 || distance > threshold,
+        distance,
+        distancePercentile: this.distancePercentile(distance),
+        distanceThreshold: threshold,
+        flags
+      };
+    });
+  }
+
+  toJSON() {
+    return {
+      rareCategoryFrequency: this.rareCategoryFrequency,
+      distanceQuantile: this.distanceQuantile,
+      ridge: this.ridge,
+      numeric: this.numeric,
+      categorical: this.categorical,
+      featureColumns: this.featureColumns,
+      center: this.center,
+      inverseCovariance: this.inverseCovariance,
+      distanceQuantiles: this.distanceQuantiles,
+      nRecords: this.nRecords
+    };
+  }
+
+  static fromJSON(json) {
+    const profile = new DistributionProfile(json);
+    profile.numeric = json.numeric;
+    profile.categorical = json.categorical;
+    profile.featureColumns = json.featureColumns;
+    profile.center = json.center;
+    profile.inverseCovariance = json.inverseCovariance;
+    profile.distanceQuantiles = json.distanceQuantiles;
+    profile.nRecords = json.nRecords;
+    profile.fitted = true;
+    return profile;
+  }
+
+  /**
+   * @param {string} filePath - Путь к profile.json.
+   */
+  async save(filePath) {
+    if (!this.fitted) {
+      throw new Error('Cannot save distribution profile: not fitted yet.');
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON()));
+    console.log(`Distribution profile saved to ${filePath}`);
+  }
+
+  static async load(filePath) {
+    return DistributionProfile.fromJSON(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  }
+}
+
+module.exports = DistributionProfile;
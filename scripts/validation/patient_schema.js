@@ -0,0 +1,69 @@
+// scripts/validation/patient_schema.js
+
+/**
+ * Схема записи пациента - единый источник правил для обучения
+ * (scripts/validation/data_validator.js) и для API (схема PatientInput в src/services/openapi_document.js).
+ *
+ * Поле: { type, min, max, integer, values, required }
+ * - type: 'number' | 'string' | 'boolean' | 'enum' или массив типов
+ * - required: контексты, в которых поле обязательно ('training', 'prediction')
+ * Отсутствующее поле и null считаются пропуском.
+ */
+const PATIENT_SCHEMA = {
+  fields: {
+    patient_id: { type: ['string', 'number'] },
+    age: { type: 'number', min: 0, max: 120, required: ['training', 'prediction'] },
+    sex: { type: 'enum', values: ['M', 'F'], required: ['training', 'prediction'] },
+    bmi: { type: 'number', min: 10, max: 60, required: ['training', 'prediction'] },
+    tumor_stage: {
+      type: 'enum',
+      values: ['IA', 'IB', 'IIA', 'IIB', 'IIIA', 'IIIB', 'IIIC', 'IV'],
+      required: ['training', 'prediction']
+    },
+    tumor_location: { type: 'enum', values: ['cardia', 'fundus', 'body', 'antrum', 'pylorus'] },
+    surgery_type: { type: 'enum', values: ['laparoscopic', 'open'], required: ['training', 'prediction'] },
+    operation_time_min: { type: 'number', min: 0, max: 1440, required: ['training', 'prediction'] },
+    blood_loss_ml: { type: 'number', min: 0, max: 20000, required: ['training', 'prediction'] },
+    lymph_nodes_removed: { type: 'number', integer: true, min: 0, max: 200, required: ['training', 'prediction'] },
+    neoadjuvant_therapy: { type: 'boolean', required: ['training', 'prediction'] },
+    complications: { type: 'boolean', required: ['training'] },
+    hospital_stay_days: { type: 'number', min: 0, max: 365, required: ['training'] },
+    survival_months: { type: 'number', min: 0, max: 600 },
+    status: { type: 'enum', values: ['alive', 'deceased'] }
+  },
+
+  // Правила для нескольких полей: check(record) -> текст ошибки или null
+  rules: [
+    {
+      name: 'status_requires_survival_months',
+      field: 'survival_months',
+      check: record => (isPresent(record.status) && !isPresent(record.survival_months)
+        ? 'is required when status is set'
+        : null)
+    },
+    {
+      name: 'survival_months_requires_status',
+      field: 'status',
+      check: record => (isPresent(record.survival_months) && !isPresent(record.status)
+        ? 'is required when survival_months is set'
+        : null)
+    },
+    {
+      name: 'survival_covers_hospital_stay',
+      field: 'survival_months',
+      // Пациент, выписанный живым, наблюдается как минимум до выписки
+      check: record => (record.status === 'alive' &&
+        typeof record.survival_months === 'number' &&
+        typeof record.hospital_stay_days === 'number' &&
+        record.survival_months * 31 < record.hospital_stay_days
+        ? 'is shorter than hospital_stay_days for a patient with status "alive"'
+        : null)
+    }
+  ]
+};
+
+function isPresent(value) {
+  return value !== undefined && value !== null;
+}
+
+module.exports = { PATIENT_SCHEMA, isPresent };
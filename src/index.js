@@ -8,8 +8,47 @@ const path = require('path');
 const helmet = require('helmet');
 require('dotenv').config();
 
+const PredictionService = require('./services/prediction_service');
+const ModelRegistryService = require('./services/model_registry_service');
+const SurvivalService = require('./services/survival_service');
+const ApiKeyStore = require('./services/api_key_store');
+const AuditLog = require('./services/audit_log');
+const ApiContract = require('./services/api_contract');
+const { buildOpenApiDocument } = require('./services/openapi_document');
+const CohortSummary = require('../scripts/analytics/cohort_summary');
+const { parseCsv } = require('../scripts/utils/data_loader');
+const { PATIENT_SCHEMA } = require('../scripts/validation/patient_schema');
+const modelConfig = require('../scripts/config/model_config');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_SIZE = 2000;
+const EXPLAIN_METHODS = ['gradient', 'shapley'];
+
+// Promoted model version from the registry, loaded once at startup (replaceable via app.locals in tests)
+const predictionService = new PredictionService();
+app.locals.predictionService = predictionService;
+
+// Other registry versions, loaded on demand for requests with model_version
+app.locals.modelRegistry = new ModelRegistryService();
+
+// Per-user API keys with scopes (API_KEYS_PATH, managed via scripts/manage_api_keys.js or /api/v1/admin/keys)
+app.locals.apiKeys = new ApiKeyStore();
+
+// Hash-chained prediction audit log (AUDIT_LOG_PATH; patient_id stored only as an HMAC pseudonym)
+app.locals.auditLog = new AuditLog();
+
+// OpenAPI document of the routes below: served at /api/v1/openapi.json and used to validate
+// requests (400 with every invalid field) and responses (OPENAPI_RESPONSE_VALIDATION=off|warn|strict)
+const apiContract = new ApiContract(
+  buildOpenApiDocument({ maxBatchSize: MAX_BATCH_SIZE, explainMethods: EXPLAIN_METHODS, scopes: ApiKeyStore.SCOPES }),
+  { rules: PATIENT_SCHEMA.rules }
+);
+app.locals.apiContract = apiContract;
+
+// Patient dataset for survival curves (+ Cox model, if trained)
+const survivalService = new SurvivalService();
+app.locals.survivalService = survivalService;
 
 // Security middleware
 app.use(helmet());
@@ -17,48 +56,92 @@ app.use(helmet());
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.text({ type: 'text/csv', limit: '10mb' }));
 
-// Simple authentication middleware (Bearer token)
-const authenticateToken = (req, res, next) => {
+// Authentication middleware (Bearer API key). authenticate() accepts any valid key,
+// authenticate('predict') also requires the scope. The caller is attached as req.caller = { keyId, user, scopes }.
+const authenticate = (scope = null) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer KEY
 
-  if (!token || token !== process.env.API_TOKEN) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Access token is required or invalid'
-    });
+  try {
+    const { caller, reason } = await req.app.locals.apiKeys.authenticate(token);
+    if (!caller) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: reason
+      });
+    }
+    if (scope && !caller.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key lacks the "${scope}" scope`
+      });
+    }
+    req.caller = caller;
+    next();
+  } catch (error) {
+    next(error);
   }
-
-  next();
 };
 
-// Input validation helper
-const validatePredictionInput = (data) => {
-  const required = ['age', 'sex', 'bmi', 'tumor_stage', 'surgery_type'];
-  const missing = required.filter(field => !(field in data));
-  
-  if (missing.length > 0) {
-    return { valid: false, error: `Missing required fields: ${missing.join(', ')}` };
-  }
-  
-  if (typeof data.age !== 'number' || data.age < 0 || data.age > 120) {
-    return { valid: false, error: 'Age must be a number between 0 and 120' };
-  }
-  
-  if (!['M', 'F'].includes(data.sex)) {
-    return { valid: false, error: 'Sex must be "M" or "F"' };
-  }
-  
-  if (typeof data.bmi !== 'number' || data.bmi < 10 || data.bmi > 60) {
-    return { valid: false, error: 'BMI must be a number between 10 and 60' };
-  }
+const describeErrors = (details) => details.map(d => (d.field ? `${d.field} ${d.reason}` : d.reason)).join('; ');
+
+// Contract middleware for one operation of the OpenAPI document (path in OpenAPI notation).
+// Rejects the request with every invalid parameter and body field, then checks the JSON response.
+const validateContract = (method, route) => {
+  apiContract.operation(method, route); // an undocumented route fails at startup
   
-  return { valid: true };
+  return (req, res, next) => {
+    const contract = req.app.locals.apiContract;
+    const operation = contract.operation(method, route);
+    const mediaTypes = operation.requestBody ? Object.keys(operation.requestBody.content) : [];
+    // A request without Content-Type is validated as an empty body of the first documented type
+    const contentType = req.headers['content-type'] ? req.is(mediaTypes) || null : mediaTypes[0] || null;
+    
+    const { status, errors } = contract.validateRequest(operation, {
+      params: req.params,
+      query: req.query,
+      body: req.body,
+      contentType
+    });
+    if (status) {
+      return res.status(status).json({
+        error: status === 415 ? 'Unsupported Media Type' : 'Validation Error',
+        message: describeErrors(errors),
+        details: errors
+      });
+    }
+    
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (contract.responseValidation === 'off') return json(body);
+      const mismatches = contract.validateResponse(operation, res.statusCode, body);
+      if (mismatches.length === 0) return json(body);
+      
+      console.warn(`⚠️  ${method.toUpperCase()} ${route} ${res.statusCode} response does not match the OpenAPI document: ${describeErrors(mismatches)}`);
+      if (contract.responseValidation !== 'strict') return json(body);
+      res.status(500);
+      return json({
+        error: 'Internal Server Error',
+        message: 'Response does not match the API contract',
+        details: mismatches
+      });
+    };
+    next();
+  };
+};
+
+// Batch rows are validated one by one against the same patient schema as /api/v1/predict
+const validatePatient = (contract, row) => {
+  const details = contract.validate(row, { $ref: '#/components/schemas/PatientInput' }, { in: 'body' });
+  return details.length > 0
+    ? { valid: false, error: describeErrors(details), details }
+    : { valid: true };
 };
 
 // Health check endpoint (public)
-app.get('/health', (req, res) => {
+app.get('/health', validateContract('get', '/health'), (req, res) => {
   res.status(200).json({
     status: 'OK',
     service: 'Surgery-Onko-SSV Platform',
@@ -68,8 +151,13 @@ app.get('/health', (req, res) => {
   });
 });
 
+// OpenAPI document (public, for client generation)
+app.get('/api/v1/openapi.json', validateContract('get', '/api/v1/openapi.json'), (req, res) => {
+  res.json(req.app.locals.apiContract.document);
+});
+
 // API routes (protected)
-app.get('/api/v1/info', authenticateToken, (req, res) => {
+app.get('/api/v1/info', authenticate(), validateContract('get', '/api/v1/info'), (req, res) => {
   res.json({
     name: 'Platform-Surgery-Onko-SSV',
     description: 'Платформа для анализа молекулярных данных в контексте хирургии и онкологии',
@@ -84,32 +172,341 @@ app.get('/api/v1/info', authenticateToken, (req, res) => {
   });
 });
 
-// Protected ML prediction endpoint with validation
-app.post('/api/v1/predict', authenticateToken, (req, res) => {
-  const validation = validatePredictionInput(req.body);
+// Promoted model by default; an explicit model_version (format checked by the contract) is loaded from the registry.
+// Returns { service, release } or { status, body } with the error response.
+// release() must be called once the request no longer uses the service, so an evicted version is not disposed mid-request.
+const resolvePredictionService = async (req, version) => {
+  const { predictionService, modelRegistry } = req.app.locals;
   
-  if (!validation.valid) {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: validation.error
+  const lease = version === undefined || version === predictionService.version
+    ? { service: predictionService, release: () => {} }
+    : await modelRegistry.acquire(version);
+  
+  if (!lease) {
+    return {
+      status: 404,
+      body: { error: 'Not Found', message: `Model version ${version} is not registered` }
+    };
+  }
+  
+  if (!lease.service.isReady()) {
+    lease.release();
+    return {
+      status: 503,
+      body: {
+        error: 'Service Unavailable',
+        message: 'Model is not loaded. Run scripts/train_gastrectomy_model.js and restart the server.'
+      }
+    };
+  }
+  
+  return lease;
+};
+
+// Registered model versions (the promoted one is served by default)
+app.get('/api/v1/models', authenticate('analytics'), validateContract('get', '/api/v1/models'), async (req, res, next) => {
+  try {
+    res.json({
+      servedVersion: req.app.locals.predictionService.version,
+      versions: await req.app.locals.modelRegistry.listVersions()
     });
+  } catch (error) {
+    next(error);
   }
+});
+
+// Audit log record of one prediction: the input itself is stored only as a hash
+const auditRecord = (endpoint, caller, patient, predictionService, prediction) => ({
+  endpoint,
+  caller,
+  patient,
+  modelVersion: predictionService.version,
+  output: {
+    complicationRisk: prediction.complicationRisk,
+    riskLabel: prediction.riskLabel,
+    expectedOutcomes: prediction.expectedOutcomes,
+    uncertainty: prediction.uncertainty,
+    outOfDistribution: prediction.ood ? prediction.ood.outOfDistribution : null
+  },
+  threshold: {
+    threshold: predictionService.threshold.threshold,
+    strategy: predictionService.threshold.strategy
+  }
+});
+
+// Protected ML prediction endpoint with validation
+// ?explain=gradient|shapley (or ?explain=true for gradient) adds per-field contributions,
+// ?model_version=vN (or "model_version" in the body) selects a registry version
+app.post('/api/v1/predict', authenticate('predict'), validateContract('post', '/api/v1/predict'), async (req, res, next) => {
+  const explainParam = req.query.explain;
+  const explainMethod = explainParam === 'true' ? 'gradient' : explainParam;
   
-  // Placeholder: In production, load model and run prediction
-  res.status(200).json({
-    message: 'Prediction endpoint (DEMO)',
-    warning: 'This is a demonstration. Predictions are not based on real clinical data.',
-    input: req.body,
-    prediction: {
-      complicationRisk: 0.15,
-      confidence: 0.72,
+  // model_version may come from the query string or the request body
+  const { model_version: bodyVersion, ...patient } = req.body;
+  const requestedVersion = req.query.model_version ?? bodyVersion;
+  
+  let lease = null;
+  try {
+    lease = await resolvePredictionService(req, requestedVersion);
+    const { service: predictionService, status, body } = lease;
+    if (!predictionService) {
+      return res.status(status).json(body);
+    }
+    
+    const [{ complicationRisk, uncertainty, expected, ood }] = await predictionService.predictOutcomes([patient]);
+    
+    const response = {
+      message: 'Prediction endpoint (DEMO)',
+      warning: 'This is a demonstration. The model is trained on synthetic data.',
+      modelVersion: predictionService.version,
+      input: patient,
+      prediction: {
+        complicationRisk,
+        riskLabel: predictionService.riskLabel(complicationRisk),
+        threshold: predictionService.threshold.threshold,
+        thresholdStrategy: predictionService.threshold.strategy,
+        // Regression targets of a multi-target model, e.g. hospital_stay_days
+        expectedOutcomes: expected,
+        // Spread of the risk across ensemble members ({ std, min, max, members }); null for a single model
+        uncertainty,
+        // Out-of-distribution check against the training data: per-field flags and Mahalanobis distance
+        ood,
+        disclaimer: 'NOT FOR CLINICAL USE'
+      }
+    };
+    
+    if (explainMethod) {
+      const explanation = await predictionService.explain(patient, { method: explainMethod });
+      response.explanation = {
+        method: explanation.method,
+        baselineRisk: explanation.baseline,
+        contributions: explanation.contributions
+      };
+    }
+    
+    // The prediction is returned only once it is recorded in the audit log
+    const [entry] = await req.app.locals.auditLog.append([
+      auditRecord('predict', req.caller, patient, predictionService, response.prediction)
+    ]);
+    response.audit = { seq: entry.seq, hash: entry.hash, patientPseudonym: entry.patientPseudonym };
+    
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  } finally {
+    if (lease && lease.release) lease.release();
+  }
+});
+
+// Protected batch prediction endpoint: JSON array or CSV (text/csv) body, ?model_version=vN
+app.post('/api/v1/predict/batch', authenticate('batch'), validateContract('post', '/api/v1/predict/batch'), async (req, res, next) => {
+  let lease = null;
+  try {
+    let rows;
+    if (req.is('text/csv')) {
+      rows = await parseCsv(typeof req.body === 'string' ? req.body : '');
+    } else {
+      rows = req.body;
+    }
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Body must be a non-empty JSON array or CSV with a header row'
+      });
+    }
+    
+    if (rows.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: `Batch size ${rows.length} exceeds the limit of ${MAX_BATCH_SIZE} rows`
+      });
+    }
+    
+    // Validate every row; rows are identified by patient_id (or row index)
+    const validRows = [];
+    const errors = {};
+    rows.forEach((row, index) => {
+      const isObject = row !== null && typeof row === 'object' && !Array.isArray(row);
+      const patientId = isObject && row.patient_id != null ? String(row.patient_id) : `row_${index}`;
+      const validation = validatePatient(req.app.locals.apiContract, row);
+      
+      if (validation.valid) {
+        validRows.push({ index, patientId, row });
+      } else {
+        errors[patientId] = { row: index, message: validation.error, details: validation.details };
+      }
+    });
+    
+    lease = await resolvePredictionService(req, req.query.model_version);
+    const { service: predictionService, status, body } = lease;
+    if (!predictionService) {
+      return res.status(status).json(body);
+    }
+    
+    // Single tensor pass over all valid rows
+    const outcomes = validRows.length > 0
+      ? await predictionService.predictOutcomes(validRows.map(r => r.row))
+      : [];
+    
+    const predictions = validRows.map((r, i) => ({
+      row: r.index,
+      patient_id: r.patientId,
+      complicationRisk: outcomes[i].complicationRisk,
+      riskLabel: predictionService.riskLabel(outcomes[i].complicationRisk),
+      uncertainty: outcomes[i].uncertainty,
+      expectedOutcomes: outcomes[i].expected,
+      ood: outcomes[i].ood
+    }));
+    
+    // One audit entry per scored row, written in a single append
+    const entries = predictions.length > 0
+      ? await req.app.locals.auditLog.append(validRows.map((r, i) => auditRecord(
+        'predict/batch', req.caller, r.row, predictionService, predictions[i]
+      )))
+      : [];
+    
+    res.status(200).json({
+      message: 'Batch prediction endpoint (DEMO)',
+      warning: 'This is a demonstration. The model is trained on synthetic data.',
+      modelVersion: predictionService.version,
+      total: rows.length,
+      scored: validRows.length,
+      failed: rows.length - validRows.length,
+      predictions,
+      errors,
+      audit: entries.length > 0 ? { firstSeq: entries[0].seq, lastSeq: entries[entries.length - 1].seq } : null,
+      threshold: predictionService.threshold.threshold,
+      thresholdStrategy: predictionService.threshold.strategy,
       disclaimer: 'NOT FOR CLINICAL USE'
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (lease && lease.release) lease.release();
+  }
+});
+
+// Protected survival analysis: Kaplan-Meier by stratum, log-rank test, Cox summary
+app.get('/api/v1/survival', authenticate('analytics'), validateContract('get', '/api/v1/survival'), (req, res, next) => {
+  const stratify = req.query.stratify || modelConfig.SURVIVAL.strataColumns[0];
+  
+  const { survivalService } = req.app.locals;
+  if (!survivalService.isReady()) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Patient dataset is not loaded.'
+    });
+  }
+  
+  try {
+    res.status(200).json({
+      message: 'Survival analysis (DEMO)',
+      warning: 'This is a demonstration based on synthetic data.',
+      ...survivalService.summarize(stratify)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Protected cohort description ("Table 1") over the patient dataset loaded at startup.
+// SurvivalService loads it through pipeline.loadDataset (de-identify, then validate), like the CLI:
+// ?group_by=<categorical field> (default COHORT.groupBy), ?format=json|csv|markdown
+app.get('/api/v1/cohort/summary', authenticate('analytics'), validateContract('get', '/api/v1/cohort/summary'), (req, res, next) => {
+  const { survivalService } = req.app.locals;
+  if (!survivalService.isReady()) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Patient dataset is not loaded.'
+    });
+  }
+  
+  try {
+    const cohortConfig = modelConfig.COHORT;
+    const summary = CohortSummary.summarize(survivalService.records, {
+      ...cohortConfig,
+      groupBy: req.query.group_by || cohortConfig.groupBy
+    });
+    const fileName = `table1_${summary.groupBy || 'overall'}`;
+    
+    switch (req.query.format) {
+      case 'csv':
+        return res.type('text/csv').attachment(`${fileName}.csv`).send(CohortSummary.toCsv(summary, cohortConfig));
+      case 'markdown':
+        return res.type('text/markdown').attachment(`${fileName}.md`).send(CohortSummary.toMarkdown(summary, cohortConfig));
+      default:
+        return res.status(200).json({
+          message: 'Cohort summary (DEMO)',
+          warning: 'This is a demonstration based on synthetic data.',
+          ...summary
+        });
     }
-  });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API key management (admin scope): list, issue, revoke. The key itself is returned only once, on issue.
+app.get('/api/v1/admin/keys', authenticate('admin'), validateContract('get', '/api/v1/admin/keys'), async (req, res, next) => {
+  try {
+    res.json({ keys: await req.app.locals.apiKeys.list() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/admin/keys', authenticate('admin'), validateContract('post', '/api/v1/admin/keys'), async (req, res, next) => {
+  const { user, scopes, expiresInDays = null } = req.body;
+
+  try {
+    const issued = await req.app.locals.apiKeys.issue({ user, scopes, expiresInDays });
+    console.log(`API key ${issued.id} issued to ${issued.user} by ${req.caller.user}`);
+    res.status(201).json(issued);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/v1/admin/keys/:id', authenticate('admin'), validateContract('delete', '/api/v1/admin/keys/{id}'), async (req, res, next) => {
+  try {
+    const keys = await req.app.locals.apiKeys.list();
+    if (!keys.some(k => k.id === req.params.id)) {
+      return res.status(404).json({ error: 'Not Found', message: `API key ${req.params.id} not found` });
+    }
+    res.json(await req.app.locals.apiKeys.revoke(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prediction history of one patient from the audit log (admin scope), by pseudonymous ID
+app.get('/api/v1/audit/patients/:pseudonym', authenticate('admin'), validateContract('get', '/api/v1/audit/patients/{pseudonym}'), async (req, res, next) => {
+  try {
+    const history = await req.app.locals.auditLog.history(req.params.pseudonym);
+    res.json({ patientPseudonym: req.params.pseudonym, predictions: history.length, history });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser errors: the same error bodies as contract validation
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Request body is not valid JSON',
+      details: [{ field: null, in: 'body', reason: 'is not valid JSON' }]
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: `Request body exceeds the limit of ${err.limit} bytes`
+    });
+  }
+  
   console.error('Error:', err.stack);
   res.status(500).json({
     error: 'Internal Server Error',
@@ -127,17 +524,25 @@ app.use((req, res) => {
 
 // Start server
 if (require.main === module) {
-  app.listen(PORT, () => {
+  Promise.all([predictionService.load(), survivalService.load()]).then(([loaded]) => app.listen(PORT, () => {
     console.log(`\n🔒 Helmet security middleware enabled`);
-    console.log(`🔐 Authentication enabled (API_TOKEN required)`);
+    console.log(`🔐 Authentication enabled (API keys with scopes: ${ApiKeyStore.SCOPES.join(', ')})`);
     console.log(`⚠️  DEMO MODE: Using synthetic data only`);
     console.log(`🚀 Surgery-Onko-SSV Platform`);
     console.log(`📊 Server running on port ${PORT}`);
     console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+    console.log(`📜 OpenAPI document: http://localhost:${PORT}/api/v1/openapi.json (response validation: ${apiContract.responseValidation})`);
     console.log(`📖 API info (protected): http://localhost:${PORT}/api/v1/info`);
     console.log(`🔮 API predict (protected): http://localhost:${PORT}/api/v1/predict`);
-    console.log(`💡 Set API_TOKEN in .env for protected routes\n`);
-  });
+    console.log(`📦 API batch predict (protected): http://localhost:${PORT}/api/v1/predict/batch`);
+    console.log(`🗂️  API model versions (protected): http://localhost:${PORT}/api/v1/models`);
+    console.log(`📉 API survival (protected): http://localhost:${PORT}/api/v1/survival?stratify=tumor_stage`);
+    console.log(`📋 API cohort summary (protected): http://localhost:${PORT}/api/v1/cohort/summary?group_by=complications&format=markdown`);
+    console.log(`🔑 API keys (admin): http://localhost:${PORT}/api/v1/admin/keys`);
+    console.log(`🧾 Audit log: ${app.locals.auditLog.path}${app.locals.auditLog.pseudonymKey ? '' : ' (PSEUDONYM_KEY not set: patient pseudonyms are not recorded)'}`);
+    console.log(`🧠 Model: ${loaded ? `version ${predictionService.version}` : 'not loaded (predict returns 503)'}`);
+    console.log(`💡 Issue a key: node scripts/manage_api_keys.js issue <user> --scopes predict,batch\n`);
+  }));
 }
 
 module.exports = app;
@@ -0,0 +1,258 @@
+// src/services/api_contract.js
+
+// Режимы проверки ответов: off - не проверять, warn - писать расхождения в лог,
+// strict - заменять ответ, не соответствующий документу, на 500
+const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+const COMPONENT_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeRange(schema) {
+  const lower = schema.minimum !== undefined ? `${schema.exclusiveMinimum ? '>' : '>='} ${schema.minimum}` : null;
+  const upper = schema.maximum !== undefined ? `${schema.exclusiveMaximum ? '<' : '<='} ${schema.maximum}` : null;
+  if (lower && upper && !schema.exclusiveMinimum && !schema.exclusiveMaximum) {
+    return `between ${schema.minimum} and ${schema.maximum}`;
+  }
+  return [lower, upper].filter(Boolean).join(' and ');
+}
+
+function childField(field, key) {
+  if (typeof key === 'number') return `${field || ''}[${key}]`;
+  return field ? `${field}.${key}` : key;
+}
+
+/**
+ * ApiContract - Проверка запросов и ответов по документу OpenAPI 3.0
+ * - Подмножество JSON Schema, которым описан документ: $ref, type, nullable, enum, pattern,
+ *   minimum/maximum, minLength, minItems/maxItems, items, properties, required,
+ *   additionalProperties, oneOf
+ * - x-rules: межполевые правила записи (PATIENT_SCHEMA.rules) по именам
+ * - Собираются все ошибки, а не первая: [{ field, in, reason }] в формате validateRecord
+ */
+class ApiContract {
+  /**
+   * @param {Object} document - Документ OpenAPI (openapi_document.js).
+   * @param {Object} [options] - { rules: межполевые правила [{ name, field, check }],
+   *   responseValidation: 'off' | 'warn' | 'strict' (по умолчанию OPENAPI_RESPONSE_VALIDATION или warn) }.
+   */
+  constructor(document, options = {}) {
+    this.document = document;
+    this.rules = new Map((options.rules || []).map(rule => [rule.name, rule]));
+    this.responseValidation = options.responseValidation || process.env.OPENAPI_RESPONSE_VALIDATION || 'warn';
+    if (!RESPONSE_VALIDATION_MODES.includes(this.responseValidation)) {
+      throw new Error(`Unknown response validation mode: ${this.responseValidation}. Use one of: ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+    }
+  }
+
+  resolve(schema) {
+    if (!schema || !schema.$ref) return schema;
+    const name = schema.$ref.startsWith(COMPONENT_PREFIX) ? schema.$ref.slice(COMPONENT_PREFIX.length) : null;
+    const resolved = name && this.document.components.schemas[name];
+    if (!resolved) {
+      throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+    }
+    return this.resolve(resolved);
+  }
+
+  /**
+   * Проверка значения по схеме.
+   * @param {*} value - Значение.
+   * @param {Object} schema - Схема или { $ref }.
+   * @param {Object} [context] - { field: путь значения, in: 'body' | 'query' | 'path' }.
+   * @returns {Array<Object>} - [{ field, in, reason }], пусто для корректного значения.
+   */
+  validate(value, schema, context = {}) {
+    const resolved = this.resolve(schema);
+    const field = context.field || null;
+    const error = reason => [{ field, in: context.in, reason }];
+
+    if (value === null) {
+      return resolved.nullable ? [] : error('must not be null');
+    }
+
+    if (resolved.oneOf) {
+      const matching = resolved.oneOf.filter(option => this.validate(value, option, context).length === 0);
+      if (matching.length === 1) return [];
+      const types = resolved.oneOf.map(option => this.resolve(option).type);
+      return error(matching.length === 0 && types.every(Boolean)
+        ? `must be of type ${types.join(' or ')}`
+        : 'must match exactly one of the allowed schemas');
+    }
+
+    if (resolved.type && !typeMatches(value, resolved.type)) {
+      if (resolved.enum) return error(`must be one of: ${resolved.enum.join(', ')}`);
+      if (resolved.type === 'integer' && typeof value === 'number') return error('must be an integer');
+      return error(`must be of type ${resolved.type}`);
+    }
+
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      return error(`must be one of: ${resolved.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      const belowMinimum = resolved.minimum !== undefined &&
+        (resolved.exclusiveMinimum ? value <= resolved.minimum : value < resolved.minimum);
+      const aboveMaximum = resolved.maximum !== undefined &&
+        (resolved.exclusiveMaximum ? value >= resolved.maximum : value > resolved.maximum);
+      if (belowMinimum || aboveMaximum) return error(`must be a number ${describeRange(resolved)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+        return error(`must be at least ${resolved.minLength} characters long`);
+      }
+      if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+        return error(`must match the pattern ${resolved.pattern}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      return this.validateArray(value, resolved, context);
+    }
+
+    if (typeOf(value) === 'object' && (resolved.properties || resolved.additionalProperties !== undefined)) {
+      return this.validateObject(value, resolved, context);
+    }
+
+    return [];
+  }
+
+  validateArray(value, schema, context) {
+    const field = context.field || null;
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return [{ field, in: context.in, reason: `must contain at least ${schema.minItems} item(s)` }];
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return [{ field, in: context.in, reason: `must contain at most ${schema.maxItems} item(s)` }];
+    }
+    if (!schema.items) return [];
+    return value.flatMap((item, i) => this.validate(item, schema.items, { ...context, field: childField(field, i) }));
+  }
+
+  validateObject(value, schema, context) {
+    const required = schema.required || [];
+    const properties = schema.properties || {};
+    const errors = [];
+
+    // Отсутствующее поле и null в обязательном поле - пропуск (как в validateRecord)
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      const propertyContext = { ...context, field: childField(context.field, key) };
+      const missing = value[key] === undefined || (value[key] === null && !this.resolve(propertySchema).nullable);
+      if (missing) {
+        if (required.includes(key)) errors.push({ field: propertyContext.field, in: context.in, reason: 'is required' });
+        else if (value[key] === null) errors.push(...this.validate(null, propertySchema, propertyContext));
+        continue;
+      }
+      errors.push(...this.validate(value[key], propertySchema, propertyContext));
+    }
+
+    for (const key of Object.keys(value).filter(k => !(k in properties))) {
+      const propertyContext = { ...context, field: childField(context.field, key) };
+      if (schema.additionalProperties === false) {
+        errors.push({ field: propertyContext.field, in: context.in, reason: 'is not allowed' });
+      } else if (typeOf(schema.additionalProperties) === 'object' && value[key] !== undefined) {
+        errors.push(...this.validate(value[key], schema.additionalProperties, propertyContext));
+      }
+    }
+
+    // Межполевые правила - только если сами поля корректны
+    const invalidFields = new Set(errors.map(e => e.field));
+    for (const name of schema['x-rules'] || []) {
+      const rule = this.rules.get(name);
+      if (!rule) {
+        throw new Error(`Unknown record rule: ${name}`);
+      }
+      const ruleField = childField(context.field, rule.field);
+      if (invalidFields.has(ruleField)) continue;
+      const reason = rule.check(value);
+      if (reason) errors.push({ field: ruleField, in: context.in, reason, rule: rule.name });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Операция документа.
+   * @param {string} method - HTTP-метод (get, post, ...).
+   * @param {string} route - Путь в нотации OpenAPI (/api/v1/admin/keys/{id}).
+   * @returns {Object}
+   */
+  operation(method, route) {
+    const operation = (this.document.paths[route] || {})[method];
+    if (!operation) {
+      throw new Error(`Operation ${method.toUpperCase()} ${route} is not described in the OpenAPI document`);
+    }
+    return operation;
+  }
+
+  /**
+   * Проверка запроса: параметры пути и строки запроса, тело.
+   * @param {Object} operation - Операция документа.
+   * @param {Object} request - { params, query, body, contentType: медиатип тела из документа или null }.
+   * @returns {Object} - { status: 415 для недопустимого типа тела, errors: [{ field, in, reason }] }.
+   */
+  validateRequest(operation, request) {
+    const errors = [];
+
+    for (const parameter of operation.parameters || []) {
+      const source = parameter.in === 'path' ? request.params : request.query;
+      const value = source[parameter.name];
+      if (value === undefined || value === '') {
+        if (parameter.required) errors.push({ field: parameter.name, in: parameter.in, reason: 'is required' });
+        continue;
+      }
+      errors.push(...this.validate(value, parameter.schema, { field: parameter.name, in: parameter.in }));
+    }
+
+    const requestBody = operation.requestBody;
+    if (requestBody) {
+      if (!request.contentType) {
+        return {
+          status: 415,
+          errors: [{ field: null, in: 'body', reason: `content type must be one of: ${Object.keys(requestBody.content).join(', ')}` }]
+        };
+      }
+      errors.push(...this.validate(request.body, requestBody.content[request.contentType].schema, { in: 'body' }));
+    }
+
+    return { status: errors.length > 0 ? 400 : null, errors };
+  }
+
+  /**
+   * Проверка JSON-ответа по описанию кода ответа.
+   * @returns {Array<Object>} - [{ field, reason }], пусто для соответствующего документу ответа.
+   */
+  validateResponse(operation, status, body) {
+    const response = operation.responses[String(status)] || operation.responses.default;
+    if (!response) {
+      return [{ field: null, reason: `status ${status} is not described` }];
+    }
+    const content = response.content && response.content['application/json'];
+    if (!content) return [];
+    return this.validate(body, content.schema, { in: 'response' })
+      .map(({ field, reason }) => ({ field, reason }));
+  }
+}
+
+ApiContract.RESPONSE_VALIDATION_MODES = RESPONSE_VALIDATION_MODES;
+
+module.exports = ApiContract;
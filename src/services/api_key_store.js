@@ -0,0 +1,166 @@
+// src/services/api_key_store.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Права ключей: predict - /api/v1/predict, batch - /api/v1/predict/batch,
+// analytics - выживаемость и версии моделей, admin - управление ключами
+const SCOPES = ['predict', 'batch', 'admin', 'analytics'];
+const KEY_PREFIX = 'sk';
+const DEFAULT_STORE_PATH = './secrets/api_keys.json';
+
+/**
+ * ApiKeyStore - Локальное хранилище API-ключей пользователей
+ * - Ключ выдается один раз в виде sk_<id>_<secret>; в файле хранится только SHA-256 секрета
+ * - Сравнение хешей постоянного времени (crypto.timingSafeEqual)
+ * - У каждого ключа: пользователь, права (SCOPES), срок действия, отзыв
+ * - Файл перечитывается при изменении (ключи, выданные или отозванные через
+ *   scripts/manage_api_keys.js, действуют без перезапуска сервера)
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} [options] - { path: JSON-файл ключей (по умолчанию API_KEYS_PATH или ./secrets/api_keys.json) }.
+   */
+  constructor(options = {}) {
+    this.path = path.resolve(options.path || process.env.API_KEYS_PATH || DEFAULT_STORE_PATH);
+    this.keys = [];
+    this.mtimeMs = null;
+  }
+
+  static validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`At least one scope is required. Use: ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope: ${unknown.join(', ')}. Use: ${SCOPES.join(', ')}`);
+    }
+  }
+
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Ключи из файла (перечитывается, если файл изменился; нет файла - нет ключей).
+   * @returns {Array<Object>}
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fs.stat(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.mtimeMs = null;
+      return this.keys;
+    }
+    if (stat.mtimeMs !== this.mtimeMs) {
+      this.keys = JSON.parse(await fs.readFile(this.path, 'utf8')).keys;
+      this.mtimeMs = stat.mtimeMs;
+    }
+    return this.keys;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    this.mtimeMs = (await fs.stat(this.path)).mtimeMs;
+  }
+
+  /**
+   * Выдача нового ключа.
+   * @param {Object} options - { user, scopes, expiresInDays (null - бессрочный) }.
+   * @returns {Object} - { key: показывается один раз, ...описание ключа без хеша }.
+   */
+  async issue({ user, scopes, expiresInDays = null }) {
+    if (typeof user !== 'string' || user.trim() === '') {
+      throw new Error('user is required');
+    }
+    ApiKeyStore.validateScopes(scopes);
+    if (expiresInDays !== null && !(Number.isFinite(expiresInDays) && expiresInDays > 0)) {
+      throw new Error('expiresInDays must be a positive number');
+    }
+
+    await this.load();
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const record = {
+      id,
+      user: user.trim(),
+      scopes: [...new Set(scopes)],
+      hash: ApiKeyStore.hashSecret(secret),
+      createdAt: now.toISOString(),
+      expiresAt: expiresInDays !== null
+        ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      revokedAt: null
+    };
+    this.keys.push(record);
+    await this.save();
+
+    return { key: `${KEY_PREFIX}_${id}_${secret}`, ...ApiKeyStore.describe(record) };
+  }
+
+  /**
+   * Отзыв ключа по id.
+   * @returns {Object} - Описание отозванного ключа.
+   */
+  async revoke(id) {
+    await this.load();
+    const record = this.keys.find(k => k.id === id);
+    if (!record) {
+      throw new Error(`API key ${id} not found`);
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return ApiKeyStore.describe(record);
+  }
+
+  /**
+   * Все ключи без хешей.
+   */
+  async list() {
+    return (await this.load()).map(ApiKeyStore.describe);
+  }
+
+  /**
+   * Проверка предъявленного ключа.
+   * @param {string} key - Значение из заголовка Authorization: Bearer <key>.
+   * @returns {Object} - { caller: { keyId, user, scopes } } или { reason } (ключ неизвестен, истек или отозван).
+   */
+  async authenticate(key) {
+    const match = typeof key === 'string' && key.match(/^sk_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/);
+    if (!match) {
+      return { reason: 'API key is required or invalid' };
+    }
+    const [, id, secret] = match;
+    const record = (await this.load()).find(k => k.id === id);
+    // Хеш считается и для неизвестного id: время ответа не выдает существующие id
+    const expected = Buffer.from(record ? record.hash : ApiKeyStore.hashSecret(''), 'hex');
+    const actual = Buffer.from(ApiKeyStore.hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || !record) {
+      return { reason: 'API key is required or invalid' };
+    }
+    if (record.revokedAt) {
+      return { reason: 'API key has been revoked' };
+    }
+    if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+      return { reason: 'API key has expired' };
+    }
+    return { caller: { keyId: record.id, user: record.user, scopes: record.scopes } };
+  }
+
+  static describe(record) {
+    const described = { ...record };
+    delete described.hash;
+    return described;
+  }
+}
+
+ApiKeyStore.SCOPES = SCOPES;
+
+module.exports = ApiKeyStore;
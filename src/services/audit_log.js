@@ -0,0 +1,204 @@
+// src/services/audit_log.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { pseudonymize } = require('../../scripts/privacy/deidentifier');
+
+const DEFAULT_LOG_PATH = './logs/prediction_audit.ndjson';
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * AuditLog - Журнал предсказаний с защитой от изменений
+ * - Append-only NDJSON: одна строка - одно предсказание (кто, когда, хеш входа,
+ *   псевдоним пациента, версия модели, результат, порог)
+ * - Цепочка хешей: hash записи = SHA-256 ее содержимого вместе с hash предыдущей записи,
+ *   правка или удаление записи ломает цепочку (verify)
+ * - Сами данные пациента и patient_id в журнал не попадают: только SHA-256 входа
+ *   и псевдоним HMAC-SHA256(PSEUDONYM_KEY, patient_id)
+ * - Один процесс-писатель: последняя запись кешируется, добавления выполняются по очереди
+ */
+class AuditLog {
+  /**
+   * @param {Object} [options] - { path (по умолчанию AUDIT_LOG_PATH или ./logs/prediction_audit.ndjson),
+   *   pseudonymKey (по умолчанию PSEUDONYM_KEY; без ключа псевдонимы не сохраняются) }.
+   */
+  constructor(options = {}) {
+    this.path = path.resolve(options.path || process.env.AUDIT_LOG_PATH || DEFAULT_LOG_PATH);
+    this.pseudonymKey = options.pseudonymKey || process.env.PSEUDONYM_KEY || null;
+    this.tail = null; // { seq, hash } последней записи
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * JSON с отсортированными ключами: одинаковое содержимое - одинаковый хеш.
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(AuditLog.canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${AuditLog.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  static sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  static entryHash(entry) {
+    const content = { ...entry };
+    delete content.hash;
+    return AuditLog.sha256(AuditLog.canonicalize(content));
+  }
+
+  /**
+   * Псевдоним пациента для журнала и запросов истории
+   * (совпадает с patient_id деидентифицированных данных обучения при том же PSEUDONYM_KEY).
+   * @param {string|number} patientId - patient_id из запроса.
+   * @returns {string|null} - null без patient_id или без PSEUDONYM_KEY.
+   */
+  pseudonym(patientId) {
+    if (patientId === undefined || patientId === null || !this.pseudonymKey) return null;
+    return pseudonymize(patientId, this.pseudonymKey);
+  }
+
+  /**
+   * Строки журнала: [{ line, entry }] или [{ line, error }] для нечитаемой строки.
+   */
+  async readLines() {
+    let content;
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n')
+      .map((text, i) => ({ text, line: i + 1 }))
+      .filter(({ text }) => text.trim() !== '')
+      .map(({ text, line }) => {
+        try {
+          return { line, entry: JSON.parse(text) };
+        } catch (error) {
+          return { line, error: `unparseable entry: ${error.message}` };
+        }
+      });
+  }
+
+  /**
+   * Добавление записей (одна запись на пациента) одной операцией записи в файл.
+   * @param {Array<Object>} records - [{ endpoint, caller, patient, modelVersion, output, threshold }].
+   * @returns {Array<Object>} - Записанные записи журнала (с seq и hash).
+   */
+  append(records) {
+    const result = this.queue.then(() => this.write(records));
+    // Ошибка записи не блокирует следующие добавления
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async write(records) {
+    if (!this.tail) {
+      const lines = await this.readLines();
+      const last = lines.length > 0 ? lines[lines.length - 1].entry : null;
+      if (lines.length > 0 && !last) {
+        throw new Error(`Audit log ${this.path} ends with an unparseable entry; run scripts/manage_audit_log.js verify`);
+      }
+      this.tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+    }
+
+    let { seq, hash } = this.tail;
+    const entries = records.map(({ endpoint, caller, patient, modelVersion, output, threshold }) => {
+      const input = { ...patient };
+      delete input.patient_id;
+      const entry = {
+        seq: seq + 1,
+        timestamp: new Date().toISOString(),
+        endpoint,
+        caller: caller ? { keyId: caller.keyId, user: caller.user } : null,
+        patientPseudonym: this.pseudonym(patient.patient_id),
+        inputHash: AuditLog.sha256(AuditLog.canonicalize(input)),
+        modelVersion,
+        output,
+        threshold,
+        prevHash: hash
+      };
+      entry.hash = AuditLog.entryHash(entry);
+      ({ seq, hash } = entry);
+      return entry;
+    });
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.appendFile(this.path, entries.map(e => `${JSON.stringify(e)}\n`).join(''), { mode: 0o600 });
+    this.tail = { seq, hash };
+    return entries;
+  }
+
+  /**
+   * Проверка цепочки: правка записи (hash не совпадает), удаление или перестановка
+   * (разрыв seq / prevHash). Удаление последних записей обнаруживается только по якорю -
+   * сохраненной вне журнала паре seq:hash.
+   * @param {Object} [options] - { anchor: { seq, hash } }.
+   * @returns {Object} - { valid, entries, lastSeq, lastHash, errors: [{ line, seq, reason }] }.
+   */
+  async verify(options = {}) {
+    const lines = await this.readLines();
+    const errors = [];
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let anchorFound = false;
+
+    for (const { line, entry, error } of lines) {
+      if (error) {
+        errors.push({ line, seq: null, reason: error });
+        continue;
+      }
+      if (entry.seq !== previous.seq + 1) {
+        errors.push({ line, seq: entry.seq, reason: `sequence gap: expected ${previous.seq + 1}` });
+      }
+      if (entry.prevHash !== previous.hash) {
+        errors.push({ line, seq: entry.seq, reason: 'prevHash does not match the previous entry' });
+      }
+      if (AuditLog.entryHash(entry) !== entry.hash) {
+        errors.push({ line, seq: entry.seq, reason: 'entry content does not match its hash' });
+      }
+      if (options.anchor && entry.seq === options.anchor.seq) {
+        anchorFound = true;
+        if (entry.hash !== options.anchor.hash) {
+          errors.push({ line, seq: entry.seq, reason: 'entry hash does not match the anchor' });
+        }
+      }
+      previous = { seq: entry.seq, hash: entry.hash };
+    }
+
+    if (options.anchor && !anchorFound) {
+      errors.push({ line: null, seq: options.anchor.seq, reason: 'anchor entry is missing (log truncated?)' });
+    }
+
+    return {
+      valid: errors.length === 0,
+      entries: lines.length,
+      lastSeq: previous.seq,
+      lastHash: previous.hash,
+      errors
+    };
+  }
+
+  /**
+   * История предсказаний пациента.
+   * @param {string} pseudonym - Псевдоним (AuditLog.pseudonym или scripts/manage_audit_log.js pseudonym).
+   * @returns {Array<Object>} - Записи журнала по времени.
+   */
+  async history(pseudonym) {
+    return (await this.readLines())
+      .filter(({ entry }) => entry && entry.patientPseudonym === pseudonym)
+      .map(({ entry }) => entry);
+  }
+}
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
@@ -0,0 +1,108 @@
+// src/services/model_registry_service.js
+const PredictionService = require('./prediction_service');
+const ModelRegistry = require('../../scripts/registry/model_registry');
+const config = require('../../scripts/config/model_config');
+
+// Сколько явно запрошенных версий держать загруженными одновременно
+const MAX_CACHED_VERSIONS = 3;
+
+/**
+ * ModelRegistryService - Версии модели для запросов с model_version
+ * - Promoted-версию обслуживает основной PredictionService (app.locals.predictionService)
+ * - Другие зарегистрированные версии загружаются по требованию и кешируются (LRU)
+ * - Одновременные первые запросы версии ждут одну загрузку; неудачная загрузка не кешируется
+ * - Вытесненная версия освобождается после release всех запросов, которые ее используют
+ */
+class ModelRegistryService {
+  /**
+   * @param {Object} [options] - { registryPath, maxCached }.
+   */
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || config.REGISTRY_PATH;
+    this.registry = new ModelRegistry(this.registryPath);
+    this.maxCached = options.maxCached || MAX_CACHED_VERSIONS;
+    this.cache = new Map(); // version -> { service, loading, refs, evicted }
+  }
+
+  /**
+   * Сервис для явно указанной версии на время запроса.
+   * @param {string} version - Имя версии (v1, v2, ...).
+   * @returns {Object|null} - { service, release }: release() вызывается по окончании запроса
+   *   (в том числе если сервис не готов); null, если версия не зарегистрирована.
+   */
+  async acquire(version) {
+    if (!(await this.registry.getVersion(version))) {
+      return null;
+    }
+
+    let entry = this.cache.get(version);
+    if (entry) {
+      // Обновление позиции в LRU
+      this.cache.delete(version);
+      this.cache.set(version, entry);
+    } else {
+      const service = new PredictionService({ registryPath: this.registryPath, version });
+      entry = { service, loading: service.load(), refs: 0, evicted: false };
+      this.cache.set(version, entry);
+      this.evictOverflow();
+    }
+
+    entry.refs += 1;
+    try {
+      await entry.loading;
+    } catch (error) {
+      entry.refs -= 1;
+      throw error;
+    } finally {
+      // Не загрузилась: не кешируется, следующий запрос попробует снова
+      if (!entry.service.isReady() && this.cache.get(version) === entry) {
+        this.cache.delete(version);
+        entry.evicted = true;
+      }
+    }
+
+    let released = false;
+    return {
+      service: entry.service,
+      release: () => {
+        if (released) return;
+        released = true;
+        entry.refs -= 1;
+        this.disposeIfUnused(entry);
+      }
+    };
+  }
+
+  /**
+   * Вытеснение самых старых версий сверх maxCached.
+   */
+  evictOverflow() {
+    while (this.cache.size > this.maxCached) {
+      const [oldest, entry] = this.cache.entries().next().value;
+      this.cache.delete(oldest);
+      entry.evicted = true;
+      this.disposeIfUnused(entry);
+    }
+  }
+
+  /**
+   * Освобождение весов вытесненной версии, когда ее не использует ни один запрос.
+   */
+  disposeIfUnused(entry) {
+    if (entry.evicted && entry.refs === 0) {
+      entry.service.dispose();
+    }
+  }
+
+  /**
+   * Зарегистрированные версии (без снимка конфига).
+   */
+  async listVersions() {
+    const versions = await this.registry.listVersions();
+    return versions.map(({ version, createdAt, promoted, dataHash, nRecords, metrics }) => ({
+      version, createdAt, promoted, dataHash, nRecords, metrics
+    }));
+  }
+}
+
+module.exports = ModelRegistryService;
@@ -0,0 +1,693 @@
+// src/services/openapi_document.js
+const { PATIENT_SCHEMA } = require('../../scripts/validation/patient_schema');
+const { IMPUTED_COLUMNS } = require('../../scripts/validation/data_validator');
+const CohortSummary = require('../../scripts/analytics/cohort_summary');
+const modelConfig = require('../../scripts/config/model_config');
+const { version } = require('../../package.json');
+
+const MODEL_VERSION_PATTERN = '^v\\d+$';
+const API_KEY_ID_PATTERN = '^[0-9a-f]{16}$';
+const PSEUDONYM_PATTERN = '^[0-9a-f]{32}$';
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Validation Error: details lists every invalid field',
+  401: 'Missing, unknown, expired or revoked API key',
+  403: 'API key lacks the scope of the route',
+  404: 'Not Found',
+  413: 'Payload Too Large',
+  415: 'Unsupported request content type',
+  500: 'Internal Server Error',
+  503: 'Model or dataset is not loaded'
+};
+
+/**
+ * Документ OpenAPI 3.0 API платформы - контракт для генерации клиентов
+ * и для проверки запросов и ответов (ApiContract).
+ * Схема пациента строится из PATIENT_SCHEMA: обязательные поля и диапазоны
+ * совпадают с проверкой данных обучения (validateRecord, контекст 'prediction').
+ */
+
+/**
+ * Свойство схемы OpenAPI из правила поля PATIENT_SCHEMA.
+ */
+function fieldSchema(rule, required) {
+  let schema;
+  if (Array.isArray(rule.type)) {
+    schema = { oneOf: rule.type.map(type => ({ type })) };
+  } else if (rule.type === 'enum') {
+    schema = { type: 'string', enum: rule.values };
+  } else if (rule.type === 'number') {
+    schema = { type: rule.integer ? 'integer' : 'number' };
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+  } else {
+    schema = { type: rule.type };
+  }
+  // Необязательное поле может быть null (пропуск), как в validateRecord
+  if (!required) schema.nullable = true;
+  return schema;
+}
+
+function patientInputSchema() {
+  const required = Object.entries(PATIENT_SCHEMA.fields)
+    .filter(([field, rule]) => (rule.required || []).includes('prediction') && !IMPUTED_COLUMNS.includes(field))
+    .map(([field]) => field);
+
+  return {
+    type: 'object',
+    description: 'Patient record. Fields from the imputation config (IMPUTATION) may be omitted. ' +
+      'Unknown fields are ignored.',
+    required,
+    properties: Object.fromEntries(Object.entries(PATIENT_SCHEMA.fields)
+      .map(([field, rule]) => [field, fieldSchema(rule, required.includes(field))])),
+    'x-rules': PATIENT_SCHEMA.rules.map(rule => rule.name)
+  };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function errorResponses(...statuses) {
+  return Object.fromEntries(statuses.map(status => [
+    String(status),
+    { description: ERROR_DESCRIPTIONS[status], content: jsonContent(ref('Error')) }
+  ]));
+}
+
+/**
+ * Операция, защищенная API-ключом.
+ * @param {string|null} scope - Требуемое право (null - любой действующий ключ).
+ */
+function protectedOperation(scope, operation) {
+  const access = scope ? `Requires an API key with the "${scope}" scope.` : 'Requires any valid API key.';
+  return {
+    ...operation,
+    description: operation.description ? `${operation.description}\n\n${access}` : access,
+    security: [{ apiKey: [] }],
+    'x-required-scope': scope
+  };
+}
+
+const modelVersionParameter = {
+  name: 'model_version',
+  in: 'query',
+  required: false,
+  description: 'Registry version to use instead of the promoted one',
+  schema: { type: 'string', pattern: MODEL_VERSION_PATTERN }
+};
+
+const numberOrNull = { type: 'number', nullable: true };
+
+function componentSchemas({ scopes }) {
+  return {
+    Error: {
+      type: 'object',
+      required: ['error', 'message'],
+      properties: {
+        error: { type: 'string' },
+        message: { type: 'string' },
+        details: { type: 'array', items: ref('ValidationDetail') }
+      }
+    },
+    ValidationDetail: {
+      type: 'object',
+      required: ['field', 'reason'],
+      properties: {
+        field: { type: 'string', nullable: true, description: 'Field path; null for the whole body' },
+        in: { type: 'string', enum: ['body', 'query', 'path'] },
+        reason: { type: 'string' },
+        rule: { type: 'string', description: 'Name of the violated cross-field rule' }
+      }
+    },
+    PatientInput: patientInputSchema(),
+    PredictionRequest: {
+      ...patientInputSchema(),
+      properties: {
+        ...patientInputSchema().properties,
+        model_version: { type: 'string', pattern: MODEL_VERSION_PATTERN, description: 'Same as the model_version query parameter' }
+      }
+    },
+    Uncertainty: {
+      type: 'object',
+      nullable: true,
+      description: 'Spread of the risk across ensemble members; null for a single model',
+      properties: {
+        std: { type: 'number' },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        members: { type: 'integer' }
+      }
+    },
+    OutOfDistribution: {
+      type: 'object',
+      nullable: true,
+      description: 'Check against the training data profile; null if the model version has no profile',
+      required: ['outOfDistribution', 'flags'],
+      properties: {
+        outOfDistribution: { type: 'boolean' },
+        distance: numberOrNull,
+        distancePercentile: numberOrNull,
+        distanceThreshold: numberOrNull,
+        flags: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['field', 'reason'],
+            properties: {
+              field: { type: 'string' },
+              reason: { type: 'string' },
+              range: { type: 'array', items: { type: 'number' } },
+              frequency: { type: 'number' }
+            }
+          }
+        }
+      }
+    },
+    ExpectedOutcomes: {
+      type: 'object',
+      nullable: true,
+      description: 'Regression targets of a multi-target model, e.g. hospital_stay_days'
+    },
+    Prediction: {
+      type: 'object',
+      required: ['complicationRisk', 'riskLabel', 'threshold', 'thresholdStrategy', 'disclaimer'],
+      properties: {
+        complicationRisk: { type: 'number', minimum: 0, maximum: 1 },
+        riskLabel: { type: 'string' },
+        threshold: { type: 'number' },
+        thresholdStrategy: { type: 'string' },
+        expectedOutcomes: ref('ExpectedOutcomes'),
+        uncertainty: ref('Uncertainty'),
+        ood: ref('OutOfDistribution'),
+        disclaimer: { type: 'string' }
+      }
+    },
+    PredictionResponse: {
+      type: 'object',
+      required: ['modelVersion', 'input', 'prediction', 'audit'],
+      properties: {
+        message: { type: 'string' },
+        warning: { type: 'string' },
+        modelVersion: { type: 'string' },
+        input: { type: 'object' },
+        prediction: ref('Prediction'),
+        explanation: {
+          type: 'object',
+          required: ['method', 'contributions'],
+          properties: {
+            method: { type: 'string' },
+            baselineRisk: { type: 'number' },
+            contributions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['field', 'contribution'],
+                properties: { field: { type: 'string' }, contribution: { type: 'number' } }
+              }
+            }
+          }
+        },
+        audit: {
+          type: 'object',
+          required: ['seq', 'hash'],
+          properties: {
+            seq: { type: 'integer' },
+            hash: { type: 'string' },
+            patientPseudonym: { type: 'string', nullable: true }
+          }
+        }
+      }
+    },
+    BatchPrediction: {
+      type: 'object',
+      required: ['row', 'patient_id', 'complicationRisk', 'riskLabel'],
+      properties: {
+        row: { type: 'integer' },
+        patient_id: { type: 'string' },
+        complicationRisk: { type: 'number', minimum: 0, maximum: 1 },
+        riskLabel: { type: 'string' },
+        uncertainty: ref('Uncertainty'),
+        expectedOutcomes: ref('ExpectedOutcomes'),
+        ood: ref('OutOfDistribution')
+      }
+    },
+    BatchPredictionResponse: {
+      type: 'object',
+      required: ['modelVersion', 'total', 'scored', 'failed', 'predictions', 'errors', 'audit'],
+      properties: {
+        message: { type: 'string' },
+        warning: { type: 'string' },
+        modelVersion: { type: 'string' },
+        total: { type: 'integer' },
+        scored: { type: 'integer' },
+        failed: { type: 'integer' },
+        predictions: { type: 'array', items: ref('BatchPrediction') },
+        errors: {
+          type: 'object',
+          description: 'Invalid rows keyed by patient_id (or row_<index>)',
+          additionalProperties: {
+            type: 'object',
+            required: ['row', 'message', 'details'],
+            properties: {
+              row: { type: 'integer' },
+              message: { type: 'string' },
+              details: { type: 'array', items: ref('ValidationDetail') }
+            }
+          }
+        },
+        audit: {
+          type: 'object',
+          nullable: true,
+          properties: { firstSeq: { type: 'integer' }, lastSeq: { type: 'integer' } }
+        },
+        threshold: { type: 'number' },
+        thresholdStrategy: { type: 'string' },
+        disclaimer: { type: 'string' }
+      }
+    },
+    ModelVersions: {
+      type: 'object',
+      required: ['servedVersion', 'versions'],
+      properties: {
+        servedVersion: { type: 'string', nullable: true },
+        versions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['version', 'promoted'],
+            properties: {
+              version: { type: 'string' },
+              createdAt: { type: 'string' },
+              promoted: { type: 'boolean' },
+              dataHash: { type: 'string', nullable: true },
+              nRecords: { type: 'integer', nullable: true },
+              metrics: { type: 'object', nullable: true }
+            }
+          }
+        }
+      }
+    },
+    KaplanMeierCurve: {
+      type: 'object',
+      required: ['n', 'events', 'steps', 'medianSurvival'],
+      properties: {
+        n: { type: 'integer' },
+        events: { type: 'integer' },
+        steps: { type: 'array', items: { type: 'object' } },
+        medianSurvival: numberOrNull
+      }
+    },
+    SurvivalSummary: {
+      type: 'object',
+      required: ['stratify', 'overall', 'groups', 'logRank', 'cox'],
+      properties: {
+        message: { type: 'string' },
+        warning: { type: 'string' },
+        stratify: { type: 'string' },
+        timeUnit: { type: 'string' },
+        event: { type: 'string' },
+        overall: ref('KaplanMeierCurve'),
+        groups: { type: 'object', additionalProperties: ref('KaplanMeierCurve') },
+        logRank: {
+          type: 'object',
+          nullable: true,
+          description: 'null with a single stratum',
+          properties: { statistic: { type: 'number' }, df: { type: 'integer' }, pValue: { type: 'number' } }
+        },
+        cox: {
+          type: 'array',
+          nullable: true,
+          description: 'Cox PH coefficients; null if the Cox model is not trained',
+          items: { type: 'object' }
+        }
+      }
+    },
+    StatisticalTest: {
+      type: 'object',
+      nullable: true,
+      description: 'null if the groups cannot be compared (fewer than two non-empty groups, no variance)',
+      required: ['name', 'pValue'],
+      properties: {
+        name: { type: 'string', enum: Object.keys(CohortSummary.TEST_NAMES) },
+        statistic: { type: 'number' },
+        df: { description: 'Degrees of freedom; [between, within] for ANOVA' },
+        pValue: numberOrNull
+      }
+    },
+    CohortField: {
+      type: 'object',
+      required: ['field', 'kind', 'missing', 'overall', 'groups', 'test', 'tests'],
+      properties: {
+        field: { type: 'string' },
+        kind: { type: 'string', enum: ['continuous', 'categorical'] },
+        summary: { type: 'string', enum: ['mean_sd', 'median_iqr'], description: 'Continuous fields: statistic shown in the table' },
+        levels: { type: 'array', items: { type: 'string' }, description: 'Categorical fields' },
+        missing: { type: 'integer' },
+        overall: {
+          type: 'object',
+          description: 'Continuous: { n, mean, sd, median, q1, q3, min, max, skewness }; categorical: { n, counts: { level: { count, percent } } }'
+        },
+        groups: { type: 'object', additionalProperties: { type: 'object' }, description: 'Same statistics per group, plus missing' },
+        test: ref('StatisticalTest'),
+        tests: { type: 'object', additionalProperties: ref('StatisticalTest') },
+        lowExpectedCounts: { type: 'boolean' }
+      }
+    },
+    CohortSummary: {
+      type: 'object',
+      required: ['n', 'groupBy', 'groups', 'groupMissing', 'fields'],
+      properties: {
+        message: { type: 'string' },
+        warning: { type: 'string' },
+        n: { type: 'integer' },
+        groupBy: { type: 'string', nullable: true },
+        groups: {
+          type: 'array',
+          items: { type: 'object', required: ['label', 'n'], properties: { label: { type: 'string' }, n: { type: 'integer' } } }
+        },
+        groupMissing: { type: 'integer', description: 'Patients without the group value (included only in overall)' },
+        fields: { type: 'array', items: ref('CohortField') }
+      }
+    },
+    ApiKey: {
+      type: 'object',
+      required: ['id', 'user', 'scopes', 'createdAt', 'expiresAt', 'revokedAt'],
+      properties: {
+        id: { type: 'string', pattern: API_KEY_ID_PATTERN },
+        user: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: scopes } },
+        createdAt: { type: 'string' },
+        expiresAt: { type: 'string', nullable: true },
+        revokedAt: { type: 'string', nullable: true }
+      }
+    },
+    IssuedApiKey: {
+      type: 'object',
+      required: ['key', 'id', 'user', 'scopes'],
+      description: 'The key is returned only once and is not stored',
+      properties: {
+        key: { type: 'string' },
+        id: { type: 'string' },
+        user: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: scopes } },
+        createdAt: { type: 'string' },
+        expiresAt: { type: 'string', nullable: true },
+        revokedAt: { type: 'string', nullable: true }
+      }
+    },
+    ApiKeyRequest: {
+      type: 'object',
+      required: ['user', 'scopes'],
+      properties: {
+        user: { type: 'string', pattern: '\\S' },
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: scopes } },
+        expiresInDays: { type: 'number', minimum: 0, exclusiveMinimum: true, nullable: true }
+      }
+    },
+    AuditEntry: {
+      type: 'object',
+      required: ['seq', 'timestamp', 'endpoint', 'modelVersion', 'output', 'prevHash', 'hash'],
+      properties: {
+        seq: { type: 'integer' },
+        timestamp: { type: 'string' },
+        endpoint: { type: 'string' },
+        caller: {
+          type: 'object',
+          nullable: true,
+          properties: { keyId: { type: 'string' }, user: { type: 'string' } }
+        },
+        patientPseudonym: { type: 'string', nullable: true },
+        inputHash: { type: 'string' },
+        modelVersion: { type: 'string', nullable: true },
+        output: { type: 'object' },
+        threshold: { type: 'object' },
+        prevHash: { type: 'string' },
+        hash: { type: 'string' }
+      }
+    }
+  };
+}
+
+/**
+ * Документ OpenAPI.
+ * @param {Object} options - { maxBatchSize, explainMethods, scopes: права API-ключей }.
+ * @returns {Object}
+ */
+function buildOpenApiDocument({ maxBatchSize, explainMethods, scopes }) {
+  const strataColumns = modelConfig.SURVIVAL.strataColumns;
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Surgery-Onko-SSV Platform API',
+      version,
+      description: 'DEMO: models are trained on synthetic data. NOT FOR CLINICAL USE.\n\n' +
+        'Every 400 response lists all invalid fields in details: [{ field, in, reason }].'
+    },
+    servers: [{ url: '/' }],
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Per-user API key (sk_<id>_<secret>) with scopes: ' + scopes.join(', ')
+        }
+      },
+      schemas: componentSchemas({ scopes })
+    },
+    paths: {
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          summary: 'Health check',
+          responses: {
+            200: {
+              description: 'Service is up',
+              content: jsonContent({
+                type: 'object',
+                required: ['status', 'service', 'version', 'timestamp'],
+                properties: {
+                  status: { type: 'string' },
+                  service: { type: 'string' },
+                  version: { type: 'string' },
+                  mode: { type: 'string' },
+                  timestamp: { type: 'string' }
+                }
+              })
+            }
+          }
+        }
+      },
+      '/api/v1/openapi.json': {
+        get: {
+          operationId: 'getOpenApiDocument',
+          summary: 'This OpenAPI document',
+          responses: {
+            200: { description: 'OpenAPI 3.0 document', content: jsonContent({ type: 'object' }) }
+          }
+        }
+      },
+      '/api/v1/info': {
+        get: protectedOperation(null, {
+          operationId: 'getInfo',
+          summary: 'Platform information',
+          responses: {
+            200: {
+              description: 'Platform information',
+              content: jsonContent({
+                type: 'object',
+                required: ['name', 'features', 'technologies'],
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  mode: { type: 'string' },
+                  dataStatus: { type: 'string' },
+                  features: { type: 'array', items: { type: 'string' } },
+                  technologies: { type: 'array', items: { type: 'string' } }
+                }
+              })
+            },
+            ...errorResponses(401, 500)
+          }
+        })
+      },
+      '/api/v1/models': {
+        get: protectedOperation('analytics', {
+          operationId: 'listModelVersions',
+          summary: 'Registered model versions',
+          responses: {
+            200: { description: 'Registry versions and the served one', content: jsonContent(ref('ModelVersions')) },
+            ...errorResponses(401, 403, 500)
+          }
+        })
+      },
+      '/api/v1/predict': {
+        post: protectedOperation('predict', {
+          operationId: 'predict',
+          summary: 'Complication risk of one patient',
+          description: 'Every scored prediction is recorded in the hash-chained audit log before the response.',
+          parameters: [
+            {
+              name: 'explain',
+              in: 'query',
+              required: false,
+              description: 'Per-field contributions (true = gradient)',
+              schema: { type: 'string', enum: ['true', ...explainMethods] }
+            },
+            modelVersionParameter
+          ],
+          requestBody: { required: true, content: jsonContent(ref('PredictionRequest')) },
+          responses: {
+            200: { description: 'Prediction', content: jsonContent(ref('PredictionResponse')) },
+            ...errorResponses(400, 401, 403, 404, 415, 500, 503)
+          }
+        })
+      },
+      '/api/v1/predict/batch': {
+        post: protectedOperation('batch', {
+          operationId: 'predictBatch',
+          summary: 'Complication risk of many patients',
+          description: `JSON array of patient records or CSV with a header row, at most ${maxBatchSize} rows. ` +
+            'Each row is validated against PatientInput; invalid rows are reported in errors, valid rows are scored.',
+          parameters: [modelVersionParameter],
+          requestBody: {
+            required: true,
+            content: {
+              // Строки проверяются по одной в обработчике: null или не-объект попадает в errors, а не отклоняет весь пакет
+              'application/json': { schema: { type: 'array', minItems: 1, items: { nullable: true } } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          responses: {
+            200: { description: 'Scored rows and per-row errors', content: jsonContent(ref('BatchPredictionResponse')) },
+            ...errorResponses(400, 401, 403, 404, 413, 415, 500, 503)
+          }
+        })
+      },
+      '/api/v1/survival': {
+        get: protectedOperation('analytics', {
+          operationId: 'getSurvival',
+          summary: 'Kaplan-Meier curves by stratum, log-rank test and Cox summary',
+          parameters: [{
+            name: 'stratify',
+            in: 'query',
+            required: false,
+            description: `Stratification column (default ${strataColumns[0]})`,
+            schema: { type: 'string', enum: strataColumns }
+          }],
+          responses: {
+            200: { description: 'Survival analysis', content: jsonContent(ref('SurvivalSummary')) },
+            ...errorResponses(400, 401, 403, 500, 503)
+          }
+        })
+      },
+      '/api/v1/cohort/summary': {
+        get: protectedOperation('analytics', {
+          operationId: 'getCohortSummary',
+          summary: 'Baseline characteristics ("Table 1") of the patient dataset',
+          description: 'Descriptive statistics of every patient field by group with group comparison tests: ' +
+            'Welch t-test / ANOVA or Mann-Whitney U / Kruskal-Wallis, chi-square or Fisher exact.',
+          parameters: [
+            {
+              name: 'group_by',
+              in: 'query',
+              required: false,
+              description: `Categorical field to group by (default ${modelConfig.COHORT.groupBy})`,
+              schema: { type: 'string', enum: CohortSummary.categoricalFields() }
+            },
+            {
+              name: 'format',
+              in: 'query',
+              required: false,
+              description: 'Response format (default json); csv and markdown are returned as attachments',
+              schema: { type: 'string', enum: ['json', 'csv', 'markdown'] }
+            }
+          ],
+          responses: {
+            200: {
+              description: 'Cohort summary',
+              content: {
+                'application/json': { schema: ref('CohortSummary') },
+                'text/csv': { schema: { type: 'string' } },
+                'text/markdown': { schema: { type: 'string' } }
+              }
+            },
+            ...errorResponses(400, 401, 403, 500, 503)
+          }
+        })
+      },
+      '/api/v1/admin/keys': {
+        get: protectedOperation('admin', {
+          operationId: 'listApiKeys',
+          summary: 'API keys',
+          responses: {
+            200: {
+              description: 'API keys without secrets',
+              content: jsonContent({
+                type: 'object',
+                required: ['keys'],
+                properties: { keys: { type: 'array', items: ref('ApiKey') } }
+              })
+            },
+            ...errorResponses(401, 403, 500)
+          }
+        }),
+        post: protectedOperation('admin', {
+          operationId: 'issueApiKey',
+          summary: 'Issue an API key',
+          requestBody: { required: true, content: jsonContent(ref('ApiKeyRequest')) },
+          responses: {
+            201: { description: 'Issued key', content: jsonContent(ref('IssuedApiKey')) },
+            ...errorResponses(400, 401, 403, 415, 500)
+          }
+        })
+      },
+      '/api/v1/admin/keys/{id}': {
+        delete: protectedOperation('admin', {
+          operationId: 'revokeApiKey',
+          summary: 'Revoke an API key',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: API_KEY_ID_PATTERN } }],
+          responses: {
+            200: { description: 'Revoked key', content: jsonContent(ref('ApiKey')) },
+            ...errorResponses(400, 401, 403, 404, 500)
+          }
+        })
+      },
+      '/api/v1/audit/patients/{pseudonym}': {
+        get: protectedOperation('admin', {
+          operationId: 'getPatientAuditHistory',
+          summary: 'Prediction history of one patient from the audit log',
+          parameters: [{
+            name: 'pseudonym',
+            in: 'path',
+            required: true,
+            description: 'HMAC pseudonym of patient_id (scripts/manage_audit_log.js pseudonym)',
+            schema: { type: 'string', pattern: PSEUDONYM_PATTERN }
+          }],
+          responses: {
+            200: {
+              description: 'Audit log entries of the patient',
+              content: jsonContent({
+                type: 'object',
+                required: ['patientPseudonym', 'predictions', 'history'],
+                properties: {
+                  patientPseudonym: { type: 'string' },
+                  predictions: { type: 'integer' },
+                  history: { type: 'array', items: ref('AuditEntry') }
+                }
+              })
+            },
+            ...errorResponses(400, 401, 403, 500)
+          }
+        })
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
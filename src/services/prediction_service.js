@@ -0,0 +1,281 @@
+// src/services/prediction_service.js
+const fs = require('fs');
+
+const DataPreprocessor = require('../../scripts/utils/data_preprocessor');
+const { loadModel } = require('../../scripts/models/model_families');
+const FoldEnsemble = require('../../scripts/models/fold_ensemble');
+const FeatureAttribution = require('../../scripts/explainability/feature_attribution');
+const ProbabilityCalibrator = require('../../scripts/utils/probability_calibrator');
+const TargetEncoder = require('../../scripts/utils/target_encoder');
+const DistributionProfile = require('../../scripts/validation/distribution_profile');
+const ModelRegistry = require('../../scripts/registry/model_registry');
+const config = require('../../scripts/config/model_config');
+
+// Порог, если при обучении он не был сохранен
+const DEFAULT_THRESHOLD = { strategy: 'fixed', threshold: 0.5 };
+
+/**
+ * PredictionService - Инференс обученной модели для API
+ * - Версия модели из реестра: promoted (по умолчанию) или явно указанная
+ * - Однократная загрузка модели (любого семейства) и конвейера предобработки при старте сервера
+ * - Тот же путь предобработки (one-hot + scaling), что и при обучении
+ * - Пост-калибровка вероятностей, если калибратор сохранен при обучении
+ * - Порог high/low risk, выбранный при обучении (по умолчанию 0.5)
+ * - Multi-target модель: риск осложнений + ожидаемые значения регрессионных целей
+ * - Версия-ансамбль моделей фолдов: средний риск и разброс по участникам (неопределенность)
+ * - Профиль обучающей выборки: флаги пациентов вне обучающих данных (экстраполяция)
+ */
+class PredictionService {
+  /**
+   * @param {Object} [options] - { registryPath (по умолчанию REGISTRY_PATH), version (по умолчанию promoted) }.
+   */
+  constructor(options = {}) {
+    this.registry = new ModelRegistry(options.registryPath || config.REGISTRY_PATH);
+    this.requestedVersion = options.version || null;
+    this.version = null;
+    this.model = null;
+    this.classifier = null;
+    this.targetEncoder = null;
+    this.preprocessor = null;
+    this.calibrator = null;
+    this.ensemble = null;
+    this.profile = null;
+    this.threshold = DEFAULT_THRESHOLD;
+    this.loadError = null;
+  }
+
+  /**
+   * Загрузка артефактов версии из реестра. Не бросает исключение:
+   * при отсутствии артефактов сервис остается в состоянии "не готов".
+   * @returns {boolean} - Загружены ли модель и scaler.
+   */
+  async load() {
+    let version;
+    try {
+      version = this.requestedVersion || await this.registry.getPromoted();
+    } catch (error) {
+      this.loadError = `Failed to read model registry: ${error.message}`;
+      console.error(this.loadError);
+      return false;
+    }
+    if (!version) {
+      this.loadError = `No promoted model version in ${this.registry.rootPath}`;
+      console.warn(`⚠️  ${this.loadError}`);
+      return false;
+    }
+
+    if (!ModelRegistry.isValidVersion(version)) {
+      this.loadError = `Invalid model version: ${version}`;
+      console.error(this.loadError);
+      return false;
+    }
+
+    const paths = this.registry.artifactPaths(version);
+    if (fs.existsSync(paths.ensemblePath)) {
+      return this.loadEnsemble(version, paths);
+    }
+
+    const missing = [paths.modelPath, paths.preprocessorPath].filter(p => !fs.existsSync(p));
+
+    if (missing.length > 0) {
+      this.loadError = `Model artifacts not found: ${missing.join(', ')}`;
+      console.warn(`⚠️  ${this.loadError}`);
+      return false;
+    }
+
+    try {
+      this.preprocessor = await DataPreprocessor.load(paths.preprocessorPath);
+      this.model = await loadModel(paths.modelPath);
+      // Описание целей есть только у multi-target модели; риск осложнений - ее классификационный выход
+      this.targetEncoder = fs.existsSync(paths.targetsPath)
+        ? await TargetEncoder.load(paths.targetsPath)
+        : null;
+      this.classifier = this.model.outputModel(this.targetEncoder ? this.targetEncoder.classificationIndex() : 0);
+      // Калибратор необязателен: без него возвращаются сырые вероятности модели
+      this.calibrator = fs.existsSync(paths.calibratorPath)
+        ? await ProbabilityCalibrator.load(paths.calibratorPath)
+        : null;
+      this.threshold = fs.existsSync(paths.thresholdPath)
+        ? JSON.parse(await fs.promises.readFile(paths.thresholdPath, 'utf8'))
+        : DEFAULT_THRESHOLD;
+      this.profile = await this.loadProfile(paths);
+      this.version = version;
+      this.loadError = null;
+      return true;
+    } catch (error) {
+      this.version = null;
+      this.model = null;
+      this.classifier = null;
+      this.targetEncoder = null;
+      this.preprocessor = null;
+      this.calibrator = null;
+      this.profile = null;
+      this.threshold = DEFAULT_THRESHOLD;
+      this.loadError = `Failed to load model artifacts: ${error.message}`;
+      console.error(this.loadError);
+      return false;
+    }
+  }
+
+  /**
+   * Загрузка версии-ансамбля: участники со своими конвейерами предобработки, порог.
+   * @returns {boolean}
+   */
+  async loadEnsemble(version, paths) {
+    try {
+      this.ensemble = await FoldEnsemble.load(paths.ensemblePath);
+      this.threshold = fs.existsSync(paths.thresholdPath)
+        ? JSON.parse(await fs.promises.readFile(paths.thresholdPath, 'utf8'))
+        : DEFAULT_THRESHOLD;
+      this.profile = await this.loadProfile(paths);
+      this.version = version;
+      this.loadError = null;
+      return true;
+    } catch (error) {
+      this.ensemble = null;
+      this.profile = null;
+      this.version = null;
+      this.threshold = DEFAULT_THRESHOLD;
+      this.loadError = `Failed to load ensemble artifacts: ${error.message}`;
+      console.error(this.loadError);
+      return false;
+    }
+  }
+
+  /**
+   * Профиль обучающей выборки необязателен: у версий без profile.json блок ood равен null.
+   */
+  async loadProfile(paths) {
+    return fs.existsSync(paths.profilePath) ? DistributionProfile.load(paths.profilePath) : null;
+  }
+
+  isReady() {
+    return !!(this.ensemble || (this.model && this.classifier && this.preprocessor));
+  }
+
+  /**
+   * Освобождение весов загруженной версии: одиночной модели и всех участников ансамбля.
+   * После вызова сервис не готов к предсказаниям.
+   */
+  dispose() {
+    if (this.model) this.model.dispose();
+    if (this.ensemble) this.ensemble.dispose();
+    this.model = null;
+    this.classifier = null;
+    this.ensemble = null;
+  }
+
+  /**
+   * Вероятность осложнений для каждой записи.
+   * @param {Array<Object>} records - Сырые записи пациентов (как в data/*.json).
+   * @returns {Array<number>} - Вероятности в порядке записей.
+   */
+  async predict(records) {
+    const outcomes = await this.predictOutcomes(records);
+    return outcomes.map(o => o.complicationRisk);
+  }
+
+  /**
+   * Все выходы модели для каждой записи: калиброванный риск осложнений
+   * и ожидаемые значения регрессионных целей в исходных единицах.
+   * @param {Array<Object>} records - Сырые записи пациентов.
+   * @returns {Array<Object>} - [{ complicationRisk, uncertainty, expected: { hospital_stay_days, ... }, ood }]:
+   *   uncertainty - разброс риска по участникам ансамбля ({ std, min, max, members }), у одной модели - null;
+   *   ood - результат DistributionProfile.assess (null, если профиль не сохранен).
+   */
+  async predictOutcomes(records) {
+    if (!this.isReady()) {
+      throw new Error('Prediction service is not ready');
+    }
+    const outcomes = this.ensemble
+      ? await this.ensemble.predictOutcomes(records)
+      : await this.predictModelOutcomes(records);
+    const ood = await this.assessDistribution(records);
+    return outcomes.map((outcome, i) => ({ ...outcome, ood: ood ? ood[i] : null }));
+  }
+
+  /**
+   * Выходы одной (не ансамблевой) модели версии.
+   */
+  async predictModelOutcomes(records) {
+    const { X } = await this.preprocessor.process(records);
+    const outputs = [].concat(this.model.predict(X));
+    const values = await Promise.all(outputs.map(t => t.data()));
+
+    X.dispose();
+    outputs.forEach(t => t.dispose());
+
+    const targets = this.targetEncoder ? this.targetEncoder.targets : [];
+    const classIndex = this.targetEncoder ? this.targetEncoder.classificationIndex() : 0;
+    const probabilities = Array.from(values[classIndex]);
+    const risks = this.calibrator ? this.calibrator.transform(probabilities) : probabilities;
+
+    const expected = {};
+    targets.forEach((target, index) => {
+      if (target.task === 'regression') {
+        expected[target.column] = this.targetEncoder.decode(target, Array.from(values[index]));
+      }
+    });
+
+    return risks.map((complicationRisk, i) => ({
+      complicationRisk,
+      uncertainty: null,
+      expected: Object.fromEntries(Object.entries(expected).map(([column, v]) => [column, v[i]]))
+    }));
+  }
+
+  /**
+   * Проверка записей по профилю обучающей выборки версии.
+   * Признаки считаются тем же конвейером, на котором обучен профиль
+   * (у ансамбля - конвейером первой модели фолда).
+   * @param {Array<Object>} records - Сырые записи пациентов.
+   * @returns {Array<Object>|null} - DistributionProfile.assess или null без профиля.
+   */
+  async assessDistribution(records) {
+    if (!this.profile) return null;
+    const preprocessor = this.ensemble ? this.ensemble.members[0].preprocessor : this.preprocessor;
+    const { X } = await preprocessor.process(records);
+    const features = X.arraySync();
+    X.dispose();
+    return this.profile.assess(records, features);
+  }
+
+  /**
+   * Метка риска по сохраненному порогу.
+   * @param {number} risk - Вероятность осложнений.
+   * @returns {string} - 'high' или 'low'.
+   */
+  riskLabel(risk) {
+    return risk >= this.threshold.threshold ? 'high' : 'low';
+  }
+
+  /**
+   * Вклад исходных полей в предсказание для одного пациента
+   * (в шкале вероятностей модели до калибровки).
+   * @param {Object} record - Сырая запись пациента.
+   * @param {Object} [options] - { method: 'gradient'|'shapley', nSamples }.
+   *   У недифференцируемой модели (gradient_boosting) gradient заменяется на shapley.
+   * @returns {Object} - Результат FeatureAttribution.explain.
+   */
+  async explain(record, options = {}) {
+    if (!this.isReady()) {
+      throw new Error('Prediction service is not ready');
+    }
+    if (this.ensemble) {
+      return this.ensemble.explain(record, options);
+    }
+
+    const { X } = await this.preprocessor.process([record]);
+    try {
+      return await FeatureAttribution.explain(this.classifier, X, this.preprocessor.featureColumns, {
+        ...options,
+        method: options.method === 'gradient' && !this.model.differentiable ? 'shapley' : options.method,
+        sourceField: column => this.preprocessor.sourceField(column)
+      });
+    } finally {
+      X.dispose();
+    }
+  }
+}
+
+module.exports = PredictionService;
@@ -0,0 +1,81 @@
+// src/services/survival_service.js
+const fs = require('fs');
+const path = require('path');
+
+const SurvivalAnalysis = require('../../scripts/survival/survival_analysis');
+const CoxModel = require('../../scripts/survival/cox_model');
+const { loadDataset } = require('../../scripts/training/pipeline');
+const config = require('../../scripts/config/model_config');
+
+/**
+ * SurvivalService - Анализ выживаемости для API
+ * - Загрузка датасета пациентов при старте сервера через loadDataset (деидентификация, затем проверка схемы),
+ *   поэтому идентификаторы, даты и свободный текст не попадают в память сервера
+ * - Kaplan-Meier + log-rank по запрошенной страте
+ * - Коэффициенты Cox-модели, если она обучена скриптом survival_analysis_gastrectomy.js
+ */
+class SurvivalService {
+  /**
+   * @param {Object} [options] - { dataPath, coxModelPath } (по умолчанию из model_config.js).
+   */
+  constructor(options = {}) {
+    this.dataPath = path.resolve(options.dataPath || config.DATA_PATH);
+    this.coxModelPath = path.resolve(options.coxModelPath || config.SURVIVAL.coxModelPath);
+    this.records = null;
+    this.coxModel = null;
+    this.loadError = null;
+  }
+
+  /**
+   * Загрузка данных и (необязательной) Cox-модели. Не бросает исключение.
+   * @returns {boolean} - Загружен ли датасет.
+   */
+  async load() {
+    try {
+      // Деидентификация только в памяти: отчет в reports/ пишут скрипты обучения, не старт сервера
+      ({ records: this.records } = await loadDataset(this.dataPath, config.VALIDATION, { writeReport: false }));
+      this.coxModel = fs.existsSync(this.coxModelPath)
+        ? await CoxModel.load(this.coxModelPath)
+        : null;
+      this.loadError = null;
+      return true;
+    } catch (error) {
+      this.records = null;
+      this.coxModel = null;
+      this.loadError = `Failed to load survival data: ${error.message}`;
+      console.warn(`⚠️  ${this.loadError}`);
+      return false;
+    }
+  }
+
+  isReady() {
+    return Array.isArray(this.records);
+  }
+
+  /**
+   * Сводка выживаемости по одной страте.
+   * @param {string} stratify - Поле из SURVIVAL.strataColumns.
+   * @returns {Object} - { stratify, overall, groups, logRank, cox }.
+   */
+  summarize(stratify) {
+    if (!this.isReady()) {
+      throw new Error('Survival service is not ready');
+    }
+
+    const survivalConfig = config.SURVIVAL;
+    const { times, events } = SurvivalAnalysis.extractSurvivalData(this.records, survivalConfig);
+    const { groups, logRank } = SurvivalAnalysis.kaplanMeierByGroup(this.records, stratify, survivalConfig);
+
+    return {
+      stratify,
+      timeUnit: survivalConfig.timeColumn,
+      event: `${survivalConfig.eventColumn} = ${survivalConfig.eventValue}`,
+      overall: SurvivalAnalysis.kaplanMeier(times, events),
+      groups,
+      logRank,
+      cox: this.coxModel ? this.coxModel.summary() : null
+    };
+  }
+}
+
+module.exports = SurvivalService;
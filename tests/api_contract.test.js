@@ -0,0 +1,187 @@
+/**
+ * Tests for the OpenAPI request/response validator: schema keywords, requests and responses
+ */
+
+const ApiContract = require('../src/services/api_contract');
+const { PATIENT_SCHEMA } = require('../scripts/validation/patient_schema');
+
+describe('ApiContract', () => {
+  const document = {
+    openapi: '3.0.3',
+    paths: {
+      '/patients/{id}': {
+        get: {
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^P\\d+$' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } }
+          ],
+          responses: {
+            200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Patient' } } } },
+            204: { description: 'No content' },
+            default: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+          }
+        }
+      },
+      '/patients': {
+        post: {
+          requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Patient' } } } },
+          responses: { 201: { content: { 'application/json': { schema: { type: 'object' } } } } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Patient: {
+          type: 'object',
+          required: ['id', 'sex'],
+          additionalProperties: false,
+          properties: {
+            id: { $ref: '#/components/schemas/PatientId' },
+            sex: { type: 'string', enum: ['M', 'F'] },
+            age: { type: 'number', minimum: 0, exclusiveMaximum: true, maximum: 120, nullable: true },
+            stage: { type: 'string', nullable: true },
+            status: { type: 'string', nullable: true },
+            survival_months: { type: 'number', nullable: true },
+            hospital_stay_days: { type: 'number', nullable: true },
+            tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', minLength: 2 } },
+            labs: { type: 'object', additionalProperties: { type: 'number' } }
+          },
+          'x-rules': ['status_requires_survival_months']
+        },
+        PatientId: { $ref: '#/components/schemas/Code' },
+        Code: { type: 'string', pattern: '^P\\d+$' },
+        Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } }
+      }
+    }
+  };
+  const contract = new ApiContract(document, { rules: PATIENT_SCHEMA.rules, responseValidation: 'strict' });
+  const patient = { $ref: '#/components/schemas/Patient' };
+
+  describe('validate', () => {
+    test('resolves nested $ref and reports unresolvable ones', () => {
+      expect(contract.validate('P12', { $ref: '#/components/schemas/PatientId' })).toEqual([]);
+      expect(contract.validate('12', { $ref: '#/components/schemas/PatientId' }, { field: 'id', in: 'body' }))
+        .toEqual([{ field: 'id', in: 'body', reason: 'must match the pattern ^P\\d+$' }]);
+      expect(() => contract.validate('P1', { $ref: '#/components/schemas/Missing' }))
+        .toThrow('Unresolvable schema reference: #/components/schemas/Missing');
+      expect(() => contract.validate('P1', { $ref: 'other.yaml#/Patient' }))
+        .toThrow('Unresolvable schema reference: other.yaml#/Patient');
+    });
+
+    test('null passes only nullable schemas; a missing or null required field is required', () => {
+      expect(contract.validate(null, { type: 'string', nullable: true })).toEqual([]);
+      expect(contract.validate(null, { type: 'string' }, { field: 'x' })).toEqual([{ field: 'x', in: undefined, reason: 'must not be null' }]);
+      expect(contract.validate({ id: 'P1', sex: 'M', age: null, stage: null }, patient)).toEqual([]);
+      expect(contract.validate({ id: null, sex: 'M', tags: null }, patient, { in: 'body' })).toEqual([
+        { field: 'id', in: 'body', reason: 'is required' },
+        { field: 'tags', in: 'body', reason: 'must not be null' }
+      ]);
+    });
+
+    test('checks enum, type, integer and exclusive range', () => {
+      expect(contract.validate({ id: 'P1', sex: 'X' }, patient)[0].reason).toBe('must be one of: M, F');
+      expect(contract.validate({ id: 'P1', sex: 1 }, patient)[0].reason).toBe('must be one of: M, F');
+      expect(contract.validate({ id: 'P1', sex: 'M', age: '60' }, patient)[0].reason).toBe('must be of type number');
+      expect(contract.validate({ id: 'P1', sex: 'M', age: 120 }, patient)[0].reason).toBe('must be a number >= 0 and < 120');
+      expect(contract.validate(2.5, { type: 'integer' })[0].reason).toBe('must be an integer');
+      expect(contract.validate(Infinity, { type: 'number' })[0].reason).toBe('must be of type number');
+      expect(contract.validate(5, { type: 'number', minimum: 1, maximum: 3 })[0].reason).toBe('must be a number between 1 and 3');
+    });
+
+    test('rejects additional properties or validates them by schema', () => {
+      expect(contract.validate({ id: 'P1', sex: 'M', ward: 3, note: 'x' }, patient, { in: 'body' })).toEqual([
+        { field: 'ward', in: 'body', reason: 'is not allowed' },
+        { field: 'note', in: 'body', reason: 'is not allowed' }
+      ]);
+      expect(contract.validate({ id: 'P1', sex: 'M', labs: { hb: 120, crp: 'high' } }, patient)).toEqual([
+        { field: 'labs.crp', in: undefined, reason: 'must be of type number' }
+      ]);
+    });
+
+    test('validates arrays with item paths and size limits', () => {
+      expect(contract.validate({ id: 'P1', sex: 'M', tags: ['ok', 'x'] }, patient)).toEqual([
+        { field: 'tags[1]', in: undefined, reason: 'must be at least 2 characters long' }
+      ]);
+      expect(contract.validate({ id: 'P1', sex: 'M', tags: [] }, patient)[0].reason).toBe('must contain at least 1 item(s)');
+      expect(contract.validate({ id: 'P1', sex: 'M', tags: ['a1', 'b2', 'c3'] }, patient)[0].reason)
+        .toBe('must contain at most 2 item(s)');
+    });
+
+    test('oneOf needs exactly one matching option', () => {
+      const idSchema = { oneOf: [{ type: 'string' }, { type: 'integer' }] };
+      expect(contract.validate(7, idSchema)).toEqual([]);
+      expect(contract.validate(true, idSchema)[0].reason).toBe('must be of type string or integer');
+      expect(contract.validate(7, { oneOf: [{ type: 'number' }, { type: 'integer' }] })[0].reason)
+        .toBe('must match exactly one of the allowed schemas');
+    });
+
+    test('applies x-rules by name at the record path', () => {
+      expect(contract.validate({ id: 'P1', sex: 'M', status: 'alive' }, patient, { field: 'patients[0]', in: 'body' })).toEqual([{
+        field: 'patients[0].survival_months', in: 'body', reason: 'is required when status is set', rule: 'status_requires_survival_months'
+      }]);
+      expect(() => new ApiContract(document).validate({ id: 'P1', sex: 'M' }, patient))
+        .toThrow('Unknown record rule: status_requires_survival_months');
+    });
+  });
+
+  describe('requests', () => {
+    const get = contract.operation('get', '/patients/{id}');
+    const post = contract.operation('post', '/patients');
+
+    test('checks path and query parameters', () => {
+      expect(contract.validateRequest(get, { params: { id: 'P7' }, query: { limit: 10 } })).toEqual({ status: null, errors: [] });
+      expect(contract.validateRequest(get, { params: { id: '' }, query: { limit: 0 } })).toEqual({
+        status: 400,
+        errors: [
+          { field: 'id', in: 'path', reason: 'is required' },
+          { field: 'limit', in: 'query', reason: 'must be a number between 1 and 100' }
+        ]
+      });
+    });
+
+    test('checks the body and rejects an undocumented content type with 415', () => {
+      const { status, errors } = contract.validateRequest(post, {
+        params: {}, query: {}, body: { sex: 'M' }, contentType: 'application/json'
+      });
+      expect(status).toBe(400);
+      expect(errors).toEqual([{ field: 'id', in: 'body', reason: 'is required' }]);
+
+      const unsupported = contract.validateRequest(post, { params: {}, query: {}, body: 'id=P1', contentType: null });
+      expect(unsupported).toEqual({
+        status: 415,
+        errors: [{ field: null, in: 'body', reason: 'content type must be one of: application/json' }]
+      });
+    });
+
+    test('an undocumented operation throws', () => {
+      expect(() => contract.operation('delete', '/patients/{id}'))
+        .toThrow('Operation DELETE /patients/{id} is not described in the OpenAPI document');
+    });
+  });
+
+  describe('responses', () => {
+    const get = contract.operation('get', '/patients/{id}');
+
+    test('checks the body against the schema of the status code', () => {
+      expect(contract.validateResponse(get, 200, { id: 'P1', sex: 'F' })).toEqual([]);
+      expect(contract.validateResponse(get, 200, { id: 'P1', sex: 'F', secret: 1 }))
+        .toEqual([{ field: 'secret', reason: 'is not allowed' }]);
+      expect(contract.validateResponse(get, 204, undefined)).toEqual([]);
+    });
+
+    test('falls back to the default response and reports undescribed statuses', () => {
+      expect(contract.validateResponse(get, 404, { error: 'Not Found' })).toEqual([]);
+      expect(contract.validateResponse(get, 500, { message: 'boom' })).toEqual([{ field: 'error', reason: 'is required' }]);
+
+      const post = contract.operation('post', '/patients');
+      expect(contract.validateResponse(post, 500, {})).toEqual([{ field: null, reason: 'status 500 is not described' }]);
+    });
+
+    test('accepts only the known response validation modes', () => {
+      expect(ApiContract.RESPONSE_VALIDATION_MODES).toEqual(['off', 'warn', 'strict']);
+      expect(new ApiContract(document, { responseValidation: 'off' }).responseValidation).toBe('off');
+      expect(() => new ApiContract(document, { responseValidation: 'loud' }))
+        .toThrow('Unknown response validation mode: loud. Use one of: off, warn, strict');
+    });
+  });
+});
@@ -2,10 +2,44 @@
  * Tests for Surgery-Onko-SSV Platform
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const app = require('../src/index');
+const ApiKeyStore = require('../src/services/api_key_store');
+const AuditLog = require('../src/services/audit_log');
 
 describe('Platform Surgery-Onko-SSV API Tests', () => {
+  const validPatient = {
+    age: 65,
+    sex: 'M',
+    bmi: 24.5,
+    tumor_stage: 'IIIA',
+    surgery_type: 'open',
+    operation_time_min: 210,
+    blood_loss_ml: 300,
+    lymph_nodes_removed: 32,
+    neoadjuvant_therapy: true
+  };
+  
+  // Temporary key store (one key with every scope) and audit log
+  const keyStorePath = path.join(os.tmpdir(), `api_keys_test_${process.pid}.json`);
+  const auditLogPath = path.join(os.tmpdir(), `audit_test_${process.pid}.ndjson`);
+  let token;
+
+  beforeAll(async () => {
+    app.locals.apiKeys = new ApiKeyStore({ path: keyStorePath });
+    app.locals.auditLog = new AuditLog({ path: auditLogPath, pseudonymKey: 'test-pseudonym-key' });
+    // Any response that drifts from the OpenAPI document fails the test with a 500
+    app.locals.apiContract.responseValidation = 'strict';
+    ({ key: token } = await app.locals.apiKeys.issue({ user: 'test', scopes: ApiKeyStore.SCOPES }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyStorePath, { force: true });
+    fs.rmSync(auditLogPath, { force: true });
+  });
   
   describe('GET /health', () => {
     it('should return 200 and health status', async () => {
@@ -19,9 +53,28 @@ describe('Platform Surgery-Onko-SSV API Tests', () => {
     });
   });
 
+  describe('GET /api/v1/openapi.json', () => {
+    it('should serve the OpenAPI document without an API key', async () => {
+      const response = await request(app).get('/api/v1/openapi.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('openapi', '3.0.3');
+      expect(Object.keys(response.body.paths)).toEqual(expect.arrayContaining(['/health', '/api/v1/info', '/api/v1/predict']));
+      expect(response.body.components.schemas.PatientInput.required).toContain('tumor_stage');
+    });
+  });
+
   describe('GET /api/v1/info', () => {
-    it('should return platform information', async () => {
+    it('should return 401 without an API key', async () => {
       const response = await request(app).get('/api/v1/info');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return platform information', async () => {
+      const response = await request(app)
+        .get('/api/v1/info')
+        .set('Authorization', `Bearer ${token}`);
       
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('name', 'Platform-Surgery-Onko-SSV');
@@ -37,6 +90,397 @@ describe('Platform Surgery-Onko-SSV API Tests', () => {
     });
   });
 
+  describe('POST /api/v1/predict', () => {
+    it('should return 401 without a token', async () => {
+      const response = await request(app).post('/api/v1/predict').send(validPatient);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 for invalid input', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validPatient, bmi: 'high' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Validation Error');
+    });
+
+    it('should report every invalid field from the patient schema', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validPatient, tumor_stage: 'V', lymph_nodes_removed: 12.5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => d.field)).toEqual(['tumor_stage', 'lymph_nodes_removed']);
+    });
+
+    it('should list invalid query parameters and body fields in one response', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict?explain=lime&model_version=latest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validPatient, age: null, sex: 'X' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(d => `${d.in}:${d.field}`))
+        .toEqual(['query:explain', 'query:model_version', 'body:age', 'body:sex']);
+    });
+
+    it('should return the same error body for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/json')
+        .send('{"age": 65,');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Validation Error');
+      expect(response.body.details).toHaveLength(1);
+    });
+
+    it('should return 400 for an unknown explanation method', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict?explain=lime')
+        .set('Authorization', `Bearer ${token}`)
+        .send(validPatient);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 503 when model artifacts are not loaded', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict')
+        .set('Authorization', `Bearer ${token}`)
+        .send(validPatient);
+
+      expect(response.status).toBe(503);
+      expect(response.body).toHaveProperty('error', 'Service Unavailable');
+      expect(response.body).not.toHaveProperty('prediction');
+    });
+  });
+
+  describe('POST /api/v1/predict/batch', () => {
+    const realService = app.locals.predictionService;
+    const stubService = {
+      version: 'v7',
+      isReady: () => true,
+      threshold: { strategy: 'fixed', threshold: 0.4 },
+      riskLabel: (risk) => (risk >= 0.4 ? 'high' : 'low'),
+      predictOutcomes: jest.fn(async (records) => records.map(() => ({
+        complicationRisk: 0.42,
+        expected: { hospital_stay_days: 9.5 }
+      })))
+    };
+
+    beforeAll(() => {
+      app.locals.predictionService = stubService;
+    });
+
+    afterAll(() => {
+      app.locals.predictionService = realService;
+    });
+
+    it('should score a JSON array and key validation errors by patient_id', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send([
+          { patient_id: 'P001', ...validPatient },
+          { patient_id: 'P002', ...validPatient, age: 150 },
+          { patient_id: 'P003', ...validPatient }
+        ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('scored', 2);
+      expect(response.body).toHaveProperty('modelVersion', 'v7');
+      expect(response.body.predictions.map(p => p.patient_id)).toEqual(['P001', 'P003']);
+      expect(response.body.predictions[1]).toHaveProperty('row', 2);
+      expect(response.body.errors).toHaveProperty('P002');
+      expect(stubService.predictOutcomes).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report null and non-object rows one by one and score the rest', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send([{ patient_id: 'P040', ...validPatient }, null, 'P041']);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ total: 3, scored: 1, failed: 2 });
+      expect(response.body.predictions.map(p => p.patient_id)).toEqual(['P040']);
+      expect(response.body.errors.row_1).toMatchObject({ row: 1, details: [{ reason: 'must not be null' }] });
+      expect(response.body.errors.row_2).toMatchObject({ row: 2, details: [{ reason: 'must be of type object' }] });
+    });
+
+    it('should accept a CSV body', async () => {
+      const header = ['patient_id', ...Object.keys(validPatient)].join(',');
+      const line = ['P010', ...Object.values(validPatient)].join(',');
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'text/csv')
+        .send(`${header}\n${line}\n`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.predictions).toEqual([
+        {
+          row: 0,
+          patient_id: 'P010',
+          complicationRisk: 0.42,
+          riskLabel: 'high',
+          expectedOutcomes: { hospital_stay_days: 9.5 }
+        }
+      ]);
+      expect(response.body).toHaveProperty('threshold', 0.4);
+    });
+
+    it('should accept a semicolon-separated CSV with decimal commas and да/нет', async () => {
+      const header = Object.keys(validPatient).join(';');
+      const line = Object.values(validPatient)
+        .map(v => (v === true ? 'да' : String(v).replace('.', ',')))
+        .join(';');
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'text/csv')
+        .send(`${header}\n${line}\n`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('scored', 1);
+    });
+
+    it('should return out-of-distribution flags per prediction', async () => {
+      const ood = {
+        outOfDistribution: true,
+        distance: 12.4,
+        distancePercentile: 1,
+        distanceThreshold: 5.8,
+        flags: [{ field: 'age', value: 25, reason: 'below_training_range', range: [45, 90] }]
+      };
+      stubService.predictOutcomes.mockImplementationOnce(async (records) => records.map(() => ({
+        complicationRisk: 0.42,
+        expected: { hospital_stay_days: 9.5 },
+        ood
+      })));
+
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send([{ patient_id: 'P020', ...validPatient, age: 25 }]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.predictions[0]).toHaveProperty('ood', ood);
+    });
+
+    it('should record each scored row in the hash-chained audit log', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send([{ patient_id: 'P030', ...validPatient }]);
+
+      expect(response.status).toBe(200);
+      expect(fs.readFileSync(auditLogPath, 'utf8')).not.toContain('P030');
+
+      const pseudonym = app.locals.auditLog.pseudonym('P030');
+      const history = await request(app)
+        .get(`/api/v1/audit/patients/${pseudonym}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(history.status).toBe(200);
+      expect(history.body.history).toHaveLength(1);
+      expect(history.body.history[0]).toMatchObject({
+        modelVersion: 'v7',
+        caller: { user: 'test' },
+        output: { complicationRisk: 0.42, riskLabel: 'high' },
+        threshold: { threshold: 0.4, strategy: 'fixed' }
+      });
+      expect(await app.locals.auditLog.verify()).toHaveProperty('valid', true);
+    });
+
+    it('should return 404 for an unregistered model_version', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict/batch?model_version=v999')
+        .set('Authorization', `Bearer ${token}`)
+        .send([validPatient]);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an empty batch', async () => {
+      const response = await request(app)
+        .post('/api/v1/predict/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send([]);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/survival', () => {
+
+    it('should return 400 for an unsupported stratification column', async () => {
+      const response = await request(app)
+        .get('/api/v1/survival?stratify=patient_id')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return Kaplan-Meier curves and a log-rank test per stratum', async () => {
+      const SurvivalService = require('../src/services/survival_service');
+      const realService = app.locals.survivalService;
+      const service = new SurvivalService();
+      await service.load();
+      app.locals.survivalService = service;
+
+      const response = await request(app)
+        .get('/api/v1/survival?stratify=surgery_type')
+        .set('Authorization', `Bearer ${token}`);
+
+      app.locals.survivalService = realService;
+
+      expect(response.status).toBe(200);
+      expect(Object.keys(response.body.groups)).toEqual(['laparoscopic', 'open']);
+      expect(response.body.overall.steps.length).toBeGreaterThan(0);
+      expect(response.body.logRank).toHaveProperty('pValue');
+    });
+  });
+
+  describe('GET /api/v1/cohort/summary', () => {
+    const realService = app.locals.survivalService;
+    // Demo patients plus an age above the top-code and free text that de-identification must drop
+    const dataPath = path.join(os.tmpdir(), `cohort_test_${process.pid}.json`);
+    const patients = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/gastrectomy_patients.json'), 'utf8'));
+    patients[2] = { ...patients[2], age: 94, notes: 'Иванов И.И., палата 12' };
+
+    beforeAll(async () => {
+      fs.writeFileSync(dataPath, JSON.stringify(patients));
+      const SurvivalService = require('../src/services/survival_service');
+      app.locals.survivalService = new SurvivalService({ dataPath });
+      await app.locals.survivalService.load();
+    });
+
+    afterAll(() => {
+      app.locals.survivalService = realService;
+      fs.rmSync(dataPath, { force: true });
+    });
+
+    it('should describe every field by group with comparison tests', async () => {
+      const response = await request(app)
+        .get('/api/v1/cohort/summary?group_by=surgery_type')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.groups.map(g => g.label)).toEqual(['laparoscopic', 'open']);
+      const age = response.body.fields.find(f => f.field === 'age');
+      expect(age.overall).toHaveProperty('n', response.body.n);
+      expect(age.tests.nonparametric).toHaveProperty('name', 'mann_whitney_u');
+      const sex = response.body.fields.find(f => f.field === 'sex');
+      expect(sex.tests).toHaveProperty('fisherExact');
+    });
+
+    it('should describe the de-identified dataset, the same table as the CLI', async () => {
+      const response = await request(app)
+        .get('/api/v1/cohort/summary?group_by=surgery_type')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.n).toBe(5);
+      expect(response.body.groups).toEqual([{ label: 'laparoscopic', n: 3 }, { label: 'open', n: 2 }]);
+      const age = response.body.fields.find(f => f.field === 'age');
+      // 94 is top-coded to 90
+      expect(age.overall.max).toBe(90);
+      expect(age.overall.min).toBe(54);
+      expect(age.overall.mean).toBeCloseTo((62 + 58 + 90 + 54 + 65) / 5, 6);
+      expect(JSON.stringify(response.body)).not.toMatch(/P00\d|Иванов/);
+
+      const CohortSummary = require('../scripts/analytics/cohort_summary');
+      const { loadDataset } = require('../scripts/training/pipeline');
+      const { COHORT } = require('../scripts/config/model_config');
+      const { records } = await loadDataset(dataPath);
+      const cli = CohortSummary.summarize(records, { ...COHORT, groupBy: 'surgery_type' });
+      expect(response.body).toEqual({
+        message: 'Cohort summary (DEMO)',
+        warning: expect.any(String),
+        ...JSON.parse(JSON.stringify(cli))
+      });
+    });
+
+    it('should de-identify the dataset in memory without writing the report', async () => {
+      const SurvivalService = require('../src/services/survival_service');
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+      try {
+        const service = new SurvivalService({ dataPath });
+        expect(await service.load()).toBe(true);
+        expect(service.records.map(r => r.age)).toContain(90);
+        expect(writeFile).not.toHaveBeenCalled();
+      } finally {
+        writeFile.mockRestore();
+      }
+    });
+
+    it('should export the table as Markdown and CSV', async () => {
+      const markdown = await request(app)
+        .get('/api/v1/cohort/summary?group_by=complications&format=markdown')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(markdown.status).toBe(200);
+      expect(markdown.headers['content-type']).toMatch(/text\/markdown/);
+      expect(markdown.text).toMatch(/^\| Characteristic \| Level \| Overall \(n=5\)/);
+
+      const csv = await request(app)
+        .get('/api/v1/cohort/summary?group_by=complications&format=csv')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(csv.status).toBe(200);
+      expect(csv.text.split('\n')[1]).toMatch(/^"age, mean \(SD\)"/);
+    });
+  });
+
+  describe('API keys', () => {
+    it('should return 403 when the key lacks the route scope', async () => {
+      const { key } = await app.locals.apiKeys.issue({ user: 'clinician', scopes: ['predict'] });
+      const response = await request(app)
+        .get('/api/v1/survival')
+        .set('Authorization', `Bearer ${key}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should issue and revoke keys through the admin routes', async () => {
+      const issued = await request(app)
+        .post('/api/v1/admin/keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ user: 'analyst', scopes: ['analytics'], expiresInDays: 30 });
+
+      expect(issued.status).toBe(201);
+      expect(issued.body).toHaveProperty('key');
+      expect(issued.body).not.toHaveProperty('hash');
+
+      const revoked = await request(app)
+        .delete(`/api/v1/admin/keys/${issued.body.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(revoked.status).toBe(200);
+
+      const response = await request(app)
+        .get('/api/v1/info')
+        .set('Authorization', `Bearer ${issued.body.key}`);
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('message', 'API key has been revoked');
+    });
+
+    it('should reject an unknown scope', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ user: 'analyst', scopes: ['root'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /nonexistent', () => {
     it('should return 404 for non-existent routes', async () => {
       const response = await request(app).get('/nonexistent');
@@ -0,0 +1,103 @@
+/**
+ * Tests for the hash-chained prediction audit log: tamper detection by verify()
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../src/services/audit_log');
+
+describe('AuditLog', () => {
+  let dir;
+  let logPath;
+  let auditLog;
+
+  const record = (patientId, risk) => ({
+    endpoint: 'predict',
+    caller: { keyId: 'k1', user: 'test' },
+    patient: { patient_id: patientId, age: 65 },
+    modelVersion: 'v1',
+    output: { complicationRisk: risk, riskLabel: risk >= 0.5 ? 'high' : 'low' },
+    threshold: { threshold: 0.5, strategy: 'fixed' }
+  });
+  const readLines = () => fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+  const writeLines = lines => fs.writeFileSync(logPath, lines.map(l => `${l}\n`).join(''));
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit_log_test_'));
+    logPath = path.join(dir, 'audit.ndjson');
+    auditLog = new AuditLog({ path: logPath, pseudonymKey: 'test-pseudonym-key' });
+    await auditLog.append([record('P1', 0.2), record('P2', 0.7)]);
+    await auditLog.append([record('P3', 0.4), record('P4', 0.9)]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('an untouched log verifies and stores no patient_id', async () => {
+    const result = await auditLog.verify();
+    expect(result).toMatchObject({ valid: true, entries: 4, lastSeq: 4, errors: [] });
+    expect(fs.readFileSync(logPath, 'utf8')).not.toMatch(/"P\d"/);
+    expect(JSON.parse(readLines()[0]).prevHash).toBe(AuditLog.GENESIS_HASH);
+  });
+
+  test('detects an edited entry at its line', async () => {
+    const lines = readLines();
+    const edited = JSON.parse(lines[2]);
+    edited.output.complicationRisk = 0.1;
+    lines[2] = JSON.stringify(edited);
+    writeLines(lines);
+
+    const result = await auditLog.verify();
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{ line: 3, seq: 3, reason: 'entry content does not match its hash' }]);
+  });
+
+  test('detects an edited entry even when its hash is recomputed', async () => {
+    const lines = readLines();
+    const edited = JSON.parse(lines[1]);
+    edited.output.riskLabel = 'low';
+    edited.hash = AuditLog.entryHash(edited);
+    lines[1] = JSON.stringify(edited);
+    writeLines(lines);
+
+    const { errors } = await auditLog.verify();
+    expect(errors).toEqual([{ line: 3, seq: 3, reason: 'prevHash does not match the previous entry' }]);
+  });
+
+  test('detects a deleted entry', async () => {
+    const lines = readLines();
+    lines.splice(1, 1);
+    writeLines(lines);
+
+    const { valid, errors } = await auditLog.verify();
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { line: 2, seq: 3, reason: 'sequence gap: expected 2' },
+      { line: 2, seq: 3, reason: 'prevHash does not match the previous entry' }
+    ]);
+  });
+
+  test('detects reordered entries', async () => {
+    const lines = readLines();
+    [lines[1], lines[2]] = [lines[2], lines[1]];
+    writeLines(lines);
+
+    const { errors } = await auditLog.verify();
+    expect(errors.map(e => [e.line, e.seq])).toEqual([[2, 3], [2, 3], [3, 2], [3, 2], [4, 4], [4, 4]]);
+    expect(errors[0].reason).toBe('sequence gap: expected 2');
+  });
+
+  test('detects an unparseable line and a truncated tail by the anchor', async () => {
+    const anchor = { seq: 4, hash: JSON.parse(readLines()[3]).hash };
+    expect((await auditLog.verify({ anchor })).valid).toBe(true);
+
+    const lines = readLines();
+    writeLines([lines[0], '{"seq": 2, broken', lines[2]]);
+    const { errors } = await auditLog.verify({ anchor });
+    expect(errors[0]).toMatchObject({ line: 2, seq: null });
+    expect(errors[0].reason).toMatch(/^unparseable entry/);
+    expect(errors[errors.length - 1]).toEqual({ line: null, seq: 4, reason: 'anchor entry is missing (log truncated?)' });
+  });
+});
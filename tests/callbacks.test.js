@@ -0,0 +1,189 @@
+/**
+ * Tests for training callbacks: early stopping, learning rate schedule, checkpoints
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const {
+  EpochHistory,
+  EarlyStopping,
+  ReduceLrOnPlateau,
+  Checkpoint,
+  createCallbacks,
+  readCheckpoint,
+  writeHistory,
+  resolveMode
+} = require('../scripts/training/callbacks');
+
+// Minimal stand-in for a tf.LayersModel: one weight whose value is the epoch it was set in
+function fakeModel(learningRate = 0.01) {
+  return {
+    stopTraining: false,
+    optimizer: { learningRate },
+    weights: [tf.scalar(0)],
+    getWeights() { return this.weights; },
+    setWeights(weights) { this.weights = weights.map(w => w.clone()); },
+    saved: [],
+    async save(url) { this.saved.push(url); }
+  };
+}
+
+async function runEpochs(callback, model, values, monitor = 'val_loss') {
+  callback.model = model;
+  for (let epoch = 0; epoch < values.length && !model.stopTraining; epoch++) {
+    model.weights = [tf.scalar(epoch + 1)];
+    await callback.onEpochEnd(epoch, { [monitor]: values[epoch] });
+  }
+  if (callback.onTrainEnd) await callback.onTrainEnd();
+}
+
+describe('Training callbacks', () => {
+  let log;
+  let warn;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+    warn.mockRestore();
+  });
+
+  test('resolveMode maximises accuracy-like metrics and minimises the rest', () => {
+    expect(resolveMode('val_auc')).toBe('max');
+    expect(resolveMode('val_acc')).toBe('max');
+    expect(resolveMode('val_loss')).toBe('min');
+    expect(resolveMode('val_loss', 'max')).toBe('max');
+  });
+
+  describe('EarlyStopping', () => {
+    test('stops after patience epochs without improvement and restores the best weights', async () => {
+      const model = fakeModel();
+      const callback = new EarlyStopping({ monitor: 'val_loss', patience: 2 });
+      await runEpochs(callback, model, [0.9, 0.5, 0.6, 0.7, 0.4, 0.3]);
+      expect(callback.bestEpoch).toBe(2);
+      expect(callback.stoppedEpoch).toBe(4);
+      expect(model.stopTraining).toBe(true);
+      expect(model.getWeights()[0].dataSync()[0]).toBe(2);
+    });
+
+    test('treats changes below minDelta as no improvement', async () => {
+      const model = fakeModel();
+      const callback = new EarlyStopping({ monitor: 'val_loss', patience: 1, minDelta: 0.05 });
+      await runEpochs(callback, model, [0.5, 0.48, 0.3]);
+      expect(callback.bestEpoch).toBe(1);
+      expect(callback.stoppedEpoch).toBe(2);
+    });
+
+    test('keeps the last weights when restoreBestWeights is false', async () => {
+      const model = fakeModel();
+      const callback = new EarlyStopping({ monitor: 'val_auc', patience: 1, restoreBestWeights: false });
+      await runEpochs(callback, model, [0.7, 0.8, 0.75], 'val_auc');
+      expect(callback.bestEpoch).toBe(2);
+      expect(callback.stoppedEpoch).toBe(3);
+      expect(model.getWeights()[0].dataSync()[0]).toBe(3);
+    });
+
+    test('reads scalar tensors from logs and ignores a missing metric with one warning', async () => {
+      const model = fakeModel();
+      const callback = new EarlyStopping({ monitor: 'val_loss', patience: 1 });
+      callback.model = model;
+      await callback.onEpochEnd(0, { val_loss: tf.scalar(0.4) });
+      expect(callback.tracker.best).toBeCloseTo(0.4, 6);
+      warn.mockClear();
+      await callback.onEpochEnd(1, { loss: 0.3 });
+      await callback.onEpochEnd(2, { loss: 0.2 });
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(model.stopTraining).toBe(false);
+    });
+  });
+
+  describe('ReduceLrOnPlateau', () => {
+    test('multiplies the learning rate by factor on a plateau, not below minLr', async () => {
+      const model = fakeModel(0.01);
+      const callback = new ReduceLrOnPlateau({ monitor: 'val_loss', factor: 0.5, patience: 2, minLr: 0.003 });
+      const rates = [];
+      callback.model = model;
+      for (const [epoch, value] of [0.5, 0.6, 0.6, 0.6, 0.6, 0.4, 0.6, 0.6, 0.6, 0.6].entries()) {
+        await callback.onEpochEnd(epoch, { val_loss: value });
+        rates.push(model.optimizer.learningRate);
+      }
+      expect(rates).toEqual([0.01, 0.01, 0.005, 0.005, 0.003, 0.003, 0.003, 0.003, 0.003, 0.003]);
+    });
+  });
+
+  describe('Checkpoint', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint_test_'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves the model and resumable state every everyEpochs epochs', async () => {
+      const model = fakeModel(0.004);
+      const history = new EpochHistory([{ epoch: 1, loss: 0.9, learningRate: 0.01 }]);
+      const fingerprint = { family: 'mlp', dataHash: 'abc' };
+      const callback = new Checkpoint({ path: dir, everyEpochs: 2, fingerprint }, history);
+      callback.model = model;
+
+      await callback.onEpochEnd(0);
+      expect(model.saved).toEqual([]);
+      await callback.onEpochEnd(1);
+      expect(model.saved).toEqual([`file://${path.join(dir, 'model')}`]);
+
+      const state = await readCheckpoint(dir, fingerprint);
+      expect(state).toMatchObject({
+        epoch: 2,
+        learningRate: 0.004,
+        history: history.rows,
+        modelPath: path.join(dir, 'model', 'model.json')
+      });
+    });
+
+    test('ignores a missing checkpoint or one from a different run', async () => {
+      expect(await readCheckpoint(path.join(dir, 'none'), {})).toBeNull();
+
+      const callback = new Checkpoint({ path: dir, everyEpochs: 1, fingerprint: { dataHash: 'abc' } }, new EpochHistory());
+      callback.model = fakeModel();
+      await callback.onEpochEnd(0);
+      expect(await readCheckpoint(dir, { dataHash: 'other' })).toBeNull();
+    });
+  });
+
+  test('createCallbacks monitors training metrics when there is no validation part', () => {
+    const config = {
+      earlyStopping: { monitor: 'val_loss', patience: 3 },
+      reduceLrOnPlateau: { monitor: 'val_loss', factor: 0.5, patience: 2 }
+    };
+    const withValidation = createCallbacks(config, { hasValidation: true });
+    expect(withValidation.earlyStopping.tracker.monitor).toBe('val_loss');
+    expect(withValidation.callbacks).toHaveLength(3);
+
+    const withoutValidation = createCallbacks(config, { hasValidation: false, checkpoint: { path: 'x' } });
+    expect(withoutValidation.earlyStopping.tracker.monitor).toBe('loss');
+    expect(withoutValidation.callbacks[2].tracker.monitor).toBe('loss');
+    expect(withoutValidation.callbacks[3]).toBeInstanceOf(Checkpoint);
+
+    expect(createCallbacks({ earlyStopping: null, reduceLrOnPlateau: null }).callbacks).toHaveLength(1);
+  });
+
+  test('writeHistory exports JSON and CSV with the union of columns', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history_test_'));
+    try {
+      const rows = [{ epoch: 1, loss: 0.5, learningRate: 0.01 }, { epoch: 2, loss: 0.4, val_loss: 0.45, learningRate: 0.01 }];
+      const { jsonPath, csvPath } = await writeHistory(rows, { epochsRun: 2 }, path.join(dir, 'history'));
+      expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toEqual({ summary: { epochsRun: 2 }, epochs: rows });
+      expect(fs.readFileSync(csvPath, 'utf8')).toBe('epoch,loss,learningRate,val_loss\n1,0.5,0.01,\n2,0.4,0.01,0.45\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
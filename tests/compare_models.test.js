@@ -0,0 +1,63 @@
+/**
+ * Tests for pairing two cross-validation reports for the DeLong comparison
+ */
+
+const { compareCvReports } = require('../scripts/compare_models');
+const { delongTest } = require('../scripts/metrics/statistics');
+
+describe('compareCvReports', () => {
+  const labels = [1, 0, 1, 0, 0, 1, 0, 0];
+  const probsA = [0.9, 0.2, 0.7, 0.4, 0.1, 0.6, 0.3, 0.5];
+  const probsB = [0.6, 0.5, 0.4, 0.3, 0.2, 0.8, 0.7, 0.1];
+  const report = probs => ({
+    oofPredictions: labels.map((label, index) => ({ index, fold: (index % 2) + 1, label, prob: probs[index] }))
+  });
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('compares predictions of the same patients', () => {
+    const result = compareCvReports(report(probsA), report(probsB));
+    expect(result).toEqual({ ...delongTest(labels, probsA, probsB), nPatients: labels.length });
+  });
+
+  test('pairs patients by index, not by position in the report', () => {
+    const shuffledB = report(probsB);
+    shuffledB.oofPredictions.reverse();
+    const result = compareCvReports(report(probsA), shuffledB);
+    expect(result.aucB).toBe(delongTest(labels, probsA, probsB).aucB);
+    expect(result.difference).toBe(delongTest(labels, probsA, probsB).difference);
+  });
+
+  test('requires out-of-fold predictions in both reports', () => {
+    expect(() => compareCvReports(report(probsA), {}))
+      .toThrow('Both reports must contain oofPredictions (re-run cross_validate_gastrectomy.js).');
+  });
+
+  test('rejects reports that cover different patients', () => {
+    const partial = report(probsB);
+    partial.oofPredictions.pop();
+    expect(() => compareCvReports(report(probsA), partial))
+      .toThrow('Reports cover different patients; DeLong test needs paired predictions.');
+    expect(() => compareCvReports(partial, report(probsA)))
+      .toThrow('Reports cover different patients; DeLong test needs paired predictions.');
+
+    const shifted = report(probsB);
+    shifted.oofPredictions[0].index = 100;
+    expect(() => compareCvReports(report(probsA), shifted))
+      .toThrow('Reports cover different patients; DeLong test needs paired predictions.');
+  });
+
+  test('rejects reports whose labels disagree for a patient', () => {
+    const other = report(probsB);
+    other.oofPredictions[3].label = 1;
+    expect(() => compareCvReports(report(probsA), other))
+      .toThrow('Label mismatch for patient index 3: reports use different datasets.');
+  });
+});
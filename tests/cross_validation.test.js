@@ -0,0 +1,89 @@
+/**
+ * Tests for cross-validation fold evaluation
+ */
+
+const { createStratifiedFolds, evaluateFold } = require('../scripts/cross_validate_gastrectomy');
+const MetricsCalculator = require('../scripts/metrics/calculate_metrics');
+const GradientBoostingModel = require('../scripts/models/gradient_boosting_model');
+const tf = require('@tensorflow/tfjs-node');
+
+// AUC by definition: share of positive/negative pairs ranked correctly, ties count as one half
+function pairwiseAuc(labels, scores) {
+  let sum = 0;
+  let pairs = 0;
+  labels.forEach((li, i) => labels.forEach((lj, j) => {
+    if (li !== 1 || lj !== 0) return;
+    sum += scores[i] > scores[j] ? 1 : scores[i] === scores[j] ? 0.5 : 0;
+    pairs++;
+  }));
+  return sum / pairs;
+}
+
+describe('Cross-validation', () => {
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  describe('evaluateFold', () => {
+    test('gives AUC 1 when every positive is ranked above every negative', () => {
+      const metrics = evaluateFold([0, 0, 1, 1, 0, 1], [0.1, 0.2, 0.8, 0.9, 0.3, 0.7], 0.5);
+      expect(metrics.auc).toBe(1);
+      expect(metrics.confusionMatrix).toEqual({ tp: 3, fp: 0, tn: 3, fn: 0 });
+    });
+
+    test('gives AUC 0 for a reversed ranking', () => {
+      expect(evaluateFold([1, 1, 0, 0], [0.1, 0.2, 0.8, 0.9]).auc).toBe(0);
+    });
+
+    test('matches MetricsCalculator.calculateAuc, which averages tied ranks', () => {
+      const labels = [1, 0, 1, 0, 1, 0, 0, 1];
+      const probs = [0.6, 0.6, 0.4, 0.4, 0.9, 0.1, 0.6, 0.4];
+      const metrics = evaluateFold(labels, probs, 0.5);
+      expect(metrics.auc).toBe(MetricsCalculator.calculateAuc(labels, probs));
+      expect(metrics.auc).toBeCloseTo(0.625, 12);
+    });
+
+    test('handles tied gradient boosting scores regardless of row order', async () => {
+      // A single depth-2 tree gives at most four distinct probabilities, shared by many patients
+      const x = Array.from({ length: 40 }, (_, i) => [i % 10, Math.floor(i / 10)]);
+      const labels = x.map(([a, b], i) => ((a + b + (i % 3 === 0 ? 4 : 0)) > 8 ? 1 : 0));
+      const model = new GradientBoostingModel({ nEstimators: 1, maxDepth: 2, minSamplesLeaf: 5, learningRate: 1 });
+      const X = tf.tensor2d(x);
+      const y = tf.tensor2d(labels, [labels.length, 1]);
+      await model.fit({ X, ys: [y] }, null);
+      const output = model.predict(X);
+      const probs = Array.from(output.dataSync());
+      tf.dispose([X, y, output]);
+
+      expect(new Set(probs).size).toBeLessThan(probs.length / 5);
+      const auc = evaluateFold(labels, probs).auc;
+      expect(auc).toBeCloseTo(pairwiseAuc(labels, probs), 12);
+      expect(evaluateFold([...labels].reverse(), [...probs].reverse()).auc).toBeCloseTo(auc, 12);
+    });
+
+    test('leaves AUC undefined for a single-class fold', () => {
+      const metrics = evaluateFold([0, 0, 0], [0.2, 0.4, 0.6], 0.5);
+      expect(metrics.auc).toBeNaN();
+      expect(metrics.specificity).toBeCloseTo(2 / 3, 12);
+    });
+  });
+
+  describe('createStratifiedFolds', () => {
+    test('keeps the class ratio in every fold and is reproducible by seed', () => {
+      const labels = Array.from({ length: 50 }, (_, i) => (i < 10 ? 1 : 0));
+      const folds = createStratifiedFolds(labels, labels, 5, 1);
+      folds.forEach(fold => {
+        expect(fold.positive).toBe(2);
+        expect(fold.negative).toBe(8);
+      });
+      expect(folds.flatMap(f => f.indices).sort((a, b) => a - b)).toEqual(labels.map((_, i) => i));
+      expect(createStratifiedFolds(labels, labels, 5, 1)).toEqual(folds);
+    });
+  });
+});
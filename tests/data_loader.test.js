@@ -0,0 +1,129 @@
+/**
+ * Tests for loading patient data from JSON, NDJSON and CSV
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadData, loadColumnMapping, parseCsv, coerceValue } = require('../scripts/utils/data_loader');
+
+describe('Data loader', () => {
+  let dir;
+  let log;
+  let error;
+
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data_loader_test_'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('coerceValue', () => {
+    test('converts decimal numbers only in numeric schema fields', () => {
+      expect(coerceValue(' 61 ', 'age')).toBe(61);
+      expect(coerceValue('24,5', 'bmi')).toBe(24.5);
+      expect(coerceValue('-0.5', 'bmi')).toBe(-0.5);
+      expect(coerceValue('0x1F', 'age')).toBe('0x1F');
+      expect(coerceValue('1e3', 'blood_loss_ml')).toBe('1e3');
+      expect(coerceValue('12', 'tumor_stage')).toBe('12');
+      expect(coerceValue('31', 'ward')).toBe('31');
+    });
+
+    test('converts да/нет and true/false only in boolean schema fields', () => {
+      expect(coerceValue('Да', 'complications')).toBe(true);
+      expect(coerceValue('нет', 'neoadjuvant_therapy')).toBe(false);
+      expect(coerceValue('TRUE', 'complications')).toBe(true);
+      expect(coerceValue('да', 'notes')).toBe('да');
+    });
+
+    test('keeps identifiers as strings and empty cells as missing', () => {
+      expect(coerceValue('00123', 'patient_id')).toBe('00123');
+      expect(coerceValue('   ', 'age')).toBeNull();
+    });
+  });
+
+  describe('CSV', () => {
+    const header = 'patient_id;age;bmi;sex;neoadjuvant_therapy;complications;admission_date';
+
+    test('detects the ; delimiter and parses decimal commas and да/нет', async () => {
+      const rows = await parseCsv(`${header}\n00123;61;24,5;M;да;нет;2023-03-01\n0456;70;;F;нет;да;\n`);
+      expect(rows).toEqual([
+        {
+          patient_id: '00123', age: 61, bmi: 24.5, sex: 'M',
+          neoadjuvant_therapy: true, complications: false, admission_date: '2023-03-01'
+        },
+        {
+          patient_id: '0456', age: 70, bmi: null, sex: 'F',
+          neoadjuvant_therapy: false, complications: true, admission_date: null
+        }
+      ]);
+    });
+
+    test('detects comma and tab delimiters', async () => {
+      expect(await parseCsv('age,bmi\n61,24.5\n')).toEqual([{ age: 61, bmi: 24.5 }]);
+      expect(await parseCsv('age\tbmi\n61\t24,5\n')).toEqual([{ age: 61, bmi: 24.5 }]);
+    });
+
+    test('maps headers to schema fields before coercing values', async () => {
+      const filePath = write('export.csv', '\uFEFFИД;Возраст;ИМТ;Пол\n007;61;24,5;M\n');
+      const records = await loadData(filePath, {
+        columnMapping: { 'ИД': 'patient_id', 'Возраст': 'age', 'ИМТ': 'bmi', 'Пол': 'sex' }
+      });
+      expect(records).toEqual([{ patient_id: '007', age: 61, bmi: 24.5, sex: 'M' }]);
+    });
+
+    test('reads the column mapping from a JSON file', async () => {
+      const mappingPath = write('mapping.json', JSON.stringify({ 'Возраст': 'age' }));
+      const filePath = write('export.csv', 'Возраст;ward\n61;7\n');
+      expect(await loadData(filePath, { columnMappingPath: mappingPath })).toEqual([{ age: 61, ward: '7' }]);
+
+      await expect(loadColumnMapping(write('bad.json', '["age"]')))
+        .rejects.toThrow('must be a JSON object { "header": "field" }');
+    });
+  });
+
+  describe('NDJSON', () => {
+    test('reads one record per line, skipping blank lines, and keeps JSON types', async () => {
+      const filePath = write('patients.ndjson', [
+        JSON.stringify({ 'ИД': '00123', age: 61, complications: true }),
+        '',
+        JSON.stringify({ 'ИД': '0456', age: 70.5, complications: false })
+      ].join('\n'));
+      const records = await loadData(filePath, { columnMapping: { 'ИД': 'patient_id' } });
+      expect(records).toEqual([
+        { patient_id: '00123', age: 61, complications: true },
+        { patient_id: '0456', age: 70.5, complications: false }
+      ]);
+    });
+
+    test('reports the line of invalid JSON', async () => {
+      const filePath = write('patients.jsonl', '{"age": 61}\n{"age": \n');
+      await expect(loadData(filePath)).rejects.toThrow(/^Invalid JSON on line 2/);
+    });
+  });
+
+  test('JSON files must hold an array and other extensions are rejected', async () => {
+    await expect(loadData(write('patients.json', '{"age": 61}')))
+      .rejects.toThrow('JSON data file must contain an array of records');
+    await expect(loadData(path.join(dir, 'patients.xlsx')))
+      .rejects.toThrow('Unsupported data file format');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for DataPreprocessor persistence (toJSON/fromJSON, save/load)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataPreprocessor = require('../scripts/utils/data_preprocessor');
+const Imputer = require('../scripts/utils/imputer');
+
+describe('DataPreprocessor', () => {
+  const options = {
+    numericColumns: ['age', 'bmi'],
+    categoricalColumns: ['sex', 'tumor_stage', 'neoadjuvant_therapy'],
+    targetColumn: 'complications'
+  };
+  const training = [
+    { age: 50, bmi: 20, sex: 'M', tumor_stage: 'I', neoadjuvant_therapy: true, complications: 0 },
+    { age: 60, bmi: 24, sex: 'F', tumor_stage: 'IIIA', neoadjuvant_therapy: false, complications: 1 },
+    { age: 70, bmi: null, sex: 'M', tumor_stage: 'II', neoadjuvant_therapy: true, complications: 1 },
+    { age: 80, bmi: 30, sex: 'F', tumor_stage: 'IIIA', neoadjuvant_therapy: false, complications: 0 }
+  ];
+  const inference = [
+    { age: 65, bmi: null, sex: 'F', tumor_stage: 'II', neoadjuvant_therapy: true },
+    { age: 55, bmi: 22, sex: 'M', tumor_stage: 'IV', neoadjuvant_therapy: false }
+  ];
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  const fitted = () => new DataPreprocessor({
+    ...options,
+    imputer: new Imputer({ bmi: { strategy: 'median' } }, { indicators: true })
+  }).fit(training);
+
+  const features = async (preprocessor, records) => {
+    const { X, y } = await preprocessor.process(records);
+    const matrix = await X.array();
+    X.dispose();
+    if (y) y.dispose();
+    return matrix;
+  };
+
+  test('orders features as numeric, missingness indicators, then one-hot by sorted vocabulary', () => {
+    const preprocessor = fitted();
+    expect(preprocessor.vocabularies).toEqual({
+      sex: ['F', 'M'],
+      tumor_stage: ['I', 'II', 'IIIA'],
+      neoadjuvant_therapy: ['false', 'true']
+    });
+    expect(preprocessor.featureColumns).toEqual([
+      'age', 'bmi', 'bmi_missing',
+      'sex_F', 'sex_M',
+      'tumor_stage_I', 'tumor_stage_II', 'tumor_stage_IIIA',
+      'neoadjuvant_therapy_false', 'neoadjuvant_therapy_true'
+    ]);
+    expect(preprocessor.sourceField('tumor_stage_IIIA')).toBe('tumor_stage');
+    expect(preprocessor.sourceField('bmi_missing')).toBe('bmi');
+  });
+
+  test('restored pipeline produces the same feature vectors as the fitted one', async () => {
+    const preprocessor = fitted();
+    const json = JSON.parse(JSON.stringify(preprocessor.toJSON()));
+    const restored = DataPreprocessor.fromJSON(json);
+
+    expect(restored.featureColumns).toEqual(preprocessor.featureColumns);
+    expect(restored.vocabularies).toEqual(preprocessor.vocabularies);
+    expect(restored.toJSON()).toEqual(json);
+    expect(await features(restored, inference)).toEqual(await features(preprocessor, inference));
+  });
+
+  test('a single record encodes the same as inside a batch', async () => {
+    const restored = DataPreprocessor.fromJSON(JSON.parse(JSON.stringify(fitted().toJSON())));
+    const [single] = await features(restored, [inference[1]]);
+    const batch = await features(restored, inference);
+    expect(single).toEqual(batch[1]);
+  });
+
+  test('an unknown category encodes as all zeros, or fails under the error policy', async () => {
+    const json = fitted().toJSON();
+    const [, unknownStage] = await features(DataPreprocessor.fromJSON(json), inference);
+    const stageColumns = json.featureColumns
+      .map((column, i) => [column, i])
+      .filter(([column]) => column.startsWith('tumor_stage_'));
+    // Standardised zero is -mean/std for each one-hot column
+    stageColumns.forEach(([, i]) => {
+      expect(unknownStage[i]).toBeCloseTo(-json.mean[i] / json.std[i], 5);
+    });
+
+    const strict = DataPreprocessor.fromJSON({ ...json, unknownCategory: 'error' });
+    await expect(strict.process(inference)).rejects.toThrow('Unknown category for tumor_stage: IV');
+  });
+
+  test('save/load round-trips through a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor_test_'));
+    const filePath = path.join(dir, 'preprocessor.json');
+    try {
+      const preprocessor = fitted();
+      await preprocessor.save(filePath);
+      const loaded = await DataPreprocessor.load(filePath);
+      expect(await features(loaded, inference)).toEqual(await features(preprocessor, inference));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('refuses to save an unfitted pipeline', async () => {
+    await expect(new DataPreprocessor(options).save(path.join(os.tmpdir(), 'never.json')))
+      .rejects.toThrow('Cannot save preprocessor: not fitted yet.');
+  });
+
+  test('rejects an unknown unknownCategory policy', () => {
+    expect(() => new DataPreprocessor({ unknownCategory: 'drop' }))
+      .toThrow('Unknown unknownCategory policy: drop. Use one of: ignore, error');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for patient record validation: schema rules, per-row reports and invalid-row policies
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateRecord,
+  validateRecords,
+  validateDataset,
+  REQUIRED_COLUMNS,
+  IMPUTED_COLUMNS,
+  VALIDATION_POLICIES
+} = require('../scripts/validation/data_validator');
+
+describe('Data validation', () => {
+  const patient = (overrides = {}) => ({
+    patient_id: 'GC-001',
+    age: 64,
+    sex: 'M',
+    bmi: 24.5,
+    tumor_stage: 'IIA',
+    surgery_type: 'laparoscopic',
+    operation_time_min: 210,
+    blood_loss_ml: 150,
+    lymph_nodes_removed: 25,
+    neoadjuvant_therapy: false,
+    complications: false,
+    hospital_stay_days: 9,
+    ...overrides
+  });
+  const without = (record, ...fields) => {
+    const copy = { ...record };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  };
+  let log;
+  let warn;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+    warn.mockRestore();
+  });
+
+  describe('validateRecord', () => {
+    test('accepts a complete record and ignores unknown fields', () => {
+      expect(validateRecord(patient({ ward: 'хирургия-3' }))).toEqual([]);
+      expect(validateRecord(patient({ patient_id: 17, status: 'alive', survival_months: 12 }))).toEqual([]);
+    });
+
+    test('reports type, enum, range and integer violations per field', () => {
+      const errors = validateRecord(patient({
+        age: '64', sex: 'male', bmi: 75, tumor_stage: 'II', lymph_nodes_removed: 12.5, neoadjuvant_therapy: 'да'
+      }));
+      expect(errors).toEqual([
+        { field: 'age', reason: 'must be of type number' },
+        { field: 'sex', reason: 'must be one of: M, F' },
+        { field: 'bmi', reason: 'must be a number between 10 and 60' },
+        { field: 'tumor_stage', reason: 'must be one of: IA, IB, IIA, IIB, IIIA, IIIB, IIIC, IV' },
+        { field: 'lymph_nodes_removed', reason: 'must be an integer' },
+        { field: 'neoadjuvant_therapy', reason: 'must be of type boolean' }
+      ]);
+      expect(validateRecord(patient({ age: NaN }))).toEqual([{ field: 'age', reason: 'must be of type number' }]);
+      expect(validateRecord(patient({ patient_id: true })))
+        .toEqual([{ field: 'patient_id', reason: 'must be of type string or number' }]);
+    });
+
+    test('required fields depend on the context', () => {
+      const input = without(patient(), 'complications', 'hospital_stay_days');
+      expect(validateRecord(input, 'prediction')).toEqual([]);
+      expect(validateRecord(input, 'training')).toEqual([
+        { field: 'complications', reason: 'is required' },
+        { field: 'hospital_stay_days', reason: 'is required' }
+      ]);
+      expect(validateRecord(patient({ sex: null }), 'prediction')).toEqual([{ field: 'sex', reason: 'is required' }]);
+    });
+
+    test('imputed columns may be missing but not invalid', () => {
+      expect(IMPUTED_COLUMNS).toEqual(expect.arrayContaining(['bmi', 'blood_loss_ml']));
+      expect(REQUIRED_COLUMNS).not.toContain('bmi');
+      expect(validateRecord(patient({ bmi: null, blood_loss_ml: undefined }))).toEqual([]);
+      expect(validateRecord(patient({ blood_loss_ml: -5 })))
+        .toEqual([{ field: 'blood_loss_ml', reason: 'must be a number between 0 and 20000' }]);
+    });
+
+    test('applies cross-field rules only to valid fields', () => {
+      expect(validateRecord(patient({ status: 'deceased' }))).toEqual([
+        { field: 'survival_months', reason: 'is required when status is set', rule: 'status_requires_survival_months' }
+      ]);
+      expect(validateRecord(patient({ survival_months: 0.1, status: 'alive' }))).toEqual([{
+        field: 'survival_months',
+        reason: 'is shorter than hospital_stay_days for a patient with status "alive"',
+        rule: 'survival_covers_hospital_stay'
+      }]);
+      expect(validateRecord(patient({ survival_months: 0.1, status: 'deceased' }))).toEqual([]);
+      expect(validateRecord(patient({ survival_months: -1, status: 'alive' })))
+        .toEqual([{ field: 'survival_months', reason: 'must be a number between 0 and 600' }]);
+    });
+
+    test('rejects records that are not objects', () => {
+      [null, 'GC-001', [patient()]].forEach(record => {
+        expect(validateRecord(record)).toEqual([{ field: null, reason: 'record must be an object' }]);
+      });
+    });
+
+    test('accepts a custom schema', () => {
+      const schema = { fields: { score: { type: 'number', max: 10, required: ['training'] } } };
+      expect(validateRecord({ score: 11 }, 'training', schema))
+        .toEqual([{ field: 'score', reason: 'must be a number <= 10' }]);
+      expect(validateRecord(patient(), 'training', schema)).toEqual([{ field: 'score', reason: 'is required' }]);
+    });
+  });
+
+  test('validateRecords reports every error with its row and patient_id', () => {
+    const records = [patient(), patient({ patient_id: 'GC-002', age: 130, sex: 'X' }), null, patient({ patient_id: null, bmi: 5 })];
+    const report = validateRecords(records);
+    expect(report).toMatchObject({ total: 4, valid: 1, invalid: 3, validIndices: [0] });
+    expect(report.errors).toEqual([
+      { row: 1, patient_id: 'GC-002', field: 'age', reason: 'must be a number between 0 and 120' },
+      { row: 1, patient_id: 'GC-002', field: 'sex', reason: 'must be one of: M, F' },
+      { row: 2, patient_id: null, field: null, reason: 'record must be an object' },
+      { row: 3, patient_id: null, field: 'bmi', reason: 'must be a number between 10 and 60' }
+    ]);
+  });
+
+  describe('validateDataset policies', () => {
+    const records = [patient(), patient({ patient_id: 'GC-002', age: -1 }), patient({ patient_id: 'GC-003' })];
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data_validator_test_'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('fail (the default) throws with the per-row report attached', async () => {
+      let error;
+      try {
+        await validateDataset(records);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).toBe('Data validation failed: 1 of 3 rows are invalid.');
+      expect(error.report.errors).toEqual([{ row: 1, patient_id: 'GC-002', field: 'age', reason: 'must be a number between 0 and 120' }]);
+
+      const { records: valid } = await validateDataset([patient()], { policy: 'fail' });
+      expect(valid).toHaveLength(1);
+    });
+
+    test('drop keeps only valid rows in their original order', async () => {
+      const { records: valid, report } = await validateDataset(records, { policy: 'drop' });
+      expect(valid.map(r => r.patient_id)).toEqual(['GC-001', 'GC-003']);
+      expect(report).toMatchObject({ total: 3, valid: 2, invalid: 1 });
+    });
+
+    test('quarantine drops invalid rows and saves them with their errors', async () => {
+      const quarantinePath = path.join(dir, 'reports', 'quarantine.json');
+      const { records: valid } = await validateDataset(records, { policy: 'quarantine', quarantinePath });
+      expect(valid.map(r => r.patient_id)).toEqual(['GC-001', 'GC-003']);
+
+      const quarantined = JSON.parse(fs.readFileSync(quarantinePath, 'utf8'));
+      expect(quarantined).toEqual([{
+        row: 1,
+        record: records[1],
+        errors: [{ row: 1, patient_id: 'GC-002', field: 'age', reason: 'must be a number between 0 and 120' }]
+      }]);
+    });
+
+    test('fails when no valid rows are left or required columns are missing', async () => {
+      await expect(validateDataset([patient({ age: -1 })], { policy: 'drop' }))
+        .rejects.toThrow('Data validation failed: no valid rows left.');
+
+      await expect(validateDataset([without(patient(), 'age')], { policy: 'drop' })).rejects.toThrow('Missing required column: age');
+      await expect(validateDataset([], { policy: 'drop' })).rejects.toThrow('Data must be a non-empty array.');
+    });
+
+    test('rejects an unknown policy', async () => {
+      expect(VALIDATION_POLICIES).toEqual(['fail', 'drop', 'quarantine']);
+      await expect(validateDataset(records, { policy: 'impute' }))
+        .rejects.toThrow('Unknown validation policy: impute. Use one of: fail, drop, quarantine');
+    });
+  });
+});
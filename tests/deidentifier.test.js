@@ -0,0 +1,175 @@
+/**
+ * Tests for dataset de-identification: pseudonyms, field removal, date shifts, generalisation, k-anonymity
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pseudonymize, deidentifyRecords, deidentifyDataset } = require('../scripts/privacy/deidentifier');
+const AuditLog = require('../src/services/audit_log');
+
+describe('De-identification', () => {
+  const key = 'test-pseudonym-key';
+  const options = {
+    key,
+    idColumns: ['patient_id'],
+    directIdentifiers: ['full_name', 'phone', 'notes'],
+    keepOnlySchemaFields: true,
+    dateColumns: ['admission_date', 'surgery_date', 'discharge_date'],
+    maxDateShiftDays: 180,
+    generalize: { age: { topCode: 90 } }
+  };
+  const records = [
+    {
+      patient_id: 'GC-001', full_name: 'Иванов Иван', phone: '+7 900 000-00-01', notes: 'аллергия на пенициллин',
+      ward: 'хирургия-3', age: 64, sex: 'M',
+      admission_date: '2023-03-01', surgery_date: '2023-03-04', discharge_date: '2023-03-15'
+    },
+    {
+      patient_id: 'GC-002', full_name: 'Петрова Анна', phone: '+7 900 000-00-02', notes: '',
+      ward: 'хирургия-1', age: 93, sex: 'F',
+      admission_date: '2022-11-20', surgery_date: '2022-11-21', discharge_date: 'unknown'
+    }
+  ];
+  const days = (from, to) => (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+  let log;
+  let warn;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+    warn.mockRestore();
+  });
+
+  test('HMAC pseudonyms are stable for a key and match the prediction audit log', () => {
+    const first = deidentifyRecords(records, options).records;
+    const second = deidentifyRecords(records, options).records;
+    expect(first.map(r => r.patient_id)).toEqual(second.map(r => r.patient_id));
+    expect(first[0].patient_id).toMatch(/^[0-9a-f]{32}$/);
+    expect(first[0].patient_id).not.toBe(first[1].patient_id);
+
+    const audit = new AuditLog({ path: path.join(os.tmpdir(), 'unused_audit.ndjson'), pseudonymKey: key });
+    expect(first[0].patient_id).toBe(audit.pseudonym('GC-001'));
+    expect(first[0].patient_id).toBe(pseudonymize('GC-001', key));
+    expect(deidentifyRecords(records, { ...options, key: 'other-key' }).records[0].patient_id)
+      .not.toBe(first[0].patient_id);
+  });
+
+  test('removes direct identifiers and, with keepOnlySchemaFields, fields outside the schema', () => {
+    const { records: output, report } = deidentifyRecords(records, options);
+    output.forEach(record => {
+      ['full_name', 'phone', 'notes', 'ward'].forEach(field => expect(record).not.toHaveProperty(field));
+      expect(record).toHaveProperty('sex');
+    });
+    expect(report.removedFields).toEqual({ full_name: 2, phone: 2, notes: 2, ward: 2 });
+
+    const kept = deidentifyRecords(records, { ...options, keepOnlySchemaFields: false }).records;
+    expect(kept[0].ward).toBe('хирургия-3');
+    expect(kept[0]).not.toHaveProperty('full_name');
+  });
+
+  test('shifts all dates of a patient by the same number of days', () => {
+    const { records: output, report } = deidentifyRecords(records, options);
+    const [before, after] = [records[0], output[0]];
+    const shift = days(before.admission_date, after.admission_date);
+
+    expect(shift).not.toBe(0);
+    expect(Math.abs(shift)).toBeLessThanOrEqual(180);
+    expect(days(before.surgery_date, after.surgery_date)).toBe(shift);
+    expect(days(before.discharge_date, after.discharge_date)).toBe(shift);
+    expect(days(after.admission_date, after.surgery_date)).toBe(days(before.admission_date, before.surgery_date));
+    expect(after.admission_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    expect(deidentifyRecords(records, options).records[0].surgery_date).toBe(after.surgery_date);
+    expect(output[1].discharge_date).toBeNull();
+    expect(report.dateShift.shifted).toEqual({ admission_date: 2, surgery_date: 2, discharge_date: 1 });
+    expect(report.dateShift.unparseable.discharge_date).toBe(1);
+  });
+
+  test('top-codes ages and applies bands', () => {
+    const { records: output, report } = deidentifyRecords(records, options);
+    expect(output.map(r => r.age)).toEqual([64, 90]);
+    expect(report.generalized.age).toEqual({ rule: { topCode: 90 }, count: 1 });
+
+    const banded = deidentifyRecords(records, { ...options, generalize: { age: { bandWidth: 10, topCode: 90 } } });
+    expect(banded.records.map(r => r.age)).toEqual([60, 90]);
+  });
+
+  describe('k-anonymity', () => {
+    // 6 men aged 60-69 and 2 women aged 70-79: only the women are below k = 5
+    const cohort = [61, 62, 64, 65, 67, 69, 71, 78].map((age, i) => ({
+      patient_id: `P${i}`, age, sex: i < 6 ? 'M' : 'F'
+    }));
+    const kAnonymity = policy => ({
+      k: 5, quasiIdentifiers: ['age', 'sex'], generalize: { age: { bandWidth: 10 } }, policy
+    });
+
+    test('compares age bands, not exact ages, and leaves the records unchanged', () => {
+      const { records: output, report } = deidentifyRecords(cohort, { ...options, kAnonymity: kAnonymity('warn') });
+      expect(output.map(r => r.age)).toEqual(cohort.map(r => r.age));
+      expect(report.kAnonymity).toMatchObject({
+        classes: 2, minClassSize: 2, classesBelowK: 1, recordsBelowK: 2, satisfied: false, suppressed: 0
+      });
+
+      const exact = deidentifyRecords(cohort, { ...options, kAnonymity: { ...kAnonymity('warn'), generalize: undefined } });
+      expect(exact.report.kAnonymity.classes).toBe(8);
+    });
+
+    test('warn keeps records below k', () => {
+      warn.mockClear();
+      const { records: output } = deidentifyRecords(cohort, { ...options, kAnonymity: kAnonymity('warn') });
+      expect(output).toHaveLength(8);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('2 records in 1 classes smaller than k'));
+    });
+
+    test('suppress removes records below k', () => {
+      const { records: output, report } = deidentifyRecords(cohort, { ...options, kAnonymity: kAnonymity('suppress') });
+      expect(output).toHaveLength(6);
+      output.forEach(r => expect(r.sex).toBe('M'));
+      expect(report.kAnonymity.suppressed).toBe(2);
+    });
+
+    test('fail throws with the report attached', () => {
+      let error;
+      try {
+        deidentifyRecords(cohort, { ...options, kAnonymity: kAnonymity('fail') });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).toBe('k-anonymity (k=5) violated on [age, sex]: 2 records in 1 classes smaller than k');
+      expect(error.report.kAnonymity.recordsBelowK).toBe(2);
+
+      const men = cohort.slice(0, 6);
+      expect(deidentifyRecords(men, { ...options, kAnonymity: kAnonymity('fail') }).report.kAnonymity.satisfied).toBe(true);
+    });
+
+    test('rejects an unknown policy', () => {
+      expect(() => deidentifyRecords(cohort, { ...options, kAnonymity: kAnonymity('drop') }))
+        .toThrow('Unknown k-anonymity policy: drop. Use one of: warn, suppress, fail');
+    });
+  });
+
+  test('the saved report contains counts but no original values', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deidentifier_test_'));
+    const reportPath = path.join(dir, 'deidentification.json');
+    try {
+      const { records: output } = await deidentifyDataset(records, {
+        ...options,
+        kAnonymity: { k: 5, quasiIdentifiers: ['age', 'sex'], policy: 'warn' },
+        reportPath
+      });
+      const saved = fs.readFileSync(reportPath, 'utf8');
+      expect(JSON.parse(saved).pseudonymized).toEqual({ patient_id: 2 });
+
+      const original = records.flatMap(r => [r.patient_id, r.full_name, r.phone, r.notes, r.ward, r.admission_date, r.surgery_date]);
+      original.filter(Boolean).forEach(value => expect(saved).not.toContain(value));
+      output.forEach(r => expect(saved).not.toContain(r.patient_id));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
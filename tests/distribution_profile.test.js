@@ -0,0 +1,122 @@
+/**
+ * Tests for the training distribution profile: range and category flags, distance threshold, persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DistributionProfile = require('../scripts/validation/distribution_profile');
+
+describe('DistributionProfile', () => {
+  // 60 patients aged 30-89, one woman (frequency 1/60 < 0.02), bmi missing for everyone
+  const training = Array.from({ length: 60 }, (_, i) => ({ age: 30 + i, bmi: null, sex: i === 0 ? 'F' : 'M' }));
+  const featuresOf = records => records.map(r => [r.age, r.sex === 'M' ? 1 : 0]);
+  // Stand-in for a fitted DataPreprocessor: only the parts the profile reads
+  const preprocessor = {
+    numericColumns: ['age', 'bmi'],
+    categoricalColumns: ['sex'],
+    featureColumns: ['age', 'sex_M'],
+    process: async records => ({ X: { arraySync: () => featuresOf(records), dispose: () => {} } })
+  };
+  const fitted = options => new DistributionProfile(options).fit(training, preprocessor);
+  const assessOne = (profile, record) => profile.assess([record], featuresOf([record]))[0];
+  let log;
+
+  beforeAll(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    log.mockRestore();
+  });
+
+  test('flags numeric values outside the training range', async () => {
+    const profile = await fitted();
+    expect(profile.numeric.age).toEqual({ min: 30, max: 89 });
+
+    expect(assessOne(profile, { age: 29, sex: 'M' }).flags).toEqual([
+      { field: 'age', value: 29, reason: 'below_training_range', range: [30, 89] }
+    ]);
+    expect(assessOne(profile, { age: '95', sex: 'M' }).flags[0]).toMatchObject({ value: 95, reason: 'above_training_range' });
+    expect(assessOne(profile, { age: 89, sex: 'M' }).flags).toEqual([]);
+    expect(assessOne(profile, { age: null, sex: 'M' }).flags).toEqual([]);
+  });
+
+  test('skips numeric columns with no training values', async () => {
+    const profile = await fitted();
+    expect(profile.numeric).not.toHaveProperty('bmi');
+
+    const result = assessOne(profile, { age: 60, bmi: 25, sex: 'M' });
+    expect(result.flags).toEqual([]);
+    expect(result.outOfDistribution).toBe(false);
+    Object.values(profile.numeric).forEach(({ min, max }) => expect([min, max].every(Number.isFinite)).toBe(true));
+  });
+
+  test('flags unseen and rare categories', async () => {
+    const profile = await fitted();
+    expect(profile.categorical.sex.M).toBeCloseTo(59 / 60, 12);
+
+    const unseen = assessOne(profile, { age: 60, sex: 'X' });
+    expect(unseen.flags).toEqual([{ field: 'sex', value: 'X', reason: 'unseen_category', frequency: 0 }]);
+    expect(unseen.outOfDistribution).toBe(true);
+
+    const rare = assessOne(profile, { age: 60, sex: 'F' }).flags;
+    expect(rare).toHaveLength(1);
+    expect(rare[0]).toMatchObject({ field: 'sex', reason: 'rare_category' });
+    expect(rare[0].frequency).toBeCloseTo(1 / 60, 12);
+
+    const lenient = await fitted({ rareCategoryFrequency: 0.01 });
+    expect(assessOne(lenient, { age: 60, sex: 'F' }).flags).toEqual([]);
+  });
+
+  test('the distance threshold is the configured quantile of training distances', async () => {
+    const profile = await fitted({ distanceQuantile: 0.5 });
+    const distances = featuresOf(training).map(row => profile.distance(row));
+    const above = distances.filter(d => d > profile.distanceThreshold()).length;
+    expect(above).toBeGreaterThanOrEqual(29);
+    expect(above).toBeLessThanOrEqual(31);
+    expect(profile.distanceThreshold()).toBeLessThan((await fitted()).distanceThreshold());
+
+    const sorted = [...distances].sort((a, b) => a - b);
+    expect(profile.distancePercentile(0)).toBe(0);
+    expect(profile.distancePercentile(sorted[30])).toBeCloseTo(0.5, 1);
+    expect(profile.distancePercentile(sorted[59] + 1)).toBe(1);
+  });
+
+  test('a patient beyond the distance threshold is out of distribution without field flags', async () => {
+    const profile = await fitted({ distanceQuantile: 0.5 });
+    const edge = assessOne(profile, { age: 89, sex: 'M' });
+    expect(edge.flags).toEqual([]);
+    expect(edge.distance).toBeGreaterThan(edge.distanceThreshold);
+    expect(edge.distancePercentile).toBeGreaterThan(0.9);
+    expect(edge.outOfDistribution).toBe(true);
+    expect(assessOne(profile, { age: 60, sex: 'M' }).outOfDistribution).toBe(false);
+  });
+
+  test('toJSON/fromJSON and save/load give the same assessments', async () => {
+    const profile = await fitted();
+    const records = [{ age: 20, sex: 'M' }, { age: 60, sex: 'X' }, { age: 70, bmi: 40, sex: 'M' }];
+    const expected = profile.assess(records, featuresOf(records));
+
+    const restored = DistributionProfile.fromJSON(JSON.parse(JSON.stringify(profile.toJSON())));
+    expect(restored.assess(records, featuresOf(records))).toEqual(expected);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'distribution_profile_test_'));
+    try {
+      const filePath = path.join(dir, 'v1', 'profile.json');
+      await profile.save(filePath);
+      const loaded = await DistributionProfile.load(filePath);
+      expect(loaded.toJSON()).toEqual(profile.toJSON());
+      expect(loaded.assess(records, featuresOf(records))).toEqual(expected);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('refuses to assess or save before fit', async () => {
+    const profile = new DistributionProfile();
+    expect(() => profile.assess([{ age: 60 }], [[60, 1]])).toThrow('DistributionProfile is not fitted yet.');
+    await expect(profile.save(path.join(os.tmpdir(), 'unused_profile.json')))
+      .rejects.toThrow('Cannot save distribution profile: not fitted yet.');
+  });
+});
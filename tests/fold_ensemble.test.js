@@ -0,0 +1,195 @@
+/**
+ * Tests for the cross-validation fold ensemble and version cache disposal
+ */
+
+const tf = require('@tensorflow/tfjs-node');
+const FoldEnsemble = require('../scripts/models/fold_ensemble');
+const ProbabilityCalibrator = require('../scripts/utils/probability_calibrator');
+const PredictionService = require('../src/services/prediction_service');
+const ModelRegistryService = require('../src/services/model_registry_service');
+
+// Stub fold member: risk = sigmoid(x + shift), hospital stay (encoded) = x / 10 + shift
+function stubMember(shift) {
+  const sigmoid = z => 1 / (1 + Math.exp(-z));
+  return {
+    preprocessor: {
+      process: async records => ({ X: tf.tensor2d(records.map(r => [r.x]), [records.length, 1]) })
+    },
+    model: {
+      predict: X => {
+        const xs = X.arraySync().map(([x]) => x);
+        return [
+          tf.tensor2d(xs.map(x => [sigmoid(x + shift)]), [xs.length, 1]),
+          tf.tensor2d(xs.map(x => [x / 10 + shift]), [xs.length, 1])
+        ];
+      },
+      dispose: jest.fn()
+    },
+    targetEncoder: {
+      targets: [
+        { column: 'complications', task: 'classification' },
+        { column: 'hospital_days', task: 'regression' }
+      ],
+      classificationIndex: () => 0,
+      // Encoded scale -> days
+      decode: (target, values) => values.map(v => v * 10)
+    }
+  };
+}
+
+describe('FoldEnsemble', () => {
+  const members = [stubMember(-0.5), stubMember(0), stubMember(0.5)];
+  const sigmoid = z => 1 / (1 + Math.exp(-z));
+  const records = [{ x: -1 }, { x: 0 }, { x: 2 }];
+
+  // Out-of-fold training data: the label follows x, one member per patient
+  const oofRecords = Array.from({ length: 60 }, (_, i) => ({ x: (i % 20) / 4 - 2.5 }));
+  const oofLabels = oofRecords.map((r, i) => (r.x + (i % 3 === 0 ? 1.5 : -0.5) > 0 ? 1 : 0));
+  let oofOutputs;
+
+  beforeAll(async () => {
+    oofOutputs = [];
+    for (const [i, record] of oofRecords.entries()) {
+      const [output] = await FoldEnsemble.memberOutputs(members[i % members.length], [record]);
+      oofOutputs.push(output);
+    }
+  });
+
+  test('rejects an unknown method', () => {
+    expect(() => new FoldEnsemble({ method: 'voting', members }))
+      .toThrow('Unknown ensemble method: voting. Use one of: average, stacking');
+  });
+
+  test('memberOutputs returns the risk, its logit and decoded regression targets', async () => {
+    const [output] = await FoldEnsemble.memberOutputs(members[2], [{ x: 1 }]);
+    expect(output.risk).toBeCloseTo(sigmoid(1.5), 6);
+    expect(output.features[0]).toBeCloseTo(1.5, 4);
+    expect(output.features[1]).toBeCloseTo(0.6, 6);
+    expect(output.expected.hospital_days).toBeCloseTo(6, 5);
+  });
+
+  test('average: risk is the member mean with std, min and max as uncertainty', async () => {
+    const ensemble = FoldEnsemble.build(members, oofOutputs, oofLabels, { method: 'average', calibration: null });
+    expect(ensemble.calibrator).toBeNull();
+
+    const outcomes = await ensemble.predictOutcomes(records);
+    records.forEach(({ x }, i) => {
+      const risks = [-0.5, 0, 0.5].map(shift => sigmoid(x + shift));
+      const mean = risks.reduce((a, b) => a + b, 0) / 3;
+      const std = Math.sqrt(risks.reduce((a, r) => a + (r - mean) ** 2, 0) / 3);
+      expect(outcomes[i].complicationRisk).toBeCloseTo(mean, 6);
+      expect(outcomes[i].uncertainty.std).toBeCloseTo(std, 6);
+      expect(outcomes[i].uncertainty.min).toBeCloseTo(risks[0], 6);
+      expect(outcomes[i].uncertainty.max).toBeCloseTo(risks[2], 6);
+      expect(outcomes[i].uncertainty.members).toBe(3);
+      // (x / 10 + shift) * 10 averaged over shifts -1/2, 0, 1/2
+      expect(outcomes[i].expected.hospital_days).toBeCloseTo(x, 5);
+    });
+  });
+
+  test('average: calibrates each member risk with a calibrator fitted on out-of-fold risks', async () => {
+    const ensemble = FoldEnsemble.build(members, oofOutputs, oofLabels, {
+      method: 'average',
+      calibration: { method: 'platt' }
+    });
+    const expected = new ProbabilityCalibrator('platt').fit(oofOutputs.map(o => o.risk), oofLabels);
+    expect(ensemble.calibrator.params).toEqual(expected.params);
+
+    const [outcome] = await ensemble.predictOutcomes([{ x: 1 }]);
+    const calibrated = expected.transform([-0.5, 0, 0.5].map(shift => sigmoid(1 + shift)));
+    expect(outcome.complicationRisk).toBeCloseTo(calibrated.reduce((a, b) => a + b, 0) / 3, 6);
+  });
+
+  test('stacking: meta-learner on member outputs replaces the calibrator', async () => {
+    const ensemble = FoldEnsemble.build(members, oofOutputs, oofLabels, {
+      method: 'stacking',
+      calibration: { method: 'platt' }
+    });
+    expect(ensemble.calibrator).toBeNull();
+    expect(ensemble.meta.coefficients).toHaveLength(2);
+
+    const { intercept, coefficients } = ensemble.meta;
+    const [low, high] = await ensemble.predictOutcomes([{ x: -2 }, { x: 2 }]);
+    expect(high.complicationRisk).toBeGreaterThan(low.complicationRisk);
+
+    const outputs = await Promise.all(members.map(m => FoldEnsemble.memberOutputs(m, [{ x: 2 }])));
+    const risks = outputs.map(([o]) => sigmoid(intercept + o.features[0] * coefficients[0] + o.features[1] * coefficients[1]));
+    expect(high.complicationRisk).toBeCloseTo(risks.reduce((a, b) => a + b, 0) / 3, 6);
+  });
+
+  test('dispose releases every member model', () => {
+    const owned = [stubMember(0), stubMember(1)];
+    new FoldEnsemble({ method: 'average', members: owned }).dispose();
+    owned.forEach(member => expect(member.model.dispose).toHaveBeenCalledTimes(1));
+  });
+});
+
+describe('Model version cache', () => {
+  let load;
+
+  beforeEach(() => {
+    // A loaded version serves a stub ensemble; version 'broken' fails to load
+    load = jest.spyOn(PredictionService.prototype, 'load').mockImplementation(async function () {
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.requestedVersion === 'broken') return false;
+      this.ensemble = new FoldEnsemble({ method: 'average', members: [stubMember(0), stubMember(1)] });
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    load.mockRestore();
+  });
+
+  const registryService = maxCached => {
+    const service = new ModelRegistryService({ registryPath: '/nonexistent', maxCached });
+    service.registry.getVersion = async version => ({ version });
+    return service;
+  };
+
+  test('concurrent first requests for a version share one load', async () => {
+    const service = registryService(2);
+    const [a, b] = await Promise.all([service.acquire('v1'), service.acquire('v1')]);
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(a.service).toBe(b.service);
+    expect(a.service.isReady()).toBe(true);
+  });
+
+  test('a version that failed to load is not cached', async () => {
+    const service = registryService(2);
+    const lease = await service.acquire('broken');
+    expect(lease.service.isReady()).toBe(false);
+    lease.release();
+    expect(service.cache.has('broken')).toBe(false);
+
+    await service.acquire('broken');
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('evicting a version disposes its fold models only after every request releases it', async () => {
+    const service = registryService(1);
+    const first = await service.acquire('v1');
+    const { ensemble } = first.service;
+
+    const second = await service.acquire('v2');
+    expect(service.cache.has('v1')).toBe(false);
+    ensemble.members.forEach(member => expect(member.model.dispose).not.toHaveBeenCalled());
+    expect(first.service.isReady()).toBe(true);
+
+    first.release();
+    first.release();
+    ensemble.members.forEach(member => expect(member.model.dispose).toHaveBeenCalledTimes(1));
+    expect(first.service.isReady()).toBe(false);
+
+    // Released but still cached: kept for the next request
+    second.release();
+    expect(second.service.isReady()).toBe(true);
+  });
+
+  test('returns null for an unregistered version', async () => {
+    const service = registryService(1);
+    service.registry.getVersion = async () => null;
+    expect(await service.acquire('v9')).toBeNull();
+    expect(load).not.toHaveBeenCalled();
+  });
+});
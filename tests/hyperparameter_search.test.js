@@ -0,0 +1,147 @@
+/**
+ * Tests for hyperparameter search: candidates, ranking and nested cross-validation splits
+ */
+
+const {
+  TUNED_FAMILY,
+  expandGrid,
+  generateCandidates,
+  candidateOverrides,
+  rankByScore
+} = require('../scripts/tuning/hyperparameter_search');
+const { splitFold, buildLeaderboard } = require('../scripts/tune_gastrectomy_model');
+const { createStratifiedFolds } = require('../scripts/cross_validate_gastrectomy');
+const config = require('../scripts/config/model_config');
+
+describe('Hyperparameter search', () => {
+  const searchSpace = { hiddenUnits: [[64, 32], [16]], dropout: [0.1, 0.3], epochs: [50, 100, 150] };
+
+  describe('expandGrid', () => {
+    test('returns every combination, the last parameter varying fastest', () => {
+      const grid = expandGrid(searchSpace);
+      expect(grid).toHaveLength(12);
+      expect(grid[0]).toEqual({ hiddenUnits: [64, 32], dropout: 0.1, epochs: 50 });
+      expect(grid[1]).toEqual({ hiddenUnits: [64, 32], dropout: 0.1, epochs: 100 });
+      expect(grid[11]).toEqual({ hiddenUnits: [16], dropout: 0.3, epochs: 150 });
+      expect(new Set(grid.map(p => JSON.stringify(p))).size).toBe(12);
+    });
+
+    test('an empty space gives one candidate with defaults', () => {
+      expect(expandGrid({})).toEqual([{}]);
+    });
+  });
+
+  describe('generateCandidates', () => {
+    test('grid keeps every combination with ids c0, c1, ...', () => {
+      const candidates = generateCandidates({ strategy: 'grid', searchSpace });
+      expect(candidates).toHaveLength(12);
+      expect(candidates.map(c => c.id).slice(0, 3)).toEqual(['c0', 'c1', 'c2']);
+      expect(candidates.map(c => c.params)).toEqual(expandGrid(searchSpace));
+    });
+
+    test('random samples distinct combinations reproducibly by seed', () => {
+      const options = { strategy: 'random', nCandidates: 5, searchSpace, seed: 7 };
+      const candidates = generateCandidates(options);
+      expect(candidates).toHaveLength(5);
+      const keys = candidates.map(c => JSON.stringify(c.params));
+      expect(new Set(keys).size).toBe(5);
+      keys.forEach(key => expect(expandGrid(searchSpace).map(p => JSON.stringify(p))).toContain(key));
+      expect(generateCandidates(options)).toEqual(candidates);
+      expect(generateCandidates({ ...options, seed: 8 })).not.toEqual(candidates);
+    });
+
+    test('rejects an unknown strategy', () => {
+      expect(() => generateCandidates({ strategy: 'bayes', searchSpace }))
+        .toThrow("Unknown search strategy: bayes. Use 'grid' or 'random'.");
+    });
+  });
+
+  test('candidateOverrides describes the family, hidden layers and training', () => {
+    const overrides = candidateOverrides({ hiddenUnits: [16], dropout: 0.3, epochs: 50 });
+    const outputLayer = config.MODEL_ARCHITECTURE.layers[config.MODEL_ARCHITECTURE.layers.length - 1];
+    expect(overrides.MODEL_FAMILY).toBe(TUNED_FAMILY);
+    expect(overrides.MODEL_ARCHITECTURE.layers).toEqual([
+      { units: 16, activation: config.MODEL_ARCHITECTURE.layers[0].activation || 'relu', dropout: 0.3 },
+      outputLayer
+    ]);
+    expect(overrides.TRAINING).toEqual({ epochs: 50 });
+  });
+
+  describe('rankByScore', () => {
+    const entries = [{ id: 'a', score: 0.7 }, { id: 'b', score: NaN }, { id: 'c', score: 0.9 }, { id: 'd', score: 0.2 }];
+
+    test('orders AUC descending and Brier ascending, undefined scores last', () => {
+      expect(rankByScore(entries, 'auc').map(e => e.id)).toEqual(['c', 'a', 'd', 'b']);
+      expect(rankByScore(entries, 'brier').map(e => e.id)).toEqual(['d', 'a', 'c', 'b']);
+    });
+
+    test('does not modify the input', () => {
+      rankByScore(entries, 'auc');
+      expect(entries.map(e => e.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  test('buildLeaderboard ranks by times selected in the outer folds, then by inner score', () => {
+    const candidates = [{ id: 'c0', params: {} }, { id: 'c1', params: {} }, { id: 'c2', params: {} }];
+    const evaluations = scores => scores.map((score, i) => ({ id: `c${i}`, round: 0, epochs: 10, score }));
+    const outerResults = [
+      { selected: 'c1', metrics: { auc: 0.7 }, evaluations: evaluations([0.8, 0.75, 0.6]) },
+      { selected: 'c1', metrics: { auc: 0.8 }, evaluations: evaluations([0.8, 0.85, 0.6]) },
+      { selected: 'c0', metrics: { auc: 0.6 }, evaluations: evaluations([0.9, 0.7, 0.6]) }
+    ];
+    const leaderboard = buildLeaderboard(candidates, outerResults, 'auc');
+    expect(leaderboard.map(e => e.id)).toEqual(['c1', 'c0', 'c2']);
+    expect(leaderboard[0]).toMatchObject({ rank: 1, timesSelected: 2 });
+    expect(leaderboard[0].outerScore.mean).toBeCloseTo(0.75, 12);
+    expect(leaderboard[1].innerScore.mean).toBeCloseTo(2.5 / 3, 12);
+  });
+
+  describe('nested split', () => {
+    // 12 positives and 28 negatives; stratified folds list positives first
+    const labels = Array.from({ length: 40 }, (_, i) => (i % 10 < 3 ? 1 : 0));
+    const records = labels.map((complications, i) => ({ id: i, complications }));
+    let log;
+
+    beforeAll(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      log.mockRestore();
+    });
+
+    test('outer test folds are disjoint and cover every patient', () => {
+      const folds = createStratifiedFolds(records, labels, 4, 42);
+      const testFolds = folds.map((_, k) => splitFold(folds, k, 42).testIndices);
+      expect(testFolds.flat().sort((a, b) => a - b)).toEqual(labels.map((_, i) => i));
+      folds.forEach((_, k) => {
+        const { trainIndices, testIndices } = splitFold(folds, k, 42);
+        expect(trainIndices).toHaveLength(40 - testIndices.length);
+        trainIndices.forEach(i => expect(testIndices).not.toContain(i));
+      });
+    });
+
+    test('inner folds split only the outer training part', () => {
+      const outer = createStratifiedFolds(records, labels, 4, 42);
+      const { trainIndices, testIndices } = splitFold(outer, 0, 42);
+      const trainLabels = trainIndices.map(i => labels[i]);
+      const inner = createStratifiedFolds(trainIndices.map(i => records[i]), trainLabels, 3, 42);
+      const innerRows = inner.flatMap(f => f.indices).map(i => trainIndices[i]);
+      expect(innerRows.sort((a, b) => a - b)).toEqual([...trainIndices].sort((a, b) => a - b));
+      innerRows.forEach(i => expect(testIndices).not.toContain(i));
+    });
+
+    test('training indices are shuffled by seed, so the validation tail holds both classes', () => {
+      const folds = createStratifiedFolds(records, labels, 4, 42);
+      const { trainIndices } = splitFold(folds, 3, 42);
+      const unshuffled = folds.slice(0, 3).flatMap(f => f.indices);
+      expect(trainIndices).not.toEqual(unshuffled);
+      expect(splitFold(folds, 3, 42).trainIndices).toEqual(trainIndices);
+
+      const tail = indices => indices.slice(Math.floor(indices.length * 0.8)).map(i => labels[i]);
+      expect(new Set(tail(unshuffled))).toEqual(new Set([0]));
+      expect(tail(trainIndices)).toContain(0);
+      expect(tail(trainIndices)).toContain(1);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for class imbalance strategies
+ */
+
+const tf = require('@tensorflow/tfjs-node');
+const {
+  computeClassWeights,
+  resolveFocalAlpha,
+  focalLoss,
+  randomOversample,
+  smote,
+  resampleTrainingSet
+} = require('../scripts/training/imbalance');
+
+describe('Class imbalance', () => {
+  // 3 of 10 patients with complications
+  const labels = [1, 0, 0, 1, 0, 0, 0, 1, 0, 0];
+  const records = labels.map((complications, i) => ({
+    patient_id: `P${i}`,
+    age: 50 + i * 3,
+    bmi: 20 + i * 0.5,
+    sex: i % 2 ? 'F' : 'M',
+    complications
+  }));
+  const featureSpec = { numericColumns: ['age', 'bmi'], labelColumn: 'complications' };
+  const count = (rows, label) => rows.filter(r => r.complications === label).length;
+
+  describe('computeClassWeights', () => {
+    test('weights classes by n / (2 * n_c)', () => {
+      const weights = computeClassWeights(labels);
+      expect(weights[0]).toBeCloseTo(10 / 14, 12);
+      expect(weights[1]).toBeCloseTo(10 / 6, 12);
+      // Both classes contribute equally to the weighted loss
+      expect(weights[0] * 7).toBeCloseTo(weights[1] * 3, 12);
+    });
+
+    test('falls back to equal weights for a single class', () => {
+      expect(computeClassWeights([0, 0, 0])).toEqual({ 0: 1, 1: 1 });
+    });
+  });
+
+  describe('focal loss', () => {
+    test('auto alpha is the negative share, so the minority positive class weighs more', () => {
+      expect(resolveFocalAlpha('auto', labels)).toBeCloseTo(0.7, 12);
+      expect(resolveFocalAlpha('auto', [1, 1])).toBe(0.5);
+      expect(resolveFocalAlpha(0.8, labels)).toBe(0.8);
+      expect(() => resolveFocalAlpha(1.5, labels)).toThrow('focalAlpha must be a number between 0 and 1 or "auto", got 1.5');
+    });
+
+    test('weights a positive error by alpha and a negative error by 1 - alpha', () => {
+      const loss = focalLoss({ gamma: 0, alpha: 0.75 });
+      const value = (yTrue, yPred) => tf.tidy(() => loss(tf.tensor2d([[yTrue]]), tf.tensor2d([[yPred]])).dataSync()[0]);
+      expect(value(1, 0.3)).toBeCloseTo(-0.75 * Math.log(0.3), 5);
+      expect(value(0, 0.7)).toBeCloseTo(-0.25 * Math.log(0.3), 5);
+      expect(value(1, 0.3)).toBeGreaterThan(value(0, 0.7));
+    });
+
+    test('gamma down-weights well classified examples', () => {
+      const plain = focalLoss({ gamma: 0, alpha: 0.5 });
+      const focal = focalLoss({ gamma: 2, alpha: 0.5 });
+      const value = (fn, yPred) => tf.tidy(() => fn(tf.tensor2d([[1]]), tf.tensor2d([[yPred]])).dataSync()[0]);
+      expect(value(focal, 0.9) / value(plain, 0.9)).toBeCloseTo(0.01, 5);
+      expect(value(focal, 0.1) / value(plain, 0.1)).toBeCloseTo(0.81, 5);
+    });
+  });
+
+  describe('randomOversample', () => {
+    test('duplicates minority records up to the target ratio, reproducibly by seed', () => {
+      const resampled = randomOversample(records, labels, { ratio: 1, seed: 5 });
+      expect(resampled.slice(0, records.length)).toEqual(records);
+      expect(count(resampled, 1)).toBe(7);
+      expect(count(resampled, 0)).toBe(7);
+      resampled.slice(records.length).forEach(r => expect(records).toContain(r));
+      expect(randomOversample(records, labels, { ratio: 1, seed: 5 })).toEqual(resampled);
+    });
+
+    test('respects a partial ratio and leaves balanced data unchanged', () => {
+      expect(count(randomOversample(records, labels, { ratio: 5 / 7 }), 1)).toBe(5);
+      expect(randomOversample(records, labels, { ratio: 0.4 })).toBe(records);
+    });
+
+    test('treats label 0 as the minority when complications are the majority', () => {
+      const flipped = labels.map(l => 1 - l);
+      const resampled = randomOversample(records, flipped, { ratio: 1 });
+      const extra = resampled.slice(records.length);
+      expect(extra).toHaveLength(4);
+      extra.forEach(r => expect(flipped[records.indexOf(r)]).toBe(0));
+    });
+  });
+
+  describe('smote', () => {
+    const minority = records.filter(r => r.complications === 1);
+
+    test('creates synthetic minority patients between minority neighbours', () => {
+      const resampled = smote(records, labels, { ...featureSpec, k: 2, ratio: 1, seed: 3 });
+      const synthetic = resampled.slice(records.length);
+      expect(synthetic).toHaveLength(4);
+      const [minAge, maxAge] = [Math.min(...minority.map(r => r.age)), Math.max(...minority.map(r => r.age))];
+      synthetic.forEach(r => {
+        expect(r.complications).toBe(1);
+        expect(r).not.toHaveProperty('patient_id');
+        expect(Number.isInteger(r.age)).toBe(true);
+        expect(r.age).toBeGreaterThanOrEqual(minAge);
+        expect(r.age).toBeLessThanOrEqual(maxAge);
+        expect(['M', 'F']).toContain(r.sex);
+      });
+      expect(smote(records, labels, { ...featureSpec, k: 2, ratio: 1, seed: 3 })).toEqual(resampled);
+    });
+
+    test('interpolates only between a record and one of its k nearest neighbours', () => {
+      // With k = 1 each synthetic patient lies between two adjacent minority ages
+      const synthetic = smote(records, labels, { ...featureSpec, k: 1, ratio: 1, seed: 9 }).slice(records.length);
+      const ages = minority.map(r => r.age).sort((a, b) => a - b);
+      synthetic.forEach(r => {
+        const between = ages.slice(1).some((hi, i) => r.age >= ages[i] && r.age <= hi);
+        expect(between).toBe(true);
+      });
+    });
+
+    test('falls back to random oversampling with fewer than two minority records', () => {
+      const single = [1, 0, 0, 0];
+      const rows = records.slice(0, 4).map((r, i) => ({ ...r, complications: single[i] }));
+      const resampled = smote(rows, single, { ...featureSpec, ratio: 1 });
+      expect(resampled.slice(4)).toEqual([rows[0], rows[0]]);
+    });
+  });
+
+  test('resampleTrainingSet applies only the resampling strategies', () => {
+    const imbalance = { ratio: 1, seed: 42, smoteK: 2 };
+    expect(resampleTrainingSet(records, labels, { ...imbalance, strategy: 'class_weight' }, featureSpec)).toBe(records);
+    expect(resampleTrainingSet(records, labels, { ...imbalance, strategy: 'oversample' }, featureSpec)).toHaveLength(14);
+    expect(resampleTrainingSet(records, labels, { ...imbalance, strategy: 'smote' }, featureSpec)).toHaveLength(14);
+    expect(() => resampleTrainingSet(records, labels, { ...imbalance, strategy: 'undersample' }, featureSpec))
+      .toThrow('Unknown imbalance strategy: undersample');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for missing-value imputation
+ */
+
+const Imputer = require('../scripts/utils/imputer');
+const { createRng } = require('../scripts/metrics/statistics');
+
+describe('Imputer', () => {
+  const records = [
+    { age: 50, bmi: 20, stage: 'I', loss: 100 },
+    { age: 60, bmi: 22, stage: 'II', loss: 200 },
+    { age: 70, bmi: 30, stage: 'II', loss: 300 },
+    { age: 80, bmi: null, stage: null, loss: 1000 }
+  ];
+
+  test('rejects unknown strategies and incomplete specs', () => {
+    expect(() => new Imputer({ bmi: { strategy: 'zero' } }))
+      .toThrow('Unknown imputation strategy for bmi: zero');
+    expect(() => new Imputer({ bmi: { strategy: 'constant' } }))
+      .toThrow('Imputation strategy "constant" for bmi requires a value');
+    expect(() => new Imputer({ bmi: { strategy: 'knn' } }))
+      .toThrow('Imputation strategy "knn" for bmi requires features');
+    expect(() => new Imputer({ bmi: { strategy: 'knn', features: ['age'], reference: 'all' } }))
+      .toThrow('Unknown knn reference for bmi: all');
+  });
+
+  test('fromConfig returns null without configured columns', () => {
+    expect(Imputer.fromConfig({ columns: {} })).toBeNull();
+    expect(Imputer.fromConfig(null)).toBeNull();
+  });
+
+  test('refuses to transform before fit and to fit a column with no observed values', () => {
+    const imputer = new Imputer({ bmi: { strategy: 'median' } });
+    expect(() => imputer.transform(records)).toThrow('Imputer is not fitted yet.');
+    expect(() => imputer.fit([{ bmi: null }])).toThrow('Cannot fit imputation for bmi: no observed values');
+  });
+
+  test.each([
+    ['median', 22],
+    ['mean', 24],
+    ['constant', 25]
+  ])('%s fills numeric gaps from training rows only', (strategy, expected) => {
+    const imputer = new Imputer({ bmi: { strategy, value: 25 } }).fit(records);
+    const [filled] = imputer.transform([{ age: 40, bmi: null }]);
+    expect(filled.bmi).toBe(expected);
+  });
+
+  test('mode and median fall back to the most frequent category for strings', () => {
+    const imputer = new Imputer({ stage: { strategy: 'mode' }, bmi: { strategy: 'mode' } }).fit(records);
+    expect(imputer.transform([{ stage: undefined, bmi: NaN }])[0]).toEqual({ stage: 'II', bmi: 20 });
+    const median = new Imputer({ stage: { strategy: 'median' } }).fit(records);
+    expect(median.transform([{}])[0].stage).toBe('II');
+  });
+
+  test('leaves observed values and the input records untouched', () => {
+    const imputer = new Imputer({ bmi: { strategy: 'median' } }).fit(records);
+    const input = [{ bmi: 31 }, { bmi: null }];
+    expect(imputer.transform(input).map(r => r.bmi)).toEqual([31, 22]);
+    expect(input[1].bmi).toBeNull();
+  });
+
+  test('adds missingness indicators when enabled', () => {
+    const imputer = new Imputer({ bmi: { strategy: 'median' } }, { indicators: true }).fit(records);
+    expect(imputer.indicatorColumns()).toEqual(['bmi_missing']);
+    expect(imputer.transform([{ bmi: null }, { bmi: 21 }]).map(r => r.bmi_missing)).toEqual([1, 0]);
+    expect(new Imputer({ bmi: { strategy: 'median' } }).indicatorColumns()).toEqual([]);
+  });
+
+  describe('knn', () => {
+    test('averages the k nearest training rows by standardised features (reference: rows)', () => {
+      const imputer = new Imputer({
+        loss: { strategy: 'knn', k: 2, features: ['age', 'bmi'], reference: 'rows' }
+      }).fit(records);
+      expect(imputer.statistics.loss.reference).toHaveLength(4);
+      // Nearest to age 52 / bmi 21 are the 50- and 60-year-old patients
+      expect(imputer.transform([{ age: 52, bmi: 21, loss: null }])[0].loss).toBe(150);
+      // A missing feature is ignored in the distance
+      expect(imputer.transform([{ age: 78, bmi: null, loss: null }])[0].loss).toBe(650);
+    });
+
+    test('falls back to the median/mode when no feature is known', () => {
+      const imputer = new Imputer({
+        loss: { strategy: 'knn', features: ['age'], reference: 'rows' },
+        stage: { strategy: 'knn', k: 1, features: ['age'], reference: 'rows' }
+      }).fit(records);
+      expect(imputer.transform([{ loss: null, stage: null }])[0]).toEqual({ loss: 250, stage: 'II' });
+      expect(imputer.transform([{ age: 49, stage: null }])[0].stage).toBe('I');
+    });
+
+    describe('aggregated reference (default)', () => {
+      const rng = createRng(11);
+      const cohort = Array.from({ length: 53 }, (_, i) => {
+        const age = 30 + Math.round(rng() * 50);
+        return { id: i, age, time: 120 + Math.round(rng() * 200), loss: 5 * age + i / 100 };
+      });
+      const spec = { strategy: 'knn', k: 5, features: ['age', 'time'] };
+
+      test('stores group centroids of at least groupSize patients instead of rows', () => {
+        const stats = new Imputer({ loss: spec }).fit(cohort).statistics.loss;
+        expect(stats.reference.length).toBeLessThan(cohort.length);
+        stats.reference.forEach(ref => expect(ref.n).toBeGreaterThanOrEqual(5));
+        expect(stats.reference.reduce((sum, ref) => sum + ref.n, 0)).toBe(cohort.length);
+
+        // No training value of the imputed column survives in the serialised statistics
+        const stored = new Set(stats.reference.map(ref => ref.value));
+        cohort.forEach(r => expect(stored.has(r.loss)).toBe(false));
+
+        const bigger = new Imputer({ loss: { ...spec, groupSize: 10 } }).fit(cohort).statistics.loss;
+        bigger.reference.forEach(ref => expect(ref.n).toBeGreaterThanOrEqual(10));
+      });
+
+      test('imputes close to row-level knn', () => {
+        const rows = new Imputer({ loss: { ...spec, reference: 'rows' } }).fit(cohort);
+        const aggregated = new Imputer({ loss: spec }).fit(cohort);
+        [35, 55, 75].forEach(age => {
+          const query = [{ age, time: 200, loss: null }];
+          const exact = rows.transform(query)[0].loss;
+          expect(Math.abs(aggregated.transform(query)[0].loss - exact)).toBeLessThan(40);
+        });
+      });
+
+      test('puts every row in one group when there are fewer than groupSize of them', () => {
+        const stats = new Imputer({ loss: spec }).fit(cohort.slice(0, 3)).statistics.loss;
+        expect(stats.reference).toHaveLength(1);
+        expect(stats.reference[0].n).toBe(3);
+      });
+    });
+  });
+
+  test('round-trips through toJSON/fromJSON', () => {
+    const imputer = new Imputer({
+      bmi: { strategy: 'mean' },
+      loss: { strategy: 'knn', k: 2, features: ['age', 'bmi'] }
+    }, { indicators: true }).fit(records);
+    const restored = Imputer.fromJSON(JSON.parse(JSON.stringify(imputer.toJSON())));
+    const query = [{ age: 65, bmi: null, loss: null }, { age: 55, bmi: 21, loss: 120 }];
+    expect(restored.transform(query)).toEqual(imputer.transform(query));
+  });
+});
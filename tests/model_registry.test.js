@@ -0,0 +1,127 @@
+/**
+ * Tests for the file-based model registry: versions, promotion, rollback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelRegistry = require('../scripts/registry/model_registry');
+const ModelRegistryService = require('../src/services/model_registry_service');
+
+describe('ModelRegistry', () => {
+  let root;
+  let registry;
+
+  // Registered version: folder with metadata.json
+  const register = async (metadata = {}) => {
+    const { version } = await registry.createVersion();
+    await registry.finalizeVersion(version, { dataHash: `hash-${version}`, nRecords: 10, ...metadata });
+    return version;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'model_registry_test_'));
+    registry = new ModelRegistry(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('isValidVersion accepts only vN names', () => {
+    expect(ModelRegistry.isValidVersion('v1')).toBe(true);
+    expect(ModelRegistry.isValidVersion('v42')).toBe(true);
+    ['1', 'v', 'v1a', 'V1', '../v1', 'v1/../../etc', '..', 'v1\n', null, 3].forEach(version => {
+      expect(ModelRegistry.isValidVersion(version)).toBe(false);
+    });
+  });
+
+  test('rejects path-traversal version names', async () => {
+    expect(() => registry.artifactPaths('../secrets')).toThrow('Invalid model version: ../secrets');
+    expect(await registry.getVersion('../../etc/passwd')).toBeNull();
+    await expect(registry.promote('../v1')).rejects.toThrow('Model version ../v1 is not registered');
+  });
+
+  test('numbers new versions after the highest existing folder', async () => {
+    expect(await register()).toBe('v1');
+    fs.mkdirSync(path.join(root, 'v7'));
+    fs.mkdirSync(path.join(root, 'notes'));
+    const { version, paths } = await registry.createVersion();
+    expect(version).toBe('v8');
+    expect(paths.modelPath).toBe(path.join(root, 'v8', 'model'));
+  });
+
+  test('lists only finalized versions in numeric order', async () => {
+    await register();
+    await registry.createVersion(); // v2: interrupted training, no metadata.json
+    for (let i = 0; i < 8; i++) await register();
+
+    const versions = await registry.listVersions();
+    expect(versions.map(v => v.version)).toEqual(['v1', 'v3', 'v4', 'v5', 'v6', 'v7', 'v8', 'v9', 'v10']);
+    expect(versions[0]).toMatchObject({ dataHash: 'hash-v1', promoted: false });
+    expect(await registry.getVersion('v2')).toBeNull();
+    expect(await new ModelRegistry(path.join(root, 'missing')).listVersions()).toEqual([]);
+  });
+
+  test('promotes registered versions and refuses unregistered ones', async () => {
+    const v1 = await register();
+    const v2 = await register();
+    expect(await registry.getPromoted()).toBeNull();
+
+    await registry.promote(v1);
+    const index = await registry.promote(v2);
+    expect(index).toMatchObject({ promoted: 'v2', stack: ['v1', 'v2'] });
+    expect((await registry.promote(v2)).stack).toEqual(['v1', 'v2']);
+    expect((await registry.listVersions()).map(v => v.promoted)).toEqual([false, true]);
+
+    await expect(registry.promote('v9')).rejects.toThrow('Model version v9 is not registered');
+  });
+
+  test('rolls back to the previously promoted version', async () => {
+    const v1 = await register();
+    const v2 = await register();
+    await registry.promote(v1);
+    await registry.promote(v2);
+
+    const index = await registry.rollback();
+    expect(index.promoted).toBe('v1');
+    expect(index.stack).toEqual(['v1']);
+    expect(index.history.map(h => h.action)).toEqual(['promote', 'promote', 'rollback']);
+    expect(index.history[2]).toMatchObject({ from: 'v2', version: 'v1' });
+    expect(await registry.getPromoted()).toBe('v1');
+  });
+
+  test('rollback without a previous version fails and keeps the index', async () => {
+    await expect(registry.rollback()).rejects.toThrow('No previously promoted version to roll back to');
+
+    await registry.promote(await register());
+    await expect(registry.rollback()).rejects.toThrow('No previously promoted version to roll back to');
+    expect(await registry.getPromoted()).toBe('v1');
+  });
+
+  describe('ModelRegistryService', () => {
+    test('lists versions without the config snapshot', async () => {
+      await register({ config: { TRAINING: { epochs: 5 } }, metrics: { auc: 0.8 } });
+      await registry.promote('v1');
+
+      const service = new ModelRegistryService({ registryPath: root });
+      const [version] = await service.listVersions();
+      expect(version).toEqual({
+        version: 'v1',
+        createdAt: expect.any(String),
+        promoted: true,
+        dataHash: 'hash-v1',
+        nRecords: 10,
+        metrics: { auc: 0.8 }
+      });
+    });
+
+    test('does not load unregistered or invalid versions', async () => {
+      await register();
+      const service = new ModelRegistryService({ registryPath: root });
+      expect(await service.acquire('v5')).toBeNull();
+      expect(await service.acquire('../v1')).toBeNull();
+      expect(service.cache.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for ProbabilityCalibrator (Platt scaling and isotonic regression)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProbabilityCalibrator = require('../scripts/utils/probability_calibrator');
+const { fitValidationCalibrator } = require('../scripts/training/pipeline');
+
+describe('ProbabilityCalibrator', () => {
+  // Overconfident model: true event rate is pulled towards 0.5 relative to its scores
+  const probs = [];
+  const labels = [];
+  [0.05, 0.2, 0.35, 0.5, 0.65, 0.8, 0.95].forEach(p => {
+    const rate = 0.25 + 0.5 * p;
+    for (let i = 0; i < 20; i++) {
+      probs.push(p);
+      labels.push(i < Math.round(rate * 20) ? 1 : 0);
+    }
+  });
+
+  test('rejects an unknown method', () => {
+    expect(() => new ProbabilityCalibrator('beta')).toThrow('Unknown calibration method: beta');
+  });
+
+  test('refuses to transform before fit', () => {
+    expect(() => new ProbabilityCalibrator('platt').transform([0.5])).toThrow('Calibrator is not fitted yet.');
+  });
+
+  describe('platt', () => {
+    test('shrinks an overconfident model towards the observed rates', () => {
+      const calibrator = new ProbabilityCalibrator('platt').fit(probs, labels);
+      expect(calibrator.params.a).toBeGreaterThan(0);
+      expect(calibrator.params.a).toBeLessThan(1);
+
+      const [low, mid, high] = calibrator.transform([0.05, 0.5, 0.95]);
+      expect(low).toBeGreaterThan(0.05);
+      expect(high).toBeLessThan(0.95);
+      expect(mid).toBeCloseTo(0.5, 1);
+    });
+
+    test('keeps the ranking of predictions', () => {
+      const calibrator = new ProbabilityCalibrator('platt').fit(probs, labels);
+      const out = calibrator.transform([0.1, 0.3, 0.6, 0.9]);
+      for (let i = 1; i < out.length; i++) {
+        expect(out[i]).toBeGreaterThan(out[i - 1]);
+      }
+    });
+
+    test('handles probabilities of exactly 0 and 1', () => {
+      const calibrator = new ProbabilityCalibrator('platt').fit(probs, labels);
+      calibrator.transform([0, 1]).forEach(p => {
+        expect(Number.isFinite(p)).toBe(true);
+        expect(p).toBeGreaterThan(0);
+        expect(p).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('isotonic', () => {
+    test('fits a non-decreasing step function (pool adjacent violators)', () => {
+      const { x, y } = ProbabilityCalibrator.fitIsotonic([0.1, 0.2, 0.3, 0.4], [0, 1, 0, 1]);
+      // 0.2 and 0.3 violate monotonicity and are pooled into one block at 0.5
+      expect(x).toEqual([0.1, 0.2, 0.3, 0.4]);
+      expect(y).toEqual([0, 0.5, 0.5, 1]);
+    });
+
+    test('matches the observed event rate per score and clamps outside the range', () => {
+      const calibrator = new ProbabilityCalibrator('isotonic').fit(probs, labels);
+      const [below, atLow, atHigh, above] = calibrator.transform([0, 0.05, 0.95, 1]);
+      expect(atLow).toBeCloseTo(Math.round((0.25 + 0.5 * 0.05) * 20) / 20, 10);
+      expect(atHigh).toBeCloseTo(Math.round((0.25 + 0.5 * 0.95) * 20) / 20, 10);
+      expect(below).toBe(atLow);
+      expect(above).toBe(atHigh);
+    });
+
+    test('interpolates linearly between knots', () => {
+      const calibrator = new ProbabilityCalibrator('isotonic', { x: [0.2, 0.4], y: [0.1, 0.3] });
+      expect(calibrator.transform([0.3])[0]).toBeCloseTo(0.2, 10);
+    });
+  });
+
+  test('round-trips through save/load', async () => {
+    const filePath = path.join(os.tmpdir(), `calibrator_test_${process.pid}`, 'calibrator.json');
+    const calibrator = new ProbabilityCalibrator('platt').fit(probs, labels);
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      await calibrator.save(filePath);
+      const loaded = await ProbabilityCalibrator.load(filePath);
+      expect(loaded.method).toBe('platt');
+      expect(loaded.transform([0.2, 0.7])).toEqual(calibrator.transform([0.2, 0.7]));
+    } finally {
+      log.mockRestore();
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+  });
+
+  describe('fitValidationCalibrator', () => {
+    let log;
+    let warn;
+
+    beforeAll(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      log.mockRestore();
+      warn.mockRestore();
+    });
+
+    test('fits on the validation tail only', () => {
+      // 140 rows with validationSplit 0.5: the tail is scores 0.5-0.95
+      const calibrator = fitValidationCalibrator(labels, probs, 0.5);
+      const expected = new ProbabilityCalibrator('platt').fit(probs.slice(70), labels.slice(70));
+      expect(calibrator.params).toEqual(expected.params);
+    });
+
+    test('skips calibration on a small or single-class validation part', () => {
+      warn.mockClear();
+      // 140 * 0.1 = 14 rows, below CALIBRATION.minRows
+      expect(fitValidationCalibrator(labels, probs, 0.1)).toBeNull();
+      expect(fitValidationCalibrator(labels.map(() => 1), probs, 0.5)).toBeNull();
+      expect(warn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for bootstrap confidence intervals and the DeLong test
+ */
+
+const {
+  createRng,
+  bootstrapConfidenceIntervals,
+  delongTest,
+  normalCdf
+} = require('../scripts/metrics/statistics');
+const MetricsCalculator = require('../scripts/metrics/calculate_metrics');
+
+describe('Model comparison statistics', () => {
+  describe('bootstrapConfidenceIntervals', () => {
+    const rng = createRng(7);
+    const samples = Array.from({ length: 200 }, () => rng());
+    const mean = rows => rows.reduce((s, v) => s + v, 0) / rows.length;
+
+    test('is reproducible for the same seed', () => {
+      const a = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 300, seed: 1 });
+      const b = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 300, seed: 1 });
+      const c = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 300, seed: 2 });
+      expect(a).toEqual(b);
+      expect(c.mean.lower).not.toBe(a.mean.lower);
+    });
+
+    test('reports the full-sample estimate inside a percentile interval', () => {
+      const { mean: ci } = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 500 });
+      expect(ci.estimate).toBeCloseTo(mean(samples), 12);
+      expect(ci.lower).toBeLessThan(ci.estimate);
+      expect(ci.upper).toBeGreaterThan(ci.estimate);
+      expect(ci.nValid).toBe(500);
+      // Standard error of a U(0, 1) mean with n = 200 is ~0.02, so the 95% CI is ~0.08 wide
+      expect(ci.upper - ci.lower).toBeGreaterThan(0.05);
+      expect(ci.upper - ci.lower).toBeLessThan(0.12);
+    });
+
+    test('a larger alpha gives a narrower interval', () => {
+      const ci95 = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 500, alpha: 0.05 }).mean;
+      const ci80 = bootstrapConfidenceIntervals(samples, { mean }, { nBootstrap: 500, alpha: 0.2 }).mean;
+      expect(ci80.lower).toBeGreaterThan(ci95.lower);
+      expect(ci80.upper).toBeLessThan(ci95.upper);
+    });
+
+    test('skips resamples where a metric is undefined', () => {
+      const first = samples[0];
+      const { guarded } = bootstrapConfidenceIntervals(samples, {
+        guarded: rows => (rows.includes(first) ? NaN : 1)
+      }, { nBootstrap: 300 });
+      expect(guarded.nValid).toBeGreaterThan(0);
+      expect(guarded.nValid).toBeLessThan(300);
+      expect(guarded.lower).toBe(1);
+      expect(guarded.upper).toBe(1);
+    });
+
+    test('MetricsCalculator.calculateBootstrapIntervals covers AUC, sensitivity, specificity and Brier', () => {
+      const labels = samples.map((_, i) => (i % 2 === 0 ? 1 : 0));
+      const probs = labels.map((label, i) => (label ? 0.4 : 0.2) + 0.4 * samples[i]);
+      const predicted = probs.map(p => (p >= 0.5 ? 1 : 0));
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        const intervals = MetricsCalculator.calculateBootstrapIntervals(labels, probs, predicted, { nBootstrap: 200 });
+        expect(Object.keys(intervals)).toEqual(['auc', 'sensitivity', 'specificity', 'brier']);
+        expect(intervals.auc.estimate).toBeCloseTo(MetricsCalculator.calculateAuc(labels, probs), 12);
+        Object.values(intervals).forEach(ci => {
+          expect(ci.lower).toBeLessThanOrEqual(ci.estimate);
+          expect(ci.upper).toBeGreaterThanOrEqual(ci.estimate);
+        });
+      } finally {
+        log.mockRestore();
+      }
+    });
+  });
+
+  describe('delongTest', () => {
+    const labels = [1, 1, 0, 0];
+    const scoresA = [0.9, 0.8, 0.3, 0.1];
+    const scoresB = [0.9, 0.2, 0.3, 0.1];
+
+    test('matches a hand-computed example', () => {
+      // A separates perfectly (AUC 1); B ranks one positive below one negative (AUC 0.75).
+      // Structural components of B: V10 = [1, 0.5], V01 = [0.5, 1] -> Var = 0.125/2 + 0.125/2
+      const result = delongTest(labels, scoresA, scoresB);
+      expect(result.aucA).toBe(1);
+      expect(result.aucB).toBe(0.75);
+      expect(result.difference).toBeCloseTo(0.25, 12);
+      expect(result.se).toBeCloseTo(Math.sqrt(0.125), 12);
+      expect(result.z).toBeCloseTo(0.25 / Math.sqrt(0.125), 12);
+      expect(result.pValue).toBeCloseTo(2 * (1 - normalCdf(0.25 / Math.sqrt(0.125))), 12);
+      expect(result.ci.lower).toBeCloseTo(0.25 - 1.959964 * Math.sqrt(0.125), 5);
+      expect(result.ci.upper).toBeCloseTo(0.25 + 1.959964 * Math.sqrt(0.125), 5);
+    });
+
+    test('is antisymmetric in the two models', () => {
+      const ab = delongTest(labels, scoresA, scoresB);
+      const ba = delongTest(labels, scoresB, scoresA);
+      expect(ba.difference).toBeCloseTo(-ab.difference, 12);
+      expect(ba.z).toBeCloseTo(-ab.z, 12);
+      expect(ba.pValue).toBeCloseTo(ab.pValue, 12);
+    });
+
+    test('counts tied scores as one half', () => {
+      const result = delongTest([1, 1, 0, 0], [0.5, 0.5, 0.5, 0.5], [0.9, 0.8, 0.3, 0.1]);
+      expect(result.aucA).toBe(0.5);
+      expect(result.aucB).toBe(1);
+    });
+
+    test('gives p = 1 for identical predictions', () => {
+      const result = delongTest(labels, scoresB, scoresB);
+      expect(result.difference).toBe(0);
+      expect(result.se).toBe(0);
+      expect(result.pValue).toBe(1);
+    });
+
+    test('agrees with MetricsCalculator.calculateAuc on random data', () => {
+      const rng = createRng(3);
+      const y = Array.from({ length: 60 }, (_, i) => (i % 3 === 0 ? 1 : 0));
+      const a = y.map(label => label * 0.3 + rng());
+      const b = y.map(() => Math.round(rng() * 4) / 4);
+      const result = delongTest(y, a, b);
+      expect(result.aucA).toBeCloseTo(MetricsCalculator.calculateAuc(y, a), 12);
+      expect(result.aucB).toBeCloseTo(MetricsCalculator.calculateAuc(y, b), 12);
+    });
+
+    test('rejects predictions for different patients and too few cases per class', () => {
+      expect(() => delongTest(labels, scoresA, scoresB.slice(1)))
+        .toThrow('DeLong test requires predictions of both models for the same patients.');
+      expect(() => delongTest([1, 0, 0], [0.9, 0.2, 0.1], [0.8, 0.3, 0.1]))
+        .toThrow('DeLong test requires at least two positive and two negative cases.');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for survival analysis against published values: Kaplan-Meier, log-rank, Cox PH, C-index
+ */
+
+const SurvivalAnalysis = require('../scripts/survival/survival_analysis');
+const CoxModel = require('../scripts/survival/cox_model');
+
+describe('Survival analysis', () => {
+  // Freireich et al. (1963) leukaemia remission data, weeks; 0 = censored
+  // (Kleinbaum & Klein, Survival Analysis, ch. 2; R: survival::gehan)
+  const sixMp = {
+    times: [6, 6, 6, 6, 7, 9, 10, 10, 11, 13, 16, 17, 19, 20, 22, 23, 25, 32, 32, 34, 35],
+    events: [1, 1, 1, 0, 1, 0, 1, 0, 0, 1, 1, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0]
+  };
+  const placebo = {
+    times: [1, 1, 2, 2, 3, 4, 4, 5, 5, 8, 8, 8, 8, 11, 11, 12, 12, 15, 17, 22, 23],
+    events: new Array(21).fill(1)
+  };
+  const times = [...sixMp.times, ...placebo.times];
+  const events = [...sixMp.events, ...placebo.events];
+  const groups = [...sixMp.times.map(() => '6-MP'), ...placebo.times.map(() => 'placebo')];
+
+  describe('Kaplan-Meier', () => {
+    test('reproduces the 6-MP survival table', () => {
+      const km = SurvivalAnalysis.kaplanMeier(sixMp.times, sixMp.events);
+      const eventSteps = km.steps.filter(s => s.events > 0);
+      expect(eventSteps.map(s => [s.time, s.atRisk, s.events])).toEqual([
+        [6, 21, 3], [7, 17, 1], [10, 15, 1], [13, 12, 1], [16, 11, 1], [22, 7, 1], [23, 6, 1]
+      ]);
+      [0.8571, 0.8067, 0.7529, 0.6902, 0.6275, 0.5378, 0.4482].forEach((survival, i) => {
+        expect(eventSteps[i].survival).toBeCloseTo(survival, 4);
+      });
+      expect(km.steps[0]).toMatchObject({ time: 6, censored: 1 });
+      expect(km.steps[km.steps.length - 1]).toMatchObject({ time: 35, atRisk: 1, censored: 1 });
+      expect(km).toMatchObject({ n: 21, events: 9, medianSurvival: 23 });
+    });
+
+    test('log-log confidence interval uses the Greenwood variance', () => {
+      // R: survfit(..., conf.type = 'log-log') at t = 6: 0.620 - 0.952
+      const [first] = SurvivalAnalysis.kaplanMeier(sixMp.times, sixMp.events).steps;
+      expect(first.lower).toBeCloseTo(0.620, 3);
+      expect(first.upper).toBeCloseTo(0.952, 3);
+    });
+
+    test('placebo median is 8 weeks and the curve drops to zero without an interval', () => {
+      const km = SurvivalAnalysis.kaplanMeier(placebo.times, placebo.events);
+      expect(km.medianSurvival).toBe(8);
+      const last = km.steps[km.steps.length - 1];
+      expect(last).toMatchObject({ time: 23, survival: 0, lower: null, upper: null });
+    });
+  });
+
+  describe('log-rank test', () => {
+    test('matches survdiff for 6-MP vs placebo', () => {
+      const result = SurvivalAnalysis.logRankTest(times, events, groups);
+      expect(result.df).toBe(1);
+      expect(result.statistic).toBeCloseTo(16.79, 2);
+      expect(result.pValue).toBeCloseTo(4.17e-5, 6);
+      expect(result.observed).toEqual({ '6-MP': 9, placebo: 21 });
+      expect(result.expected['6-MP']).toBeCloseTo(19.25, 2);
+      expect(result.expected.placebo).toBeCloseTo(10.75, 2);
+    });
+
+    test('identical groups give a zero statistic', () => {
+      const result = SurvivalAnalysis.logRankTest(
+        [...sixMp.times, ...sixMp.times], [...sixMp.events, ...sixMp.events], groups
+      );
+      expect(result.statistic).toBeCloseTo(0, 12);
+      expect(result.pValue).toBeCloseTo(1, 12);
+    });
+
+    test('kaplanMeierByGroup splits by the column and runs the test', () => {
+      const records = times.map((t, i) => ({ weeks: t, relapse: events[i] ? 'yes' : 'no', arm: groups[i] }));
+      records.push({ weeks: null, relapse: 'yes', arm: 'placebo' });
+      const result = SurvivalAnalysis.kaplanMeierByGroup(records, 'arm', {
+        timeColumn: 'weeks', eventColumn: 'relapse', eventValue: 'yes'
+      });
+      expect(Object.keys(result.groups)).toEqual(['6-MP', 'placebo']);
+      expect(result.groups.placebo.n).toBe(21);
+      expect(result.logRank.statistic).toBeCloseTo(16.79, 2);
+    });
+  });
+
+  describe('Cox PH', () => {
+    test('matches coxph(ties = "breslow") for the treatment effect', () => {
+      const X = groups.map(g => [g === 'placebo' ? 1 : 0]);
+      const model = new CoxModel({ penalty: 0, featureColumns: ['placebo'] }).fit(X, times, events);
+      const [row] = model.summary();
+      expect(row.coef).toBeCloseTo(1.509, 3);
+      expect(row.se).toBeCloseTo(0.410, 3);
+      expect(row.hazardRatio).toBeCloseTo(4.52, 2);
+      expect(row.pValue).toBeLessThan(0.001);
+      expect(model).toMatchObject({ nObservations: 42, nEvents: 30 });
+    });
+
+    test('the L2 penalty shrinks the coefficient towards zero', () => {
+      const X = groups.map(g => [g === 'placebo' ? 1 : 0]);
+      const free = new CoxModel({ penalty: 0 }).fit(X, times, events).coefficients[0];
+      const shrunk = new CoxModel({ penalty: 5 }).fit(X, times, events).coefficients[0];
+      expect(shrunk).toBeGreaterThan(0);
+      expect(shrunk).toBeLessThan(free);
+    });
+
+    test('predictRisk requires a fitted model and survives toJSON/fromJSON', () => {
+      expect(() => new CoxModel().predictRisk([[1]])).toThrow('Cox model is not fitted yet.');
+      const model = new CoxModel().fit(groups.map(g => [g === 'placebo' ? 1 : 0]), times, events);
+      const restored = CoxModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+      expect(restored.predictRisk([[0], [1]])).toEqual(model.predictRisk([[0], [1]]));
+    });
+  });
+
+  describe('C-index', () => {
+    test('counts tied risks as half-concordant', () => {
+      // Comparable pairs: (1,2) (1,3) (1,4) (2,3) (2,4); the (2,3) risks are tied
+      expect(SurvivalAnalysis.concordanceIndex([1, 2, 3, 4], [1, 1, 0, 1], [0.9, 0.5, 0.5, 0.1])).toBeCloseTo(4.5 / 5, 12);
+    });
+
+    test('does not compare patients with tied times or a censored earlier time', () => {
+      expect(SurvivalAnalysis.concordanceIndex([1, 1, 2], [1, 1, 0], [0.2, 0.8, 0.5])).toBeCloseTo(0.5, 12);
+      expect(SurvivalAnalysis.concordanceIndex([1, 2], [0, 1], [0.1, 0.9])).toBeNaN();
+    });
+
+    test('is 1 for a perfect ranking, 0 for a reversed one and 0.5 for constant risk', () => {
+      const risks = times.map(t => -t);
+      expect(SurvivalAnalysis.concordanceIndex(times, events, risks)).toBe(1);
+      expect(SurvivalAnalysis.concordanceIndex(times, events, times)).toBe(0);
+      expect(SurvivalAnalysis.concordanceIndex(times, events, times.map(() => 1))).toBe(0.5);
+    });
+  });
+});